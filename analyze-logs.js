@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+const LogAnalytics = require("./src/analytics/LogAnalytics");
+const logger = require("./src/utils/Logger");
+
+const FORMATS = ["table", "csv", "json"];
+
+function parseArgs(argv) {
+  const args = { dir: path.join(__dirname, "logs"), format: "table", out: null, round: null, team: null, cache: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--dir": args.dir = argv[++i]; break;
+      case "--format": args.format = argv[++i]; break;
+      case "--out": args.out = argv[++i]; break;
+      case "--round": args.round = argv[++i]; break;
+      case "--team": args.team = argv[++i]; break;
+      case "--no-cache": args.cache = false; break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (!FORMATS.includes(args.format)) {
+    throw new Error(`Unknown format: ${args.format} (expected ${FORMATS.join(", ")})`);
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  logger.setLevel("ERROR");
+
+  const analytics = new LogAnalytics({ logsDir: args.dir, cache: args.cache });
+  const report = analytics.run({ round: args.round, team: args.team });
+
+  let output;
+  switch (args.format) {
+    case "csv": output = LogAnalytics.toCsv(report.games); break;
+    case "json": output = JSON.stringify(report, null, 2); break;
+    default: output = LogAnalytics.formatTable(report);
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output + "\n");
+  } else {
+    console.log(output);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("Log analytics failed:", error.message);
+  process.exit(1);
+}
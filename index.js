@@ -17,6 +17,7 @@ async function main() {
       apiUrl: process.env.API_URL,
       token: token,
       teamName: process.env.TEAM_NAME || "Drive Core",
+      gameLogGzip: process.env.GAME_LOG_GZIP === "true",
     });
 
     await bot.run();
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const MatchRunner = require("./src/simulator/MatchRunner");
+const { SCENARIOS } = require("./src/simulator/Scenarios");
+const logger = require("./src/utils/Logger");
+
+function parseArgs(argv) {
+  const args = { games: 1, seed: 1, scenario: "standard", json: false, out: null, saveLogs: false, verbose: false, turns: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--games": args.games = Number(argv[++i]); break;
+      case "--seed": args.seed = Number(argv[++i]); break;
+      case "--scenario": args.scenario = argv[++i]; break;
+      case "--turns": args.turns = Number(argv[++i]); break;
+      case "--out": args.out = argv[++i]; break;
+      case "--json": args.json = true; break;
+      case "--save-logs": args.saveLogs = true; break;
+      case "--verbose": args.verbose = true; break;
+      case "--list": args.list = true; break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.list) {
+    Object.entries(SCENARIOS).forEach(([name, scenario]) => console.log(`${name.padEnd(15)} ${scenario.description}`));
+    return;
+  }
+
+  logger.setLevel(args.verbose ? "INFO" : "ERROR");
+
+  const runner = new MatchRunner({ maxTurns: args.turns, saveLogs: args.saveLogs });
+  const series = await runner.runSeries({ scenario: args.scenario, games: args.games, seed: args.seed });
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(series, null, 2));
+  }
+  console.log(args.json ? JSON.stringify(series, null, 2) : runner.formatReport(series));
+}
+
+main().catch((error) => {
+  console.error("Match runner failed:", error.message);
+  process.exit(1);
+});
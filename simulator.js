@@ -0,0 +1,37 @@
+require("dotenv").config();
+
+const SimulatorServer = require("./src/simulator/SimulatorServer");
+const logger = require("./src/utils/Logger");
+
+// Числовой SIM_SEED должен давать ту же карту, что и seed по умолчанию (число 1),
+// поэтому "1" превращаем в 1; остальные строки SeededRandom хэширует
+function parseSeed(value) {
+  if (value === undefined || value === "") return 1;
+  return /^\d+$/.test(value.trim()) ? Number(value) : value;
+}
+
+async function main() {
+  const port = Number(process.env.SIM_PORT) || 3002;
+  const server = new SimulatorServer({
+    port,
+    turnDuration: Number(process.env.SIM_TURN_MS) || 1000,
+    lobbyDuration: process.env.SIM_LOBBY_SECONDS !== undefined ? Number(process.env.SIM_LOBBY_SECONDS) : 5,
+    engine: {
+      seed: parseSeed(process.env.SIM_SEED),
+      maxTurns: Number(process.env.SIM_MAX_TURNS) || 420,
+    },
+  });
+
+  await server.start();
+  logger.info(`Point the bot at the simulator with API_URL=http://localhost:${port}`);
+
+  process.on("SIGINT", () => {
+    server.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  logger.error("Fatal simulator error:", error);
+  process.exit(1);
+});
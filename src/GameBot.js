@@ -1,4 +1,6 @@
 const ApiClient = require('./api/ApiClient');
+const { NotRegisteredError } = require('./api/ApiErrors');
+const GameStateNormalizer = require('./api/GameStateNormalizer');
 const GameAnalyzer = require('./game/GameAnalyzer');
 const StrategyManager = require('./game/StrategyManager');
 const UnitManager = require('./game/UnitManager');
@@ -6,42 +8,73 @@ const ResourceManager = require('./game/ResourceManager');
 const CombatManager = require('./game/CombatManager');
 const RoundManager = require('./game/RoundManager');
 const GameLogger = require('./game/GameLogger');
+const CargoTracker = require('./game/CargoTracker');
+const GameEventBus = require('./game/GameEventBus');
+const GameEventDetector = require('./game/GameEventDetector');
 const ResourceAssignmentManager = require('./game/ResourceAssignmentManager');
+const PathfindingValidator = require('./game/PathfindingValidator');
+const ReservationTable = require('./game/ReservationTable');
+const HexGeometry = require('./utils/HexGeometry');
+const TurnScheduler = require('./game/TurnScheduler');
+const PlanningBudget = require('./game/PlanningBudget');
 const logger = require('./utils/Logger');
 const WebSocketServer = require('../visualizer/src/WebSocketServer');
 
 class GameBot {
     constructor(config) {
         this.config = config;
-        this.apiClient = new ApiClient(config.apiUrl, config.token);
+        // Клиент можно подменить (например, LocalApiClient для headless прогонов в симуляторе)
+        this.apiClient = config.apiClient || new ApiClient(config.apiUrl, config.token);
         this.gameAnalyzer = new GameAnalyzer();
         this.strategyManager = new StrategyManager();
         this.unitManager = new UnitManager();
         this.resourceManager = new ResourceManager();
         this.combatManager = new CombatManager();
         this.roundManager = new RoundManager(this.apiClient);
-        this.gameLogger = new GameLogger();
+        this.stateNormalizer = new GameStateNormalizer();
+        this.gameLogger = new GameLogger({ enabled: config.gameLog !== false, gzip: config.gameLogGzip });
+        this.cargoTracker = new CargoTracker();
+        // События ходов (смерти, урон, доставки, нападения на муравейник) для лога, визуализатора и стратегии
+        this.events = new GameEventBus();
+        this.eventDetector = new GameEventDetector();
+        this.gameLogger.subscribe(this.events);
+        this.strategyManager.subscribe(this.events);
         this.resourceAssignmentManager = new ResourceAssignmentManager();
+        this.pathValidator = new PathfindingValidator();
+        // Перепланирование укороченных ходов: радиус поиска свободного гекса и лимит A*-запросов
+        this.replanRadius = 2;
+        this.maxReplanAttempts = 4;
         
         this.gameState = null;
         this.currentRoundId = null;
         this.currentGameId = null;
         this.previousGameState = null;
+        this.previousStrategy = null;
         this.turnNumber = 0;
         this.isRunning = false;
         this.isWaitingForRound = false;
         this.isGameActive = false;
         this.registeredRoundId = null;
         this.isInLobby = false;
-        
-        // Инициализация визуализатора
-        this.visualizer = new WebSocketServer(config.visualizerPort || 3001);
-        this.startVisualizer();
-        
-        // Таймер для обновления обратного отсчета
-        this.countdownTimer = setInterval(() => {
-            this.updateWaitingCountdown();
-        }, 1000);
+        this.maxTurns = config.maxTurns || 420; // Maximum turns per round
+        this.turnScheduler = new TurnScheduler(config.scheduler);
+        // Бюджет планирования, когда сервер не сообщает время до смены хода
+        this.planningBudgetMs = config.planningBudgetMs ?? Infinity;
+        
+        // В headless режиме визуализатор и таймеры не запускаются
+        this.visualizer = null;
+        this.countdownTimer = null;
+        if (!config.headless) {
+            // Инициализация визуализатора
+            this.visualizer = new WebSocketServer(config.visualizerPort || 3001);
+            this.visualizer.subscribe(this.events);
+            this.startVisualizer();
+            
+            // Таймер для обновления обратного отсчета
+            this.countdownTimer = setInterval(() => {
+                this.updateWaitingCountdown();
+            }, 1000);
+        }
     }
 
     async run() {
@@ -100,6 +133,8 @@ class GameBot {
                         this.currentRoundId = currentRoundId || 'unknown';
                         this.currentGameId = registrationInfo.gameId || Date.now().toString();
                         this.gameLogger.startNewGame(this.currentRoundId, this.currentGameId, this.config.teamName);
+                        this.stateNormalizer.reset();
+                        this.cargoTracker.reset();
                         
                         // Clear resource assignments for new game
                         this.resourceAssignmentManager.clearAllAssignments();
@@ -202,21 +237,20 @@ class GameBot {
         
         while (attempts < maxAttempts) {
             try {
-                const gameState = await this.apiClient.getGameState();
+                const response = await this.apiClient.getGameState();
+                const gameState = response ? this.normalizeGameState(response) : null;
                 logger.debug(`waitForGameStart: Attempt ${attempts + 1}/${maxAttempts}, gameState:`, {
                     hasGameState: !!gameState,
                     turnNo: gameState?.turnNo,
-                    myUnits: gameState?.myUnits?.length || 0,
-                    ants: gameState?.ants?.length || 0,
-                    home: gameState?.home?.length || 0,
-                    food: gameState?.food?.length || 0
+                    ants: gameState?.ants.length || 0,
+                    home: gameState?.home.length || 0,
+                    food: gameState?.food.length || 0
                 });
                 
                 // Check multiple conditions for game start
                 if (gameState) {
-                    // Check if we have myUnits
-                    if (gameState.myUnits && gameState.myUnits.length > 0) {
-                        logger.info('Game started! Found myUnits:', gameState.myUnits.length);
+                    if (gameState.ants.length > 0) {
+                        logger.info('Game started! Found ants:', gameState.ants.length);
                         
                         // Hide waiting overlay
                         if (this.visualizer) {
@@ -228,24 +262,6 @@ class GameBot {
                         return;
                     }
                     
-                    // Alternative: check if we have ants (API format)
-                    if (gameState.ants && gameState.ants.length > 0) {
-                        // Filter out anthills (type 0) to check for actual units
-                        const actualUnits = gameState.ants.filter(ant => ant.type !== 0);
-                        if (actualUnits.length > 0) {
-                            logger.info('Game started! Found ants:', actualUnits.length);
-                            
-                            // Hide waiting overlay
-                            if (this.visualizer) {
-                                this.visualizer.broadcast({
-                                    type: 'lobbyStatus',
-                                    waiting: false
-                                });
-                            }
-                            return;
-                        }
-                    }
-                    
                     // Check if game has actually started (turn > 0)
                     if (gameState.turnNo && gameState.turnNo > 0) {
                         logger.info('Game started! Turn:', gameState.turnNo);
@@ -270,7 +286,7 @@ class GameBot {
                 logger.debug(`Error checking game state while waiting (attempt ${attempts + 1}):`, error.message);
                 
                 // If we get "not registered" error, it might mean the lobby ended without starting
-                if (error.message && error.message.includes('not registered')) {
+                if (error instanceof NotRegisteredError) {
                     logger.warn('Lost registration while waiting for game start, lobby may have ended');
                     
                     // Hide waiting overlay
@@ -302,36 +318,27 @@ class GameBot {
     }
 
     async gameLoop() {
-        let lastTurnNumber = -1;
-        let turnStartTime = Date.now();
-        const MAX_TURNS = 420; // Maximum turns per round
+        this.turnScheduler.reset();
         
         while (this.isRunning) {
             try {
-                this.gameState = await this.apiClient.getGameState();
+                const response = await this.apiClient.getGameState();
+                const receivedAt = Date.now();
                 
-                if (!this.gameState) {
+                if (!response) {
                     logger.warn('No game state received, waiting...');
-                    await this.sleep(1000);
+                    await this.sleep(this.turnScheduler.getPollDelay());
                     continue;
                 }
 
-                // Normalize game state - ensure myUnits exists (filter out anthills)
-                if (!this.gameState.myUnits && this.gameState.ants) {
-                    this.gameState.myUnits = this.gameState.ants.filter(ant => ant.type !== 0);
-                    logger.debug(`Normalized game state: copied ${this.gameState.myUnits.length} actual ants to myUnits (filtered out anthills)`);
-                }
-
-                this.turnNumber = this.gameState.turnNo || 0;
-                
-                // Get units from either myUnits or ants field (filter out anthills)
-                const units = this.gameState.myUnits || 
-                    (this.gameState.ants ? this.gameState.ants.filter(ant => ant.type !== 0) : []);
+                this.gameState = this.normalizeGameState(response);
+                this.turnNumber = this.gameState.turnNo;
+                const units = this.gameState.ants;
                 
                 // If we're on turn 0 and no units, game hasn't started yet
                 if (this.turnNumber === 0 && units.length === 0) {
                     logger.debug('Waiting for game to start...');
-                    await this.sleep(1000);
+                    await this.sleep(this.turnScheduler.getStartDelay(this.gameState));
                     continue;
                 }
                 
@@ -356,13 +363,14 @@ class GameBot {
                     await this.waitForRoundAndRegister();
                     
                     // Reset for new game
-                    lastTurnNumber = -1;
+                    this.turnScheduler.reset();
                     this.previousGameState = null;
+                    this.previousStrategy = null;
                     continue;
                 }
                 
                 // Check if round has ended (reached max turns)
-                if (this.turnNumber >= MAX_TURNS) {
+                if (this.turnNumber >= this.maxTurns) {
                     logger.info(`Round ended at turn ${this.turnNumber}. Game over.`);
                     
                     // End current game logging
@@ -382,78 +390,31 @@ class GameBot {
                     await this.waitForRoundAndRegister();
                     
                     // Reset for new game
-                    lastTurnNumber = -1;
+                    this.turnScheduler.reset();
                     this.previousGameState = null;
+                    this.previousStrategy = null;
                     continue;
                 }
                 
-                // Check if turn has progressed
-                if (this.turnNumber === lastTurnNumber) {
-                    const elapsed = Date.now() - turnStartTime;
-                    if (elapsed < 2000) {
-                        logger.debug(`Turn ${this.turnNumber}: Waiting for turn progression (${elapsed}ms elapsed)`);
-                        await this.sleep(1000);
-                        continue;
-                    } else if (elapsed > 30000) {
-                        logger.warn(`Turn ${this.turnNumber}: Stuck for ${elapsed}ms, forcing progression`);
-                        lastTurnNumber = -1; // Reset to allow processing
-                    } else {
-                        logger.debug(`Turn ${this.turnNumber}: Still processing same turn (${elapsed}ms elapsed)`);
-                        await this.sleep(1000);
-                        continue;
-                    }
-                }
-                
-                // New turn detected or forced progression
-                if (this.turnNumber !== lastTurnNumber) {
-                    logger.info(`Turn ${this.turnNumber}: New turn detected (previous: ${lastTurnNumber})`);
-                    lastTurnNumber = this.turnNumber;
-                    turnStartTime = Date.now();
-                }
-
-                logger.info(`Turn ${this.turnNumber}: Processing game state`);
-                logger.debug(`Turn ${this.turnNumber}: Game state - Units: ${this.gameState.ants?.length || 0}, Resources: ${this.gameState.food?.length || 0}`);
-
-                // Track state changes for logging
-                if (this.previousGameState) {
-                    this.logStateChanges(this.previousGameState, this.gameState);
+                // Ход еще не сменился: опрашиваем снова к ожидаемой смене хода
+                const turn = this.turnScheduler.observe(this.gameState, receivedAt);
+                if (!turn.isNewTurn) {
+                    logger.debug(`Turn ${this.turnNumber}: Turn has not flipped yet`);
+                    await this.sleep(this.turnScheduler.getPollDelay());
+                    continue;
                 }
-
-                const analysis = this.gameAnalyzer.analyze(this.gameState);
-                const strategy = this.strategyManager.determineStrategy(analysis, this.turnNumber);
-                const decisions = this.makeDecisions(analysis, strategy);
                 
-                // Log turn data
-                this.gameLogger.logTurn(
-                    this.turnNumber,
-                    this.gameState,
-                    {
-                        strategy: strategy.name,
-                        phase: strategy.phase,
-                        reasoning: this.collectReasoningData(analysis, strategy)
-                    },
-                    this.extractActions(decisions)
-                );
-
-                logger.debug(`Turn ${this.turnNumber}: Generated ${decisions.unitMoves.length} moves, ${decisions.combatActions.length} combat actions, ${decisions.resourceActions.length} resource actions`);
-
-                // Обновляем визуализатор с решениями
-                this.updateVisualizer(analysis, strategy, decisions);
-
-                await this.executeDecisions(decisions);
+                logger.info(`Turn ${this.turnNumber}: New turn, ${this.gameState.nextTurnIn ?? '?'}s until the next one`);
+                await this.processTurn();
                 
-                // Save state for next turn comparison
-                this.previousGameState = JSON.parse(JSON.stringify(this.gameState));
-                
-                // Wait longer after executing decisions to allow server processing
-                logger.debug(`Turn ${this.turnNumber}: Waiting for server to process moves...`);
-                await this.sleep(2000);
+                // Спим до смены хода, чтобы следующий /arena пришел уже со свежим состоянием
+                await this.sleep(this.turnScheduler.getPollDelay());
                 
             } catch (error) {
                 logger.error('Error in game loop iteration:', error);
                 
                 // Check if error is due to not being registered (game ended)
-                if (error.message && error.message.includes('not registered in the game')) {
+                if (error instanceof NotRegisteredError) {
                     logger.info('Game registration lost, likely round ended.');
                     
                     // End current game logging
@@ -469,17 +430,93 @@ class GameBot {
                     await this.waitForRoundAndRegister();
                     
                     // Reset for new game
-                    lastTurnNumber = -1;
+                    this.turnScheduler.reset();
                     this.previousGameState = null;
+                    this.previousStrategy = null;
                 } else {
                     // Other errors, just wait and retry
-                    await this.sleep(2000);
+                    await this.sleep(this.turnScheduler.getPollDelay());
                 }
             }
         }
     }
 
-    makeDecisions(analysis, strategy) {
+    /**
+     * Проверяет ответ /arena по openapi-spec.yml и приводит его к каноническому состоянию
+     * (GameStateNormalizer). Расхождения с схемой копятся в stateNormalizer и попадают в лог игры.
+     * @param {Object} response - Ответ /arena
+     * @returns {Object} Каноническое состояние игры
+     */
+    normalizeGameState(response) {
+        return this.stateNormalizer.normalize(response).state;
+    }
+
+    /**
+     * Обрабатывает текущий ход: анализ, стратегия, решения, логирование и отправка ходов.
+     * Используется игровым циклом и headless раннером матчей.
+     * @returns {Promise<Object>} Принятые решения
+     */
+    async processTurn() {
+        logger.info(`Turn ${this.turnNumber}: Processing game state`);
+        logger.debug(`Turn ${this.turnNumber}: Game state - Units: ${this.gameState.ants.length}, Resources: ${this.gameState.food.length}`);
+
+        // События с прошлого хода: подписчики (лог, визуализатор, стратегия) получают их до планирования
+        const cargoEvents = this.cargoTracker.update(this.previousGameState, this.gameState);
+        this.events.emitAll(this.eventDetector.detect(this.previousGameState, this.gameState, cargoEvents));
+
+        const planningStartedAt = Date.now();
+        const budget = new PlanningBudget(this.turnScheduler.getPlanningBudget() ?? this.planningBudgetMs);
+        const analysis = budget.track('analysis', () => this.gameAnalyzer.analyze(this.gameState));
+        const strategy = budget.track('strategy', () => this.strategyManager.determineStrategy(analysis, this.turnNumber));
+        this.events.emitAll(this.eventDetector.detectStrategyChange(this.previousStrategy, strategy, this.turnNumber));
+        this.previousStrategy = strategy;
+        analysis.cargo = this.cargoTracker.getTotals();
+        const decisions = this.makeDecisions(analysis, strategy, budget);
+        this.turnScheduler.recordPlanning(Date.now() - planningStartedAt);
+        this.logBudgetReport(decisions.budget);
+        
+        // Log turn data
+        this.gameLogger.logTurn(
+            this.turnNumber,
+            this.gameState,
+            {
+                strategy: strategy.name,
+                phase: strategy.phase,
+                reasoning: this.collectReasoningData(analysis, strategy)
+            },
+            this.extractActions(decisions)
+        );
+        this.gameLogger.logCargoTotals(analysis.cargo);
+
+        logger.debug(`Turn ${this.turnNumber}: Generated ${decisions.unitMoves.length} moves, ${decisions.combatActions.length} combat actions, ${decisions.resourceActions.length} resource actions`);
+
+        // Обновляем визуализатор с решениями
+        this.updateVisualizer(analysis, strategy, decisions);
+
+        const submitStartedAt = Date.now();
+        const accepted = await this.executeDecisions(decisions);
+        const timing = this.turnScheduler.recordSubmission(this.turnNumber, accepted, submitStartedAt);
+        const apiStats = this.apiClient.rateLimiter.takeStats();
+        this.logApiStats(apiStats);
+        this.gameLogger.logTurnTiming({ ...timing, budget: decisions.budget, api: apiStats }, this.turnScheduler.getMetrics());
+        
+        // Save state for next turn comparison
+        this.previousGameState = JSON.parse(JSON.stringify(this.gameState));
+        
+        return decisions;
+    }
+
+    /**
+     * Планирует ход в пределах бюджета времени. Юниты с грузом и защита муравейника
+     * планируются всегда (UnitManager берет критичных юнитов первыми, CombatManager
+     * не пропускает оборону); остальные юниты при нехватке времени получают запасной ход,
+     * патрули откладываются, а новые назначения на ресурсы переносятся на следующий ход.
+     * @param {Object} analysis - Анализ состояния игры
+     * @param {Object} strategy - Стратегия
+     * @param {PlanningBudget} budget - Бюджет хода (по умолчанию без ограничения)
+     * @returns {Object} Решения хода; decisions.budget - отчет о расходе бюджета
+     */
+    makeDecisions(analysis, strategy, budget = new PlanningBudget()) {
         const decisions = {
             unitMoves: [],
             combatActions: [],
@@ -488,28 +525,34 @@ class GameBot {
         };
 
         // Обновляем состояние назначений ресурсов
-        this.resourceAssignmentManager.updateAssignments(analysis);
+        budget.track('assignments', () => this.resourceAssignmentManager.updateAssignments(analysis));
 
         // Планируем действия с учетом системы резервирования
-        const unitDecisions = this.unitManager.planUnitActions(analysis, strategy, this.resourceAssignmentManager);
-        const resourceDecisions = this.resourceManager.planResourceCollection(analysis, strategy, this.resourceAssignmentManager);
-        const combatDecisions = this.combatManager.planCombatActions(analysis, strategy);
+        const unitDecisions = budget.track('units', () =>
+            this.unitManager.planUnitActions(analysis, strategy, this.resourceAssignmentManager, budget)
+        );
+        const combatDecisions = budget.track('combat', () => this.combatManager.planCombatActions(analysis, strategy, budget));
+
+        let resourceDecisions = { actions: [] };
+        if (budget.isExhausted()) {
+            budget.recordSkipped('resources');
+        } else {
+            resourceDecisions = budget.track('resources', () =>
+                this.resourceManager.planResourceCollection(analysis, strategy, this.resourceAssignmentManager)
+            );
+        }
 
-        decisions.unitMoves = unitDecisions.moves;
         decisions.resourceActions = resourceDecisions.actions;
         decisions.combatActions = combatDecisions.actions;
-        
-        // CRITICAL FIX: Add combat moves to unit moves
-        if (combatDecisions.moves && combatDecisions.moves.length > 0) {
-            // Combat moves have priority over other moves
-            // Remove any unit moves for soldiers that have combat assignments
-            const combatUnitIds = new Set(combatDecisions.moves.map(m => m.unit_id));
-            decisions.unitMoves = decisions.unitMoves.filter(m => !combatUnitIds.has(m.unit_id));
-            
-            // Add combat moves
-            decisions.unitMoves.push(...combatDecisions.moves);
-            logger.info(`Added ${combatDecisions.moves.length} combat moves to execution queue`);
-        }
+
+        // Все ходы проходят через общую таблицу резервирования: один ход на юнита,
+        // планирование в порядке приоритета, без двух юнитов одного типа на одном гексе
+        decisions.unitMoves = budget.track('conflicts', () => this.resolveMoveConflicts(
+            combatDecisions.moves || [],
+            unitDecisions.moves,
+            analysis,
+            budget
+        ));
         
         // Сохраняем назначения юнитов из центрального менеджера
         analysis.units.myUnits.forEach(unit => {
@@ -526,9 +569,189 @@ class GameBot {
             }
         });
 
+        decisions.budget = budget.getReport();
         return decisions;
     }
 
+    /**
+     * Пишет в лог расход бюджета планирования по планировщикам.
+     * @param {Object} report - PlanningBudget.getReport()
+     */
+    logBudgetReport(report) {
+        const usage = Object.entries(report.planners)
+            .map(([name, planner]) => `${name} ${planner.usedMs}ms` +
+                (planner.fallbacks > 0 ? ` (${planner.fallbacks} fallback)` : '') +
+                (planner.skipped ? ' (skipped)' : ''))
+            .join(', ');
+        const budget = report.budgetMs !== null ? `${report.usedMs}/${Math.round(report.budgetMs)}ms` : `${report.usedMs}ms`;
+
+        if (report.exhausted) {
+            logger.warn(`Turn ${this.turnNumber}: planning budget exhausted (${budget}): ${usage}`);
+        } else {
+            logger.debug(`Turn ${this.turnNumber}: planning used ${budget}: ${usage}`);
+        }
+    }
+
+    /**
+     * Пишет в лог очередь и ожидание запросов к API за ход; ответы 429 - предупреждением.
+     * @param {Object} stats - RateLimiter.takeStats()
+     */
+    logApiStats(stats) {
+        const summary = `${stats.requests} requests, wait avg ${stats.avgWaitMs}ms / max ${stats.maxWaitMs}ms, queue ${stats.queueDepth}`;
+
+        if (stats.throttled > 0) {
+            logger.warn(`Turn ${this.turnNumber}: API rate limited ${stats.throttled} time(s): ${summary}`);
+        } else {
+            logger.debug(`Turn ${this.turnNumber}: API ${summary}`);
+        }
+    }
+
+    /**
+     * Обрезает пути по скорости юнита и стоимости местности, чтобы не отправлять ходы,
+     * которые сервер все равно укоротит. Ходы без достижимых шагов отбрасываются.
+     * @param {Array} moves - Ходы { unit_id, path, ... }
+     * @param {Object} analysis - Анализ состояния игры
+     * @returns {Array} Обрезанные ходы
+     */
+    trimMovesToSpeed(moves, analysis) {
+        const unitsById = new Map(analysis.units.myUnits.map(unit => [unit.id, unit]));
+
+        return moves.filter(move => {
+            const unit = unitsById.get(move.unit_id);
+            if (!unit || !move.path) {
+                return true;
+            }
+
+            const reachablePath = this.pathValidator.trimPathToSpeed(unit, move.path, analysis.gameState);
+            if (reachablePath.length === 0) {
+                logger.debug(`Unit ${unit.id}: no reachable step on path to (${move.path[move.path.length - 1]?.q}, ${move.path[move.path.length - 1]?.r}) this turn`);
+                return false;
+            }
+
+            move.path = reachablePath;
+            return true;
+        });
+    }
+
+    /**
+     * Сводит ходы всех менеджеров в один план без конфликтов.
+     * Для каждого юнита остается ход с наивысшим приоритетом (при равенстве - боевой),
+     * затем ходы по убыванию приоритета резервируются в ReservationTable. Ход, укороченный
+     * таблицей, перепланируется к свободному гексу рядом с целью (носильщики - к свободному
+     * гексу муравейника), так что юнит не застревает за уже распланированными.
+     * @param {Array} combatMoves - Ходы CombatManager
+     * @param {Array} unitMoves - Ходы UnitManager
+     * @param {Object} analysis - Анализ состояния игры
+     * @param {PlanningBudget} budget - Бюджет хода: без времени укороченный ход не перепланируется
+     * @returns {Array} Итоговые ходы
+     */
+    resolveMoveConflicts(combatMoves, unitMoves, analysis, budget = null) {
+        const priorityRank = { critical: 0, high: 1, medium: 2, low: 3 };
+        const rankOf = move => priorityRank[move.assignment?.priority] ?? priorityRank.medium;
+
+        const selected = new Map();
+        [...combatMoves, ...unitMoves].forEach(move => {
+            const current = selected.get(move.unit_id);
+            if (!current || rankOf(move) < rankOf(current)) {
+                selected.set(move.unit_id, move);
+            }
+        });
+        if (combatMoves.length > 0) {
+            logger.info(`Merged ${combatMoves.length} combat moves into ${selected.size} unit moves`);
+        }
+
+        const moves = this.trimMovesToSpeed(Array.from(selected.values()), analysis);
+        const unitsById = new Map(analysis.units.myUnits.map(unit => [unit.id, unit]));
+        const carries = move => (unitsById.get(move.unit_id)?.food?.amount || 0) > 0;
+
+        // Сначала важные ходы, при равном приоритете - юниты с грузом
+        moves.sort((a, b) => (rankOf(a) - rankOf(b)) || (carries(b) - carries(a)));
+
+        const reservations = new ReservationTable();
+        reservations.reserveCurrentPositions(analysis.units.myUnits);
+
+        return moves.filter(move => {
+            const unit = unitsById.get(move.unit_id);
+            if (!unit) {
+                return true;
+            }
+
+            let claimedPath = reservations.claimPath(unit, move.path);
+
+            if (claimedPath.length < move.path.length) {
+                if (budget && budget.isExhausted()) {
+                    budget.recordFallback('conflicts');
+                } else {
+                    claimedPath = this.replanShortenedMove(unit, move, claimedPath, reservations, analysis) ||
+                        reservations.claimPath(unit, move.path);
+                }
+            }
+
+            if (claimedPath.length === 0) {
+                logger.debug(`Unit ${unit.id} stays in place: every hex on its path is taken by a unit of the same type`);
+                return false;
+            }
+
+            move.path = claimedPath;
+            return true;
+        });
+    }
+
+    /**
+     * Перепланирует ход, который таблица резервирования укоротила: ищет свободный гекс
+     * рядом с запланированным концом пути (для носильщиков - свободный гекс муравейника),
+     * который ближе к цели, чем укороченный путь, и резервирует путь к нему.
+     * @param {Object} unit - Юнит
+     * @param {Object} move - Исходный ход (путь уже обрезан по скорости)
+     * @param {Array} shortenedPath - Путь, оставленный таблицей
+     * @param {ReservationTable} reservations - Таблица резервирования
+     * @param {Object} analysis - Анализ состояния игры
+     * @returns {Array|null} Зарезервированный путь или null, если лучше не нашлось
+     */
+    replanShortenedMove(unit, move, shortenedPath, reservations, analysis) {
+        const distance = HexGeometry.distance;
+        const plannedEnd = move.path[move.path.length - 1];
+        const homeHexes = analysis.gameState.home;
+        const goingHome = homeHexes.some(hex => hex.q === plannedEnd.q && hex.r === plannedEnd.r);
+
+        let candidates;
+        if (goingHome) {
+            candidates = homeHexes
+                .filter(hex => reservations.isFreeAtEnd(hex, unit))
+                .sort((a, b) => distance(unit, a) - distance(unit, b));
+        } else {
+            const target = move.assignment?.target;
+            const goal = target && target.q !== undefined ? target : plannedEnd;
+            const shortenedEnd = shortenedPath.length > 0 ? shortenedPath[shortenedPath.length - 1] : unit;
+
+            candidates = HexGeometry.range(plannedEnd, this.replanRadius)
+                .filter(hex => !HexGeometry.equals(hex, plannedEnd))
+                .filter(hex => distance(hex, goal) < distance(shortenedEnd, goal))
+                .filter(hex => (hex.q !== unit.q || hex.r !== unit.r) && reservations.isFreeAtEnd(hex, unit))
+                .filter(hex => this.pathValidator.validatePosition(hex, analysis.gameState))
+                .sort((a, b) => (distance(a, goal) - distance(b, goal)) || (distance(a, plannedEnd) - distance(b, plannedEnd)));
+        }
+
+        for (const hex of candidates.slice(0, this.maxReplanAttempts)) {
+            const path = this.unitManager.findPath(unit, hex, analysis);
+            const reachablePath = this.pathValidator.trimPathToSpeed(unit, path, analysis.gameState);
+            if (reachablePath.length === 0) continue;
+
+            const claimedPath = reservations.claimPath(unit, reachablePath);
+            if (claimedPath.length === reachablePath.length) {
+                logger.debug(`Unit ${unit.id} replanned to free hex (${hex.q}, ${hex.r}) after its path was shortened`);
+                return claimedPath;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Отправляет ходы до дедлайна хода и пишет действия в лог визуализатора.
+     * @param {Object} decisions - Решения хода
+     * @returns {Promise<boolean>} true, если ходы приняты (или отправлять было нечего)
+     */
     async executeDecisions(decisions) {
         try {
             if (decisions.unitMoves.length > 0) {
@@ -539,7 +762,7 @@ class GameBot {
                         this.sendLog(`Unit ${unitId} moving to (${target.q}, ${target.r})`, 'move');
                     }
                 });
-                const response = await this.apiClient.sendMoves(decisions.unitMoves);
+                await this.apiClient.sendMoves(decisions.unitMoves, { deadline: this.turnScheduler.getSubmitDeadline() });
                 logger.info(`Turn ${this.turnNumber}: Sent ${decisions.unitMoves.length} unit moves successfully`);
             } else {
                 logger.debug(`Turn ${this.turnNumber}: No unit moves to send`);
@@ -563,12 +786,14 @@ class GameBot {
                 this.sendLog('No actions generated for this turn.', 'system');
                 logger.warn(`Turn ${this.turnNumber}: No decisions generated - this might indicate an issue`);
             }
+            return true;
         } catch (error) {
             this.sendLog('Error executing decisions.', 'system');
             logger.error(`Turn ${this.turnNumber}: Error executing decisions:`, error);
             if (error.response) {
                 logger.error(`Turn ${this.turnNumber}: Server response:`, error.response);
             }
+            return false;
         }
     }
 
@@ -699,115 +924,13 @@ class GameBot {
     }
     
     async endGame() {
-        // Get final scores
-        const finalState = this.gameState;
-        const myScore = finalState?.scores?.find(s => s.team === this.config.teamName);
-        const finalPosition = this.calculateFinalPosition(finalState?.scores);
-        
-        this.gameLogger.endGame(myScore?.score || 0, finalPosition);
-        logger.info(`Game ended. Final position: ${finalPosition}, Score: ${myScore?.score || 0}`);
-    }
-    
-    calculateFinalPosition(scores) {
-        if (!scores || scores.length === 0) return null;
-        
-        const sortedScores = [...scores].sort((a, b) => b.score - a.score);
-        const myIndex = sortedScores.findIndex(s => s.team === this.config.teamName);
-        
-        return myIndex >= 0 ? myIndex + 1 : null;
-    }
-    
-    logStateChanges(previousState, currentState) {
-        if (!this.gameLogger.currentGameLog) return;
-        
-        // Track unit losses and health changes
-        const prevUnits = previousState.myUnits || [];
-        const currUnits = currentState.myUnits || [];
-        const prevEnemies = previousState.enemies || [];
-        const currEnemies = currentState.enemies || [];
-        
-        // Create maps for quick lookup
-        const prevUnitMap = new Map(prevUnits.map(u => [u.id, u]));
-        const currUnitMap = new Map(currUnits.map(u => [u.id, u]));
-        const prevEnemyMap = new Map(prevEnemies.map(u => [u.id, u]));
-        const currEnemyMap = new Map(currEnemies.map(u => [u.id, u]));
-        
-        // Track our unit losses
-        let unitsLost = 0;
-        prevUnitMap.forEach((unit, id) => {
-            if (!currUnitMap.has(id)) {
-                unitsLost++;
-                const unitType = this.getUnitTypeName(unit.type);
-                this.sendLog(`Our ${unitType} was destroyed at (${unit.q}, ${unit.r})`, 'death');
-                this.gameLogger.logDecision('combat', 'unit_death', `${unitType} destroyed at (${unit.q}, ${unit.r})`);
-            } else {
-                // Check health changes
-                const prevHealth = unit.health || 0;
-                const currHealth = currUnitMap.get(id).health || 0;
-                if (currHealth < prevHealth) {
-                    const damage = prevHealth - currHealth;
-                    const unitType = this.getUnitTypeName(unit.type);
-                    this.sendLog(`Our ${unitType} took ${damage} damage`, 'damage');
-                    this.gameLogger.logDecision('combat', 'damage_taken', `${unitType} took ${damage} damage`);
-                }
-            }
-        });
-        
-        if (unitsLost > 0) {
-            this.gameLogger.logCombatResult(0, unitsLost);
-        }
-        
-        // Track enemy discoveries and eliminations
-        let enemiesDestroyed = 0;
+        // /arena сообщает только наш счет, поэтому место в раунде неизвестно
+        const finalScore = this.gameState?.score || 0;
         
-        // Check for new enemies
-        currEnemyMap.forEach((enemy, id) => {
-            if (!prevEnemyMap.has(id)) {
-                const enemyType = this.getUnitTypeName(enemy.type);
-                this.sendLog(`Enemy ${enemyType} spotted at (${enemy.q}, ${enemy.r})`, 'enemy');
-                this.gameLogger.logDecision('combat', 'enemy_spotted', `Enemy ${enemyType} at (${enemy.q}, ${enemy.r})`);
-            }
-        });
-        
-        // Check for destroyed enemies
-        prevEnemyMap.forEach((enemy, id) => {
-            if (!currEnemyMap.has(id)) {
-                enemiesDestroyed++;
-                const enemyType = this.getUnitTypeName(enemy.type);
-                this.sendLog(`Enemy ${enemyType} destroyed!`, 'kill');
-                this.gameLogger.logDecision('combat', 'enemy_killed', `Destroyed enemy ${enemyType}`);
-            }
-        });
-        
-        if (enemiesDestroyed > 0) {
-            this.gameLogger.logCombatResult(enemiesDestroyed, 0);
-        }
-        
-        // Track resource collection (based on score changes)
-        const prevScore = previousState.scores?.find(s => s.team === this.config.teamName)?.score || 0;
-        const currScore = currentState.scores?.find(s => s.team === this.config.teamName)?.score || 0;
-        const scoreGain = currScore - prevScore;
-        
-        if (scoreGain > 0) {
-            this.gameLogger.logDecision('resources', 'collection', `Collected resources worth ${scoreGain} calories`);
-            // Estimate resource types based on score gain
-            if (scoreGain >= 60) {
-                this.gameLogger.logResourceCollection(3, Math.floor(scoreGain / 60)); // nectar
-            } else if (scoreGain >= 25) {
-                this.gameLogger.logResourceCollection(2, Math.floor(scoreGain / 25)); // bread
-            } else if (scoreGain >= 10) {
-                this.gameLogger.logResourceCollection(1, Math.floor(scoreGain / 10)); // apple
-            }
-        }
-    }
-    
-    getUnitTypeName(type) {
-        const unitTypes = {
-            1: 'worker',
-            2: 'soldier',
-            3: 'scout'
-        };
-        return unitTypes[type] || 'unit';
+        this.gameLogger.logSchemaDrift(this.stateNormalizer.getDriftReport());
+        this.gameLogger.logCargoSources(this.cargoTracker.getTopSources());
+        this.gameLogger.endGame(finalScore, null);
+        logger.info(`Game ended. Score: ${finalScore}`);
     }
 }
 
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const GameLogReader = require('../game/GameLogReader');
+const GameStateNormalizer = require('../api/GameStateNormalizer');
+const { UNIT_TYPE_NAMES } = require('../constants/GameConstants');
+
+const INDEX_FILE = '.analytics-index.json';
+const INDEX_VERSION = 1;
+const UNIT_TYPES_TRACKED = ['worker', 'soldier', 'scout'];
+const PHASES = ['early', 'mid', 'late', 'recovery'];
+
+/**
+ * Метрики по логам GameLogger из каталога logs: по каждой игре и в сумме (по всем играм и по раундам).
+ *
+ * Для каждой игры считаются калории по ходам, пик численности, потери по типам юнитов и фазам,
+ * убийства, ходы в режиме восстановления и использованные стратегии. Состояния из логов
+ * проходят через GameStateNormalizer, поэтому старые логи с сырыми ответами /arena
+ * считаются так же, как новые.
+ *
+ * Метрики завершенных игр кэшируются в logs/.analytics-index.json по имени, размеру и времени
+ * изменения файла: повторный запуск разбирает только новые логи.
+ */
+class LogAnalytics {
+    /**
+     * @param {Object} options
+     * @param {string} options.logsDir - Каталог логов
+     * @param {boolean} options.cache - Использовать и обновлять индекс метрик
+     * @param {number} options.curveStep - Шаг точек кривой калорий, ходов
+     */
+    constructor(options = {}) {
+        this.logsDir = options.logsDir || path.join(process.cwd(), 'logs');
+        this.cache = options.cache !== false;
+        this.curveStep = options.curveStep || 42;
+        this.normalizer = new GameStateNormalizer();
+    }
+
+    /**
+     * @returns {Array} Логи в каталоге { name, size, modified }, от старых к новым
+     */
+    listLogs() {
+        if (!fs.existsSync(this.logsDir)) {
+            return [];
+        }
+        return fs.readdirSync(this.logsDir)
+            .filter(name => GameLogReader.isLogFile(name))
+            .map(name => {
+                const stats = fs.statSync(path.join(this.logsDir, name));
+                return { name, size: stats.size, modified: stats.mtime.toISOString() };
+            })
+            .sort((a, b) => a.modified.localeCompare(b.modified));
+    }
+
+    /**
+     * Считает метрики всех логов каталога.
+     * @param {Object} filter
+     * @param {string} filter.round - Только игры этого раунда
+     * @param {string} filter.team - Только игры этой команды
+     * @returns {Object} { games, aggregate, rounds, skipped }
+     */
+    run({ round = null, team = null } = {}) {
+        const index = this.loadIndex();
+        const entries = {};
+        const games = [];
+        const skipped = [];
+
+        this.listLogs().forEach(file => {
+            const cached = index.entries[file.name];
+            let metrics = cached && cached.size === file.size && cached.modified === file.modified ? cached.metrics : null;
+            if (!metrics) {
+                try {
+                    metrics = this.analyzeGame(GameLogReader.read(path.join(this.logsDir, file.name)), file.name);
+                } catch (error) {
+                    skipped.push({ file: file.name, error: error.message });
+                    return;
+                }
+            }
+            // Незавершенный лог еще может дописываться
+            if (metrics.complete) {
+                entries[file.name] = { size: file.size, modified: file.modified, metrics };
+            }
+            games.push(metrics);
+        });
+        this.saveIndex(entries);
+
+        const selected = games.filter(game =>
+            (round === null || String(game.roundId) === String(round)) &&
+            (team === null || game.teamName === team)
+        );
+        const byRound = new Map();
+        selected.forEach(game => {
+            const key = String(game.roundId);
+            byRound.set(key, [...(byRound.get(key) || []), game]);
+        });
+
+        return {
+            games: selected,
+            aggregate: this.aggregate(selected),
+            rounds: Object.fromEntries(Array.from(byRound, ([roundId, roundGames]) => [roundId, this.aggregate(roundGames)])),
+            skipped
+        };
+    }
+
+    /**
+     * @param {Object} log - Объект лога (GameLogReader)
+     * @param {string} file - Имя файла
+     * @returns {Object} Метрики игры
+     */
+    analyzeGame(log, file) {
+        this.normalizer.reset();
+        const turns = (log.turns || [])
+            .filter(turn => turn.gameState)
+            .map(turn => ({
+                number: turn.turnNumber,
+                state: this.normalizer.normalize(turn.gameState).state,
+                strategy: turn.decisions?.strategy || 'unknown',
+                phase: turn.decisions?.phase || 'unknown'
+            }));
+
+        const unitsLost = {
+            total: 0,
+            byType: Object.fromEntries(UNIT_TYPES_TRACKED.map(type => [type, 0])),
+            byPhase: Object.fromEntries(PHASES.map(phase => [phase, 0]))
+        };
+        const strategies = {};
+        let recoveryTurns = 0;
+
+        turns.forEach((turn, i) => {
+            strategies[turn.strategy] = (strategies[turn.strategy] || 0) + 1;
+            if (turn.phase === 'recovery') {
+                recoveryTurns++;
+            }
+
+            const next = turns[i + 1];
+            if (!next) return;
+            const alive = new Set(next.state.ants.map(ant => ant.id));
+            turn.state.ants.filter(ant => !alive.has(ant.id)).forEach(ant => {
+                const type = UNIT_TYPE_NAMES[ant.type];
+                unitsLost.total++;
+                unitsLost.byType[type] = (unitsLost.byType[type] || 0) + 1;
+                unitsLost.byPhase[turn.phase] = (unitsLost.byPhase[turn.phase] || 0) + 1;
+            });
+        });
+
+        const scores = turns.map(turn => turn.state.score);
+        const lastScore = scores.length > 0 ? scores[scores.length - 1] : 0;
+
+        return {
+            file,
+            roundId: log.roundId ?? null,
+            gameId: log.gameId ?? null,
+            teamName: log.teamName ?? null,
+            startTime: log.startTime ?? null,
+            complete: log.complete !== false && !!log.endTime,
+            turns: turns.length,
+            lastTurn: turns.length > 0 ? turns[turns.length - 1].number : 0,
+            finalScore: log.finalScore ?? lastScore,
+            finalPosition: log.finalPosition ?? null,
+            peakCalories: Math.max(0, ...scores),
+            peakUnits: Math.max(0, ...turns.map(turn => turn.state.ants.length)),
+            calorieCurve: this.sampleCurve(turns),
+            unitsLost,
+            kills: log.summary?.enemiesDefeated ?? 0,
+            recoveryTurns,
+            recoveryShare: turns.length > 0 ? recoveryTurns / turns.length : 0,
+            strategies
+        };
+    }
+
+    /**
+     * @param {Array} turns - Ходы игры { number, state }
+     * @returns {Object} Калории на каждые curveStep ходов: { "42": 1800, "84": 3000, ... }
+     */
+    sampleCurve(turns) {
+        const curve = {};
+        if (turns.length === 0) return curve;
+
+        const lastTurn = turns[turns.length - 1].number;
+        let i = 0;
+        for (let mark = this.curveStep; mark <= lastTurn; mark += this.curveStep) {
+            while (i + 1 < turns.length && turns[i + 1].number <= mark) i++;
+            curve[mark] = turns[i].state.score;
+        }
+        return curve;
+    }
+
+    /**
+     * @param {Array} games - Метрики игр
+     * @returns {Object} Средние и суммы по играм
+     */
+    aggregate(games) {
+        const average = pick => games.reduce((sum, game) => sum + pick(game), 0) / (games.length || 1);
+        const sum = (pick, keys) => Object.fromEntries(keys.map(key => [key, games.reduce((total, game) => total + (pick(game)[key] || 0), 0)]));
+
+        const strategies = {};
+        games.forEach(game => Object.entries(game.strategies).forEach(([name, count]) => {
+            strategies[name] = (strategies[name] || 0) + count;
+        }));
+
+        const calorieCurve = {};
+        games.forEach(game => Object.entries(game.calorieCurve).forEach(([mark, score]) => {
+            calorieCurve[mark] = calorieCurve[mark] || { total: 0, games: 0 };
+            calorieCurve[mark].total += score;
+            calorieCurve[mark].games++;
+        }));
+
+        return {
+            games: games.length,
+            avgScore: average(game => game.finalScore),
+            minScore: games.length > 0 ? Math.min(...games.map(game => game.finalScore)) : 0,
+            maxScore: games.length > 0 ? Math.max(...games.map(game => game.finalScore)) : 0,
+            avgPeakUnits: average(game => game.peakUnits),
+            avgUnitsLost: average(game => game.unitsLost.total),
+            unitsLostByType: sum(game => game.unitsLost.byType, UNIT_TYPES_TRACKED),
+            unitsLostByPhase: sum(game => game.unitsLost.byPhase, PHASES),
+            avgKills: average(game => game.kills),
+            recoveryShare: average(game => game.recoveryShare),
+            strategies,
+            calorieCurve: Object.fromEntries(Object.entries(calorieCurve).map(([mark, point]) => [mark, Math.round(point.total / point.games)]))
+        };
+    }
+
+    loadIndex() {
+        const indexPath = path.join(this.logsDir, INDEX_FILE);
+        if (!this.cache || !fs.existsSync(indexPath)) {
+            return { entries: {} };
+        }
+        try {
+            const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            return index.version === INDEX_VERSION ? index : { entries: {} };
+        } catch (error) {
+            return { entries: {} };
+        }
+    }
+
+    saveIndex(entries) {
+        if (!this.cache || !fs.existsSync(this.logsDir)) return;
+        fs.writeFileSync(path.join(this.logsDir, INDEX_FILE), JSON.stringify({ version: INDEX_VERSION, entries }));
+    }
+
+    /**
+     * @param {Array} games - Метрики игр
+     * @returns {string} CSV, по строке на игру
+     */
+    static toCsv(games) {
+        const columns = [
+            ['file', game => game.file],
+            ['round', game => game.roundId],
+            ['game', game => game.gameId],
+            ['team', game => game.teamName],
+            ['complete', game => game.complete],
+            ['turns', game => game.lastTurn],
+            ['final_score', game => game.finalScore],
+            ['final_position', game => game.finalPosition],
+            ['peak_calories', game => game.peakCalories],
+            ['peak_units', game => game.peakUnits],
+            ['units_lost', game => game.unitsLost.total],
+            ...UNIT_TYPES_TRACKED.map(type => [`lost_${type}`, game => game.unitsLost.byType[type]]),
+            ...PHASES.map(phase => [`lost_in_${phase}`, game => game.unitsLost.byPhase[phase]]),
+            ['kills', game => game.kills],
+            ['recovery_turns', game => game.recoveryTurns],
+            ['strategies', game => Object.keys(game.strategies).join(';')]
+        ];
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.map(([name]) => name).join(','),
+            ...games.map(game => columns.map(([, pick]) => escape(pick(game))).join(','))
+        ].join('\n');
+    }
+
+    /**
+     * @param {Object} report - Результат run
+     * @returns {string} Текстовый отчет: таблица игр, итоги, итоги по раундам и стратегии
+     */
+    static formatTable(report) {
+        const lines = [];
+        lines.push('round             game              turns   score  peak  lost  w/s/sc      kills  recovery');
+        report.games.forEach(game => {
+            const lost = UNIT_TYPES_TRACKED.map(type => game.unitsLost.byType[type]).join('/');
+            lines.push([
+                String(game.roundId).slice(0, 17).padEnd(17),
+                String(game.gameId).slice(0, 17).padEnd(17),
+                String(game.lastTurn).padStart(5) + (game.complete ? ' ' : '*'),
+                String(game.finalScore).padStart(7),
+                String(game.peakUnits).padStart(5),
+                String(game.unitsLost.total).padStart(5),
+                lost.padStart(2).padEnd(11),
+                String(game.kills).padStart(5),
+                `${(game.recoveryShare * 100).toFixed(0)}%`.padStart(9)
+            ].join(' '));
+        });
+
+        const describe = agg => `${agg.games} games, avg score ${agg.avgScore.toFixed(0)} (min ${agg.minScore}, max ${agg.maxScore}), ` +
+            `avg peak units ${agg.avgPeakUnits.toFixed(1)}, avg lost ${agg.avgUnitsLost.toFixed(1)}, avg kills ${agg.avgKills.toFixed(1)}, ` +
+            `recovery ${(agg.recoveryShare * 100).toFixed(1)}% of turns`;
+        const agg = report.aggregate;
+
+        lines.push('');
+        lines.push(describe(agg));
+        lines.push(`lost by type: ${formatCounts(agg.unitsLostByType)}; by phase: ${formatCounts(agg.unitsLostByPhase)}`);
+        lines.push(`calories: ${Object.entries(agg.calorieCurve).map(([mark, score]) => `t${mark}:${score}`).join(' ')}`);
+
+        const rounds = Object.entries(report.rounds);
+        if (rounds.length > 1) {
+            lines.push('');
+            lines.push('By round:');
+            rounds.forEach(([roundId, roundAgg]) => lines.push(`  ${roundId}: ${describe(roundAgg)}`));
+        }
+
+        lines.push('');
+        lines.push('Strategies (turns):');
+        Object.entries(agg.strategies)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([name, count]) => lines.push(`  ${name.padEnd(36)} ${count}`));
+
+        if (report.skipped.length > 0) {
+            lines.push('');
+            report.skipped.forEach(entry => lines.push(`skipped ${entry.file}: ${entry.error}`));
+        }
+        if (report.games.some(game => !game.complete)) {
+            lines.push('* game log without a footer (game still running or the bot stopped)');
+        }
+        return lines.join('\n');
+    }
+}
+
+function formatCounts(counts) {
+    return Object.entries(counts).map(([key, count]) => `${key} ${count}`).join(', ');
+}
+
+module.exports = LogAnalytics;
@@ -3,17 +3,59 @@ const http = require("http");
 const querystring = require("querystring");
 const logger = require("../utils/Logger");
 const RateLimiter = require("../utils/RateLimiter");
+const { ApiError, RateLimitError, TimeoutError, NetworkError } = require("./ApiErrors");
+
+// Эндпоинты, запросы к которым можно безопасно повторять
+const IDEMPOTENT_ENDPOINTS = new Set(["/arena", "/rounds", "/logs"]);
+
+// Очередь rate limiter: ходы и регистрация первыми, затем опрос /arena, служебные запросы последними
+const ENDPOINT_PRIORITIES = {
+  "/move": RateLimiter.PRIORITY.HIGH,
+  "/register": RateLimiter.PRIORITY.HIGH,
+  "/arena": RateLimiter.PRIORITY.NORMAL,
+  "/rounds": RateLimiter.PRIORITY.LOW,
+  "/logs": RateLimiter.PRIORITY.LOW
+};
 
 class ApiClient {
-  constructor(baseUrl, token) {
+  /**
+   * @param {string} baseUrl - Базовый URL API
+   * @param {string} token - Токен X-Auth-Token
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Таймаут запроса по умолчанию, мс
+   * @param {Object} options.endpointTimeouts - Таймауты по эндпоинтам, например { "/logs": 10000 }
+   * @param {number} options.maxRetries - Сколько раз повторять идемпотентный запрос
+   * @param {number} options.baseDelayMs - Базовая задержка backoff, мс
+   * @param {number} options.maxDelayMs - Максимальная задержка backoff, мс
+   * @param {number} options.moveSafetyMarginMs - Запас до смены хода, к которому /move должен успеть
+   * @param {Object} options.rateLimit - { requestsPerSecond, burst, endpointLimits } для RateLimiter
+   */
+  constructor(baseUrl, token, options = {}) {
     this.baseUrl = baseUrl;
     this.token = token;
     this.headers = {
       "Content-Type": "application/json",
     };
+    this.timeoutMs = options.timeoutMs ?? 5000;
+    this.endpointTimeouts = options.endpointTimeouts || {};
+    this.retry = {
+      maxRetries: options.maxRetries ?? 3,
+      baseDelayMs: options.baseDelayMs ?? 200,
+      maxDelayMs: options.maxDelayMs ?? 2000
+    };
+    this.moveSafetyMarginMs = options.moveSafetyMarginMs ?? 150;
+    // Момент (Date.now()), до которого нужно отправить ходы текущего хода; null - неизвестен
+    this.moveDeadline = null;
     
-    // Инициализация rate limiter для 3 запросов в секунду
-    this.rateLimiter = new RateLimiter(3, 'GameAPI');
+    // Сервер допускает 3 запроса в секунду на токен; /logs и /rounds не должны отнимать их у /arena и /move
+    const rateLimit = options.rateLimit || {};
+    this.rateLimiter = new RateLimiter(rateLimit.requestsPerSecond ?? 3, "GameAPI", {
+      burst: rateLimit.burst ?? 1,
+      endpointLimits: rateLimit.endpointLimits ?? {
+        "/rounds": { requestsPerSecond: 0.5 },
+        "/logs": { requestsPerSecond: 0.5 }
+      }
+    });
 
     if (token) {
       this.headers["X-Auth-Token"] = token;
@@ -30,53 +72,45 @@ class ApiClient {
   async register(teamName) {
     // Регистрация происходит только через токен авторизации без тела запроса
     logger.debug(`API: Registering team via /register endpoint (token-based)`);
-    return await this.rateLimiter.execute(() => 
-      this.makeRequest("POST", "/register")
-    );
+    return await this.request("POST", "/register");
   }
 
+  /**
+   * @returns {Promise<Object>} Ответ /arena как есть; проверка и нормализация - в GameStateNormalizer
+   */
   async getGameState() {
     logger.debug("API: Requesting game state from /arena");
-    const gameState = await this.rateLimiter.execute(() => 
-      this.makeRequest("GET", "/arena")
-    );
+    const gameState = await this.request("GET", "/arena");
     if (gameState) {
-      // Analyze ant types
-      let antDetails = {};
-      if (gameState.ants) {
-        const antTypes = gameState.ants.reduce((acc, ant) => {
-          acc[ant.type] = (acc[ant.type] || 0) + 1;
-          return acc;
-        }, {});
-        antDetails = {
-          total: gameState.ants.length,
-          byType: antTypes,
-          actualUnits: gameState.ants.filter(a => a.type !== 0).length
-        };
-      }
-      
-      logger.debug(`API: Received game state - Turn: ${gameState.turnNo || 'unknown'}, Ants: ${JSON.stringify(antDetails)}, MyUnits: ${gameState.myUnits?.length || 0}, Resources: ${gameState.food?.length || 0}`);
-      
-      // Log more details for debugging
-      if (!gameState.ants && !gameState.myUnits) {
-        logger.debug('API: No units found in response. Full response structure:', {
-          hasHome: !!gameState.home,
-          homeCount: gameState.home?.length || 0,
-          hasFood: !!gameState.food,
-          foodCount: gameState.food?.length || 0,
-          hasScores: !!gameState.scores,
-          scoresCount: gameState.scores?.length || 0,
-          turnNo: gameState.turnNo,
-          responseKeys: Object.keys(gameState)
-        });
-      }
+      this.moveDeadline = this.calculateMoveDeadline(gameState.nextTurnIn);
+
+      logger.debug(`API: Received game state for turn ${gameState.turnNo}`);
     } else {
       logger.warn("API: Received empty game state");
     }
     return gameState;
   }
 
-  async sendMoves(moves) {
+  /**
+   * @param {number} nextTurnIn - Секунд до смены хода из ответа /arena
+   * @param {number} receivedAt - Когда получен ответ
+   * @returns {number|null} Крайний момент отправки ходов или null, если сервер его не сообщил
+   */
+  calculateMoveDeadline(nextTurnIn, receivedAt = Date.now()) {
+    if (typeof nextTurnIn !== "number" || !(nextTurnIn > 0)) {
+      return null;
+    }
+    return receivedAt + nextTurnIn * 1000 - this.moveSafetyMarginMs;
+  }
+
+  /**
+   * Отправляет ходы. Запрос ограничен дедлайном хода: таймаут не выходит за него,
+   * а повтор после 429 делается, только если до дедлайна хватает времени.
+   * @param {Array} moves - Ходы юнитов
+   * @param {Object} options
+   * @param {number|null} options.deadline - Крайний момент отправки; по умолчанию из последнего /arena
+   */
+  async sendMoves(moves, options = {}) {
     // Формат по API спецификации: 
     // {
     //   "moves": [
@@ -118,26 +152,84 @@ class ApiClient {
     logger.debug(`API: Sending ${moveCommands.length} moves to /move`);
     logger.debug("API: Move payload:", JSON.stringify(payload, null, 2));
     
-    const response = await this.rateLimiter.execute(() => 
-      this.makeRequest("POST", "/move", payload)
-    );
+    const deadline = options.deadline !== undefined ? options.deadline : this.moveDeadline;
+    const response = await this.request("POST", "/move", payload, { deadline });
     logger.debug("API: Move response:", response);
     return response;
   }
 
   async getLogs() {
-    return await this.rateLimiter.execute(() => 
-      this.makeRequest("GET", "/logs")
-    );
+    return await this.request("GET", "/logs");
   }
 
   async getRounds() {
-    return await this.rateLimiter.execute(() => 
-      this.makeRequest("GET", "/rounds")
-    );
+    return await this.request("GET", "/rounds");
+  }
+
+  /**
+   * Выполняет запрос через rate limiter (с приоритетом эндпоинта) с таймаутом и повторами.
+   * Идемпотентные запросы повторяются при retryable ошибках (таймаут, сеть, 5xx, 429),
+   * остальные - только после 429, когда сервер запрос точно не выполнил.
+   * @param {string} method - HTTP метод
+   * @param {string} endpoint - Эндпоинт
+   * @param {Object|null} data - Тело запроса
+   * @param {Object} options
+   * @param {number|null} options.deadline - Момент, после которого запрос бессмыслен
+   * @returns {Promise<Object>} Ответ сервера
+   */
+  async request(method, endpoint, data = null, { deadline = null } = {}) {
+    const idempotent = method === "GET" && IDEMPOTENT_ENDPOINTS.has(endpoint);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Таймаут считается после ожидания в rate limiter, чтобы очередь не съедала дедлайн
+        return await this.rateLimiter.execute(() => {
+          let timeout = this.endpointTimeouts[endpoint] ?? this.timeoutMs;
+          if (deadline !== null) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+              throw new TimeoutError(`Deadline passed before ${method} ${endpoint}`, { endpoint });
+            }
+            timeout = Math.min(timeout, remaining);
+          }
+          return this.makeRequest(method, endpoint, data, { timeout });
+        }, { priority: ENDPOINT_PRIORITIES[endpoint] ?? RateLimiter.PRIORITY.NORMAL, endpoint });
+      } catch (error) {
+        const canRetry = error instanceof ApiError && error.retryable &&
+          (idempotent || error instanceof RateLimitError) &&
+          attempt < this.retry.maxRetries;
+        if (!canRetry) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        if (deadline !== null && Date.now() + delay >= deadline) {
+          throw error;
+        }
+        logger.warn(`API: ${method} ${endpoint} failed (${error.message}), retry ${attempt + 1}/${this.retry.maxRetries} in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
   }
 
-  async makeRequest(method, endpoint, data = null) {
+  /**
+   * Full jitter backoff: случайная задержка до base * 2^attempt (не больше maxDelay).
+   * Retry-After из 429 задает нижнюю границу.
+   */
+  getRetryDelay(attempt, error) {
+    const cap = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * Math.pow(2, attempt));
+    const jittered = Math.round(Math.random() * cap);
+    if (error instanceof RateLimitError && error.retryAfterMs !== null) {
+      return Math.max(jittered, error.retryAfterMs);
+    }
+    return jittered;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async makeRequest(method, endpoint, data = null, { timeout = this.timeoutMs } = {}) {
     return new Promise((resolve, reject) => {
       const url = new URL(this.baseUrl + endpoint);
       const isHttps = url.protocol === "https:";
@@ -172,22 +264,28 @@ class ApiClient {
         let body = "";
         res.on("data", (chunk) => (body += chunk));
         res.on("end", () => {
+          clearTimeout(timer);
           logger.debug(`Response ${res.statusCode}:`, body);
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(ApiError.fromResponse(res.statusCode, body, endpoint, res.headers));
+            return;
+          }
           try {
-            const response = body ? JSON.parse(body) : {};
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(response);
-            } else {
-              reject(new Error(`API Error: ${res.statusCode} - ${body}`));
-            }
+            resolve(body ? JSON.parse(body) : {});
           } catch (error) {
-            reject(new Error(`JSON Parse Error: ${error.message}`));
+            reject(new NetworkError(`JSON Parse Error: ${error.message}`, { status: res.statusCode, endpoint, body }));
           }
         });
       });
 
+      // Общий таймаут на запрос целиком, а не только на простой сокета
+      const timer = setTimeout(() => {
+        req.destroy(new TimeoutError(`Request timed out after ${timeout}ms: ${method} ${endpoint}`, { endpoint }));
+      }, timeout);
+
       req.on("error", (error) => {
-        reject(new Error(`Request Error: ${error.message}`));
+        clearTimeout(timer);
+        reject(error instanceof ApiError ? error : new NetworkError(`Request Error: ${error.message}`, { endpoint }));
       });
 
       if (postData) {
@@ -0,0 +1,135 @@
+/**
+ * Типизированные ошибки API. ApiClient превращает каждый неуспешный ответ в один из этих
+ * классов, чтобы вызывающий код проверял instanceof, а не текст сообщения.
+ * retryable означает, что тот же запрос можно безопасно повторить позже.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Текст ошибки
+   * @param {Object} details
+   * @param {number} [details.status] - HTTP статус (0 для сетевых ошибок)
+   * @param {string} [details.endpoint] - Эндпоинт запроса, например "/arena"
+   * @param {string} [details.body] - Сырое тело ответа
+   * @param {boolean} [details.retryable] - Можно ли повторить запрос
+   */
+  constructor(message, { status = 0, endpoint = null, body = null, retryable = false } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.body = body;
+    this.retryable = retryable;
+  }
+
+  /**
+   * Выбирает класс ошибки по статусу и сообщению сервера.
+   * @param {number} status - HTTP статус
+   * @param {string} body - Тело ответа
+   * @param {string} endpoint - Эндпоинт запроса
+   * @param {Object} headers - Заголовки ответа
+   * @returns {ApiError} Ошибка подходящего класса
+   */
+  static fromResponse(status, body, endpoint, headers = {}) {
+    const serverMessage = ApiError.parseMessage(body);
+    const message = `API Error: ${status} - ${serverMessage || body}`;
+    const details = { status, endpoint, body };
+
+    if (status === 401 || status === 403) {
+      return new AuthError(message, details);
+    }
+    if (status === 429) {
+      return new RateLimitError(message, { ...details, retryAfterMs: ApiError.parseRetryAfter(headers["retry-after"]) });
+    }
+    if (/not registered/i.test(serverMessage)) {
+      return new NotRegisteredError(message, details);
+    }
+    if (/lobby ended|too late/i.test(serverMessage)) {
+      return new LobbyClosedError(message, details);
+    }
+    if (status >= 500) {
+      return new ServerError(message, details);
+    }
+    if (status === 400 || status === 422) {
+      return new ValidationError(message, details);
+    }
+    return new ApiError(message, details);
+  }
+
+  static parseMessage(body) {
+    try {
+      const parsed = JSON.parse(body);
+      return (parsed && (parsed.message || parsed.error)) || "";
+    } catch (error) {
+      return typeof body === "string" ? body : "";
+    }
+  }
+
+  /**
+   * @param {string} value - Заголовок Retry-After (секунды или HTTP дата)
+   * @returns {number|null} Задержка в мс или null
+   */
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+/** 401/403: токен не принят. */
+class AuthError extends ApiError {}
+
+/** Игрок не зарегистрирован в текущей игре (раунд закончился или регистрация потеряна). */
+class NotRegisteredError extends ApiError {}
+
+/** Регистрация отклонена: лобби уже закрыто. */
+class LobbyClosedError extends ApiError {}
+
+/** 429: сервер просит снизить частоту запросов. */
+class RateLimitError extends ApiError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, { ...details, retryable: true });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** 400/422: сервер отклонил содержимое запроса. */
+class ValidationError extends ApiError {}
+
+/** 5xx: ошибка на стороне сервера. */
+class ServerError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+  }
+}
+
+/** Запрос не уложился в таймаут. */
+class TimeoutError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+  }
+}
+
+/** Сетевая ошибка или нечитаемый ответ. */
+class NetworkError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+  }
+}
+
+module.exports = {
+  ApiError,
+  AuthError,
+  NotRegisteredError,
+  LobbyClosedError,
+  RateLimitError,
+  ValidationError,
+  ServerError,
+  TimeoutError,
+  NetworkError
+};
@@ -0,0 +1,151 @@
+const OpenApiSchema = require("./OpenApiSchema");
+const logger = require("../utils/Logger");
+const { UNIT_TYPES, FOOD_TYPES, HEX_STATS } = require("../constants/GameConstants");
+
+const ANT_TYPES = new Set([UNIT_TYPES.WORKER, UNIT_TYPES.SOLDIER, UNIT_TYPES.SCOUT]);
+
+/**
+ * Слой между ApiClient и менеджерами: проверяет ответ /arena по openapi-spec.yml
+ * и строит из него единое состояние игры.
+ *
+ * Каноническое состояние содержит только поля спецификации, всегда заполненные:
+ *   { turnNo, score, nextTurnIn?, ants, enemies, food, home, map }
+ * ants и enemies - только муравьи (рабочий, боец, разведчик) с food { type, amount },
+ * home - гексы нашего муравейника, map - видимые клетки { q, r, type, cost }.
+ * Поэтому менеджеры не проверяют альтернативные имена полей и не отфильтровывают муравейники.
+ *
+ * Все расхождения с схемой (drift) возвращаются вместе с состоянием. Каждый новый вид
+ * расхождения пишется в лог один раз, счетчики копятся в getDriftReport().
+ * Нормализация идемпотентна: повторная обработка канонического состояния дает то же состояние.
+ */
+class GameStateNormalizer {
+  /**
+   * @param {Object} options
+   * @param {OpenApiSchema} options.schema - Спецификация API (по умолчанию openapi-spec.yml)
+   */
+  constructor(options = {}) {
+    this.schema = options.schema || OpenApiSchema.load();
+    this.arenaSchema = this.schema.getResponseSchema("/arena");
+    // Map: "kind path" -> { path, kind, expected, actual, count, firstTurn, lastTurn }
+    this.drift = new Map();
+  }
+
+  /**
+   * @param {Object} response - Тело ответа /arena
+   * @returns {Object} { state, issues } - каноническое состояние и расхождения с схемой
+   */
+  normalize(response) {
+    const raw = response && typeof response === "object" ? response : {};
+    const issues = this.schema.validate(response ?? null, this.arenaSchema);
+
+    const state = {
+      turnNo: toInteger(raw.turnNo) ?? 0,
+      score: toNumber(raw.score) ?? 0,
+      ants: this.normalizeAnts(raw.ants, "$.ants", issues),
+      enemies: this.normalizeAnts(raw.enemies, "$.enemies", issues),
+      food: this.normalizeList(raw.food, food => this.normalizeFood(food)),
+      home: this.normalizeList(raw.home, hex => toPosition(hex)),
+      map: this.normalizeList(raw.map, cell => this.normalizeCell(cell))
+    };
+    const nextTurnIn = toNumber(raw.nextTurnIn);
+    if (nextTurnIn !== null) {
+      state.nextTurnIn = nextTurnIn;
+    }
+
+    this.recordDrift(issues, state.turnNo);
+    return { state, issues };
+  }
+
+  normalizeList(items, normalizeItem) {
+    return (Array.isArray(items) ? items : []).map(normalizeItem).filter(Boolean);
+  }
+
+  /**
+   * Оставляет только муравьев известных типов. Записи с другими типами (например,
+   * муравейники с type 0) отбрасываются и попадают в расхождения.
+   */
+  normalizeAnts(ants, at, issues) {
+    return (Array.isArray(ants) ? ants : []).map((ant, index) => {
+      const position = toPosition(ant);
+      const type = toInteger(ant?.type);
+      if (!position || !ANT_TYPES.has(type)) {
+        issues.push({ path: `${at}[${index}].type`, kind: "enum", expected: Array.from(ANT_TYPES).join("|"), actual: String(ant?.type) });
+        return null;
+      }
+      return {
+        id: String(ant.id),
+        type,
+        ...position,
+        health: toNumber(ant.health) ?? 0,
+        food: {
+          type: toInteger(ant.food?.type) ?? FOOD_TYPES.NONE,
+          amount: toInteger(ant.food?.amount) ?? 0
+        }
+      };
+    }).filter(Boolean);
+  }
+
+  normalizeFood(food) {
+    const position = toPosition(food);
+    if (!position) return null;
+    return { ...position, type: toInteger(food.type) ?? FOOD_TYPES.NONE, amount: toInteger(food.amount) ?? 0 };
+  }
+
+  normalizeCell(cell) {
+    const position = toPosition(cell);
+    if (!position) return null;
+    const type = toInteger(cell.type);
+    return { ...position, type, cost: toInteger(cell.cost) ?? HEX_STATS[type]?.cost ?? 1 };
+  }
+
+  /**
+   * Копит расхождения по видам (индексы массивов в пути не различаются) и пишет новые виды в лог.
+   */
+  recordDrift(issues, turnNo) {
+    const seenThisTurn = new Set();
+    issues.forEach(issue => {
+      const path = issue.path.replace(/\[\d+\]/g, "[]");
+      const key = `${issue.kind} ${path}`;
+      if (seenThisTurn.has(key)) return;
+      seenThisTurn.add(key);
+
+      const known = this.drift.get(key);
+      if (known) {
+        known.count++;
+        known.lastTurn = turnNo;
+        return;
+      }
+      this.drift.set(key, { path, kind: issue.kind, expected: issue.expected, actual: issue.actual, count: 1, firstTurn: turnNo, lastTurn: turnNo });
+      logger.warn(`API drift in /arena at turn ${turnNo}: ${issue.kind} ${path} (expected ${issue.expected ?? "no field"}, got ${issue.actual})`);
+    });
+  }
+
+  /**
+   * @returns {Array} Виды расхождений { path, kind, expected, actual, count, firstTurn, lastTurn }; count - число ответов с ним
+   */
+  getDriftReport() {
+    return Array.from(this.drift.values()).map(entry => ({ ...entry }));
+  }
+
+  reset() {
+    this.drift.clear();
+  }
+}
+
+function toNumber(value) {
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return typeof number === "number" && Number.isFinite(number) ? number : null;
+}
+
+function toInteger(value) {
+  const number = toNumber(value);
+  return number !== null && Number.isInteger(number) ? number : null;
+}
+
+function toPosition(value) {
+  const q = toInteger(value?.q);
+  const r = toInteger(value?.r);
+  return q === null || r === null ? null : { q, r };
+}
+
+module.exports = GameStateNormalizer;
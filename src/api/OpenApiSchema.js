@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SPEC_PATH = path.join(__dirname, "..", "..", "openapi-spec.yml");
+
+/**
+ * Схемы ответов API из openapi-spec.yml и проверка ответов сервера по ним.
+ *
+ * Спецификация читается при старте, поэтому правка openapi-spec.yml сразу меняет
+ * проверку. validate() не бросает исключений, а возвращает список расхождений (drift):
+ * отсутствующие и неизвестные поля, неверные типы и значения вне enum.
+ */
+class OpenApiSchema {
+  /**
+   * @param {Object} spec - Разобранная спецификация OpenAPI
+   */
+  constructor(spec) {
+    this.spec = spec;
+  }
+
+  /**
+   * @param {string} specPath - Путь к YAML файлу спецификации
+   * @returns {OpenApiSchema}
+   */
+  static load(specPath = DEFAULT_SPEC_PATH) {
+    return new OpenApiSchema(parseYaml(fs.readFileSync(specPath, "utf8")));
+  }
+
+  /**
+   * @param {string} route - Путь, например "/arena"
+   * @param {string} method - HTTP метод в нижнем регистре
+   * @param {string} status - Код ответа
+   * @returns {Object} JSON схема тела ответа
+   */
+  getResponseSchema(route, method = "get", status = "200") {
+    const schema = this.spec.paths?.[route]?.[method]?.responses?.[status]?.content?.["application/json"]?.schema;
+    if (!schema) {
+      throw new Error(`No ${method.toUpperCase()} ${route} ${status} response schema in the OpenAPI spec`);
+    }
+    return this.resolve(schema);
+  }
+
+  /**
+   * Подставляет схему по $ref вида "#/components/schemas/Ant".
+   * @param {Object} schema - Схема или ссылка
+   * @returns {Object} Схема
+   */
+  resolve(schema) {
+    if (!schema || !schema.$ref) {
+      return schema;
+    }
+    const resolved = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node?.[key], this.spec);
+    if (!resolved) {
+      throw new Error(`Unresolved $ref ${schema.$ref} in the OpenAPI spec`);
+    }
+    return this.resolve(resolved);
+  }
+
+  /**
+   * Проверяет значение по схеме.
+   * @param {*} value - Значение из ответа сервера
+   * @param {Object} schema - Схема
+   * @param {string} at - Путь к значению для отчета, например "$.ants[3].food"
+   * @returns {Array} Расхождения [{ path, kind: "missing"|"unexpected"|"type"|"enum", expected, actual }]
+   */
+  validate(value, schema, at = "$") {
+    const resolved = this.resolve(schema);
+    if (!resolved) {
+      return [];
+    }
+
+    const actual = describeType(value);
+    if (resolved.type && !matchesType(value, resolved.type)) {
+      return [{ path: at, kind: "type", expected: resolved.type, actual }];
+    }
+    if (resolved.enum && !resolved.enum.includes(value)) {
+      return [{ path: at, kind: "enum", expected: resolved.enum.join("|"), actual: String(value) }];
+    }
+
+    const issues = [];
+    if (resolved.type === "array" && resolved.items) {
+      value.forEach((item, index) => issues.push(...this.validate(item, resolved.items, `${at}[${index}]`)));
+    }
+    if (resolved.type === "object" && resolved.properties) {
+      Object.entries(resolved.properties).forEach(([name, property]) => {
+        if (value[name] === undefined) {
+          issues.push({ path: `${at}.${name}`, kind: "missing", expected: this.resolve(property).type, actual: "undefined" });
+        } else {
+          issues.push(...this.validate(value[name], property, `${at}.${name}`));
+        }
+      });
+      Object.keys(value)
+        .filter(name => !(name in resolved.properties))
+        .forEach(name => issues.push({ path: `${at}.${name}`, kind: "unexpected", expected: null, actual: describeType(value[name]) }));
+    }
+    return issues;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "string": return typeof value === "string";
+    case "boolean": return typeof value === "boolean";
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Читает подмножество YAML, которого достаточно для openapi-spec.yml: вложенные
+ * отображения и списки отступами, списки в строку ([a, b]) и скалярные значения.
+ * @param {string} text - YAML
+ * @returns {Object} Разобранный документ
+ */
+function parseYaml(text) {
+  const lines = text.split(/\r?\n/)
+    .filter(line => line.trim() !== "" && !line.trim().startsWith("#"))
+    .map(line => ({ indent: line.search(/\S/), content: line.trim() }));
+  const [value] = parseBlock(lines, 0, lines.length ? lines[0].indent : 0);
+  return value;
+}
+
+function parseBlock(lines, index, indent) {
+  return lines[index].content.startsWith("- ") || lines[index].content === "-"
+    ? parseSequence(lines, index, indent)
+    : parseMapping(lines, index, indent);
+}
+
+function parseSequence(lines, index, indent) {
+  const items = [];
+  while (index < lines.length && lines[index].indent === indent && lines[index].content.startsWith("-")) {
+    const rest = lines[index].content.slice(1).trim();
+    if (rest === "") {
+      const [value, next] = parseNested(lines, index + 1, indent);
+      items.push(value);
+      index = next;
+    } else if (splitKey(rest)) {
+      // Элемент списка - отображение, первая пара на строке с дефисом
+      const itemLines = [{ indent: indent + 2, content: rest }, ...lines.slice(index + 1)];
+      const [value, next] = parseMapping(itemLines, 0, indent + 2);
+      items.push(value);
+      index += next;
+    } else {
+      items.push(parseScalar(rest));
+      index++;
+    }
+  }
+  return [items, index];
+}
+
+function parseMapping(lines, index, indent) {
+  const mapping = {};
+  while (index < lines.length && lines[index].indent === indent && !lines[index].content.startsWith("- ")) {
+    const pair = splitKey(lines[index].content);
+    if (!pair) {
+      throw new Error(`Cannot parse YAML line "${lines[index].content}"`);
+    }
+    if (pair.value === "") {
+      const [value, next] = parseNested(lines, index + 1, indent);
+      mapping[pair.key] = value;
+      index = next;
+    } else {
+      mapping[pair.key] = parseScalar(pair.value);
+      index++;
+    }
+  }
+  return [mapping, index];
+}
+
+function parseNested(lines, index, indent) {
+  if (index < lines.length && lines[index].indent > indent) {
+    return parseBlock(lines, index, lines[index].indent);
+  }
+  return [null, index];
+}
+
+function splitKey(content) {
+  const match = content.match(/^('[^']*'|"[^"]*"|[^'"\s][^:]*?):(?:\s+(.*))?$/);
+  return match ? { key: parseScalar(match[1]), value: (match[2] || "").trim() } : null;
+}
+
+function parseScalar(text) {
+  if (/^'.*'$/.test(text) || /^".*"$/.test(text)) {
+    return text.slice(1, -1);
+  }
+  if (/^\[.*\]$/.test(text)) {
+    const inner = text.slice(1, -1).trim();
+    return inner === "" ? [] : inner.split(",").map(item => parseScalar(item.trim()));
+  }
+  if (text === "true" || text === "false") {
+    return text === "true";
+  }
+  if (text === "null" || text === "~") {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+module.exports = OpenApiSchema;
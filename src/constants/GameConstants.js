@@ -14,6 +14,15 @@ const UNIT_TYPES = {
     SCOUT: 3
 };
 
+// Типы гексов карты (поле type в map)
+const HEX_TYPES = {
+    ANTHILL: 1,  // Гекс муравейника
+    EMPTY: 2,
+    DIRT: 3,     // Грязь - двойная стоимость перемещения
+    ACID: 4,     // Кислота - наносит урон
+    STONE: 5     // Камни - непроходимы
+};
+
 // Обратное отображение для читаемости
 const FOOD_TYPE_NAMES = {
     [FOOD_TYPES.NONE]: 'none',
@@ -69,6 +78,22 @@ const UNIT_STATS = {
     }
 };
 
+// Свойства гексов: стоимость перемещения и урон за ход на гексе
+const HEX_STATS = {
+    [HEX_TYPES.ANTHILL]: { cost: 1, damage: 0, passable: true },
+    [HEX_TYPES.EMPTY]: { cost: 1, damage: 0, passable: true },
+    [HEX_TYPES.DIRT]: { cost: 2, damage: 0, passable: true },
+    [HEX_TYPES.ACID]: { cost: 1, damage: 20, passable: true },
+    [HEX_TYPES.STONE]: { cost: 99, damage: 0, passable: false }
+};
+
+// Правила боя: каждый муравей бьет самого слабого соседнего врага, урон одновременный
+const COMBAT_RULES = {
+    supportBonus: 0.5,        // +50% к атаке, если рядом (соседний гекс) есть союзник
+    anthillBonus: 0.25,       // +25% к атаке в пределах anthillBonusRadius от своего муравейника
+    anthillBonusRadius: 2
+};
+
 // Эффективность сбора ресурсов
 const COLLECTION_EFFICIENCY = {
     [FOOD_TYPES.NECTAR]: {
@@ -91,9 +116,12 @@ const COLLECTION_EFFICIENCY = {
 module.exports = {
     FOOD_TYPES,
     UNIT_TYPES,
+    HEX_TYPES,
     FOOD_TYPE_NAMES,
     UNIT_TYPE_NAMES,
     FOOD_CALORIES,
     UNIT_STATS,
+    HEX_STATS,
+    COMBAT_RULES,
     COLLECTION_EFFICIENCY
 };
\ No newline at end of file
@@ -1,31 +1,22 @@
 const logger = require('../utils/Logger');
+const HexGeometry = require('../utils/HexGeometry');
 
 /**
  * A* Pathfinding implementation for hexagonal grid.
  * Finds optimal paths avoiding obstacles and blocked tiles.
+ * With a cost function the search minimises total movement cost (terrain) instead of step count.
  */
 class AStarPathfinder {
-    constructor() {
-        // Hexagonal directions: [q, r] offsets
-        this.directions = [
-            [1, 0],   // East
-            [1, -1],  // Northeast
-            [0, -1],  // Northwest
-            [-1, 0],  // West
-            [-1, 1],  // Southwest
-            [0, 1]    // Southeast
-        ];
-    }
-
     /**
      * Find the shortest path from start to goal using A* algorithm.
      * @param {Object} start - Starting position {q, r}
      * @param {Object} goal - Goal position {q, r}
      * @param {Function} isWalkable - Function to check if a tile is walkable
-     * @param {number} maxDistance - Maximum search distance (default: 100)
+     * @param {number} maxDistance - Maximum search distance / path cost (default: 100)
+     * @param {Function} getCost - Optional cost of entering a tile (>= 1, Infinity if impassable); 1 per step if omitted
      * @returns {Array|null} Array of positions from start to goal, or null if no path
      */
-    findPath(start, goal, isWalkable, maxDistance = 100) {
+    findPath(start, goal, isWalkable, maxDistance = 100, getCost = null) {
         // Quick validation
         if (!start || !goal || !isWalkable) {
             return null;
@@ -93,11 +84,7 @@ class AStarPathfinder {
             closedSet.add(currentKey);
 
             // Check all neighbors
-            for (const [dq, dr] of this.directions) {
-                const neighbor = {
-                    q: current.q + dq,
-                    r: current.r + dr
-                };
+            for (const neighbor of HexGeometry.neighbors(current)) {
                 const neighborKey = this.getKey(neighbor);
 
                 // Skip if already evaluated
@@ -110,8 +97,12 @@ class AStarPathfinder {
                     continue;
                 }
 
-                // Calculate tentative gScore
-                const tentativeGScore = (gScore.get(currentKey) || 0) + 1;
+                // Calculate tentative gScore using the terrain cost of the neighbor
+                const stepCost = getCost ? getCost(neighbor) : 1;
+                if (!Number.isFinite(stepCost)) {
+                    continue;
+                }
+                const tentativeGScore = (gScore.get(currentKey) || 0) + stepCost;
 
                 // Skip if distance too far
                 if (tentativeGScore > maxDistance) {
@@ -147,15 +138,7 @@ class AStarPathfinder {
      * @returns {number} Estimated distance
      */
     heuristic(a, b) {
-        // Convert to cube coordinates for accurate hex distance
-        const s1 = -a.q - a.r;
-        const s2 = -b.q - b.r;
-        
-        return Math.max(
-            Math.abs(a.q - b.q),
-            Math.abs(a.r - b.r),
-            Math.abs(s1 - s2)
-        );
+        return HexGeometry.distance(a, b);
     }
 
     /**
@@ -197,24 +180,20 @@ class AStarPathfinder {
      * @param {Object} goal - Original goal position
      * @param {Function} isWalkable - Function to check walkability
      * @param {number} maxDistance - Maximum search distance
+     * @param {Function} getCost - Optional tile cost function (see findPath)
      * @returns {Array|null} Path to goal or nearby position
      */
-    findAlternativePath(start, goal, isWalkable, maxDistance = 100) {
+    findAlternativePath(start, goal, isWalkable, maxDistance = 100, getCost = null) {
         // First try direct path
-        const directPath = this.findPath(start, goal, isWalkable, maxDistance);
+        const directPath = this.findPath(start, goal, isWalkable, maxDistance, getCost);
         if (directPath) {
             return directPath;
         }
 
         // If direct path fails, try adjacent positions
-        for (const [dq, dr] of this.directions) {
-            const altGoal = {
-                q: goal.q + dq,
-                r: goal.r + dr
-            };
-
+        for (const altGoal of HexGeometry.neighbors(goal)) {
             if (isWalkable(altGoal)) {
-                const altPath = this.findPath(start, altGoal, isWalkable, maxDistance);
+                const altPath = this.findPath(start, altGoal, isWalkable, maxDistance, getCost);
                 if (altPath) {
                     logger.debug(`Found alternative path to (${altGoal.q}, ${altGoal.r}) instead of (${goal.q}, ${goal.r})`);
                     return altPath;
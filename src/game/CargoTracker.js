@@ -0,0 +1,250 @@
+const { FOOD_TYPES, FOOD_TYPE_NAMES, FOOD_CALORIES, UNIT_TYPE_NAMES } = require('../constants/GameConstants');
+const { EVENTS } = require('./GameEventBus');
+
+/**
+ * Учет еды по грузу муравьев. Сервер не сообщает о подборах и доставках, поэтому они
+ * выводятся из поля food каждого муравья между соседними ходами:
+ * - груз вырос - подбор на гексе, где муравей стоит после хода;
+ * - груз уменьшился на гексе муравейника - доставка;
+ * - груз уменьшился вне муравейника или муравей погиб с грузом - потеря.
+ *
+ * Каждая доставка и потеря относится к гексам, с которых груз был подобран (первым подобран -
+ * первым сдан), поэтому видно, какие источники еды реально приносят калории.
+ */
+class CargoTracker {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Очищает учет (новая игра).
+     */
+    reset() {
+        // Map: antId -> [{ q, r, amount }] - откуда взят текущий груз
+        this.loads = new Map();
+
+        this.totals = {
+            pickedUp: emptyByFood(),
+            delivered: emptyByFood(),
+            lost: emptyByFood(),
+            deliveredCalories: 0,
+            lostCalories: 0
+        };
+
+        // Map: antId -> { type, pickedUp, delivered, deliveredCalories, lost }
+        this.byAnt = new Map();
+
+        // Map: "q,r" -> { q, r, foodType, pickedUp, delivered, deliveredCalories }
+        this.bySource = new Map();
+    }
+
+    /**
+     * Сравнивает груз муравьев на двух соседних ходах.
+     * @param {Object|null} previousState - Состояние прошлого хода (null на первом ходу)
+     * @param {Object} currentState - Текущее каноническое состояние
+     * @returns {Array} События FoodPickedUp, FoodDelivered и CargoLost (GameEventBus.EVENTS):
+     *     { type, turn, antId, antType, foodType, amount, calories, q, r, sources, reason? }
+     */
+    update(previousState, currentState) {
+        const events = [];
+        if (!previousState) {
+            // Откуда взят груз, с которым мы застали муравьев, неизвестно
+            this.loads.clear();
+            currentState.ants.filter(ant => ant.food.amount > 0).forEach(ant => {
+                this.loads.set(ant.id, [{ q: null, r: null, amount: ant.food.amount }]);
+            });
+            return events;
+        }
+
+        const turn = currentState.turnNo;
+        const home = new Set(currentState.home.map(hex => `${hex.q},${hex.r}`));
+        const current = new Map(currentState.ants.map(ant => [ant.id, ant]));
+
+        previousState.ants.forEach(before => {
+            const after = current.get(before.id);
+            if (!after) {
+                if (before.food.amount > 0) {
+                    events.push(this.unload(EVENTS.CARGO_LOST, turn, before, before, before.food.amount, 'death'));
+                }
+                this.loads.delete(before.id);
+                return;
+            }
+
+            const carried = before.food.amount > 0 ? before.food : null;
+            const sameFood = carried && after.food.amount > 0 && after.food.type === carried.type;
+            const unloaded = carried ? carried.amount - (sameFood ? Math.min(after.food.amount, carried.amount) : 0) : 0;
+
+            if (unloaded > 0) {
+                const atHome = home.has(`${after.q},${after.r}`);
+                events.push(this.unload(atHome ? EVENTS.FOOD_DELIVERED : EVENTS.CARGO_LOST, turn, before, after, unloaded, atHome ? null : 'dropped'));
+            }
+
+            const loaded = after.food.amount - (sameFood ? carried.amount : 0);
+            if (after.food.amount > 0 && loaded > 0) {
+                events.push(this.pickup(turn, after, loaded));
+            }
+        });
+
+        // Новый муравей с грузом (например, пришел из тумана) - груз неизвестного происхождения
+        currentState.ants.forEach(ant => {
+            if (!this.loads.has(ant.id) && ant.food.amount > 0 && !previousState.ants.some(before => before.id === ant.id)) {
+                this.loads.set(ant.id, [{ q: null, r: null, amount: ant.food.amount }]);
+            }
+        });
+
+        return events;
+    }
+
+    pickup(turn, ant, amount) {
+        const foodType = ant.food.type;
+        const loads = this.loads.get(ant.id) || [];
+        loads.push({ q: ant.q, r: ant.r, amount });
+        this.loads.set(ant.id, loads);
+
+        this.totals.pickedUp[FOOD_TYPE_NAMES[foodType]] += amount;
+        this.getAntStats(ant).pickedUp += amount;
+
+        const source = this.getSourceStats(ant.q, ant.r, foodType);
+        source.pickedUp += amount;
+
+        return {
+            type: EVENTS.FOOD_PICKED_UP,
+            turn,
+            antId: ant.id,
+            antType: UNIT_TYPE_NAMES[ant.type],
+            foodType: FOOD_TYPE_NAMES[foodType],
+            amount,
+            calories: amount * FOOD_CALORIES[foodType],
+            q: ant.q,
+            r: ant.r,
+            sources: [{ q: ant.q, r: ant.r, amount }]
+        };
+    }
+
+    /**
+     * @param {string} type - FoodDelivered или CargoLost
+     * @param {number} turn - Номер хода
+     * @param {Object} before - Муравей на прошлом ходу (тип и количество груза)
+     * @param {Object} position - Где груз сдан или потерян
+     * @param {number} amount - Сколько единиц еды выгружено
+     * @param {string|null} reason - Причина потери: 'death' или 'dropped'
+     * @returns {Object} Событие
+     */
+    unload(type, turn, before, position, amount, reason) {
+        const foodType = before.food.type;
+        const foodName = FOOD_TYPE_NAMES[foodType];
+        const calories = amount * FOOD_CALORIES[foodType];
+        const sources = this.takeLoads(before.id, amount);
+        const antStats = this.getAntStats(before);
+
+        if (type === EVENTS.FOOD_DELIVERED) {
+            this.totals.delivered[foodName] += amount;
+            this.totals.deliveredCalories += calories;
+            antStats.delivered += amount;
+            antStats.deliveredCalories += calories;
+            sources.filter(source => source.q !== null).forEach(source => {
+                const stats = this.getSourceStats(source.q, source.r, foodType);
+                stats.delivered += source.amount;
+                stats.deliveredCalories += source.amount * FOOD_CALORIES[foodType];
+            });
+        } else {
+            this.totals.lost[foodName] += amount;
+            this.totals.lostCalories += calories;
+            antStats.lost += amount;
+        }
+
+        const event = {
+            type,
+            turn,
+            antId: before.id,
+            antType: UNIT_TYPE_NAMES[before.type],
+            foodType: foodName,
+            amount,
+            calories,
+            q: position.q,
+            r: position.r,
+            sources
+        };
+        if (reason) {
+            event.reason = reason;
+        }
+        return event;
+    }
+
+    /**
+     * Списывает amount единиц с подборов муравья, начиная с самого раннего.
+     * @returns {Array} Источники { q, r, amount }; q и r равны null для груза неизвестного происхождения
+     */
+    takeLoads(antId, amount) {
+        const loads = this.loads.get(antId) || [];
+        const taken = [];
+        let remaining = amount;
+
+        while (remaining > 0 && loads.length > 0) {
+            const load = loads[0];
+            const part = Math.min(load.amount, remaining);
+            taken.push({ q: load.q, r: load.r, amount: part });
+            load.amount -= part;
+            remaining -= part;
+            if (load.amount === 0) {
+                loads.shift();
+            }
+        }
+        if (remaining > 0) {
+            taken.push({ q: null, r: null, amount: remaining });
+        }
+        if (loads.length === 0) {
+            this.loads.delete(antId);
+        }
+        return taken;
+    }
+
+    getAntStats(ant) {
+        if (!this.byAnt.has(ant.id)) {
+            this.byAnt.set(ant.id, { type: UNIT_TYPE_NAMES[ant.type], pickedUp: 0, delivered: 0, deliveredCalories: 0, lost: 0 });
+        }
+        return this.byAnt.get(ant.id);
+    }
+
+    getSourceStats(q, r, foodType) {
+        const key = `${q},${r}`;
+        if (!this.bySource.has(key)) {
+            this.bySource.set(key, { q, r, foodType: FOOD_TYPE_NAMES[foodType], pickedUp: 0, delivered: 0, deliveredCalories: 0 });
+        }
+        return this.bySource.get(key);
+    }
+
+    /**
+     * @returns {Object} Итоги игры { pickedUp, delivered, lost, deliveredCalories, lostCalories }
+     */
+    getTotals() {
+        return {
+            pickedUp: { ...this.totals.pickedUp },
+            delivered: { ...this.totals.delivered },
+            lost: { ...this.totals.lost },
+            deliveredCalories: this.totals.deliveredCalories,
+            lostCalories: this.totals.lostCalories
+        };
+    }
+
+    /**
+     * @param {number} limit - Сколько источников вернуть
+     * @returns {Array} Гексы-источники, больше всего калорий доставлено - первыми
+     */
+    getTopSources(limit = 10) {
+        return Array.from(this.bySource.values())
+            .sort((a, b) => b.deliveredCalories - a.deliveredCalories)
+            .slice(0, limit)
+            .map(source => ({ ...source }));
+    }
+}
+
+function emptyByFood() {
+    return Object.fromEntries(
+        Object.entries(FOOD_TYPE_NAMES)
+            .filter(([type]) => Number(type) !== FOOD_TYPES.NONE)
+            .map(([, name]) => [name, 0])
+    );
+}
+
+module.exports = CargoTracker;
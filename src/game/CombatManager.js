@@ -2,9 +2,13 @@ const logger = require('../utils/Logger');
 const { 
     UNIT_TYPES, 
     UNIT_TYPE_NAMES, 
-    UNIT_STATS 
+    UNIT_STATS,
+    COMBAT_RULES
 } = require('../constants/GameConstants');
 const AStarPathfinder = require('./AStarPathfinder');
+const CombatPredictor = require('./CombatPredictor');
+const FormationPlanner = require('./FormationPlanner');
+const HexGeometry = require('../utils/HexGeometry');
 const PathfindingValidator = require('./PathfindingValidator');
 
 /**
@@ -18,60 +22,210 @@ class CombatManager {
         this.unitStats = UNIT_STATS;
         this.pathfinder = new AStarPathfinder();
         this.pathValidator = new PathfindingValidator();
+        // Recalled soldiers stop this close to the anthill
+        this.recallRadius = 2;
+        // Every engagement is checked against the combat model first
+        this.predictor = new CombatPredictor();
+        // Enemies this close to the target fight alongside it
+        this.engagementRadius = 3;
+        // Holding soldiers wait this far from the target, on the anthill side
+        this.holdDistance = 3;
+        // Soldiers this close to an enemy are committed to the fight
+        this.contactDistance = 2;
+        // Idle soldiers and scouts move in the formation StrategyManager recommends
+        this.formationPlanner = new FormationPlanner();
+        // Combat orders a formation may take over
+        this.formationOverrides = new Set(['patrol', 'hold_anthill']);
     }
     
     /**
      * Plans combat actions - simplified to just return movement commands.
      * @param {Object} analysis - Game state analysis
      * @param {Object} strategy - Game strategy
+     * @param {PlanningBudget} budget - Turn time budget; anthill defence is planned regardless
      * @returns {Object} Object with actions array and moves array
      */
-    planCombatActions(analysis, strategy) {
+    planCombatActions(analysis, strategy, budget = null) {
         const actions = [];
         const moves = [];
         
         // Simple "see enemy, attack" logic
-        const combatMoves = this.planSimpleCombatMoves(analysis);
+        const combatMoves = this.planSimpleCombatMoves(analysis, budget);
         moves.push(...combatMoves);
+
+        // Anthill was attacked recently (StrategyManager reacts to AnthillAttacked): bring the rest home
+        if (strategy?.combatStrategy?.recallSoldiers) {
+            moves.push(...this.planRecall(analysis, strategy.combatStrategy.recallSoldiers, moves));
+        }
+
+        const formation = this.planFormationMoves(analysis, strategy?.combatStrategy?.formations || [], moves);
+        if (formation) {
+            const members = new Set(formation.moves.map(move => move.unit_id));
+            const kept = moves.filter(move => !members.has(move.unit_id));
+            moves.splice(0, moves.length, ...kept, ...formation.moves);
+        }
         
         return { actions, moves };
     }
+
+    /**
+     * Moves idle soldiers and scouts into the first recommended formation that can be filled:
+     * a ring around the anthill against immediate threats, or a trileaf/wedge advancing on a known
+     * enemy anthill. Units with real combat orders keep them; patrols and anthill holds are replaced.
+     * @param {Object} analysis - Game state analysis
+     * @param {Array} recommendations - StrategyManager.recommendFormations() output
+     * @param {Array} plannedMoves - Combat moves already planned this turn
+     * @returns {Object|null} FormationPlanner plan with moves, or null if no formation applies
+     */
+    planFormationMoves(analysis, recommendations, plannedMoves) {
+        const anthill = analysis.units.anthill;
+        const { FORMATIONS, MIN_MEMBERS } = FormationPlanner;
+        const supported = new Set(Object.values(FORMATIONS));
+        const plannedByUnit = new Map(plannedMoves.map(move => [move.unit_id, move]));
+        const isFree = unit => {
+            const move = plannedByUnit.get(unit.id);
+            return !move || this.formationOverrides.has(move.assignment?.type);
+        };
+
+        for (const recommendation of recommendations) {
+            if (!supported.has(recommendation.type) || !anthill) continue;
+            const members = recommendation.units.filter(unit =>
+                (unit.type === this.unitTypes.SOLDIER || unit.type === this.unitTypes.SCOUT) && isFree(unit)
+            );
+            if (members.length < MIN_MEMBERS[recommendation.type]) continue;
+
+            const goal = recommendation.type === FORMATIONS.DEFENSIVE_RING
+                ? anthill
+                : this.findNearestEnemyAnthill(anthill, analysis);
+            if (!goal) continue;
+
+            const threats = analysis.threats.immediateThreats.map(threat => threat.unit);
+            const facing = threats.length > 0
+                ? threats.reduce((nearest, enemy) => HexGeometry.distance(enemy, anthill) < HexGeometry.distance(nearest, anthill) ? enemy : nearest)
+                : goal;
+            const plan = this.formationPlanner.plan(recommendation.type, members, {
+                goal,
+                facing,
+                isPassable: hex => this.pathValidator.validatePosition(hex, analysis.gameState),
+                findPath: (from, to) => this.findPath(from, to, analysis)
+            });
+            if (!plan) continue;
+
+            plan.moves = plan.slots.map(slot => {
+                const priority = plannedByUnit.get(slot.unit.id)?.assignment?.priority || 'medium';
+                const assignment = { type: 'formation', formation: plan.type, role: slot.role, target: { q: slot.q, r: slot.r }, priority };
+                // Already in its slot: stay there (empty path) so the shape holds
+                if (HexGeometry.distance(slot.unit, slot) === 0) {
+                    return { unit_id: slot.unit.id, path: [], assignment };
+                }
+                const path = this.findPath(slot.unit, slot, analysis);
+                return path && path.length > 0 ? { unit_id: slot.unit.id, path, assignment } : null;
+            }).filter(Boolean);
+
+            logger.info(`Formation ${plan.type} at (${plan.anchor.q}, ${plan.anchor.r}): ${plan.slots.length} units, ` +
+                `${plan.formed ? 'formed' : 'forming'}${plan.advanced ? ', advancing' : ''}`);
+            return plan;
+        }
+
+        this.formationPlanner.reset();
+        return null;
+    }
+
+    /**
+     * @param {Object} anthill - Our anthill
+     * @param {Object} analysis - Game state analysis
+     * @returns {Object|null} Closest enemy anthill known to world memory
+     */
+    findNearestEnemyAnthill(anthill, analysis) {
+        const enemyAnthills = analysis.memory ? analysis.memory.getEnemyAnthills() : [];
+        if (enemyAnthills.length === 0) return null;
+        return enemyAnthills.reduce((nearest, hill) =>
+            HexGeometry.distance(hill, anthill) < HexGeometry.distance(nearest, anthill) ? hill : nearest
+        );
+    }
+
+    /**
+     * Sends soldiers that have no combat orders back to the anthill.
+     * @param {Object} analysis - Game state analysis
+     * @param {Object} recall - { since, attackers } from the combat strategy
+     * @param {Array} plannedMoves - Combat moves already planned this turn
+     * @returns {Array} Movement commands
+     */
+    planRecall(analysis, recall, plannedMoves) {
+        const anthill = analysis.units.anthill;
+        if (!anthill) return [];
+
+        const busy = new Set(plannedMoves.map(move => move.unit_id));
+        const moves = [];
+        analysis.units.myUnits
+            .filter(unit => unit.type === this.unitTypes.SOLDIER && !busy.has(unit.id))
+            .filter(soldier => HexGeometry.distance(soldier, anthill) > this.recallRadius)
+            .forEach(soldier => {
+                const path = this.findPath(soldier, anthill, analysis);
+                if (path && path.length > 0) {
+                    moves.push({
+                        unit_id: soldier.id,
+                        path,
+                        assignment: {
+                            type: 'recall_to_anthill',
+                            target: anthill,
+                            priority: 'high'
+                        }
+                    });
+                    logger.info(`Soldier ${soldier.id} recalled to the anthill (attacked on turn ${recall.since})`);
+                }
+            });
+        return moves;
+    }
     
     /**
      * Plans simple combat moves: "see enemy - attack".
      * @param {Object} analysis - Game state analysis
+     * @param {PlanningBudget} budget - Turn time budget; when it runs out, patrols are skipped
      * @returns {Array} Array of movement commands for combat units
      */
-    planSimpleCombatMoves(analysis) {
+    planSimpleCombatMoves(analysis, budget = null) {
         const moves = [];
         const myUnits = analysis.units.myUnits;
         const enemyUnits = analysis.units.enemyUnits;
         const anthill = analysis.units.anthill;
+        const tracker = analysis.enemyTracker;
+        // Enemies that just left vision still threaten the anthill at their predicted position
+        const lostEnemies = tracker ? tracker.getLostEnemies() : [];
         
         // Get all soldiers
         const soldiers = myUnits.filter(unit => unit.type === this.unitTypes.SOLDIER);
         
-        if (soldiers.length === 0 || enemyUnits.length === 0) {
+        if (soldiers.length === 0 || (enemyUnits.length === 0 && lostEnemies.length === 0)) {
             return moves;
         }
         
         // Priority 1: Defend anthill from immediate threats
         if (anthill) {
-            const anthillThreats = enemyUnits.filter(enemy => 
-                this.calculateDistance(anthill, enemy) <= 8
+            const anthillThreats = [...enemyUnits, ...lostEnemies].filter(enemy => 
+                HexGeometry.distance(anthill, enemy) <= 8
             );
             
             if (anthillThreats.length > 0) {
                 // Sort threats by distance to anthill
                 anthillThreats.sort((a, b) => 
-                    this.calculateDistance(anthill, a) - this.calculateDistance(anthill, b)
+                    HexGeometry.distance(anthill, a) - HexGeometry.distance(anthill, b)
                 );
+
+                // A fight we would not win is not sought out: soldiers wait for the enemy on the anthill ring,
+                // where our attack gets the home bonus, or hold where they stand if that is already closer to it.
+                // Soldiers already in contact fight on - backing away only hands the enemy a free hit
+                const target = anthillThreats[0];
+                const engagement = this.assessEngagement(target, soldiers, anthillThreats, analysis);
                 
                 // Assign available soldiers to defend
                 soldiers.forEach(soldier => {
-                    if (anthillThreats.length > 0) {
-                        const target = anthillThreats[0];
-                        const path = this.findPath(soldier, target, analysis);
+                    if (engagement.decision !== CombatPredictor.DECISIONS.ENGAGE && !this.isInContact(soldier, anthillThreats)) {
+                        const anchor = HexGeometry.distance(anthill, target) < HexGeometry.distance(soldier, target) ? anthill : soldier;
+                        const fallback = this.planFallback(soldier, anchor, COMBAT_RULES.anthillBonusRadius, 'hold_anthill', 'critical', analysis);
+                        if (fallback) moves.push(fallback);
+                    } else {
+                        const path = this.findPath(soldier, this.getEngagePoint(soldier, target, tracker), analysis);
                         
                         if (path && path.length > 0) {
                             moves.push({
@@ -122,16 +276,24 @@ class CombatManager {
         
         if (healthySoldiers.length > 0) {
             const nearbyEnemies = enemyUnits.filter(enemy => 
-                healthySoldiers.some(soldier => this.calculateDistance(soldier, enemy) <= 20)
+                healthySoldiers.some(soldier => HexGeometry.distance(soldier, enemy) <= 20)
             );
             
             if (nearbyEnemies.length > 0) {
                 // FOCUS FIRE: All soldiers target the same enemy (highest priority)
-                const priorityTarget = this.selectPriorityTarget(nearbyEnemies, anthill, myUnits);
+                const priorityTarget = this.selectPriorityTarget(nearbyEnemies, anthill, myUnits, tracker);
+                const attackers = healthySoldiers.filter(soldier => HexGeometry.distance(soldier, priorityTarget) <= 20);
+                const engagement = this.assessEngagement(priorityTarget, attackers, enemyUnits, analysis);
                 
-                healthySoldiers.forEach(soldier => {
-                    if (this.calculateDistance(soldier, priorityTarget) <= 20) {
-                        const path = this.findPath(soldier, priorityTarget, analysis);
+                attackers.forEach(soldier => {
+                    if (engagement.decision !== CombatPredictor.DECISIONS.ENGAGE && !this.isInContact(soldier, enemyUnits)) {
+                        // Outmatched: fall back to the anthill; too costly to call: wait just out of reach
+                        const fallback = engagement.decision === CombatPredictor.DECISIONS.RETREAT && anthill
+                            ? this.planFallback(soldier, anthill, COMBAT_RULES.anthillBonusRadius, 'retreat_outmatched', 'high', analysis)
+                            : this.planFallback(soldier, this.getHoldPoint(priorityTarget, anthill || soldier), 1, 'hold_position', 'high', analysis);
+                        if (fallback) moves.push(fallback);
+                    } else {
+                        const path = this.findPath(soldier, this.getEngagePoint(soldier, priorityTarget, tracker), analysis);
                         
                         if (path && path.length > 0) {
                             moves.push({
@@ -150,7 +312,11 @@ class CombatManager {
             }
         }
         
-        // Priority 4: Patrol for soldiers without combat tasks
+        // Priority 4: Patrol for soldiers without combat tasks (only if the turn budget allows)
+        if (budget && budget.isExhausted()) {
+            budget.recordSkipped('patrol');
+            return moves;
+        }
         healthySoldiers.forEach(soldier => {
             // Check if this soldier already has a combat assignment
             const hasAssignment = moves.some(move => move.unit_id === soldier.id);
@@ -179,6 +345,69 @@ class CombatManager {
         return moves;
     }
     
+    /**
+     * Predicts the local fight around a target: our soldiers plus any of our ants next to it
+     * against the enemies grouped around it.
+     * @param {Object} target - Enemy the soldiers would attack
+     * @param {Array} soldiers - Soldiers that would take part
+     * @param {Array} enemies - Candidate enemies (only those near the target join the fight)
+     * @param {Object} analysis - Game state analysis
+     * @returns {Object} CombatPredictor.evaluate() result with decision
+     */
+    assessEngagement(target, soldiers, enemies, analysis) {
+        const soldierIds = new Set(soldiers.map(soldier => soldier.id));
+        const bystanders = analysis.units.myUnits.filter(unit =>
+            unit.type !== this.unitTypes.ANTHILL && !soldierIds.has(unit.id) && HexGeometry.distance(unit, target) <= 1
+        );
+        const group = enemies.filter(enemy => enemy === target || HexGeometry.distance(enemy, target) <= this.engagementRadius);
+        if (!group.includes(target)) {
+            group.push(target);
+        }
+
+        const enemyAnthills = analysis.memory ? analysis.memory.getEnemyAnthills() : [];
+        const enemyAnthill = enemyAnthills.find(hill => HexGeometry.distance(hill, target) <= COMBAT_RULES.anthillBonusRadius) || null;
+        const engagement = this.predictor.evaluate([...soldiers, ...bystanders], group, {
+            myAnthill: analysis.units.anthill,
+            enemyAnthill
+        });
+
+        logger.info(`Engagement at (${target.q}, ${target.r}): ${soldiers.length + bystanders.length} vs ${group.length} -> ` +
+            `${engagement.outcome} in ${engagement.turns} turns, losses ${engagement.expectedLosses.allies}/${engagement.expectedLosses.enemies}, ${engagement.decision}`);
+        return engagement;
+    }
+
+    /**
+     * @param {Object} soldier - Our soldier
+     * @param {Array} enemies - Enemy units
+     * @returns {boolean} An enemy can strike the soldier next turn whatever it does
+     */
+    isInContact(soldier, enemies) {
+        return enemies.some(enemy => HexGeometry.distance(soldier, enemy) <= this.contactDistance);
+    }
+
+    /**
+     * Moves a soldier to within radius of an anchor, or keeps it in place if it is already there.
+     * @returns {Object|null} Movement command (empty path = stay) or null if no path exists
+     */
+    planFallback(soldier, anchor, radius, type, priority, analysis) {
+        const assignment = { type, target: anchor, priority };
+        if (HexGeometry.distance(soldier, anchor) <= radius) {
+            return { unit_id: soldier.id, path: [], assignment };
+        }
+        const path = this.findPath(soldier, anchor, analysis);
+        return path && path.length > 0 ? { unit_id: soldier.id, path, assignment } : null;
+    }
+
+    /**
+     * @param {Object} target - Enemy we are not ready to attack
+     * @param {Object} anchor - Our anthill (or the soldier itself)
+     * @returns {Object} Hex holdDistance away from the target towards the anchor
+     */
+    getHoldPoint(target, anchor) {
+        const line = HexGeometry.line(target, anchor);
+        return line[Math.min(this.holdDistance, line.length - 1)];
+    }
+
     /**
      * Gets a patrol point for a soldier around the anthill.
      * Enhanced with strategic positioning and bottleneck control.
@@ -189,9 +418,9 @@ class CombatManager {
      */
     getPatrolPoint(soldier, anthill, analysis) {
         const gameState = analysis.gameState;
-        const turn = gameState.turnNo || 0;
-        const enemyUnits = analysis.units.enemyUnits || [];
-        const discoveredEnemyAnthills = gameState.discoveredEnemyAnthills || [];
+        const turn = gameState.turnNo;
+        const enemyUnits = analysis.units.enemyUnits;
+        const discoveredEnemyAnthills = analysis.memory.getEnemyAnthills();
         
         // STRATEGIC INTELLIGENCE: If we know enemy positions, patrol strategically
         if (discoveredEnemyAnthills.length > 0) {
@@ -234,7 +463,7 @@ class CombatManager {
             r: enemyAnthill.r - anthill.r
         };
         
-        const threatDistance = this.calculateDistance(anthill, enemyAnthill);
+        const threatDistance = HexGeometry.distance(anthill, enemyAnthill);
         const normalizedThreat = {
             q: threatVector.q / threatDistance,
             r: threatVector.r / threatDistance
@@ -283,40 +512,30 @@ class CombatManager {
         const searchRadius = 8;
         
         // Generate candidate positions around the base intercept point
-        for (let dq = -searchRadius; dq <= searchRadius; dq++) {
-            for (let dr = -searchRadius; dr <= searchRadius; dr++) {
-                const distance = Math.max(Math.abs(dq), Math.abs(dr), Math.abs(-dq - dr));
-                if (distance > searchRadius) continue;
+        HexGeometry.range(basePoint, searchRadius).forEach(candidatePoint => {
+            const posKey = HexGeometry.key(candidatePoint);
+            const hexData = traversabilityMap.traversabilityMap.get(posKey);
+            
+            if (hexData && hexData.isWalkable) {
+                const distanceToBase = HexGeometry.distance(candidatePoint, anthill);
+                const distanceToBasePoint = HexGeometry.distance(candidatePoint, basePoint);
                 
-                const candidatePoint = {
-                    q: basePoint.q + dq,
-                    r: basePoint.r + dr
-                };
+                // Score based on low cost, moderate distance from base, close to intercept point
+                const costScore = Math.max(0.1, 5 / (hexData.cost + 1));
+                const distanceScore = Math.max(0.1, 1 / (1 + distanceToBasePoint * 0.2));
+                const baseDistanceScore = distanceToBase >= 10 ? 1.0 : 0.5; // Prefer positions not too close to base
                 
-                const posKey = `${candidatePoint.q},${candidatePoint.r}`;
-                const hexData = traversabilityMap.traversabilityMap.get(posKey);
+                const totalScore = costScore * distanceScore * baseDistanceScore;
                 
-                if (hexData && hexData.isWalkable) {
-                    const distanceToBase = this.calculateDistance(candidatePoint, anthill);
-                    const distanceToBasePoint = this.calculateDistance(candidatePoint, basePoint);
-                    
-                    // Score based on low cost, moderate distance from base, close to intercept point
-                    const costScore = Math.max(0.1, 5 / (hexData.cost + 1));
-                    const distanceScore = Math.max(0.1, 1 / (1 + distanceToBasePoint * 0.2));
-                    const baseDistanceScore = distanceToBase >= 10 ? 1.0 : 0.5; // Prefer positions not too close to base
-                    
-                    const totalScore = costScore * distanceScore * baseDistanceScore;
-                    
-                    candidates.push({
-                        q: candidatePoint.q,
-                        r: candidatePoint.r,
-                        cost: hexData.cost,
-                        score: totalScore,
-                        distanceToBase
-                    });
-                }
+                candidates.push({
+                    q: candidatePoint.q,
+                    r: candidatePoint.r,
+                    cost: hexData.cost,
+                    score: totalScore,
+                    distanceToBase
+                });
             }
-        }
+        });
         
         // Sort by score and return best candidate
         candidates.sort((a, b) => b.score - a.score);
@@ -402,7 +621,7 @@ class CombatManager {
         // Choose the most valuable cluster within reasonable distance
         const maxDefenseDistance = 30;
         const viableClusters = resourceClusters.filter(cluster => 
-            this.calculateDistance(anthill, cluster.center) <= maxDefenseDistance
+            HexGeometry.distance(anthill, cluster.center) <= maxDefenseDistance
         );
         
         if (viableClusters.length === 0) return null;
@@ -479,7 +698,7 @@ class CombatManager {
      */
     getDefensivePatrolPoint(soldier, anthill, analysis) {
         const patrolRadius = 15;
-        const currentDistance = this.calculateDistance(soldier, anthill);
+        const currentDistance = HexGeometry.distance(soldier, anthill);
         
         // Add randomness to make patrol less predictable
         const randomOffset = (Math.random() - 0.5) * Math.PI / 2; // ±45 degrees random
@@ -529,7 +748,7 @@ class CombatManager {
             resources.forEach((otherResource, otherIndex) => {
                 if (visited.has(otherIndex)) return;
                 
-                const distance = this.calculateDistance(resource, otherResource);
+                const distance = HexGeometry.distance(resource, otherResource);
                 if (distance <= clusterRadius) {
                     cluster.resources.push(otherResource);
                     cluster.totalValue += this.getResourceValue(otherResource);
@@ -575,24 +794,48 @@ class CombatManager {
             return this.pathValidator.validatePosition(pos, analysis.gameState);
         };
         
+        // Terrain-aware step cost: dirt is slower, acid is penalised, stone is impassable
+        const getCost = (pos) => {
+            return this.pathValidator.getTraversalWeight(pos, analysis.gameState);
+        };
+        
         // Use A* pathfinding
-        let path = this.pathfinder.findPath(unit, target, isWalkable, 50);
+        let path = this.pathfinder.findPath(unit, target, isWalkable, 50, getCost);
         
         // If no path found, try alternative
         if (!path || path.length === 0) {
-            path = this.pathfinder.findAlternativePath(unit, target, isWalkable, 50);
+            path = this.pathfinder.findAlternativePath(unit, target, isWalkable, 50, getCost);
         }
         
         return path;
     }
     
+    /**
+     * Where a soldier should head to meet an enemy: the predicted intercept point
+     * for a moving tracked enemy, otherwise the enemy's current (or predicted) position.
+     * @param {Object} soldier - Our soldier
+     * @param {Object} enemy - Enemy unit
+     * @param {EnemyTracker|null} tracker - Enemy tracks from the analysis
+     * @returns {Object} Target position
+     */
+    getEngagePoint(soldier, enemy, tracker) {
+        const track = tracker && enemy.id ? tracker.getTrack(enemy.id) : null;
+        if (!track || track.speed === 0) {
+            return enemy;
+        }
+        const intercept = tracker.getInterceptPoint(soldier, enemy.id);
+        return { q: intercept.q, r: intercept.r };
+    }
+
     /**
      * Selects the highest priority enemy target for focus fire.
      * @param {Array} enemies - Array of enemy units
      * @param {Object} anthill - Our anthill position
+     * @param {Array} myUnits - Our units
+     * @param {EnemyTracker|null} tracker - Enemy tracks; enemies heading for the anthill rank higher
      * @returns {Object} Highest priority enemy target
      */
-    selectPriorityTarget(enemies, anthill, myUnits = []) {
+    selectPriorityTarget(enemies, anthill, myUnits = [], tracker = null) {
         if (enemies.length === 1) return enemies[0];
         
         // Advanced threat assessment:
@@ -623,7 +866,7 @@ class CombatManager {
             score += economicThreat * 4; // Economic threats are critical
             
             // Factor 4: Traditional distance to anthill
-            const distanceToBase = anthill ? this.calculateDistance(enemy, anthill) : 50;
+            const distanceToBase = anthill ? HexGeometry.distance(enemy, anthill) : 50;
             score += Math.max(0, 30 - distanceToBase) * 2; // Reduced weight vs other factors
             
             // Factor 5: Ease of elimination (lower health = higher priority)
@@ -634,6 +877,12 @@ class CombatManager {
             // Factor 6: Unit type base threat
             const typeThreat = this.getUnitTypeThreat(enemy.type);
             score += typeThreat;
+
+            // Factor 7: Closing in on the anthill (by the tracked velocity)
+            const predicted = tracker && anthill ? tracker.predict(enemy.id, 2) : null;
+            if (predicted) {
+                score += Math.max(0, distanceToBase - HexGeometry.distance(predicted, anthill)) * 5;
+            }
             
             logger.debug(`Enemy threat score: ${enemy.type} at (${enemy.q}, ${enemy.r}) - DPS:${dps}, Attacking:${isAttackingOurUnits}, Economic:${economicThreat}, Distance:${distanceToBase}, Health:${health}, Total:${score}`);
             
@@ -678,7 +927,7 @@ class CombatManager {
         // An enemy is considered "attacking" if it's adjacent to any of our units
         // This indicates active combat
         return myUnits.some(myUnit => {
-            const distance = this.calculateDistance(enemy, myUnit);
+            const distance = HexGeometry.distance(enemy, myUnit);
             return distance <= 1; // Adjacent = in combat
         });
     }
@@ -695,7 +944,7 @@ class CombatManager {
         // Check how many workers are threatened by this enemy
         const threatenedWorkers = myUnits.filter(unit => {
             if (unit.type !== this.unitTypes.WORKER) return false;
-            const distance = this.calculateDistance(enemy, unit);
+            const distance = HexGeometry.distance(enemy, unit);
             return distance <= 3; // Within 3 hexes = threatening
         });
         
@@ -732,26 +981,6 @@ class CombatManager {
                 return 10;
         }
     }
-    
-    /**
-     * Calculates hexagonal distance between two positions.
-     * @param {Object} pos1 - First position
-     * @param {Object} pos2 - Second position
-     * @returns {number} Distance in hexes
-     */
-    calculateDistance(pos1, pos2) {
-        if (!pos1 || !pos2) return Infinity;
-        
-        const q1 = pos1.q || 0;
-        const r1 = pos1.r || 0;
-        const s1 = -q1 - r1;
-        
-        const q2 = pos2.q || 0;
-        const r2 = pos2.r || 0;
-        const s2 = -q2 - r2;
-        
-        return Math.max(Math.abs(q1 - q2), Math.abs(r1 - r2), Math.abs(s1 - s2));
-    }
 }
 
 module.exports = CombatManager;
\ No newline at end of file
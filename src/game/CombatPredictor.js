@@ -0,0 +1,168 @@
+const { UNIT_TYPES, UNIT_STATS, COMBAT_RULES } = require('../constants/GameConstants');
+const HexGeometry = require('../utils/HexGeometry');
+
+const DECISIONS = Object.freeze({
+    ENGAGE: 'engage',
+    HOLD: 'hold',
+    RETREAT: 'retreat'
+});
+
+/**
+ * Прогноз исхода локального боя по правилам сервера (см. заголовок GameEngine):
+ * каждый ход каждый муравей бьет самого слабого врага с силой UNIT_STATS.attack, урон одновременный;
+ * +50% к атаке, если рядом союзник, и +25% в пределах 2 гексов от своего муравейника (COMBAT_RULES).
+ *
+ * Бой разыгрывается по ходам на текущих позициях: считается, что обе группы сошлись вплотную,
+ * а поддержка есть у юнита, рядом с которым (supportRadius) остался живой союзник.
+ * Результат - исход, ходы до уничтожения противника и ожидаемые потери; decide() превращает его
+ * в решение для CombatManager: вступать в бой, держать позицию или отступать.
+ */
+class CombatPredictor {
+    static get DECISIONS() {
+        return DECISIONS;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {number} options.maxTurns - Сколько ходов боя разыгрывать
+     * @param {number} options.supportRadius - На каком расстоянии союзник дает бонус поддержки
+     * @param {number} options.drawMargin - Разница долей оставшегося здоровья, при которой затяжной бой - ничья
+     */
+    constructor(options = {}) {
+        this.maxTurns = options.maxTurns ?? 10;
+        this.supportRadius = options.supportRadius ?? 2;
+        this.drawMargin = options.drawMargin ?? 0.1;
+    }
+
+    /**
+     * @param {Array} allies - Наши юниты (q, r, type, health)
+     * @param {Array} enemies - Враги (q, r, type, health)
+     * @param {Object} context
+     * @param {Object|null} context.myAnthill - Наш муравейник
+     * @param {Object|null} context.enemyAnthill - Муравейник врага, если известен
+     * @returns {Object} { outcome: 'win'|'loss'|'draw', decisive, turns, turnsToKill, turnsToDie,
+     *     expectedLosses: { allies, enemies }, alliesLeft, enemiesLeft, healthLeft: { allies, enemies } }
+     */
+    predict(allies, enemies, context = {}) {
+        const ours = allies.map(unit => this.toFighter(unit, context.myAnthill));
+        const theirs = enemies.map(unit => this.toFighter(unit, context.enemyAnthill));
+
+        let turns = 0;
+        let turnsToKill = theirs.length === 0 ? 0 : null;
+        let turnsToDie = ours.length === 0 ? 0 : null;
+
+        while (turns < this.maxTurns && turnsToKill === null && turnsToDie === null) {
+            turns++;
+            const damageToTheirs = this.volley(ours, theirs);
+            const damageToOurs = this.volley(theirs, ours);
+            damageToTheirs.forEach((damage, fighter) => { fighter.health -= damage; });
+            damageToOurs.forEach((damage, fighter) => { fighter.health -= damage; });
+
+            if (alive(theirs).length === 0) turnsToKill = turns;
+            if (alive(ours).length === 0) turnsToDie = turns;
+        }
+
+        const healthLeft = { allies: healthShare(ours), enemies: healthShare(theirs) };
+        const decisive = turnsToKill !== null || turnsToDie !== null;
+        let outcome;
+        if (turnsToKill !== null && turnsToDie === null) {
+            outcome = 'win';
+        } else if (turnsToDie !== null && turnsToKill === null) {
+            outcome = 'loss';
+        } else if (decisive || Math.abs(healthLeft.allies - healthLeft.enemies) <= this.drawMargin) {
+            outcome = 'draw';
+        } else {
+            outcome = healthLeft.allies > healthLeft.enemies ? 'win' : 'loss';
+        }
+
+        return {
+            outcome,
+            decisive,
+            turns,
+            turnsToKill,
+            turnsToDie,
+            expectedLosses: {
+                allies: ours.length - alive(ours).length,
+                enemies: theirs.length - alive(theirs).length
+            },
+            alliesLeft: alive(ours).length,
+            enemiesLeft: alive(theirs).length,
+            healthLeft
+        };
+    }
+
+    /**
+     * @param {Object} prediction - Результат predict()
+     * @returns {string} CombatPredictor.DECISIONS: вступать, если побеждаем, теряя не больше, чем враг;
+     *     держать позицию при ничьей или слишком дорогой победе; отступать при поражении
+     */
+    decide(prediction) {
+        if (prediction.outcome === 'loss') {
+            return DECISIONS.RETREAT;
+        }
+        if (prediction.outcome === 'win' && prediction.expectedLosses.allies <= prediction.expectedLosses.enemies) {
+            return DECISIONS.ENGAGE;
+        }
+        return DECISIONS.HOLD;
+    }
+
+    /**
+     * Прогноз и решение за один вызов.
+     * @returns {Object} Прогноз с полем decision
+     */
+    evaluate(allies, enemies, context = {}) {
+        const prediction = this.predict(allies, enemies, context);
+        return { ...prediction, decision: this.decide(prediction) };
+    }
+
+    toFighter(unit, anthill) {
+        const stats = UNIT_STATS[unit.type] || UNIT_STATS[UNIT_TYPES.SOLDIER];
+        return {
+            id: unit.id,
+            q: unit.q,
+            r: unit.r,
+            attack: stats.attack,
+            maxHealth: stats.health,
+            health: unit.health ?? stats.health,
+            nearAnthill: !!anthill && HexGeometry.distance(unit, anthill) <= COMBAT_RULES.anthillBonusRadius
+        };
+    }
+
+    /**
+     * Урон одной стороны за ход: каждый бьет самого слабого живого врага.
+     * @returns {Map} fighter -> урон
+     */
+    volley(attackers, defenders) {
+        const damage = new Map();
+        const targets = alive(defenders);
+        if (targets.length === 0) return damage;
+
+        const weakest = targets.reduce((best, target) =>
+            (target.health < best.health || (target.health === best.health && String(target.id) < String(best.id))) ? target : best
+        );
+        const living = alive(attackers);
+        living.forEach(attacker => {
+            let multiplier = 1;
+            if (living.some(other => other !== attacker && HexGeometry.distance(other, attacker) <= this.supportRadius)) {
+                multiplier += COMBAT_RULES.supportBonus;
+            }
+            if (attacker.nearAnthill) {
+                multiplier += COMBAT_RULES.anthillBonus;
+            }
+            damage.set(weakest, (damage.get(weakest) || 0) + Math.round(attacker.attack * multiplier));
+        });
+        return damage;
+    }
+}
+
+function alive(fighters) {
+    return fighters.filter(fighter => fighter.health > 0);
+}
+
+function healthShare(fighters) {
+    const max = fighters.reduce((sum, fighter) => sum + fighter.maxHealth, 0);
+    const left = alive(fighters).reduce((sum, fighter) => sum + fighter.health, 0);
+    return max > 0 ? left / max : 0;
+}
+
+module.exports = CombatPredictor;
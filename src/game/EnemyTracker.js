@@ -0,0 +1,220 @@
+const { UNIT_STATS, UNIT_TYPE_NAMES } = require('../constants/GameConstants');
+const HexGeometry = require('../utils/HexGeometry');
+
+/**
+ * Треки вражеских муравьев по id между ходами: история позиций, оценка скорости и направления,
+ * ход последнего наблюдения и прогноз позиции на несколько ходов вперед.
+ *
+ * Скорость - среднее смещение за последние наблюдения (гексов за ход по осям q и r).
+ * Прогноз продолжает движение с этой скоростью; область прогноза - круг вокруг него, радиус
+ * которого растет с горизонтом (враг может свернуть), но не превышает то, что враг успеет пройти
+ * со своей скоростью из UNIT_STATS. Враг, ушедший из видимости, остается в треках еще forgetAfter
+ * ходов, пока его область прогноза не окажется целиком на видимых гексах.
+ */
+class EnemyTracker {
+    /**
+     * @param {Object} options
+     * @param {number} options.historyLength - Сколько последних позиций хранить
+     * @param {number} options.velocityWindow - По скольким последним наблюдениям считать скорость
+     * @param {number} options.forgetAfter - Через сколько ходов без наблюдения трек удаляется
+     * @param {number} options.headingUncertainty - Доля скорости, на которую растет радиус области за ход
+     */
+    constructor(options = {}) {
+        this.historyLength = options.historyLength ?? 8;
+        this.velocityWindow = options.velocityWindow ?? 3;
+        this.forgetAfter = options.forgetAfter ?? 10;
+        this.headingUncertainty = options.headingUncertainty ?? 0.5;
+
+        this.reset();
+    }
+
+    /**
+     * Очищает треки (новая игра).
+     */
+    reset() {
+        this.currentTurn = 0;
+
+        // Map: enemyId -> { id, type, health, positions: [{ q, r, turn }], firstSeenTurn, lastSeenTurn, velocity }
+        this.tracks = new Map();
+    }
+
+    /**
+     * Добавляет наблюдения текущего хода и удаляет треки, которые больше не имеют смысла.
+     * Если номер хода уменьшился, началась новая игра и треки сбрасываются.
+     * @param {Object} gameState - Каноническое состояние игры
+     */
+    update(gameState) {
+        const turn = gameState.turnNo;
+        if (turn < this.currentTurn) {
+            this.reset();
+        }
+        this.currentTurn = turn;
+
+        gameState.enemies.forEach(enemy => {
+            const track = this.tracks.get(enemy.id) || {
+                id: enemy.id,
+                type: enemy.type,
+                positions: [],
+                firstSeenTurn: turn,
+                velocity: { q: 0, r: 0 }
+            };
+            const last = track.positions[track.positions.length - 1];
+            if (!last || last.turn !== turn) {
+                track.positions.push({ q: enemy.q, r: enemy.r, turn });
+            }
+            if (track.positions.length > this.historyLength) {
+                track.positions.shift();
+            }
+            track.type = enemy.type;
+            track.health = enemy.health;
+            track.lastSeenTurn = turn;
+            track.velocity = this.estimateVelocity(track.positions);
+            this.tracks.set(enemy.id, track);
+        });
+
+        const visible = new Set(gameState.map.map(hex => HexGeometry.key(hex)));
+        for (const [id, track] of this.tracks) {
+            const age = turn - track.lastSeenTurn;
+            if (age === 0) continue;
+
+            const region = this.predictRegion(track, 0);
+            const regionVisible = HexGeometry.range(region.center, region.radius).every(hex => visible.has(HexGeometry.key(hex)));
+            if (age > this.forgetAfter || regionVisible) {
+                this.tracks.delete(id);
+            }
+        }
+    }
+
+    /**
+     * @param {Array} positions - История позиций { q, r, turn }
+     * @returns {Object} Среднее смещение за ход { q, r }
+     */
+    estimateVelocity(positions) {
+        const window = positions.slice(-this.velocityWindow);
+        if (window.length < 2) {
+            return { q: 0, r: 0 };
+        }
+        const first = window[0];
+        const last = window[window.length - 1];
+        const turns = last.turn - first.turn;
+        return { q: (last.q - first.q) / turns, r: (last.r - first.r) / turns };
+    }
+
+    /**
+     * @param {string} id - Id врага
+     * @returns {Object|null} Трек с производными полями или null
+     */
+    getTrack(id) {
+        const track = this.tracks.get(id);
+        return track ? this.describe(track) : null;
+    }
+
+    /**
+     * @returns {Array} Все треки; visible = false у врагов, которых на этом ходу не видно
+     */
+    getTracks() {
+        return Array.from(this.tracks.values()).map(track => this.describe(track));
+    }
+
+    /**
+     * Враги, недавно ушедшие из видимости, с прогнозом позиции на текущий ход.
+     * @param {number} maxAge - Не старше стольких ходов
+     * @returns {Array} Юниты { id, type, q, r, health, predicted: true, age, radius }
+     */
+    getLostEnemies(maxAge = 2) {
+        return Array.from(this.tracks.values())
+            .filter(track => {
+                const age = this.currentTurn - track.lastSeenTurn;
+                return age > 0 && age <= maxAge;
+            })
+            .map(track => {
+                const region = this.predictRegion(track, 0);
+                return {
+                    id: track.id,
+                    type: track.type,
+                    q: region.center.q,
+                    r: region.center.r,
+                    health: track.health,
+                    predicted: true,
+                    age: this.currentTurn - track.lastSeenTurn,
+                    radius: region.radius
+                };
+            });
+    }
+
+    describe(track) {
+        const { q, r } = track.velocity;
+        const speed = (Math.abs(q) + Math.abs(r) + Math.abs(q + r)) / 2;
+        const last = track.positions[track.positions.length - 1];
+        const heading = speed > 0
+            ? HexGeometry.directionTo(last, HexGeometry.round(last.q + q * 3, last.r + r * 3))
+            : -1;
+
+        return {
+            id: track.id,
+            type: track.type,
+            typeName: UNIT_TYPE_NAMES[track.type],
+            health: track.health,
+            positions: track.positions.map(position => ({ ...position })),
+            firstSeenTurn: track.firstSeenTurn,
+            lastSeenTurn: track.lastSeenTurn,
+            visible: track.lastSeenTurn === this.currentTurn,
+            velocity: { ...track.velocity },
+            speed,
+            heading
+        };
+    }
+
+    /**
+     * @param {string} id - Id врага
+     * @param {number} turnsAhead - Через сколько ходов от текущего
+     * @returns {Object|null} Ожидаемая позиция { q, r } или null, если трека нет
+     */
+    predict(id, turnsAhead = 1) {
+        const track = this.tracks.get(id);
+        return track ? this.predictRegion(track, turnsAhead).center : null;
+    }
+
+    /**
+     * @param {Object|string} trackOrId - Трек или id врага
+     * @param {number} turnsAhead - Через сколько ходов от текущего
+     * @returns {Object|null} { center, radius }: враг с большой вероятностью в пределах radius от center
+     */
+    predictRegion(trackOrId, turnsAhead = 1) {
+        const track = typeof trackOrId === 'object' ? trackOrId : this.tracks.get(trackOrId);
+        if (!track) return null;
+
+        const last = track.positions[track.positions.length - 1];
+        const elapsed = this.currentTurn - last.turn + turnsAhead;
+        const center = HexGeometry.round(last.q + track.velocity.q * elapsed, last.r + track.velocity.r * elapsed);
+
+        // Дальше, чем враг может пройти, он не уйдет; а с учетом прогноза скорости - еще ближе
+        const maxSpeed = UNIT_STATS[track.type]?.speed ?? 4;
+        const reachable = maxSpeed * elapsed;
+        const radius = Math.min(reachable, Math.ceil(elapsed * maxSpeed * this.headingUncertainty));
+        return { center, radius };
+    }
+
+    /**
+     * Ближайшая прогнозная позиция врага, до которой юнит успевает дойти.
+     * @param {Object} unit - Наш юнит (q, r, type)
+     * @param {string} enemyId - Id врага
+     * @param {number} horizon - Сколько ходов вперед просматривать
+     * @returns {Object|null} { q, r, turns } или null, если трека нет
+     */
+    getInterceptPoint(unit, enemyId, horizon = 5) {
+        const track = this.tracks.get(enemyId);
+        if (!track) return null;
+
+        const speed = UNIT_STATS[unit.type]?.speed ?? 4;
+        for (let turns = 1; turns <= horizon; turns++) {
+            const position = this.predictRegion(track, turns).center;
+            if (HexGeometry.distance(unit, position) <= speed * turns) {
+                return { ...position, turns };
+            }
+        }
+        return { ...this.predictRegion(track, horizon).center, turns: horizon };
+    }
+}
+
+module.exports = EnemyTracker;
@@ -0,0 +1,238 @@
+const { UNIT_TYPES, UNIT_STATS } = require('../constants/GameConstants');
+const HexGeometry = require('../utils/HexGeometry');
+
+const FORMATIONS = Object.freeze({
+    TRILEAF: 'trileaf',
+    WEDGE: 'wedge',
+    DEFENSIVE_RING: 'defensive_ring'
+});
+
+// Сколько бойцов нужно, чтобы построение имело смысл
+const MIN_MEMBERS = Object.freeze({
+    [FORMATIONS.TRILEAF]: 4,
+    [FORMATIONS.WEDGE]: 2,
+    [FORMATIONS.DEFENSIVE_RING]: 2
+});
+
+/**
+ * Построения солдат и разведчиков: трилистник, клин и оборонительное кольцо.
+ * Раньше жили в CombatManagerOld на декартовых x/y; здесь слоты считаются в осевых координатах
+ * от якоря построения и поворачиваются по направлению на цель (индекс HexGeometry.DIRECTIONS).
+ *
+ * - Трилистник: три солдата листьями вокруг якоря (вперед и вперед-вбок), разведчики на флангах за ними.
+ * - Клин: острие на якоре, остальные расходятся назад двумя лучами.
+ * - Оборонительное кольцо: солдаты на кольце вокруг муравейника ближе к угрозе, разведчики кольцом дальше.
+ *
+ * Группа движется как целое: якорь наступательного построения сдвигается по пути к цели на pace гексов,
+ * только когда все бойцы стоят в своих слотах. Если кто-то отстал или заблокирован, якорь ждет,
+ * а остальные держат строй; отставший дольше maxWait ходов исключается из построения.
+ * Слот на непроходимом гексе заменяется ближайшим проходимым.
+ */
+class FormationPlanner {
+    static get FORMATIONS() {
+        return FORMATIONS;
+    }
+
+    static get MIN_MEMBERS() {
+        return MIN_MEMBERS;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {number} options.cohesion - На каком расстоянии от слота боец считается в строю
+     * @param {number} options.maxWait - Сколько ходов ждать отставшего бойца
+     * @param {number} options.ringRadius - Радиус кольца солдат вокруг муравейника
+     * @param {number} options.standoff - На каком расстоянии от цели наступление останавливается
+     */
+    constructor(options = {}) {
+        this.cohesion = options.cohesion ?? 1;
+        this.maxWait = options.maxWait ?? 3;
+        this.ringRadius = options.ringRadius ?? 2;
+        this.standoff = options.standoff ?? 4;
+
+        this.reset();
+    }
+
+    /**
+     * Забывает текущее построение (новая игра или построение больше не нужно).
+     */
+    reset() {
+        // { type, anchor, facing, goal, excluded: Set(unitId), waiting: Map(unitId -> ходов вне строя) }
+        this.active = null;
+    }
+
+    /**
+     * Слоты построения на этот ход.
+     * @param {string} type - FormationPlanner.FORMATIONS
+     * @param {Array} members - Солдаты и разведчики
+     * @param {Object} options
+     * @param {Object} options.goal - Цель наступления или центр кольца (муравейник)
+     * @param {Object} options.facing - Куда развернуть кольцо (ближайшая угроза); для наступления - goal
+     * @param {Function} options.isPassable - (hex) => boolean
+     * @param {Function} options.findPath - (from, to) => массив гексов пути без начального или null
+     * @returns {Object|null} { type, anchor, facing, formed, advanced, slots: [{ unit, role, q, r }] }
+     *     или null, если бойцов меньше MIN_MEMBERS
+     */
+    plan(type, members, options) {
+        const state = this.getState(type, members, options.goal);
+        let active = members.filter(unit => !state.excluded.has(unit.id));
+        if (active.length < MIN_MEMBERS[type]) {
+            this.reset();
+            return null;
+        }
+
+        const defensive = type === FORMATIONS.DEFENSIVE_RING;
+        const lookAt = defensive ? (options.facing || options.goal) : options.goal;
+        const facing = HexGeometry.directionTo(state.anchor, lookAt);
+        if (facing !== -1) {
+            state.facing = facing;
+        }
+
+        let slots = this.assignSlots(type, state, active, options.isPassable);
+        const isLate = slot => HexGeometry.distance(slot.unit, slot) > this.cohesion;
+
+        // Отставший слишком долго больше не держит построение
+        slots.forEach(slot => {
+            const waited = isLate(slot) ? (state.waiting.get(slot.unit.id) || 0) + 1 : 0;
+            state.waiting.set(slot.unit.id, waited);
+            if (waited > this.maxWait) {
+                state.excluded.add(slot.unit.id);
+            }
+        });
+        if (active.some(unit => state.excluded.has(unit.id))) {
+            active = active.filter(unit => !state.excluded.has(unit.id));
+            if (active.length < MIN_MEMBERS[type]) {
+                this.reset();
+                return null;
+            }
+            slots = this.assignSlots(type, state, active, options.isPassable);
+        }
+        const formed = !slots.some(isLate);
+
+        let advanced = false;
+        if (!defensive && formed && HexGeometry.distance(state.anchor, options.goal) > this.standoff) {
+            const path = options.findPath(state.anchor, options.goal);
+            if (path && path.length > 0) {
+                const pace = this.getPace(active);
+                const steps = Math.min(pace, path.length, HexGeometry.distance(state.anchor, options.goal) - this.standoff);
+                state.anchor = path[steps - 1];
+                const newFacing = HexGeometry.directionTo(state.anchor, options.goal);
+                if (newFacing !== -1) {
+                    state.facing = newFacing;
+                }
+                slots = this.assignSlots(type, state, active, options.isPassable);
+                advanced = true;
+            }
+        }
+
+        return {
+            type,
+            anchor: { q: state.anchor.q, r: state.anchor.r },
+            facing: state.facing,
+            formed,
+            advanced,
+            slots: slots.map(slot => ({ unit: slot.unit, role: slot.role, q: slot.q, r: slot.r }))
+        };
+    }
+
+    getState(type, members, goal) {
+        const sameGoal = this.active && HexGeometry.distance(this.active.goal, goal) <= this.standoff;
+        if (!this.active || this.active.type !== type || !sameGoal) {
+            const anchor = type === FORMATIONS.DEFENSIVE_RING
+                ? { q: goal.q, r: goal.r }
+                : HexGeometry.round(
+                    members.reduce((sum, unit) => sum + unit.q, 0) / members.length,
+                    members.reduce((sum, unit) => sum + unit.r, 0) / members.length
+                );
+            this.active = { type, anchor, facing: 0, goal: { q: goal.q, r: goal.r }, excluded: new Set(), waiting: new Map() };
+        }
+        this.active.goal = { q: goal.q, r: goal.r };
+        return this.active;
+    }
+
+    /**
+     * Темп группы: половина хода самого медленного бойца, чтобы с запасом успевать на новый слот по грязи.
+     */
+    getPace(members) {
+        const slowest = Math.min(...members.map(unit => UNIT_STATS[unit.type]?.speed ?? 4));
+        return Math.max(1, Math.floor(slowest / 2));
+    }
+
+    /**
+     * Раскладывает бойцов по слотам: солдаты в боевые слоты, разведчики во фланговые, каждый - в ближайший свободный.
+     * @returns {Array} [{ unit, role, q, r }]
+     */
+    assignSlots(type, state, members, isPassable) {
+        const soldiers = members.filter(unit => unit.type === UNIT_TYPES.SOLDIER);
+        const scouts = members.filter(unit => unit.type !== UNIT_TYPES.SOLDIER);
+        const layout = this.getLayout(type, state.anchor, state.facing, soldiers.length, scouts.length);
+
+        const used = new Set();
+        const place = (units, slots) => {
+            const result = [];
+            const free = slots.map(slot => ({ ...slot, ...this.findPassable(slot, isPassable, used) }));
+            const remaining = [...units];
+            free.forEach(slot => {
+                if (remaining.length === 0) return;
+                remaining.sort((a, b) => HexGeometry.distance(a, slot) - HexGeometry.distance(b, slot));
+                const unit = remaining.shift();
+                used.add(HexGeometry.key(slot));
+                result.push({ unit, role: slot.role, q: slot.q, r: slot.r });
+            });
+            return result;
+        };
+
+        return [...place(soldiers, layout.main), ...place(scouts, layout.flank)];
+    }
+
+    /**
+     * Геометрия построения от якоря, повернутая на facing.
+     * @returns {Object} { main: слоты солдат, flank: слоты разведчиков } - гексы с полем role
+     */
+    getLayout(type, anchor, facing, soldierCount, scoutCount) {
+        const step = (from, direction, distance = 1) => HexGeometry.add(from, HexGeometry.scale(HexGeometry.DIRECTIONS[((facing + direction) % 6 + 6) % 6], distance));
+        const slot = (hex, role) => ({ q: hex.q, r: hex.r, role });
+
+        if (type === FORMATIONS.TRILEAF) {
+            return {
+                main: [
+                    slot(step(anchor, 0), 'assault'),
+                    slot(step(anchor, 1), 'assault'),
+                    slot(step(anchor, 5), 'assault'),
+                    slot(anchor, 'reserve')
+                ],
+                flank: [slot(step(anchor, 2), 'flanking'), slot(step(anchor, 4), 'flanking')]
+            };
+        }
+
+        if (type === FORMATIONS.WEDGE) {
+            const main = [slot(anchor, 'spearhead')];
+            for (let distance = 1; main.length < soldierCount + scoutCount; distance++) {
+                main.push(slot(step(anchor, 2, distance), 'support'), slot(step(anchor, 4, distance), 'support'));
+            }
+            // Клин - только солдаты, разведчики держат задние концы лучей
+            return { main: main.slice(0, soldierCount), flank: main.slice(soldierCount) };
+        }
+
+        // Кольцо: сначала гексы, обращенные к угрозе
+        const byFacing = radius => {
+            const front = HexGeometry.add(anchor, HexGeometry.scale(HexGeometry.DIRECTIONS[facing], radius));
+            return HexGeometry.ring(anchor, radius).sort((a, b) => HexGeometry.distance(a, front) - HexGeometry.distance(b, front));
+        };
+        return {
+            main: byFacing(this.ringRadius).map(hex => slot(hex, 'defender')),
+            flank: byFacing(this.ringRadius + 1).map(hex => slot(hex, 'picket'))
+        };
+    }
+
+    /**
+     * @returns {Object} Сам слот или ближайший к нему проходимый и незанятый гекс в радиусе 2
+     */
+    findPassable(slot, isPassable, used) {
+        const candidates = HexGeometry.spiral(slot, 2);
+        const hex = candidates.find(candidate => isPassable(candidate) && !used.has(HexGeometry.key(candidate)));
+        return hex ? { q: hex.q, r: hex.r } : { q: slot.q, r: slot.r };
+    }
+}
+
+module.exports = FormationPlanner;
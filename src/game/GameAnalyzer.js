@@ -7,6 +7,9 @@ const {
     FOOD_CALORIES,
     UNIT_STATS 
 } = require('../constants/GameConstants');
+const WorldMemory = require('./WorldMemory');
+const EnemyTracker = require('./EnemyTracker');
+const HexGeometry = require('../utils/HexGeometry');
 
 /**
  * Анализирует состояние игры и предоставляет метрики для принятия стратегических решений.
@@ -29,6 +32,12 @@ class GameAnalyzer {
         this.threatMap = new Map(); // key: "q,r", value: { interest: number, lastSeen: turn }
         this.enemySightingHistory = []; // Array of {position, turn, unitType}
         this.maxThreatMapSize = 1000; // Prevent memory bloat
+
+        // Разведанная местность, еда и муравейники врага вне текущей видимости
+        this.worldMemory = new WorldMemory();
+
+        // Треки врагов по id: скорость, прогноз позиции, недавно ушедшие из видимости
+        this.enemyTracker = new EnemyTracker();
     }
 
     /**
@@ -39,6 +48,8 @@ class GameAnalyzer {
     analyze(gameState) {
         // Update threat map with new enemy sightings
         this.updateThreatMap(gameState);
+        this.worldMemory.update(gameState);
+        this.enemyTracker.update(gameState);
         
         const analysis = {
             gamePhase: this.determineGamePhase(gameState),
@@ -49,6 +60,8 @@ class GameAnalyzer {
             economy: this.analyzeEconomy(gameState),
             threatMap: this.generateThreatMapAnalysis(gameState),
             traversabilityMap: this.analyzeTraversability(gameState),
+            memory: this.worldMemory,
+            enemyTracker: this.enemyTracker,
             gameState: gameState
         };
 
@@ -62,10 +75,10 @@ class GameAnalyzer {
      * @returns {string} Фаза игры: 'early', 'mid', 'late'
      */
     determineGamePhase(gameState) {
-        const turn = gameState.turnNo || 0;
-        const myUnits = (gameState.ants || []).filter(unit => unit.type !== 0);
-        const enemyUnits = (gameState.enemies || []).filter(unit => unit.type !== 0);
-        const discoveredEnemyAnthills = gameState.discoveredEnemyAnthills || [];
+        const turn = gameState.turnNo;
+        const myUnits = gameState.ants;
+        const enemyUnits = gameState.enemies;
+        const discoveredEnemyAnthills = this.worldMemory.getEnemyAnthills();
         
         // Event-based phase determination
         
@@ -101,9 +114,8 @@ class GameAnalyzer {
      * @returns {Object} Анализ юнитов с подсчетом, пропорциями и местоположением муравейника
      */
     analyzeUnits(gameState) {
-        // Фильтруем муравейники (type: 0) из обычных юнитов
-        const myUnits = (gameState.ants || []).filter(unit => unit.type !== 0);
-        const enemyUnits = (gameState.enemies || []).filter(unit => unit.type !== 0);
+        const myUnits = gameState.ants;
+        const enemyUnits = gameState.enemies;
 
         const unitCounts = {
             worker: 0,
@@ -143,7 +155,7 @@ class GameAnalyzer {
      */
     findAnthill(gameState) {
         // Ищем муравейник в home (массиве координат)
-        if (gameState.home && Array.isArray(gameState.home) && gameState.home.length > 0) {
+        if (gameState.home.length > 0) {
             const homePos = gameState.home[0];
             return { q: homePos.q, r: homePos.r };
         }
@@ -157,7 +169,7 @@ class GameAnalyzer {
      * @returns {Object} Анализ ресурсов с группировкой по типам, расстояниям и приоритетами
      */
     analyzeResources(gameState) {
-        const resources = gameState.food || [];
+        const resources = gameState.food;
         const anthill = this.findAnthill(gameState);
         
         // CRITICAL FIX: Exclude any resources that are at the anthill location
@@ -176,9 +188,15 @@ class GameAnalyzer {
         };
 
         const resourceDistances = this.calculateResourceDistances(resourcesByType, gameState);
+
+        // Еда, которую видели раньше, но сейчас она вне видимости
+        const remembered = this.worldMemory.getRememberedFood().filter(r =>
+            !anthill || r.q !== anthill.q || r.r !== anthill.r
+        );
         
         return {
             visible: validResources,
+            remembered,
             byType: resourcesByType,
             distances: resourceDistances,
             highValue: this.identifyHighValueResources(resourcesByType, resourceDistances)
@@ -200,7 +218,7 @@ class GameAnalyzer {
         Object.keys(resourcesByType).forEach(type => {
             distances[type] = resourcesByType[type].map(resource => ({
                 resource,
-                distance: this.calculateHexDistance(anthill, resource)
+                distance: HexGeometry.distance(anthill, resource)
             })).sort((a, b) => a.distance - b.distance);
         });
 
@@ -238,20 +256,22 @@ class GameAnalyzer {
      * @returns {Object} Анализ угроз с уровнями опасности и классификацией по расстоянию
      */
     analyzeThreats(gameState) {
-        // Фильтруем муравейники (type: 0) из обычных юнитов
-        const myUnits = (gameState.ants || []).filter(unit => unit.type !== 0);
-        const enemyUnits = (gameState.enemies || []).filter(unit => unit.type !== 0);
+        const myUnits = gameState.ants;
         const anthill = this.findAnthill(gameState);
+        // Враг, только что ушедший из видимости, остается угрозой на прогнозной позиции
+        const enemyUnits = [...gameState.enemies, ...this.enemyTracker.getLostEnemies()];
 
         const threats = enemyUnits.map(enemy => {
-            const distanceToAnthill = anthill ? this.calculateHexDistance(anthill, enemy) : Infinity;
-            const nearbyAllies = myUnits.filter(ally => this.calculateHexDistance(ally, enemy) <= 3);
+            const distanceToAnthill = anthill ? HexGeometry.distance(anthill, enemy) : Infinity;
+            const nearbyAllies = myUnits.filter(ally => HexGeometry.distance(ally, enemy) <= 3);
+            const threatLevel = this.calculateThreatLevel(enemy, distanceToAnthill, nearbyAllies.length);
             
             return {
                 unit: enemy,
                 distanceToAnthill,
-                threatLevel: this.calculateThreatLevel(enemy, distanceToAnthill, nearbyAllies.length),
-                nearbyAllies: nearbyAllies.length
+                threatLevel: enemy.predicted ? threatLevel / (enemy.age + 1) : threatLevel,
+                nearbyAllies: nearbyAllies.length,
+                predicted: !!enemy.predicted
             };
         });
 
@@ -316,9 +336,8 @@ class GameAnalyzer {
      * @returns {Object} Анализ территории с контролируемой областью, спорными зонами и возможностями расширения
      */
     analyzeTerritory(gameState) {
-        // Фильтруем муравейники (type: 0) из обычных юнитов
-        const myUnits = (gameState.ants || []).filter(unit => unit.type !== 0);
-        const enemyUnits = (gameState.enemies || []).filter(unit => unit.type !== 0);
+        const myUnits = gameState.ants;
+        const enemyUnits = gameState.enemies;
         
         const controlledArea = this.calculateControlledArea(myUnits);
         const contested = this.findContestedAreas(myUnits, enemyUnits);
@@ -340,13 +359,7 @@ class GameAnalyzer {
         
         myUnits.forEach(unit => {
             const vision = this.getUnitVision(unit.type);
-            for (let dq = -vision; dq <= vision; dq++) {
-                for (let dr = -vision; dr <= vision; dr++) {
-                    if (this.calculateHexDistance({q: 0, r: 0}, {q: dq, r: dr}) <= vision) {
-                        controlledCells.add(`${unit.q + dq},${unit.r + dr}`);
-                    }
-                }
-            }
+            HexGeometry.range(unit, vision).forEach(hex => controlledCells.add(HexGeometry.key(hex)));
         });
         
         return controlledCells.size;
@@ -380,7 +393,7 @@ class GameAnalyzer {
         
         myUnits.forEach(myUnit => {
             const nearbyEnemies = enemyUnits.filter(enemy => 
-                this.calculateHexDistance(myUnit, enemy) <= 5
+                HexGeometry.distance(myUnit, enemy) <= 5
             );
             
             if (nearbyEnemies.length > 0) {
@@ -402,19 +415,19 @@ class GameAnalyzer {
      * @returns {Array} Список возможностей расширения, отсортированный по эффективности
      */
     identifyExpansionOpportunities(myUnits, gameState) {
-        const resources = gameState.food || [];
+        const resources = gameState.food;
         const opportunities = [];
         
         resources.forEach(resource => {
             const nearbyUnits = myUnits.filter(unit => 
-                this.calculateHexDistance(unit, resource) <= 8
+                HexGeometry.distance(unit, resource) <= 8
             );
             
             if (nearbyUnits.length === 0) {
                 opportunities.push({
                     resource,
                     distance: this.findNearestUnitDistance(resource, myUnits),
-                    value: this.resourceCalories[resource.type] || 0
+                    value: this.foodCalories[resource.type] || 0
                 });
             }
         });
@@ -425,11 +438,11 @@ class GameAnalyzer {
     findNearestUnitDistance(target, units) {
         if (units.length === 0) return Infinity;
         
-        return Math.min(...units.map(unit => this.calculateHexDistance(unit, target)));
+        return Math.min(...units.map(unit => HexGeometry.distance(unit, target)));
     }
 
     analyzeEconomy(gameState) {
-        const score = gameState.score || 0;
+        const score = gameState.score;
         const caloriesPerTurn = this.estimateCaloriesPerTurn(gameState);
         const units = this.analyzeUnits(gameState);
         
@@ -437,12 +450,12 @@ class GameAnalyzer {
             score,
             caloriesPerTurn,
             efficiency: this.calculateEconomicEfficiency(units, caloriesPerTurn),
-            targets: this.getEconomicTargets(gameState.turnNo || 0)
+            targets: this.getEconomicTargets(gameState.turnNo)
         };
     }
 
     estimateCaloriesPerTurn(gameState) {
-        const myUnits = gameState.ants || [];
+        const myUnits = gameState.ants;
         let estimated = 0;
         
         myUnits.forEach(unit => {
@@ -473,30 +486,14 @@ class GameAnalyzer {
             return { caloriesPerTurn: 800, totalCalories: 30000 };
         }
     }
-
-    calculateHexDistance(pos1, pos2) {
-        if (!pos1 || !pos2) return Infinity;
-        
-        // Конвертируем из hex координат (q, r) в кубические координаты
-        const q1 = pos1.q || 0;
-        const r1 = pos1.r || 0;
-        const s1 = -q1 - r1;
-        
-        const q2 = pos2.q || 0;
-        const r2 = pos2.r || 0;
-        const s2 = -q2 - r2;
-        
-        // Расстояние в кубических координатах
-        return Math.max(Math.abs(q1 - q2), Math.abs(r1 - r2), Math.abs(s1 - s2));
-    }
     
     /**
      * Updates the threat map with new enemy sightings.
      * @param {Object} gameState - Current game state
      */
     updateThreatMap(gameState) {
-        const currentTurn = gameState.turnNo || 0;
-        const enemies = gameState.enemies || [];
+        const currentTurn = gameState.turnNo;
+        const enemies = gameState.enemies;
         
         // Process new enemy sightings
         enemies.forEach(enemy => {
@@ -542,26 +539,21 @@ class GameAnalyzer {
         
         // Update interest in a radius around the sighting
         const interestRadius = 8;
-        for (let dq = -interestRadius; dq <= interestRadius; dq++) {
-            for (let dr = -interestRadius; dr <= interestRadius; dr++) {
-                const distance = Math.max(Math.abs(dq), Math.abs(dr), Math.abs(-dq - dr));
-                if (distance > interestRadius) continue;
-                
-                const targetQ = q + dq;
-                const targetR = r + dr;
-                const posKey = `${targetQ},${targetR}`;
-                
-                // Interest decreases with distance
-                const distanceMultiplier = Math.max(0.1, 1 - (distance / interestRadius));
-                const interest = baseInterest * distanceMultiplier;
-                
-                const currentData = this.threatMap.get(posKey) || { interest: 0, lastSeen: 0 };
-                this.threatMap.set(posKey, {
-                    interest: Math.max(currentData.interest, interest),
-                    lastSeen: turn
-                });
-            }
-        }
+        const center = { q, r };
+        HexGeometry.range(center, interestRadius).forEach(hex => {
+            const distance = HexGeometry.distance(center, hex);
+            const posKey = HexGeometry.key(hex);
+            
+            // Interest decreases with distance
+            const distanceMultiplier = Math.max(0.1, 1 - (distance / interestRadius));
+            const interest = baseInterest * distanceMultiplier;
+            
+            const currentData = this.threatMap.get(posKey) || { interest: 0, lastSeen: 0 };
+            this.threatMap.set(posKey, {
+                interest: Math.max(currentData.interest, interest),
+                lastSeen: turn
+            });
+        });
         
         // Manage map size to prevent memory issues
         if (this.threatMap.size > this.maxThreatMapSize) {
@@ -616,8 +608,8 @@ class GameAnalyzer {
      * @returns {Object} Threat map analysis
      */
     generateThreatMapAnalysis(gameState) {
-        const currentTurn = gameState.turnNo || 0;
-        const anthill = gameState.ants?.find(ant => ant.type === 0); // Find our anthill
+        const currentTurn = gameState.turnNo;
+        const anthill = this.findAnthill(gameState);
         
         if (!anthill) {
             return {
@@ -635,7 +627,7 @@ class GameAnalyzer {
             if (data.interest > 5) { // Significant interest threshold
                 const [q, r] = posKey.split(',').map(Number);
                 const position = { q, r };
-                const distance = this.calculateHexDistance(anthill, position);
+                const distance = HexGeometry.distance(anthill, position);
                 
                 highInterestAreas.push({
                     position,
@@ -705,21 +697,15 @@ class GameAnalyzer {
             if (area.distance <= maxScoutDistance) {
                 // Create exploration targets around the area of interest
                 const explorationRadius = 5;
-                const directions = [
-                    { q: 1, r: 0 }, { q: 0, r: 1 }, { q: -1, r: 1 },
-                    { q: -1, r: 0 }, { q: 0, r: -1 }, { q: 1, r: -1 }
-                ];
-                
-                directions.forEach(dir => {
+                HexGeometry.DIRECTIONS.forEach(dir => {
                     const target = {
-                        q: area.position.q + dir.q * explorationRadius,
-                        r: area.position.r + dir.r * explorationRadius,
+                        ...HexGeometry.add(area.position, HexGeometry.scale(dir, explorationRadius)),
                         priority: area.interest,
                         reason: 'threat_area_exploration',
                         sourceInterest: area.interest
                     };
                     
-                    const targetDistance = this.calculateHexDistance(anthill, target);
+                    const targetDistance = HexGeometry.distance(anthill, target);
                     if (targetDistance <= maxScoutDistance) {
                         targets.push(target);
                     }
@@ -743,16 +729,6 @@ class GameAnalyzer {
         const explorationTargets = [];
         const avoidanceZones = [];
         
-        // If no map data, return empty analysis
-        if (!gameState.map || !Array.isArray(gameState.map)) {
-            return {
-                traversabilityMap,
-                explorationTargets: [],
-                avoidanceZones: [],
-                recommendedPaths: []
-            };
-        }
-        
         // Analyze each hex on the map
         gameState.map.forEach(hex => {
             if (!hex || hex.q === undefined || hex.r === undefined) return;
@@ -828,7 +804,7 @@ class GameAnalyzer {
         const anthill = this.findAnthill(gameState);
         if (!anthill) return true;
         
-        const distance = this.calculateHexDistance(anthill, position);
+        const distance = HexGeometry.distance(anthill, position);
         
         // Good exploration targets are:
         // 1. Not too close to base (>5 hexes)
@@ -844,10 +820,10 @@ class GameAnalyzer {
      * @returns {boolean} True if already explored
      */
     isAlreadyExplored(position, gameState) {
-        const myUnits = (gameState.ants || []).filter(unit => unit.type !== 0);
+        const myUnits = gameState.ants;
         
         return myUnits.some(unit => {
-            const distance = this.calculateHexDistance(position, unit);
+            const distance = HexGeometry.distance(position, unit);
             return distance <= 3; // Consider explored if unit within 3 hexes
         });
     }
@@ -863,7 +839,7 @@ class GameAnalyzer {
         
         const anthill = this.findAnthill(gameState);
         if (anthill) {
-            const distance = this.calculateHexDistance(anthill, position);
+            const distance = HexGeometry.distance(anthill, position);
             
             // Moderate distance is best (not too close, not too far)
             if (distance >= 10 && distance <= 25) {
@@ -874,8 +850,8 @@ class GameAnalyzer {
         }
         
         // Check if there are resources nearby (makes exploration more valuable)
-        const nearbyResources = (gameState.food || []).filter(resource => {
-            const distance = this.calculateHexDistance(position, resource);
+        const nearbyResources = gameState.food.filter(resource => {
+            const distance = HexGeometry.distance(position, resource);
             return distance <= 5;
         });
         priority += nearbyResources.length * 5;
@@ -903,7 +879,7 @@ class GameAnalyzer {
         if (!anthill || traversabilityMap.size === 0) return paths;
         
         // Find key strategic positions
-        const resources = gameState.food || [];
+        const resources = gameState.food;
         const keyPositions = [anthill, ...resources.slice(0, 5)]; // Anthill + top 5 resources
         
         // For each key position, find the best route from anthill
@@ -932,7 +908,7 @@ class GameAnalyzer {
      */
     findOptimalPath(start, end, traversabilityMap) {
         // Simple implementation: check direct path costs
-        const distance = this.calculateHexDistance(start, end);
+        const distance = HexGeometry.distance(start, end);
         if (distance === 0) return null;
         
         let totalCost = 0;
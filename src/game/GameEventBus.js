@@ -0,0 +1,91 @@
+const logger = require('../utils/Logger');
+
+const EVENTS = Object.freeze({
+    ANT_SPAWNED: 'AntSpawned',
+    ANT_DIED: 'AntDied',
+    DAMAGE_TAKEN: 'DamageTaken',
+    ENEMY_SPOTTED: 'EnemySpotted',
+    ENEMY_KILLED: 'EnemyKilled',
+    ENEMY_LOST: 'EnemyLost',
+    FOOD_PICKED_UP: 'FoodPickedUp',
+    FOOD_DELIVERED: 'FoodDelivered',
+    CARGO_LOST: 'CargoLost',
+    ANTHILL_ATTACKED: 'AnthillAttacked',
+    PHASE_CHANGED: 'PhaseChanged',
+    RECOVERY_MODE_ENTERED: 'RecoveryModeEntered',
+    RECOVERY_MODE_EXITED: 'RecoveryModeExited'
+});
+
+/**
+ * Шина игровых событий. GameEventDetector превращает разницу соседних состояний в типизированные
+ * события, GameBot публикует их здесь, а подписчики (GameLogger, WebSocketServer, StrategyManager)
+ * реагируют каждый по-своему, не зная друг о друге.
+ *
+ * Событие - объект { type, turn, ...данные }, где type - одно из GameEventBus.EVENTS.
+ * Ошибка в подписчике пишется в лог и не прерывает ход и других подписчиков.
+ */
+class GameEventBus {
+    static get EVENTS() {
+        return EVENTS;
+    }
+
+    constructor() {
+        // Map: type -> [handler]; '*' - подписчики на все события
+        this.handlers = new Map();
+        this.types = new Set(Object.values(EVENTS));
+    }
+
+    /**
+     * @param {string} type - Тип события (GameEventBus.EVENTS)
+     * @param {Function} handler - Вызывается с объектом события
+     * @returns {Function} Отписка
+     */
+    on(type, handler) {
+        if (type !== '*' && !this.types.has(type)) {
+            throw new Error(`Unknown game event type: ${type}`);
+        }
+        const handlers = this.handlers.get(type) || [];
+        handlers.push(handler);
+        this.handlers.set(type, handlers);
+
+        return () => {
+            const current = this.handlers.get(type) || [];
+            this.handlers.set(type, current.filter(existing => existing !== handler));
+        };
+    }
+
+    /**
+     * Подписка на все события (лог, визуализатор).
+     * @param {Function} handler - Вызывается с объектом события
+     * @returns {Function} Отписка
+     */
+    onAny(handler) {
+        return this.on('*', handler);
+    }
+
+    /**
+     * @param {Object} event - { type, turn, ... }
+     */
+    emit(event) {
+        if (!this.types.has(event.type)) {
+            throw new Error(`Unknown game event type: ${event.type}`);
+        }
+        const handlers = [...(this.handlers.get(event.type) || []), ...(this.handlers.get('*') || [])];
+        handlers.forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                logger.error(`Game event ${event.type} handler failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * @param {Array} events - События в порядке обнаружения
+     */
+    emitAll(events) {
+        events.forEach(event => this.emit(event));
+    }
+}
+
+module.exports = GameEventBus;
@@ -0,0 +1,135 @@
+const { UNIT_TYPE_NAMES } = require('../constants/GameConstants');
+const HexGeometry = require('../utils/HexGeometry');
+const { EVENTS } = require('./GameEventBus');
+
+/**
+ * Превращает разницу двух соседних состояний игры в типизированные события GameEventBus.
+ *
+ * Враг, пропавший из вида рядом с нашим муравьем, считается убитым (EnemyKilled): бой идет
+ * только между соседними гексами. Пропавший вдали от наших муравьев враг просто ушел
+ * из видимости (EnemyLost). Подборы, доставки и потери груза считает CargoTracker,
+ * здесь они только встают в общий список событий хода.
+ */
+class GameEventDetector {
+    /**
+     * @param {Object} options
+     * @param {number} options.anthillAttackRadius - На каком расстоянии от гекса муравейника враг считается нападающим
+     */
+    constructor(options = {}) {
+        this.anthillAttackRadius = options.anthillAttackRadius ?? 1;
+    }
+
+    /**
+     * @param {Object|null} previousState - Состояние прошлого хода (на первом ходу событий нет)
+     * @param {Object} currentState - Текущее каноническое состояние
+     * @param {Array} cargoEvents - События CargoTracker.update за этот ход
+     * @returns {Array} События хода
+     */
+    detect(previousState, currentState, cargoEvents = []) {
+        if (!previousState) {
+            return [];
+        }
+
+        const turn = currentState.turnNo;
+        const events = [];
+        const previousAnts = new Map(previousState.ants.map(ant => [ant.id, ant]));
+        const currentAnts = new Map(currentState.ants.map(ant => [ant.id, ant]));
+        const previousEnemies = new Map(previousState.enemies.map(enemy => [enemy.id, enemy]));
+        const currentEnemies = new Map(currentState.enemies.map(enemy => [enemy.id, enemy]));
+
+        currentState.ants.forEach(ant => {
+            if (!previousAnts.has(ant.id)) {
+                events.push({ type: EVENTS.ANT_SPAWNED, turn, ant: describe(ant) });
+            }
+        });
+
+        const damaged = [];
+        previousState.ants.forEach(before => {
+            const after = currentAnts.get(before.id);
+            if (!after) {
+                events.push({ type: EVENTS.ANT_DIED, turn, ant: describe(before) });
+            } else if (after.health < before.health) {
+                damaged.push(after);
+                events.push({
+                    type: EVENTS.DAMAGE_TAKEN,
+                    turn,
+                    ant: describe(after),
+                    damage: before.health - after.health,
+                    health: after.health
+                });
+            }
+        });
+
+        currentState.enemies.forEach(enemy => {
+            if (!previousEnemies.has(enemy.id)) {
+                events.push({ type: EVENTS.ENEMY_SPOTTED, turn, enemy: describe(enemy) });
+            }
+        });
+
+        previousState.enemies.forEach(enemy => {
+            if (currentEnemies.has(enemy.id)) return;
+            const engaged = previousState.ants.some(ant => HexGeometry.distance(ant, enemy) <= 1);
+            events.push({ type: engaged ? EVENTS.ENEMY_KILLED : EVENTS.ENEMY_LOST, turn, enemy: describe(enemy) });
+        });
+
+        events.push(...cargoEvents);
+
+        const attack = this.detectAnthillAttack(currentState, damaged);
+        if (attack) {
+            events.push({ type: EVENTS.ANTHILL_ATTACKED, turn, ...attack });
+        }
+
+        return events;
+    }
+
+    /**
+     * Муравейник атакован, если враг стоит на его гексе или рядом либо наш муравей на муравейнике получил урон.
+     * @returns {Object|null} { attackers, damagedAnts } или null
+     */
+    detectAnthillAttack(currentState, damaged) {
+        const home = currentState.home;
+        if (home.length === 0) return null;
+
+        const nearHome = unit => home.some(hex => HexGeometry.distance(hex, unit) <= this.anthillAttackRadius);
+        const onHome = unit => home.some(hex => hex.q === unit.q && hex.r === unit.r);
+
+        const attackers = currentState.enemies.filter(nearHome);
+        const damagedAnts = damaged.filter(onHome);
+        if (attackers.length === 0 && damagedAnts.length === 0) return null;
+
+        return {
+            attackers: attackers.map(describe),
+            damagedAnts: damagedAnts.map(ant => ant.id)
+        };
+    }
+
+    /**
+     * События смены фазы и режима восстановления.
+     * @param {Object|null} previousStrategy - Стратегия прошлого хода
+     * @param {Object} strategy - Стратегия текущего хода
+     * @param {number} turn - Номер хода
+     * @returns {Array} События
+     */
+    detectStrategyChange(previousStrategy, strategy, turn) {
+        if (!previousStrategy) {
+            return [];
+        }
+
+        const events = [];
+        if (strategy.phase !== previousStrategy.phase) {
+            events.push({ type: EVENTS.PHASE_CHANGED, turn, from: previousStrategy.phase, to: strategy.phase, strategy: strategy.name });
+        }
+        if (strategy.recoveryMode && !previousStrategy.recoveryMode) {
+            events.push({ type: EVENTS.RECOVERY_MODE_ENTERED, turn, since: strategy.recoveryStartTurn });
+        } else if (!strategy.recoveryMode && previousStrategy.recoveryMode) {
+            events.push({ type: EVENTS.RECOVERY_MODE_EXITED, turn, since: previousStrategy.recoveryStartTurn });
+        }
+        return events;
+    }
+}
+
+function describe(unit) {
+    return { id: unit.id, type: UNIT_TYPE_NAMES[unit.type], q: unit.q, r: unit.r, health: unit.health };
+}
+
+module.exports = GameEventDetector;
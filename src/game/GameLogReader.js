@@ -0,0 +1,118 @@
+/**
+ * Чтение логов GameLogger.
+ *
+ * GameLogger пишет игру построчно (NDJSON): запись header, по записи turn на каждый ход
+ * и footer с итогами. read() и parse() собирают из них прежний объект лога
+ * { roundId, gameId, teamName, startTime, endTime, finalScore, finalPosition, turns, summary },
+ * поэтому повтор в визуализаторе, TurnHarness и фикстуры работают как раньше.
+ * Старые логи одним JSON объектом читаются без изменений.
+ *
+ * Лог игры, прерванной падением, читается без footer: complete = false, summary берется
+ * из последнего записанного хода, а оборванная последняя строка пропускается.
+ *
+ * В браузере подключается тегом <script> (WebSocketServer отдает его как /shared/GameLogReader.js)
+ * и создает глобальный GameLogReader; read() там недоступен.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GameLogReader = factory();
+  }
+}(typeof self !== "undefined" ? self : this, function () {
+  const LOG_FILE = /^round_.*\.(json|ndjson|ndjson\.gz)$/;
+
+  class GameLogReader {
+    /**
+     * @param {string} name - Имя файла
+     * @returns {boolean} true для логов GameLogger (round_*.json, .ndjson, .ndjson.gz)
+     */
+    static isLogFile(name) {
+      return LOG_FILE.test(name);
+    }
+
+    /**
+     * @param {string} filePath - Путь к логу
+     * @returns {Object} Объект лога игры
+     */
+    static read(filePath) {
+      const fs = require("fs");
+      const zlib = require("zlib");
+
+      let data = fs.readFileSync(filePath);
+      if (filePath.endsWith(".gz")) {
+        // Z_SYNC_FLUSH отдает все целые записи, даже если последний gzip блок оборван
+        data = zlib.gunzipSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      }
+      return GameLogReader.parse(data.toString("utf8"));
+    }
+
+    /**
+     * @param {string} text - Содержимое лога (NDJSON или JSON)
+     * @returns {Object} Объект лога игры
+     */
+    static parse(text) {
+      const newline = text.indexOf("\n");
+      const firstLine = (newline === -1 ? text : text.slice(0, newline)).trim();
+      let first = null;
+      try {
+        first = JSON.parse(firstLine);
+      } catch (error) {
+        // Первая строка не JSON - это многострочный JSON старого формата
+      }
+      if (!first || first.type !== "header") {
+        return JSON.parse(text);
+      }
+      return GameLogReader.fromRecords(GameLogReader.parseRecords(text));
+    }
+
+    /**
+     * @param {string} text - NDJSON
+     * @returns {Array} Записи лога; оборванная последняя строка пропускается
+     */
+    static parseRecords(text) {
+      const lines = text.split("\n").filter(line => line.trim() !== "");
+      const records = [];
+      lines.forEach((line, index) => {
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          if (index < lines.length - 1) {
+            throw new Error(`Broken game log record on line ${index + 1}: ${error.message}`);
+          }
+        }
+      });
+      return records;
+    }
+
+    /**
+     * @param {Array} records - Записи header, turn и footer
+     * @returns {Object} Объект лога игры
+     */
+    static fromRecords(records) {
+      const header = records[0];
+      if (!header || header.type !== "header") {
+        throw new Error("Not a GameLogger log: the header record is missing");
+      }
+
+      const turnRecords = records.filter(record => record.type === "turn");
+      const footer = records.find(record => record.type === "footer");
+      const lastTurn = turnRecords[turnRecords.length - 1];
+
+      return {
+        roundId: header.roundId,
+        gameId: header.gameId,
+        teamName: header.teamName,
+        startTime: header.startTime,
+        endTime: footer ? footer.endTime : null,
+        finalScore: footer ? footer.finalScore : null,
+        finalPosition: footer ? footer.finalPosition : null,
+        complete: !!footer,
+        turns: turnRecords.map(({ type, summary, ...turn }) => turn),
+        summary: footer ? footer.summary : (lastTurn ? lastTurn.summary : null)
+      };
+    }
+  }
+
+  return GameLogReader;
+}));
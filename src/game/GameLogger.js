@@ -1,23 +1,52 @@
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 const logger = require('../utils/Logger');
+const { EVENTS } = require('./GameEventBus');
 
+const LOG_FORMAT_VERSION = 2;
+
+/**
+ * Writes one log file per game as an append-only NDJSON stream: a header record,
+ * one turn record per turn and a footer record with the final score and summary.
+ *
+ * A turn is appended once it is complete (when the next turn starts or the game ends),
+ * so decisions and timing logged after logTurn still land in it. Nothing is ever rewritten:
+ * a crash loses at most the turn in progress, and GameLogReader still reads the file.
+ * With gzip every record is a separate gzip member, which keeps the same guarantee.
+ */
 class GameLogger {
-  constructor() {
+  /**
+   * @param {Object} options - Logger options
+   * @param {boolean} options.enabled - Write log files to disk (disabled for headless benchmark runs)
+   * @param {string} options.logsDir - Directory for log files
+   * @param {boolean} options.gzip - Compress the log (.ndjson.gz)
+   */
+  constructor(options = {}) {
     this.logger = logger;
     this.currentGameLog = null;
-    this.logsDir = path.join(process.cwd(), 'logs');
+    this.pendingTurn = null;
+    this.turnEvents = [];
+    this.fd = null;
+    this.enabled = options.enabled !== false;
+    this.gzip = options.gzip === true;
+    this.logsDir = options.logsDir || path.join(process.cwd(), 'logs');
     this.ensureLogsDirectory();
   }
 
   ensureLogsDirectory() {
-    if (!fs.existsSync(this.logsDir)) {
+    if (this.enabled && !fs.existsSync(this.logsDir)) {
       fs.mkdirSync(this.logsDir, { recursive: true });
       this.logger.info('Created logs directory');
     }
   }
 
   startNewGame(roundId, gameId, teamName) {
+    // A game that was never ended keeps its turns but gets no footer
+    this.flushTurn();
+    this.closeLogFile();
+
+    this.turnEvents = [];
     this.currentGameLog = {
       roundId,
       gameId,
@@ -26,7 +55,6 @@ class GameLogger {
       endTime: null,
       finalScore: null,
       finalPosition: null,
-      turns: [],
       summary: {
         totalTurns: 0,
         peakCalories: 0,
@@ -36,6 +64,13 @@ class GameLogger {
           bread: 0,
           nectar: 0
         },
+        cargo: {
+          pickedUp: { apple: 0, bread: 0, nectar: 0 },
+          delivered: { apple: 0, bread: 0, nectar: 0 },
+          lost: { apple: 0, bread: 0, nectar: 0 },
+          deliveredCalories: 0,
+          lostCalories: 0
+        },
         unitsLost: 0,
         enemiesDefeated: 0,
         movementsMade: 0,
@@ -44,11 +79,12 @@ class GameLogger {
     };
     
     // Create log filename once at the start
-    this.currentLogFilename = `round_${roundId}_game_${gameId}_${Date.now()}.json`;
+    this.currentLogFilename = `round_${roundId}_game_${gameId}_${Date.now()}.ndjson${this.gzip ? '.gz' : ''}`;
     this.currentLogPath = path.join(this.logsDir, this.currentLogFilename);
+    this.openLogFile();
     
-    // Write initial log file
-    this.saveCurrentLog();
+    const { summary, endTime, finalScore, finalPosition, ...header } = this.currentGameLog;
+    this.writeRecord({ type: 'header', version: LOG_FORMAT_VERSION, ...header });
     
     this.logger.info(`Started logging for round ${roundId}, game ${gameId}`);
     this.logger.info(`Log file: ${this.currentLogFilename}`);
@@ -63,7 +99,7 @@ class GameLogger {
     const turnData = {
       turnNumber,
       timestamp: new Date().toISOString(),
-      gameState: gameState,  // Store raw API response
+      gameState: gameState,  // Canonical state (GameStateNormalizer), same fields as the /arena response
       gameStateSummary: this.sanitizeGameState(gameState),  // Keep sanitized version for quick reference
       decisions: {
         strategy: decisions.strategy || 'unknown',
@@ -72,34 +108,31 @@ class GameLogger {
         reasoning: decisions.reasoning || []
       },
       metrics: this.calculateTurnMetrics(gameState),
-      combatEvents: []  // Will be populated by logDecision calls
+      combatEvents: [],  // Will be populated by logDecision calls
+      events: this.turnEvents  // Typed game events of this turn (GameEventBus)
     };
 
-    this.currentGameLog.turns.push(turnData);
+    this.flushTurn();
+    this.pendingTurn = turnData;
+    this.turnEvents = [];
     this.updateSummary(gameState, actions);
     
-    // Save log after each turn for real-time updates
-    this.saveCurrentLog();
-    
     this.logger.debug(`Logged turn ${turnNumber}`);
   }
 
   sanitizeGameState(gameState) {
     // Create a summary with key information for quick reference
     // This doesn't replace the raw data but provides a convenient overview
-    const myUnits = gameState.myUnits || gameState.ants || [];
-    const enemies = gameState.enemies || [];
-    const food = gameState.food || [];
-    const home = gameState.home || [];
+    const { ants, enemies, food, home } = gameState;
     
     return {
       turnNo: gameState.turnNo,
-      scores: gameState.scores,
+      score: gameState.score,
       home: home.length > 0 ? home[0] : null,
-      unitCount: myUnits.filter(u => u.type !== 0).length,  // Exclude anthills
-      enemyCount: enemies.filter(u => u.type !== 0).length,  // Exclude anthills
+      unitCount: ants.length,
+      enemyCount: enemies.length,
       foodCount: food.length,
-      unitsByType: this.countUnitsByType(myUnits),
+      unitsByType: this.countUnitsByType(ants),
       enemiesByType: this.countUnitsByType(enemies),
       foodByType: this.countFoodByType(food),
       nextTurnIn: gameState.nextTurnIn
@@ -107,34 +140,24 @@ class GameLogger {
   }
 
   calculateTurnMetrics(gameState) {
-    // Find my team name from the game state - it might be in different places
-    const myTeamName = this.currentGameLog?.teamName;
-    const myScore = gameState.scores?.find(s => s.team === myTeamName);
-    
-    // Get units from the correct field
-    const myUnits = gameState.myUnits || gameState.ants || [];
-    const enemies = gameState.enemies || [];
-    const food = gameState.food || [];
-    
-    const unitCounts = this.countUnitsByType(myUnits);
+    const { ants, enemies, food } = gameState;
     
     return {
-      totalCalories: myScore?.score || 0,
-      unitCounts,
-      totalUnits: myUnits.filter(u => u.type !== 0).length,  // Exclude anthills
+      totalCalories: gameState.score,
+      unitCounts: this.countUnitsByType(ants),
+      totalUnits: ants.length,
       visibleResources: food.length,
-      visibleEnemies: enemies.filter(u => u.type !== 0).length,  // Exclude anthills
-      unitsWithCargo: myUnits.filter(u => u.cargo > 0).length || 0
+      visibleEnemies: enemies.length,
+      unitsWithCargo: ants.filter(u => u.food.amount > 0).length
     };
   }
 
   countUnitsByType(units) {
-    const counts = { workers: 0, soldiers: 0, scouts: 0, anthills: 0 };
+    const counts = { workers: 0, soldiers: 0, scouts: 0 };
     if (!units) return counts;
     
     units.forEach(unit => {
       switch(unit.type) {
-        case 0: counts.anthills++; break;
         case 1: counts.workers++; break;
         case 2: counts.soldiers++; break;
         case 3: counts.scouts++; break;
@@ -161,16 +184,9 @@ class GameLogger {
 
   updateSummary(gameState, actions) {
     const summary = this.currentGameLog.summary;
-    const myTeamName = this.currentGameLog?.teamName;
-    const myScore = gameState.scores?.find(s => s.team === myTeamName);
-    const currentCalories = myScore?.score || 0;
-    
-    const myUnits = gameState.myUnits || gameState.ants || [];
-    const currentUnitCount = myUnits.filter(u => u.type !== 0).length;  // Exclude anthills
-    
-    summary.totalTurns = gameState.turnNo || 0;
-    summary.peakCalories = Math.max(summary.peakCalories, currentCalories);
-    summary.peakUnitCount = Math.max(summary.peakUnitCount, currentUnitCount);
+    summary.totalTurns = gameState.turnNo;
+    summary.peakCalories = Math.max(summary.peakCalories, gameState.score);
+    summary.peakUnitCount = Math.max(summary.peakUnitCount, gameState.ants.length);
     
     // Count actions executed
     actions?.forEach(action => {
@@ -182,9 +198,9 @@ class GameLogger {
   }
 
   logDecision(category, decision, reasoning) {
-    if (!this.currentGameLog || !this.currentGameLog.turns.length) return;
+    if (!this.currentGameLog || !this.pendingTurn) return;
     
-    const currentTurn = this.currentGameLog.turns[this.currentGameLog.turns.length - 1];
+    const currentTurn = this.pendingTurn;
     if (!currentTurn.decisions.reasoning) {
       currentTurn.decisions.reasoning = [];
     }
@@ -207,9 +223,28 @@ class GameLogger {
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Save after decision logging
-    this.saveCurrentLog();
+  }
+
+  /**
+   * Attaches scheduler timing to the latest turn and keeps running totals in the summary.
+   * @param {Object} timing - { turn, planningMs, submitMs, late, remainingMs, budget, api }
+   * @param {Object} metrics - TurnScheduler.getMetrics()
+   */
+  logTurnTiming(timing, metrics) {
+    if (!this.currentGameLog || !this.pendingTurn) return;
+
+    this.pendingTurn.timing = timing;
+    this.currentGameLog.summary.timing = metrics;
+  }
+
+  /**
+   * Stores the /arena schema drift seen during the game in the summary.
+   * @param {Array} drift - GameStateNormalizer.getDriftReport()
+   */
+  logSchemaDrift(drift) {
+    if (!this.currentGameLog) return;
+
+    this.currentGameLog.summary.schemaDrift = drift;
   }
 
   logCombatResult(enemiesDefeated, unitsLost) {
@@ -218,23 +253,48 @@ class GameLogger {
     const summary = this.currentGameLog.summary;
     summary.enemiesDefeated += enemiesDefeated || 0;
     summary.unitsLost += unitsLost || 0;
-    
-    // Save after combat logging
-    this.saveCurrentLog();
   }
 
-  logResourceCollection(resourceType, amount) {
+  /**
+   * Subscribes to game events. Events of a turn are emitted before the turn is logged,
+   * so they are collected here and stored with the next logTurn record.
+   * @param {GameEventBus} events - Game event bus
+   */
+  subscribe(events) {
+    events.onAny(event => {
+      if (this.currentGameLog) {
+        this.turnEvents.push(event);
+      }
+    });
+    events.on(EVENTS.ANT_DIED, () => this.logCombatResult(0, 1));
+    events.on(EVENTS.ENEMY_KILLED, () => this.logCombatResult(1, 0));
+  }
+
+  /**
+   * Updates the resource totals. resourcesCollected counts food delivered to the anthill,
+   * not food picked up.
+   * @param {Object} totals - CargoTracker.getTotals()
+   */
+  logCargoTotals(totals) {
     if (!this.currentGameLog) return;
-    
+
     const summary = this.currentGameLog.summary;
-    switch(resourceType) {
-      case 1: summary.resourcesCollected.apples += amount; break;
-      case 2: summary.resourcesCollected.bread += amount; break;
-      case 3: summary.resourcesCollected.nectar += amount; break;
-    }
-    
-    // Save after resource logging
-    this.saveCurrentLog();
+    summary.resourcesCollected = {
+      apples: totals.delivered.apple,
+      bread: totals.delivered.bread,
+      nectar: totals.delivered.nectar
+    };
+    summary.cargo = totals;
+  }
+
+  /**
+   * Stores the food sources that delivered the most calories in the summary.
+   * @param {Array} sources - CargoTracker.getTopSources()
+   */
+  logCargoSources(sources) {
+    if (!this.currentGameLog) return;
+
+    this.currentGameLog.summary.topFoodSources = sources;
   }
 
   endGame(finalScore, finalPosition) {
@@ -247,41 +307,64 @@ class GameLogger {
     this.currentGameLog.finalScore = finalScore;
     this.currentGameLog.finalPosition = finalPosition;
 
-    // Save final version of the log
-    this.saveCurrentLog();
+    this.flushTurn();
+    const { endTime, summary } = this.currentGameLog;
+    this.writeRecord({ type: 'footer', endTime, finalScore, finalPosition, summary });
+    this.closeLogFile();
 
     this.logger.info(`Game log saved to ${this.currentLogFilename}`);
     this.logger.info(`Final position: ${finalPosition}, Score: ${finalScore}`);
 
     // Clear current log
     this.currentGameLog = null;
+    this.pendingTurn = null;
     this.currentLogFilename = null;
     this.currentLogPath = null;
   }
 
-  saveCurrentLog() {
-    if (!this.currentGameLog || !this.currentLogPath) return;
-    
+  /**
+   * Appends the finished turn together with the summary so far
+   * (the summary of a log without a footer).
+   */
+  flushTurn() {
+    if (!this.pendingTurn) return;
+
+    this.writeRecord({ type: 'turn', ...this.pendingTurn, summary: this.currentGameLog.summary });
+    this.pendingTurn = null;
+  }
+
+  openLogFile() {
+    if (!this.enabled) return;
+
     try {
-      fs.writeFileSync(this.currentLogPath, JSON.stringify(this.currentGameLog, null, 2));
-      // Don't log every save to avoid spam, only log errors
+      this.fd = fs.openSync(this.currentLogPath, 'w');
     } catch (error) {
-      this.logger.error(`Failed to save game log: ${error.message}`);
+      this.logger.error(`Failed to open game log: ${error.message}`);
     }
   }
 
-  saveSnapshot(prefix = 'snapshot') {
-    if (!this.currentGameLog) return;
-    
-    const filename = `${prefix}_round_${this.currentGameLog.roundId}_turn_${this.currentGameLog.summary.totalTurns}.json`;
-    const filepath = path.join(this.logsDir, filename);
-    
+  writeRecord(record) {
+    if (this.fd === null) return;
+
+    const line = JSON.stringify(record) + '\n';
+    try {
+      fs.writeSync(this.fd, this.gzip ? zlib.gzipSync(line) : line);
+    } catch (error) {
+      this.logger.error(`Failed to write game log: ${error.message}`);
+    }
+  }
+
+  closeLogFile() {
+    if (this.fd === null) return;
+
     try {
-      fs.writeFileSync(filepath, JSON.stringify(this.currentGameLog, null, 2));
-      this.logger.debug(`Snapshot saved to ${filename}`);
+      // The footer has to reach the disk before the log counts as finished
+      fs.fsyncSync(this.fd);
+      fs.closeSync(this.fd);
     } catch (error) {
-      this.logger.error(`Failed to save snapshot: ${error.message}`);
+      this.logger.error(`Failed to close game log: ${error.message}`);
     }
+    this.fd = null;
   }
 }
 
@@ -1,5 +1,6 @@
 const logger = require('../utils/Logger');
-const { UNIT_TYPES, UNIT_STATS } = require('../constants/GameConstants');
+const { UNIT_TYPES, UNIT_STATS, HEX_STATS } = require('../constants/GameConstants');
+const HexGeometry = require('../utils/HexGeometry');
 
 /**
  * Валидатор путей для проверки корректности движения юнитов
@@ -8,6 +9,105 @@ const { UNIT_TYPES, UNIT_STATS } = require('../constants/GameConstants');
 class PathfindingValidator {
     constructor() {
         this.unitStats = UNIT_STATS;
+        // Неразведанные гексы считаем обычными: стоимость 1, без урона
+        this.unknownHex = { cost: 1, damage: 0, passable: true };
+        // Сколько очков пути добавляет 1 единица урона от местности (кислота 20 урона = +2)
+        this.damagePenalty = 0.1;
+        this.terrainCache = new WeakMap();
+    }
+
+    /**
+     * Строит карту местности из gameState.map (кэшируется на время хода)
+     * @param {Object} gameState - Состояние игры
+     * @returns {Map} "q,r" -> { cost, damage, passable }
+     */
+    getTerrainMap(gameState) {
+        const hexes = gameState && gameState.map;
+        if (!Array.isArray(hexes)) {
+            return new Map();
+        }
+
+        let terrain = this.terrainCache.get(hexes);
+        if (!terrain) {
+            terrain = new Map();
+            hexes.forEach(hex => {
+                const stats = HEX_STATS[hex.type] || this.unknownHex;
+                terrain.set(`${hex.q},${hex.r}`, {
+                    // Стоимость из ответа /arena приоритетнее табличной
+                    cost: hex.cost || stats.cost,
+                    damage: stats.damage,
+                    passable: stats.passable
+                });
+            });
+            this.terrainCache.set(hexes, terrain);
+        }
+        return terrain;
+    }
+
+    /**
+     * Возвращает характеристики гекса
+     * @param {Object} position - Позиция {q, r}
+     * @param {Object} gameState - Состояние игры
+     * @returns {Object} { cost, damage, passable }
+     */
+    getHexStats(position, gameState) {
+        return this.getTerrainMap(gameState).get(`${position.q},${position.r}`) || this.unknownHex;
+    }
+
+    /**
+     * Стоимость входа на гекс в очках передвижения (Infinity для непроходимых)
+     * @param {Object} position - Позиция {q, r}
+     * @param {Object} gameState - Состояние игры
+     * @returns {number} Стоимость
+     */
+    getMovementCost(position, gameState) {
+        const stats = this.getHexStats(position, gameState);
+        return stats.passable ? stats.cost : Infinity;
+    }
+
+    /**
+     * Вес гекса для A*: стоимость передвижения плюс штраф за урон (кислота)
+     * @param {Object} position - Позиция {q, r}
+     * @param {Object} gameState - Состояние игры
+     * @returns {number} Вес
+     */
+    getTraversalWeight(position, gameState) {
+        const stats = this.getHexStats(position, gameState);
+        if (!stats.passable) {
+            return Infinity;
+        }
+        return stats.cost + stats.damage * this.damagePenalty;
+    }
+
+    /**
+     * Обрезает путь до части, которую юнит пройдет за текущий ход:
+     * по скорости из UNIT_STATS, стоимости гексов и проходимости
+     * @param {Object} unit - Юнит
+     * @param {Array} path - Путь [{q, r}, ...]
+     * @param {Object} gameState - Состояние игры
+     * @returns {Array} Достижимая за ход часть пути
+     */
+    trimPathToSpeed(unit, path, gameState) {
+        const reachable = [];
+        let currentPosition = { q: unit.q, r: unit.r };
+        let remainingMovement = this.unitStats[unit.type]?.speed || 0;
+
+        for (const nextPosition of path || []) {
+            if (!this.isAdjacent(currentPosition, nextPosition)) {
+                break;
+            }
+
+            const moveCost = this.getMovementCost(nextPosition, gameState);
+            if (moveCost > remainingMovement) {
+                break;
+            }
+
+            reachable.push(nextPosition);
+            currentPosition = nextPosition;
+            remainingMovement -= moveCost;
+        }
+
+        return reachable;
     }
 
     /**
@@ -37,8 +137,12 @@ class PathfindingValidator {
                 break;
             }
 
-            // Проверяем стоимость движения (пока считаем все гексы = 1 ОП)
-            const moveCost = 1; // TODO: получить реальную стоимость гекса
+            // Проверяем стоимость движения по местности (камни непроходимы)
+            const moveCost = this.getMovementCost(nextPosition, gameState);
+            if (moveCost === Infinity) {
+                logger.debug(`Path validation: Impassable hex at ${JSON.stringify(nextPosition)}`);
+                break;
+            }
             if (remainingMovement < moveCost) {
                 logger.debug(`Path validation: Not enough movement points. Remaining: ${remainingMovement}, Cost: ${moveCost}`);
                 break;
@@ -74,7 +178,7 @@ class PathfindingValidator {
         const occupiedMap = new Map();
 
         // Добавляем дружественные юниты
-        const myUnits = gameState.ants || gameState.myUnits || [];
+        const myUnits = gameState.ants;
         myUnits.forEach(unit => {
             // Пропускаем движущийся юнит
             if (unit.id === movingUnit.id) return;
@@ -88,7 +192,7 @@ class PathfindingValidator {
         });
 
         // Добавляем вражеские юниты
-        const enemyUnits = gameState.enemies || gameState.enemyUnits || [];
+        const enemyUnits = gameState.enemies;
         enemyUnits.forEach(unit => {
             const key = `${unit.q},${unit.r}`;
             occupiedMap.set(key, {
@@ -137,23 +241,7 @@ class PathfindingValidator {
      * @returns {boolean} true если позиции примыкают
      */
     isAdjacent(pos1, pos2) {
-        // В гексагональной сетке есть 6 направлений
-        const directions = [
-            { q: 1, r: 0 },   // Восток
-            { q: 1, r: -1 },  // Северо-восток
-            { q: 0, r: -1 },  // Северо-запад
-            { q: -1, r: 0 },  // Запад
-            { q: -1, r: 1 },  // Юго-запад
-            { q: 0, r: 1 }    // Юго-восток
-        ];
-
-        for (const dir of directions) {
-            if (pos1.q + dir.q === pos2.q && pos1.r + dir.r === pos2.r) {
-                return true;
-            }
-        }
-
-        return false;
+        return HexGeometry.distance(pos1, pos2) === 1;
     }
 
     /**
@@ -167,10 +255,13 @@ class PathfindingValidator {
         const occupiedPositions = this.buildOccupiedPositionsMap(gameState, unit);
         
         // Получаем все возможные следующие шаги
-        const adjacentHexes = this.getAdjacentHexes(unit);
+        const adjacentHexes = HexGeometry.neighbors(unit);
         
         // Фильтруем доступные гексы
         const availableHexes = adjacentHexes.filter(hex => {
+            if (this.getMovementCost(hex, gameState) > (this.unitStats[unit.type]?.speed || 0)) {
+                return false;
+            }
             const check = this.checkHexOccupancy(hex, occupiedPositions, unit);
             return !check.blocked;
         });
@@ -182,53 +273,14 @@ class PathfindingValidator {
 
         // Выбираем гекс, который ближе всего к цели
         const bestHex = availableHexes.reduce((best, hex) => {
-            const bestDistance = this.calculateDistance(best, target);
-            const hexDistance = this.calculateDistance(hex, target);
+            const bestDistance = HexGeometry.distance(best, target);
+            const hexDistance = HexGeometry.distance(hex, target);
             return hexDistance < bestDistance ? hex : best;
         });
 
         return [bestHex];
     }
 
-    /**
-     * Получает все примыкающие гексы
-     * @param {Object} position - Позиция {q, r}
-     * @returns {Array} Массив примыкающих позиций
-     */
-    getAdjacentHexes(position) {
-        const directions = [
-            { q: 1, r: 0 },   // Восток
-            { q: 1, r: -1 },  // Северо-восток
-            { q: 0, r: -1 },  // Северо-запад
-            { q: -1, r: 0 },  // Запад
-            { q: -1, r: 1 },  // Юго-запад
-            { q: 0, r: 1 }    // Юго-восток
-        ];
-
-        return directions.map(dir => ({
-            q: position.q + dir.q,
-            r: position.r + dir.r
-        }));
-    }
-
-    /**
-     * Вычисляет расстояние между двумя гексами
-     * @param {Object} pos1 - Первая позиция
-     * @param {Object} pos2 - Вторая позиция
-     * @returns {number} Расстояние в гексах
-     */
-    calculateDistance(pos1, pos2) {
-        const q1 = pos1.q || 0;
-        const r1 = pos1.r || 0;
-        const s1 = -q1 - r1;
-        
-        const q2 = pos2.q || 0;
-        const r2 = pos2.r || 0;
-        const s2 = -q2 - r2;
-        
-        return Math.max(Math.abs(q1 - q2), Math.abs(r1 - r2), Math.abs(s1 - s2));
-    }
-
     /**
      * Получает название типа юнита
      * @param {number} type - Тип юнита
@@ -245,7 +297,7 @@ class PathfindingValidator {
     }
 
     /**
-     * Validates if a position is walkable (not blocked by units)
+     * Validates if a position is walkable (not blocked by units or impassable terrain)
      * @param {Object} position - Position to check {q, r}
      * @param {Object} gameState - Game state
      * @returns {boolean} true if position is walkable
@@ -255,6 +307,11 @@ class PathfindingValidator {
             return false;
         }
 
+        // Stone and other impassable terrain
+        if (!this.getHexStats(position, gameState).passable) {
+            return false;
+        }
+
         // Build occupied positions map (we use dummy unit for checking)
         const dummyUnit = { id: -1, type: 1 }; // Dummy unit to check general walkability
         const occupiedPositions = this.buildOccupiedPositionsMap(gameState, dummyUnit);
@@ -0,0 +1,113 @@
+/**
+ * Бюджет времени на планирование одного хода, общий для всех планировщиков.
+ *
+ * GameBot создает бюджет на каждый ход из времени, оставшегося до дедлайна отправки
+ * (TurnScheduler.getPlanningBudget). Планировщики оборачивают свою работу в track(),
+ * проверяют isExhausted() перед дорогими шагами и, когда время вышло, переходят
+ * на дешевый запасной вариант (recordFallback) или пропускают необязательную работу
+ * (recordSkipped). getReport() показывает, сколько бюджета потратил каждый планировщик.
+ *
+ * Время берется из clock (по умолчанию Date.now). В headless матчах MatchRunner
+ * подменяет Date.now виртуальными часами, которые внутри хода стоят на месте,
+ * поэтому там бюджет не расходуется и прогоны остаются детерминированными.
+ */
+class PlanningBudget {
+    /**
+     * @param {number} budgetMs - Бюджет в мс (Infinity - без ограничения)
+     * @param {Object} options
+     * @param {Function} options.clock - Источник времени в мс
+     */
+    constructor(budgetMs = Infinity, options = {}) {
+        this.budgetMs = budgetMs;
+        this.clock = options.clock || (() => Date.now());
+        this.startedAt = this.clock();
+        // Map: имя планировщика -> { usedMs, fallbacks, skipped }
+        this.planners = new Map();
+    }
+
+    /**
+     * @returns {boolean} true, если бюджет ограничен
+     */
+    isLimited() {
+        return Number.isFinite(this.budgetMs);
+    }
+
+    elapsed() {
+        return this.clock() - this.startedAt;
+    }
+
+    remaining() {
+        return this.budgetMs - this.elapsed();
+    }
+
+    /**
+     * @param {number} reserveMs - Сколько времени нужно оставить про запас
+     * @returns {boolean} true, если времени больше нет
+     */
+    isExhausted(reserveMs = 0) {
+        return this.remaining() <= reserveMs;
+    }
+
+    getPlanner(name) {
+        if (!this.planners.has(name)) {
+            this.planners.set(name, { usedMs: 0, fallbacks: 0, skipped: false });
+        }
+        return this.planners.get(name);
+    }
+
+    /**
+     * Выполняет работу планировщика и записывает потраченное время.
+     * @param {string} name - Имя планировщика
+     * @param {Function} fn - Работа
+     * @returns {*} Результат fn
+     */
+    track(name, fn) {
+        const planner = this.getPlanner(name);
+        const startedAt = this.clock();
+        try {
+            return fn();
+        } finally {
+            planner.usedMs += this.clock() - startedAt;
+        }
+    }
+
+    /**
+     * Отмечает, что планировщик заменил полное планирование запасным вариантом.
+     * @param {string} name - Имя планировщика
+     * @param {number} count - Сколько юнитов получили запасной ход
+     */
+    recordFallback(name, count = 1) {
+        this.getPlanner(name).fallbacks += count;
+    }
+
+    /**
+     * Отмечает, что планировщик не запускался из-за нехватки времени.
+     * @param {string} name - Имя планировщика
+     */
+    recordSkipped(name) {
+        this.getPlanner(name).skipped = true;
+    }
+
+    /**
+     * @returns {Object} { budgetMs, usedMs, exhausted, planners: { name: { usedMs, share, fallbacks, skipped } } }
+     */
+    getReport() {
+        const usedMs = this.elapsed();
+        const planners = {};
+        for (const [name, planner] of this.planners) {
+            planners[name] = {
+                ...planner,
+                share: this.isLimited() && this.budgetMs > 0 ? Math.round(planner.usedMs / this.budgetMs * 100) / 100 : null
+            };
+        }
+
+        return {
+            budgetMs: this.isLimited() ? this.budgetMs : null,
+            usedMs,
+            exhausted: this.isExhausted(),
+            planners
+        };
+    }
+}
+
+module.exports = PlanningBudget;
@@ -0,0 +1,144 @@
+const logger = require('../utils/Logger');
+
+/**
+ * Пространственно-временная таблица резервирования гексов на один ход.
+ * Время - номер шага внутри хода (0 - позиция до хода). Юнит, закончивший путь,
+ * занимает конечный гекс до конца хода. Правило игры: два юнита одного типа
+ * не могут стоять на одном гексе, поэтому конфликты считаются только для одного типа;
+ * проходить сквозь своих юнитов можно.
+ *
+ * Все ходы UnitManager и CombatManager проходят через таблицу
+ * в порядке приоритета (см. GameBot.resolveMoveConflicts).
+ */
+class ReservationTable {
+    constructor() {
+        // Map: "q,r" -> [{ unitId, unitType, from, to }], to = Infinity для стоящих юнитов
+        this.reservations = new Map();
+
+        // Map: unitId -> ключи гексов, зарезервированных юнитом
+        this.unitCells = new Map();
+    }
+
+    getKey(position) {
+        return `${position.q},${position.r}`;
+    }
+
+    /**
+     * Резервирует текущие позиции юнитов до конца хода.
+     * Юнит, которому потом назначат ход, освобождает свою клетку через claimPath.
+     * @param {Array} units - Наши юниты
+     */
+    reserveCurrentPositions(units) {
+        units.forEach(unit => {
+            this.addReservation(unit, unit, 0, Infinity);
+        });
+    }
+
+    addReservation(unit, position, from, to) {
+        const key = this.getKey(position);
+        if (!this.reservations.has(key)) {
+            this.reservations.set(key, []);
+        }
+        this.reservations.get(key).push({ unitId: unit.id, unitType: unit.type, from, to });
+
+        if (!this.unitCells.has(unit.id)) {
+            this.unitCells.set(unit.id, new Set());
+        }
+        this.unitCells.get(unit.id).add(key);
+    }
+
+    /**
+     * Снимает все резервирования юнита.
+     * @param {string} unitId - ID юнита
+     */
+    release(unitId) {
+        const cells = this.unitCells.get(unitId);
+        if (!cells) return;
+
+        cells.forEach(key => {
+            const remaining = this.reservations.get(key).filter(entry => entry.unitId !== unitId);
+            if (remaining.length > 0) {
+                this.reservations.set(key, remaining);
+            } else {
+                this.reservations.delete(key);
+            }
+        });
+        this.unitCells.delete(unitId);
+    }
+
+    /**
+     * Проверяет, может ли юнит находиться на гексе на шаге `step`.
+     * @param {Object} position - Гекс {q, r}
+     * @param {Object} unit - Юнит (нужны id и type)
+     * @param {number} step - Номер шага внутри хода
+     * @param {boolean} final - Юнит останется на гексе до конца хода
+     * @returns {boolean} true, если гекс свободен
+     */
+    isAvailable(position, unit, step, final = false) {
+        const entries = this.reservations.get(this.getKey(position)) || [];
+
+        return !entries.some(entry => {
+            if (entry.unitId === unit.id || entry.unitType !== unit.type) {
+                return false;
+            }
+            if (final) {
+                // Остаемся до конца хода: мешает любой, кто будет здесь с этого шага и позже
+                return entry.to >= step;
+            }
+            // Сквозь стоящих своих юнитов проходить можно (сервер запрещает только закончить
+            // ход на их гексе), поэтому в пути мешает лишь идущий юнит на том же шаге
+            return entry.to !== Infinity && entry.from <= step && step <= entry.to;
+        });
+    }
+
+    /**
+     * Резервирует путь юнита. Если конечный гекс занят юнитом того же типа, путь
+     * укорачивается до последнего гекса, где юнит может остановиться.
+     * @param {Object} unit - Юнит
+     * @param {Array} path - Путь на этот ход [{q, r}, ...]
+     * @returns {Array} Зарезервированный путь (пустой - юнит остается на месте)
+     */
+    claimPath(unit, path) {
+        this.release(unit.id);
+
+        let stopIndex = 0;
+        for (let i = 0; i < path.length; i++) {
+            const step = i + 1;
+            if (!this.isAvailable(path[i], unit, step)) {
+                break;
+            }
+            if (this.isAvailable(path[i], unit, step, true)) {
+                stopIndex = step;
+            }
+        }
+
+        const claimedPath = path.slice(0, stopIndex);
+        if (claimedPath.length < path.length) {
+            logger.debug(`Reservation: unit ${unit.id} path shortened from ${path.length} to ${claimedPath.length} steps to avoid stacking`);
+        }
+
+        if (claimedPath.length === 0) {
+            this.addReservation(unit, unit, 0, Infinity);
+            return claimedPath;
+        }
+
+        this.addReservation(unit, unit, 0, 0);
+        claimedPath.forEach((position, index) => {
+            const isLast = index === claimedPath.length - 1;
+            this.addReservation(unit, position, index + 1, isLast ? Infinity : index + 1);
+        });
+        return claimedPath;
+    }
+
+    /**
+     * Проверяет, сможет ли юнит закончить ход на гексе (никто того же типа не стоит и не пройдет там).
+     * @param {Object} position - Гекс {q, r}
+     * @param {Object} unit - Юнит
+     * @returns {boolean} true, если гекс свободен до конца хода
+     */
+    isFreeAtEnd(position, unit) {
+        return this.isAvailable(position, unit, 1, true);
+    }
+}
+
+module.exports = ReservationTable;
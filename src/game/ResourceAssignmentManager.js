@@ -145,8 +145,10 @@ class ResourceAssignmentManager {
     updateAssignments(analysis) {
         const currentTime = Date.now();
         const aliveUnitIds = new Set(analysis.units.myUnits.map(unit => unit.id));
+        // Запомненная вне видимости еда тоже считается доступной, пока WorldMemory ее не забыла
+        const knownResources = [...analysis.resources.visible, ...(analysis.resources.remembered || [])];
         const availableResourceKeys = new Set(
-            analysis.resources.visible.map(resource => this.getResourceKey(resource))
+            knownResources.map(resource => this.getResourceKey(resource))
         );
 
         // Найти мертвых юнитов и освободить их резервирования
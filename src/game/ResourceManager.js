@@ -5,8 +5,10 @@ const {
     FOOD_TYPE_NAMES, 
     UNIT_TYPE_NAMES, 
     FOOD_CALORIES,
-    COLLECTION_EFFICIENCY 
+    COLLECTION_EFFICIENCY,
+    UNIT_STATS
 } = require('../constants/GameConstants');
+const HexGeometry = require('../utils/HexGeometry');
 
 /**
  * Управляет сбором ресурсов, логистикой и оптимизацией ресурсных потоков.
@@ -53,11 +55,12 @@ class ResourceManager {
         // Получаем доступные юниты (не назначенные на ресурсы и не в бою)
         const availableUnits = this.getAvailableUnitsForReservation(analysis, resourceAssignmentManager);
         
-        // Получаем незарезервированные ресурсы
-        const availableResources = resourceAssignmentManager.getAvailableResources(analysis.resources.visible);
+        // Получаем незарезервированные ресурсы (видимые и запомненные)
+        const knownResources = this.getKnownResources(analysis);
+        const availableResources = resourceAssignmentManager.getAvailableResources(knownResources);
         
         if (availableUnits.length === 0 || availableResources.length === 0) {
-            logger.info(`🚫 No resource collection: ${availableUnits.length} available units, ${availableResources.length} available resources (total units: ${analysis.units.myUnits.length}, total resources: ${analysis.resources.visible.length})`);
+            logger.info(`🚫 No resource collection: ${availableUnits.length} available units, ${availableResources.length} available resources (total units: ${analysis.units.myUnits.length}, total resources: ${knownResources.length})`);
             if (availableUnits.length === 0 && analysis.units.myUnits.length > 0) {
                 logger.info(`Units status: ${analysis.units.myUnits.map(u => `${u.id}(${this.unitTypeNames[u.type]}) - assigned: ${!!resourceAssignmentManager.getUnitAssignment(u.id)}`).join(', ')}`);
             }
@@ -87,7 +90,7 @@ class ResourceManager {
                     {
                         resourceType: this.foodTypeNames[resourceInfo.resource.type] || 'unknown',
                         estimatedValue: this.resourceValues[resourceInfo.resource.type] || 0,
-                        distance: this.calculateDistance(bestUnit, resourceInfo.resource)
+                        distance: HexGeometry.distance(bestUnit, resourceInfo.resource)
                     }
                 );
                 
@@ -122,7 +125,7 @@ class ResourceManager {
         // Попытка переназначить освободившиеся ресурсы
         resourceAssignmentManager.reassignOrphanedResources(
             availableUnits,
-            analysis.resources.visible,
+            knownResources,
             (unit, resource) => this.calculateReservationPriority(unit, resource, analysis, strategy)
         );
         
@@ -146,13 +149,24 @@ class ResourceManager {
     }
 
     /**
-     * Приоритизирует ресурсы на основе ценности, расстояния, эффективности и безопасности.
+     * Возвращает ресурсы, известные боту: видимые сейчас и запомненные WorldMemory вне видимости.
+     * У запомненных есть confidence, которая учитывается в приоритете.
+     * @param {Object} analysis - Анализ состояния игры
+     * @returns {Array} Массив ресурсов
+     */
+    getKnownResources(analysis) {
+        return [...analysis.resources.visible, ...(analysis.resources.remembered || [])];
+    }
+
+    /**
+     * Приоритизирует ресурсы на основе ценности, расстояния, эффективности, безопасности
+     * и уверенности в том, что запомненный ресурс еще на месте.
      * @param {Object} analysis - Анализ состояния игры
      * @param {Object} strategy - Стратегия игры
      * @returns {Array} Отсортированный массив ресурсов с приоритетами
      */
     prioritizeResources(analysis, strategy) {
-        const resources = analysis.resources.visible;
+        const resources = this.getKnownResources(analysis);
         const resourcePriorities = [];
         
         resources.forEach(resource => {
@@ -223,6 +237,11 @@ class ResourceManager {
         
         const safety = this.calculateResourceSafety(resource, analysis);
         priority *= safety;
+
+        // Запомненная вне видимости еда могла исчезнуть
+        if (resource.confidence !== undefined) {
+            priority *= resource.confidence;
+        }
         
         return priority;
     }
@@ -236,11 +255,11 @@ class ResourceManager {
     calculateResourceSafety(resource, analysis) {
         const threats = analysis.threats.threats;
         const nearbyThreats = threats.filter(threat => 
-            this.calculateDistance(resource, threat.unit) <= 5
+            HexGeometry.distance(resource, threat.unit) <= 5
         );
         
         const nearbyAllies = analysis.units.myUnits.filter(ally => 
-            this.calculateDistance(resource, ally) <= 4
+            HexGeometry.distance(resource, ally) <= 4
         );
         
         let safety = 1.0;
@@ -270,7 +289,7 @@ class ResourceManager {
         }
         
         const distances = myUnits.map(unit => 
-            this.calculateDistance(resource, unit)
+            HexGeometry.distance(resource, unit)
         );
         
         return Math.min(...distances);
@@ -389,7 +408,7 @@ class ResourceManager {
         const efficiency = this.collectionEfficiency[resource.type]?.[unit.type] || 0.5;
         score += efficiency * 10;
         
-        const distance = this.calculateDistance(unit, resource);
+        const distance = HexGeometry.distance(unit, resource);
         
         // RECOVERY MODE: Apply distance limitations
         if (isRecoveryMode && strategy?.maxCollectionDistance) {
@@ -454,17 +473,17 @@ class ResourceManager {
         let safety = 1.0;
         
         // Check direct path safety (simplified - just check resource and intermediate points)
-        const resourceDistance = this.calculateDistance(unit, resource);
+        const resourceDistance = HexGeometry.distance(unit, resource);
         const pathPoints = this.generateSimplePath(unit, resource, Math.min(resourceDistance, 8));
         
         // Check threats along the path
         pathPoints.forEach(point => {
             const nearbyThreats = threats.filter(threat => 
-                this.calculateDistance(point, threat.unit) <= 4
+                HexGeometry.distance(point, threat.unit) <= 4
             );
             
             const nearbyEnemies = enemies.filter(enemy => 
-                this.calculateDistance(point, enemy) <= 3
+                HexGeometry.distance(point, enemy) <= 3
             );
             
             // Reduce safety based on nearby threats
@@ -482,11 +501,11 @@ class ResourceManager {
         
         // Check resource destination safety
         const resourceThreats = threats.filter(threat => 
-            this.calculateDistance(resource, threat.unit) <= 5
+            HexGeometry.distance(resource, threat.unit) <= 5
         );
         
         const resourceEnemies = enemies.filter(enemy => 
-            this.calculateDistance(resource, enemy) <= 4
+            HexGeometry.distance(resource, enemy) <= 4
         );
         
         if (resourceThreats.length > 0) {
@@ -508,10 +527,10 @@ class ResourceManager {
         // Consider ally support
         const anthill = analysis.units.anthill;
         if (anthill) {
-            const distanceFromBase = this.calculateDistance(resource, anthill);
+            const distanceFromBase = HexGeometry.distance(resource, anthill);
             const myFighters = analysis.units.myUnits.filter(u => 
                 this.unitTypeNames[u.type] === 'soldier' && 
-                this.calculateDistance(u, resource) <= 8
+                HexGeometry.distance(u, resource) <= 8
             );
             
             // Boost safety if we have nearby fighters
@@ -532,26 +551,6 @@ class ResourceManager {
         return safety;
     }
 
-    /**
-     * Оценивает прямой путь от юнита к ресурсу для анализа безопасности.
-     * @param {Object} unit - Исходный юнит
-     * @param {Object} resource - Целевой ресурс
-     * @returns {Array} Массив точек прямого пути
-     */
-    estimatePath(unit, resource) {
-        const path = [];
-        const steps = Math.max(Math.abs(unit.x - resource.x), Math.abs(unit.y - resource.y));
-        
-        for (let i = 1; i <= steps; i++) {
-            const progress = i / steps;
-            const x = Math.round(unit.x + (resource.x - unit.x) * progress);
-            const y = Math.round(unit.y + (resource.y - unit.y) * progress);
-            path.push({ x, y });
-        }
-        
-        return path;
-    }
-
     /**
      * Определяет стратегию сбора для группы юнитов и ресурса.
      * @param {Object} resource - Целевой ресурс
@@ -574,7 +573,7 @@ class ResourceManager {
         }
         
         const nearbyThreats = threats.filter(threat => 
-            this.calculateDistance(resource, threat.unit) <= 8
+            HexGeometry.distance(resource, threat.unit) <= 8
         );
         
         if (nearbyThreats.length > 0) {
@@ -733,7 +732,7 @@ class ResourceManager {
         }
         
         const unitsNearAnthill = myUnits.filter(unit => 
-            this.calculateDistance(unit, anthill) <= 3
+            HexGeometry.distance(unit, anthill) <= 3
         );
         
         if (unitsNearAnthill.length > 5) {
@@ -747,7 +746,7 @@ class ResourceManager {
         const resourceClusters = this.identifyResourceClusters(analysis);
         resourceClusters.forEach(cluster => {
             const unitsInCluster = myUnits.filter(unit => 
-                this.calculateDistance(unit, cluster.center) <= 4
+                HexGeometry.distance(unit, cluster.center) <= 4
             );
             
             if (unitsInCluster.length > cluster.capacity) {
@@ -790,7 +789,7 @@ class ResourceManager {
                     return;
                 }
                 
-                const distance = this.calculateDistance(resource, otherResource);
+                const distance = HexGeometry.distance(resource, otherResource);
                 if (distance <= 4) {
                     cluster.resources.push(otherResource);
                     cluster.capacity += 2;
@@ -898,7 +897,7 @@ class ResourceManager {
     isUnitInCombat(unit, analysis) {
         const threats = analysis.threats.threats;
         return threats.some(threat => 
-            this.calculateDistance(unit, threat.unit) <= 2
+            HexGeometry.distance(unit, threat.unit) <= 2
         );
     }
 
@@ -958,7 +957,7 @@ class ResourceManager {
             let hasValidAssignment = false;
             if (assignment) {
                 const target = assignment.target;
-                const resourceExists = analysis.resources.visible.some(r => 
+                const resourceExists = this.getKnownResources(analysis).some(r => 
                     r.q === target.q && r.r === target.r && r.type === target.type
                 );
                 
@@ -966,9 +965,13 @@ class ResourceManager {
                     logger.warn(`Unit ${unit.id} has assignment to non-existent resource at (${target.q}, ${target.r}), releasing assignment`);
                     resourceAssignmentManager.releaseUnitAssignment(unit.id);
                     hasValidAssignment = false;
+                } else if (!this.canLoadResource(unit, target)) {
+                    logger.warn(`Unit ${unit.id} carries ${this.foodTypeNames[unit.food.type]} and cannot load ${this.foodTypeNames[target.type]} at (${target.q}, ${target.r}), releasing assignment`);
+                    resourceAssignmentManager.releaseUnitAssignment(unit.id);
+                    hasValidAssignment = false;
                 } else {
                     // Check if target is reachable (simple distance check)
-                    const distance = this.calculateDistance(unit, target);
+                    const distance = HexGeometry.distance(unit, target);
                     if (distance > 200) { // Unreasonably far
                         logger.warn(`Unit ${unit.id} has assignment to unreachably distant resource at (${target.q}, ${target.r}), distance ${distance}, releasing assignment`);
                         resourceAssignmentManager.releaseUnitAssignment(unit.id);
@@ -1034,7 +1037,7 @@ class ResourceManager {
         let bestUnit = null;
         let bestScore = -1;
         
-        availableUnits.forEach(unit => {
+        availableUnits.filter(unit => this.canLoadResource(unit, resource)).forEach(unit => {
             const score = this.calculateUnitResourceScore(unit, resource, analysis, strategy);
             logger.debug(`Unit ${unit.id} (${this.unitTypeNames[unit.type]}) score: ${score}`);
             if (score > bestScore) {
@@ -1047,6 +1050,21 @@ class ResourceManager {
         return bestUnit;
     }
 
+    /**
+     * Проверяет, может ли юнит подобрать ресурс: сервер не смешивает типы еды в грузе
+     * и не грузит сверх грузоподъемности.
+     * @param {Object} unit - Юнит
+     * @param {Object} resource - Ресурс
+     * @returns {boolean} true, если груз пуст или того же типа и есть место
+     */
+    canLoadResource(unit, resource) {
+        if (!unit.food || !unit.food.amount) {
+            return true;
+        }
+        const capacity = UNIT_STATS[unit.type]?.cargo ?? Infinity;
+        return unit.food.type === resource.type && unit.food.amount < capacity;
+    }
+
     /**
      * Вычисляет приоритет резервирования ресурса для юнита.
      * @param {Object} unit - Юнит
@@ -1056,6 +1074,10 @@ class ResourceManager {
      * @returns {number} Приоритет резервирования
      */
     calculateReservationPriority(unit, resource, analysis, strategy) {
+        if (!this.canLoadResource(unit, resource)) {
+            return 0;
+        }
+
         let priority = this.calculateResourcePriority(resource, analysis, strategy);
         
         // Учитываем эффективность юнита для данного ресурса
@@ -1063,39 +1085,16 @@ class ResourceManager {
         priority *= efficiency;
         
         // Учитываем расстояние
-        const distance = this.calculateDistance(unit, resource);
+        const distance = HexGeometry.distance(unit, resource);
         priority = priority / Math.max(1, distance * 0.1);
         
-        // Бонус за совместимость типа ресурса с грузом юнита
-        if (unit.food && unit.food.type === resource.type) {
-            priority *= 1.5; // Бонус за совместимость типа ресурса
-        } else if (unit.food && unit.food.type !== resource.type) {
-            priority *= 0.3; // Штраф за несовместимость типа ресурса
+        // Бонус за догрузку того же типа (другой тип отсечен canLoadResource)
+        if (unit.food && unit.food.amount > 0) {
+            priority *= 1.5;
         }
         
         return Math.round(priority * 100) / 100; // Округляем до 2 знаков
     }
-
-    /**
-     * Вычисляет расстояние между двумя позициями в гексагональной системе координат.
-     * @param {Object} pos1 - Первая позиция с координатами q, r
-     * @param {Object} pos2 - Вторая позиция с координатами q, r
-     * @returns {number} Расстояние в гексагональных клетках или Infinity при ошибке
-     */
-    calculateDistance(pos1, pos2) {
-        if (!pos1 || !pos2) return Infinity;
-        
-        // Hexagonal distance calculation using q, r coordinates
-        const q1 = pos1.q || 0;
-        const r1 = pos1.r || 0;
-        const s1 = -q1 - r1;
-        
-        const q2 = pos2.q || 0;
-        const r2 = pos2.r || 0;
-        const s2 = -q2 - r2;
-        
-        return Math.max(Math.abs(q1 - q2), Math.abs(r1 - r2), Math.abs(s1 - s2));
-    }
     
     /**
      * Generates a simplified path for safety analysis.
@@ -1105,20 +1104,15 @@ class ResourceManager {
      * @returns {Array} Array of path points
      */
     generateSimplePath(from, to, maxPoints = 5) {
-        const points = [];
-        const dq = to.q - from.q;
-        const dr = to.r - from.r;
-        const distance = Math.max(Math.abs(dq), Math.abs(dr), Math.abs(-dq - dr));
-        
+        const distance = HexGeometry.distance(from, to);
         if (distance === 0) return [from];
         
+        const line = HexGeometry.line(from, to);
         const steps = Math.min(maxPoints, distance);
+        const points = [];
         
         for (let i = 1; i <= steps; i++) {
-            const t = i / steps;
-            const q = Math.round(from.q + dq * t);
-            const r = Math.round(from.r + dr * t);
-            points.push({ q, r });
+            points.push(line[Math.round(i * distance / steps)]);
         }
         
         return points;
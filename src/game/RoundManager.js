@@ -1,4 +1,5 @@
 const logger = require('../utils/Logger');
+const { LobbyClosedError } = require('../api/ApiErrors');
 
 /**
  * Управляет жизненным циклом раундов игры.
@@ -180,7 +181,7 @@ class RoundManager {
             logger.error('Registration failed:', error);
             
             // Проверяем, не закрылось ли лобби
-            if (error.message.includes('lobby ended') || error.message.includes('too late')) {
+            if (error instanceof LobbyClosedError) {
                 logger.info('Lobby closed, will wait for next round');
                 this.currentRound = null; // Сбрасываем текущий раунд
                 return null;
@@ -1,4 +1,6 @@
 const logger = require('../utils/Logger');
+const HexGeometry = require('../utils/HexGeometry');
+const { EVENTS } = require('./GameEventBus');
 
 class StrategyManager {
     constructor() {
@@ -14,6 +16,32 @@ class StrategyManager {
         this.maxHistoryLength = 10; // Keep last 10 turns
         this.recoveryModeTriggered = false;
         this.recoveryModeStartTurn = null;
+
+        // Последнее нападение на муравейник (событие AnthillAttacked) и сколько ходов после него держать солдат дома
+        this.anthillAlert = null;
+        this.recallTurns = 3;
+    }
+
+    /**
+     * Подписывает стратегию на игровые события: нападение на муравейник отзывает солдат домой.
+     * @param {GameEventBus} events - Шина событий
+     */
+    subscribe(events) {
+        events.on(EVENTS.ANTHILL_ATTACKED, event => {
+            this.anthillAlert = { turn: event.turn, attackers: event.attackers };
+        });
+    }
+
+    /**
+     * @param {number} turnNumber - Текущий ход
+     * @returns {Object|null} Нападение на муравейник за последние recallTurns ходов
+     */
+    getActiveAnthillAlert(turnNumber) {
+        const alert = this.anthillAlert;
+        if (!alert || turnNumber < alert.turn || turnNumber - alert.turn > this.recallTurns) {
+            return null;
+        }
+        return alert;
     }
 
     determineStrategy(analysis, turnNumber) {
@@ -66,6 +94,17 @@ class StrategyManager {
             details: `Turn ${turnNumber}, determining ${phase} phase strategy`
         });
 
+        const anthillAlert = this.getActiveAnthillAlert(turnNumber);
+        if (anthillAlert) {
+            strategy.combatStrategy.recallSoldiers = { since: anthillAlert.turn, attackers: anthillAlert.attackers };
+            strategy.combatStrategy.prioritizeDefense = true;
+            strategy.reasoning.push({
+                category: 'defense',
+                decision: 'recall_soldiers',
+                details: `Anthill attacked on turn ${anthillAlert.turn} by ${anthillAlert.attackers.length} enemies, soldiers recalled`
+            });
+        }
+
         if (this.recoveryModeTriggered) {
             strategy.reasoning.push({
                 category: 'recovery',
@@ -85,7 +124,7 @@ class StrategyManager {
         }
         
         // More aggressive strategy naming
-        if (analysis.gameState?.enemies?.length > 0) {
+        if (analysis.gameState.enemies.length > 0) {
             return 'aggressive_combat_' + phase;
         } else if (phase === 'mid' || phase === 'late') {
             return 'aggressive_exploration_' + phase;
@@ -102,7 +141,7 @@ class StrategyManager {
         let priorities = [];
 
         // Always prioritize finding and raiding enemy bases
-        if (analysis.gameState?.discoveredEnemyAnthills?.length > 0) {
+        if (analysis.memory.getEnemyAnthills().length > 0) {
             priorities.push('raid_enemy_bases');
         }
 
@@ -246,7 +285,7 @@ class StrategyManager {
 
         const unitsWithDistance = availableUnits.map(unit => ({
             unit,
-            distance: this.calculateDistance(unit, resource),
+            distance: HexGeometry.distance(unit, resource),
             suitability: this.calculateUnitSuitability(unit, resource)
         }));
 
@@ -299,7 +338,7 @@ class StrategyManager {
         
         analysis.resources.highValue.forEach(resourceInfo => {
             const nearbySoldiers = soldiers.filter(soldier => 
-                this.calculateDistance(soldier, resourceInfo.resource) <= 4
+                HexGeometry.distance(soldier, resourceInfo.resource) <= 4
             );
             
             if (nearbySoldiers.length > 0) {
@@ -449,10 +488,24 @@ class StrategyManager {
         return strategy;
     }
 
+    /**
+     * Построения для CombatManager в порядке предпочтения (типы FormationPlanner.FORMATIONS).
+     * При угрозе муравейнику - кольцо вокруг него; иначе трилистник, если хватает солдат и
+     * разведчиков, или клин из солдат. Муравьи с грузом в построения не берутся.
+     */
     recommendFormations(analysis) {
         const formations = [];
-        const soldiers = analysis.units.myUnits.filter(u => u.type === 2); // soldier
-        const scouts = analysis.units.myUnits.filter(u => u.type === 3); // scout
+        const idle = analysis.units.myUnits.filter(u => (u.food?.amount || 0) === 0);
+        const soldiers = idle.filter(u => u.type === 2); // soldier
+        const scouts = idle.filter(u => u.type === 3); // scout
+
+        if (analysis.threats.immediateThreats.length > 0 && soldiers.length >= 2) {
+            formations.push({
+                type: 'defensive_ring',
+                units: soldiers.concat(scouts),
+                purpose: 'defense'
+            });
+        }
         
         if (soldiers.length >= 3 && scouts.length >= 2) {
             formations.push({
@@ -462,11 +515,11 @@ class StrategyManager {
             });
         }
 
-        if (analysis.threats.immediateThreats.length > 0) {
+        if (soldiers.length >= 2) {
             formations.push({
-                type: 'concentric_defense',
-                units: analysis.units.myUnits,
-                purpose: 'defense'
+                type: 'wedge',
+                units: soldiers.slice(0, 5),
+                purpose: 'attack'
             });
         }
 
@@ -499,7 +552,7 @@ class StrategyManager {
             priority += 1;
         }
 
-        const distanceToAnthill = this.calculateDistance(analysis.units.anthill, enemy);
+        const distanceToAnthill = HexGeometry.distance(analysis.units.anthill, enemy);
         if (distanceToAnthill <= 5) {
             priority += 2;
         } else if (distanceToAnthill <= 10) {
@@ -516,7 +569,7 @@ class StrategyManager {
             reasons.push('high_threat_unit');
         }
         
-        const distanceToAnthill = this.calculateDistance(analysis.units.anthill, enemy);
+        const distanceToAnthill = HexGeometry.distance(analysis.units.anthill, enemy);
         if (distanceToAnthill <= 5) {
             reasons.push('close_to_anthill');
         }
@@ -554,20 +607,6 @@ class StrategyManager {
 
         return adaptations;
     }
-
-    calculateDistance(pos1, pos2) {
-        if (!pos1 || !pos2) return Infinity;
-        
-        const q1 = pos1.q || 0;
-        const r1 = pos1.r || 0;
-        const s1 = -q1 - r1;
-        
-        const q2 = pos2.q || 0;
-        const r2 = pos2.r || 0;
-        const s2 = -q2 - r2;
-        
-        return Math.max(Math.abs(q1 - q2), Math.abs(r1 - r2), Math.abs(s1 - s2));
-    }
     
     /**
      * Updates the unit count history for loss tracking.
@@ -797,7 +836,7 @@ class StrategyManager {
         const anthill = analysis.units.anthill;
         if (anthill) {
             const nearbyEnemies = analysis.units.enemyUnits.filter(enemy => {
-                const distance = this.calculateDistance(anthill, enemy);
+                const distance = HexGeometry.distance(anthill, enemy);
                 return distance <= 15;
             });
             
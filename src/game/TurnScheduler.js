@@ -0,0 +1,200 @@
+const logger = require('../utils/Logger');
+
+/**
+ * Синхронизирует игровой цикл со сменой ходов сервера по полю nextTurnIn из /arena.
+ *
+ * После получения состояния планировщик знает, когда закончится текущий ход (turnEndsAt),
+ * и отвечает на три вопроса: когда снова опрашивать /arena (сразу после смены хода),
+ * до какого момента нужно отправить ходы (дедлайн с запасом на сеть) и сколько времени
+ * остается на планирование. Заодно он считает метрики: пропущенные ходы (номер хода
+ * перескочил или ходы не были приняты), поздние отправки и повторные опросы того же хода.
+ */
+class TurnScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} options.safetyMarginMs - Запас до смены хода, к которому ходы должны быть отправлены
+     * @param {number} options.flipDelayMs - Пауза после ожидаемой смены хода перед опросом
+     * @param {number} options.pollIntervalMs - Интервал опроса, если момент смены хода неизвестен
+     * @param {number} options.maxPollIntervalMs - Предел интервала при повторных опросах того же хода
+     * @param {number} options.minPlanningMs - Минимальный бюджет планирования, даже если ход почти кончился
+     */
+    constructor(options = {}) {
+        this.safetyMarginMs = options.safetyMarginMs ?? 150;
+        this.flipDelayMs = options.flipDelayMs ?? 30;
+        this.pollIntervalMs = options.pollIntervalMs ?? 200;
+        this.maxPollIntervalMs = options.maxPollIntervalMs ?? 1000;
+        this.minPlanningMs = options.minPlanningMs ?? 50;
+
+        this.reset();
+    }
+
+    /**
+     * Сбрасывает состояние и метрики (новая игра).
+     */
+    reset() {
+        this.metrics = {
+            turnsSeen: 0,
+            turnsSubmitted: 0,
+            missedTurns: 0,
+            lateTurns: 0,
+            stalePolls: 0,
+            totalPlanningMs: 0,
+            totalSubmitMs: 0
+        };
+
+        this.currentTurn = null;
+        this.submittedTurn = null;
+        this.turnStartedAt = null;
+        this.turnEndsAt = null;
+        this.stalePolls = 0;
+        // Сглаженная оценка времени отправки /move
+        this.submitLatencyMs = null;
+        this.lastPlanningMs = null;
+    }
+
+    /**
+     * Учитывает свежий ответ /arena.
+     * @param {Object} gameState - Состояние игры
+     * @param {number} receivedAt - Когда получен ответ
+     * @returns {Object} { turn, isNewTurn, missed } - missed: сколько ходов пропущено перед этим
+     */
+    observe(gameState, receivedAt = Date.now()) {
+        const turn = gameState.turnNo || 0;
+        if (this.currentTurn !== null && turn < this.currentTurn) {
+            this.reset();
+        }
+
+        const isNewTurn = turn !== this.currentTurn;
+        if (gameState.nextTurnIn > 0) {
+            this.turnEndsAt = receivedAt + gameState.nextTurnIn * 1000;
+        } else if (isNewTurn) {
+            this.turnEndsAt = null;
+        }
+
+        if (!isNewTurn) {
+            this.stalePolls++;
+            this.metrics.stalePolls++;
+            return { turn, isNewTurn, missed: 0 };
+        }
+
+        let missed = 0;
+        if (this.currentTurn !== null) {
+            // Ходы между предыдущим и текущим мы не видели вовсе
+            missed += turn - this.currentTurn - 1;
+            // Предыдущий ход видели, но ходы на него не приняты
+            if (this.submittedTurn !== this.currentTurn) {
+                missed++;
+            }
+        }
+        if (missed > 0) {
+            this.metrics.missedTurns += missed;
+            logger.warn(`Turn ${turn}: missed ${missed} turn(s) since turn ${this.currentTurn}`);
+        }
+
+        this.currentTurn = turn;
+        this.turnStartedAt = receivedAt;
+        this.stalePolls = 0;
+        this.metrics.turnsSeen++;
+        return { turn, isNewTurn, missed };
+    }
+
+    /**
+     * @returns {number|null} Крайний момент отправки ходов или null, если сервер не сообщил время хода
+     */
+    getSubmitDeadline() {
+        return this.turnEndsAt !== null ? this.turnEndsAt - this.safetyMarginMs : null;
+    }
+
+    /**
+     * Сколько времени можно потратить на планирование, оставив время на отправку.
+     * @param {number} now - Текущее время
+     * @returns {number|null} Бюджет в мс или null, если дедлайн неизвестен
+     */
+    getPlanningBudget(now = Date.now()) {
+        const deadline = this.getSubmitDeadline();
+        if (deadline === null) {
+            return null;
+        }
+        const reserve = this.submitLatencyMs ?? 0;
+        return Math.max(this.minPlanningMs, deadline - now - reserve);
+    }
+
+    /**
+     * @param {number} now - Текущее время
+     * @returns {number} Через сколько мс опрашивать /arena
+     */
+    getPollDelay(now = Date.now()) {
+        const processed = this.currentTurn !== null && this.submittedTurn === this.currentTurn;
+        if (this.turnEndsAt !== null && now < this.turnEndsAt && processed) {
+            return this.turnEndsAt - now + this.flipDelayMs;
+        }
+        // Ход уже должен был смениться (или время неизвестно): опрашиваем все реже
+        return Math.min(this.maxPollIntervalMs, this.pollIntervalMs * (1 + this.stalePolls));
+    }
+
+    /**
+     * @param {Object} gameState - Состояние до начала игры
+     * @returns {number} Через сколько мс проверить, началась ли игра
+     */
+    getStartDelay(gameState) {
+        if (gameState && gameState.nextTurnIn > 0) {
+            return gameState.nextTurnIn * 1000 + this.flipDelayMs;
+        }
+        return this.pollIntervalMs;
+    }
+
+    /**
+     * @param {number} planningMs - Сколько заняло планирование хода
+     */
+    recordPlanning(planningMs) {
+        this.lastPlanningMs = planningMs;
+        this.metrics.totalPlanningMs += planningMs;
+    }
+
+    /**
+     * Учитывает результат отправки ходов.
+     * @param {number} turn - Номер хода
+     * @param {boolean} accepted - Сервер принял ходы (или отправлять было нечего)
+     * @param {number} startedAt - Начало отправки
+     * @param {number} completedAt - Конец отправки
+     * @returns {Object} Тайминг хода для логов
+     */
+    recordSubmission(turn, accepted, startedAt, completedAt = Date.now()) {
+        const submitMs = completedAt - startedAt;
+        const late = !accepted || (this.turnEndsAt !== null && completedAt > this.turnEndsAt);
+
+        this.submitLatencyMs = this.submitLatencyMs === null ? submitMs : Math.round(0.7 * this.submitLatencyMs + 0.3 * submitMs);
+        this.metrics.totalSubmitMs += submitMs;
+
+        if (late) {
+            this.metrics.lateTurns++;
+            logger.warn(`Turn ${turn}: moves ${accepted ? 'arrived after the turn ended' : 'were not accepted'} (${submitMs}ms to submit)`);
+        } else {
+            this.submittedTurn = turn;
+            this.metrics.turnsSubmitted++;
+        }
+
+        return {
+            turn,
+            planningMs: this.lastPlanningMs,
+            submitMs,
+            late,
+            remainingMs: this.turnEndsAt !== null ? this.turnEndsAt - completedAt : null
+        };
+    }
+
+    /**
+     * @returns {Object} Метрики синхронизации за текущую игру
+     */
+    getMetrics() {
+        const { totalPlanningMs, totalSubmitMs, ...counters } = this.metrics;
+        const submissions = counters.turnsSubmitted + counters.lateTurns;
+        return {
+            ...counters,
+            avgPlanningMs: submissions > 0 ? Math.round(totalPlanningMs / submissions) : 0,
+            avgSubmitMs: submissions > 0 ? Math.round(totalSubmitMs / submissions) : 0
+        };
+    }
+}
+
+module.exports = TurnScheduler;
@@ -8,6 +8,7 @@ const {
 } = require('../constants/GameConstants');
 const PathfindingValidator = require('./PathfindingValidator');
 const AStarPathfinder = require('./AStarPathfinder');
+const HexGeometry = require('../utils/HexGeometry');
 
 /**
  * Управляет поведением и движением юнитов.
@@ -32,28 +33,91 @@ class UnitManager {
 
     /**
      * Планирует действия для всех юнитов на основе стратегии и анализа.
+     * Критичные юниты (с грузом или при угрозе муравейнику) планируются первыми;
+     * когда бюджет хода исчерпан, остальные получают запасной ход (planFallbackAction).
      * @param {Object} analysis - Анализ состояния игры
      * @param {Object} strategy - Стратегия для текущего хода
      * @param {Object} resourceAssignmentManager - Менеджер назначений ресурсов
+     * @param {PlanningBudget} budget - Бюджет времени хода (необязателен)
      * @returns {Object} Объект с массивом команд движения
      */
-    planUnitActions(analysis, strategy, resourceAssignmentManager) {
-        const moves = [];
+    planUnitActions(analysis, strategy, resourceAssignmentManager, budget = null) {
         const myUnits = analysis.units.myUnits;
+        const actions = new Map();
         
         this.clearOldAssignments();
         
-        myUnits.forEach(unit => {
-            const unitAction = this.planUnitAction(unit, analysis, strategy, resourceAssignmentManager);
+        const critical = myUnits.filter(unit => this.isCriticalUnit(unit, analysis));
+        const regular = myUnits.filter(unit => !critical.includes(unit));
+        
+        [...critical, ...regular].forEach(unit => {
+            let unitAction;
+            if (budget && !critical.includes(unit) && budget.isExhausted()) {
+                unitAction = this.planFallbackAction(unit, analysis, resourceAssignmentManager);
+                budget.recordFallback('units');
+            } else {
+                unitAction = this.planUnitAction(unit, analysis, strategy, resourceAssignmentManager);
+            }
             if (unitAction) {
-                moves.push(unitAction);
+                actions.set(unit.id, unitAction);
                 this.unitAssignments.set(unit.id, unitAction);
             }
         });
 
+        // Порядок ходов не зависит от порядка планирования
+        const moves = myUnits.filter(unit => actions.has(unit.id)).map(unit => actions.get(unit.id));
         return { moves };
     }
 
+    /**
+     * Критичный юнит планируется первым и никогда не переводится на запасной ход:
+     * он везет груз домой или муравейнику угрожают.
+     * @param {Object} unit - Юнит
+     * @param {Object} analysis - Анализ состояния игры
+     * @returns {boolean} true для критичного юнита
+     */
+    isCriticalUnit(unit, analysis) {
+        return (unit.food?.amount || 0) > 0 || analysis.threats.immediateThreats.length > 0;
+    }
+
+    /**
+     * Дешевый ход без поиска пути для юнита, на которого не хватило бюджета:
+     * продолжить прошлый путь или сделать один жадный шаг к цели назначения.
+     * @param {Object} unit - Юнит
+     * @param {Object} analysis - Анализ состояния игры
+     * @param {Object} resourceAssignmentManager - Менеджер назначений ресурсов
+     * @returns {Object|null} Команда движения или null
+     */
+    planFallbackAction(unit, analysis, resourceAssignmentManager) {
+        const previous = this.unitAssignments.get(unit.id);
+
+        if (previous && previous.path && previous.path.length > 0) {
+            // Юнит либо стоит на одном из гексов прошлого пути, либо еще не сдвинулся с места
+            const index = previous.path.findIndex(hex => hex.q === unit.q && hex.r === unit.r);
+            const rest = index >= 0
+                ? previous.path.slice(index + 1)
+                : (HexGeometry.distance(unit, previous.path[0]) === 1 ? previous.path : []);
+            if (rest.length > 0) {
+                return { ...previous, path: rest, fallback: 'previous_path' };
+            }
+        }
+
+        const assignment = resourceAssignmentManager?.getUnitAssignment(unit.id) || previous?.assignment;
+        const target = assignment?.target;
+        if (!target || target.q === undefined || HexGeometry.distance(unit, target) === 0) {
+            return null;
+        }
+
+        const step = HexGeometry.neighbors(unit)
+            .filter(hex => this.pathValidator.validatePosition(hex, analysis.gameState))
+            .sort((a, b) => HexGeometry.distance(a, target) - HexGeometry.distance(b, target))[0];
+        if (!step || HexGeometry.distance(step, target) >= HexGeometry.distance(unit, target)) {
+            return null;
+        }
+
+        return { unit_id: unit.id, path: [step], assignment, fallback: 'greedy_step' };
+    }
+
     /**
      * Планирует действие для конкретного юнита.
      * @param {Object} unit - Юнит для планирования
@@ -345,7 +409,7 @@ class UnitManager {
 
         const nearestThreat = this.findNearestThreat(unit, immediateThreats);
         if (nearestThreat) {
-            const interceptPoint = this.calculateInterceptPoint(unit, nearestThreat, anthill);
+            const interceptPoint = this.calculateInterceptPoint(unit, nearestThreat, anthill, analysis.enemyTracker);
             const path = this.findPath(unit, interceptPoint, analysis);
             
             if (path && path.length > 0) {
@@ -407,7 +471,7 @@ class UnitManager {
 
         const nearestNectar = this.findNearestResource(unit, availableNectar);
         if (nearestNectar) {
-            const distance = this.calculateDistance(unit, nearestNectar);
+            const distance = HexGeometry.distance(unit, nearestNectar);
             logger.debug(`Unit ${unit.id}: Nearest nectar at (${nearestNectar.q}, ${nearestNectar.r}), distance: ${distance}`);
             
             const path = this.findPath(unit, nearestNectar, analysis);
@@ -530,6 +594,7 @@ class UnitManager {
 
     /**
      * Планирует исследование карты для поиска новых ресурсов и территорий.
+     * Цели берутся из неразведанных или устаревших гексов WorldMemory.
      * @param {Object} unit - Юнит-разведчик
      * @param {Object} analysis - Анализ состояния игры
      * @returns {Object|null} Команда движения к цели исследования или null
@@ -659,7 +724,7 @@ class UnitManager {
         let maxDistance = 0;
         
         patrolPoints.forEach(point => {
-            const distance = this.calculateDistance(unit, point);
+            const distance = HexGeometry.distance(unit, point);
             if (distance > maxDistance) {
                 maxDistance = distance;
                 farthestPoint = point;
@@ -770,12 +835,15 @@ class UnitManager {
         // Calculate maximum search distance based on unit speed and remaining moves
         const unitSpeed = this.getUnitSpeed(unit.type);
         // Increase search distance for recovery mode or long-range pathfinding
-        const distance = this.calculateDistance(unit, target);
+        const distance = HexGeometry.distance(unit, target);
         const baseSearchDistance = Math.min(200, unitSpeed * 15); // Increased base distance
         const maxSearchDistance = Math.max(baseSearchDistance, distance + 10); // Ensure we can reach the target
 
+        // Стоимость гекса с учетом местности: грязь дороже, кислота штрафуется, камни непроходимы
+        const getCost = (pos) => this.pathValidator.getTraversalWeight(pos, analysis.gameState);
+
         // Try A* pathfinding
-        let path = this.pathfinder.findPath(unit, target, isWalkable, maxSearchDistance);
+        let path = this.pathfinder.findPath(unit, target, isWalkable, maxSearchDistance, getCost);
         
         // If direct path fails, try using pathValidator alternative path
         if (!path || path.length === 0) {
@@ -802,7 +870,7 @@ class UnitManager {
     calculateDirectPath(start, end) {
         if (!start || !end) return [];
         
-        const distance = this.calculateDistance(start, end);
+        const distance = HexGeometry.distance(start, end);
         if (distance === 0) return [];
 
         // Для простоты и эффективности, возвращаем путь по шагам
@@ -890,12 +958,12 @@ class UnitManager {
         const threats = analysis.threats.threats;
         const safetyRadius = 2;
         
-        const safePath = path.filter(point => {
-            const nearbyThreats = threats.filter(threat => 
-                this.calculateDistance(point, threat.unit) <= safetyRadius
-            );
-            return nearbyThreats.length === 0;
-        });
+        // Обрезаем путь перед первой опасной точкой: выкидывать точки из середины нельзя,
+        // иначе шаги пути перестают быть соседними
+        const firstUnsafe = path.findIndex(point => threats.some(threat =>
+            HexGeometry.distance(point, threat.unit) <= safetyRadius
+        ));
+        const safePath = firstUnsafe === -1 ? path : path.slice(0, firstUnsafe);
         
         return safePath.length > 0 ? safePath : path;
     }
@@ -913,7 +981,7 @@ class UnitManager {
 
         const resourcesWithDistance = resources.map(resource => ({
             resource,
-            distance: this.calculateDistance(unit, resource)
+            distance: HexGeometry.distance(unit, resource)
         }));
 
         resourcesWithDistance.sort((a, b) => a.distance - b.distance);
@@ -933,7 +1001,7 @@ class UnitManager {
 
         const threatsWithDistance = threats.map(threat => ({
             threat,
-            distance: this.calculateDistance(unit, threat.unit)
+            distance: HexGeometry.distance(unit, threat.unit)
         }));
 
         threatsWithDistance.sort((a, b) => a.distance - b.distance);
@@ -953,7 +1021,7 @@ class UnitManager {
 
         const positionsWithDistance = positions.map(pos => ({
             position: pos,
-            distance: this.calculateDistance(unit, pos)
+            distance: HexGeometry.distance(unit, pos)
         }));
 
         positionsWithDistance.sort((a, b) => a.distance - b.distance);
@@ -987,32 +1055,27 @@ class UnitManager {
             targets.push(...ringTargets);
         }
 
-        return targets.filter(target => 
-            !this.isPositionExplored(target, analysis)
-        );
+        // Сначала никогда не виденные и давно не виденные гексы, при равенстве - ближайшие
+        const memory = analysis.memory;
+        return targets
+            .filter(target => !this.isPositionExplored(target, analysis))
+            .map(target => ({
+                target,
+                value: memory ? memory.getExplorationValue(target) : 1,
+                distance: HexGeometry.distance(unit, target)
+            }))
+            .sort((a, b) => (b.value - a.value) || (a.distance - b.distance))
+            .map(entry => entry.target);
     }
 
     /**
-     * Генерирует позиции на кольце указанного радиуса в гексагональной системе.
+     * Генерирует угловые позиции кольца указанного радиуса (по одной в каждом из 6 направлений).
      * @param {Object} center - Центральная позиция с координатами q, r
      * @param {number} radius - Радиус кольца
-     * @returns {Array} Массив позиций на кольце
+     * @returns {Array} Массив из 6 позиций
      */
     generateRingPositions(center, radius) {
-        const positions = [];
-        const directions = [
-            { dq: 1, dr: 0 }, { dq: 1, dr: -1 }, { dq: 0, dr: -1 },
-            { dq: -1, dr: 0 }, { dq: -1, dr: 1 }, { dq: 0, dr: 1 }
-        ];
-
-        directions.forEach(dir => {
-            positions.push({
-                q: center.q + dir.dq * radius,
-                r: center.r + dir.dr * radius
-            });
-        });
-
-        return positions;
+        return HexGeometry.DIRECTIONS.map(direction => HexGeometry.add(center, HexGeometry.scale(direction, radius)));
     }
 
     /**
@@ -1020,9 +1083,16 @@ class UnitManager {
      * @param {Object} unit - Юнит-защитник
      * @param {Object} threat - Угроза
      * @param {Object} anthill - Муравейник
+     * @param {EnemyTracker} enemyTracker - Треки врагов; движущегося врага перехватываем на прогнозной позиции
      * @returns {Object} Координаты точки перехвата
      */
-    calculateInterceptPoint(unit, threat, anthill) {
+    calculateInterceptPoint(unit, threat, anthill, enemyTracker = null) {
+        const track = enemyTracker && threat.unit.id ? enemyTracker.getTrack(threat.unit.id) : null;
+        if (track && track.speed > 0) {
+            const intercept = enemyTracker.getInterceptPoint(unit, threat.unit.id);
+            return { q: intercept.q, r: intercept.r };
+        }
+
         const threatToAnthill = {
             q: anthill.q - threat.unit.q,
             r: anthill.r - threat.unit.r
@@ -1104,7 +1174,7 @@ class UnitManager {
         const searchRadius = 50;
         
         // Use spiral pattern for better exploration coverage
-        const spiralPoints = this.generateSpiralPattern(anthill, searchRadius);
+        const spiralPoints = HexGeometry.spiral(anthill, searchRadius);
         
         for (const point of spiralPoints) {
             if (!this.isPositionExplored(point, analysis)) {
@@ -1164,7 +1234,7 @@ class UnitManager {
                     return;
                 }
 
-                const distance = this.calculateDistance(resource, otherResource);
+                const distance = HexGeometry.distance(resource, otherResource);
                 if (distance <= 5) {
                     cluster.resources.push(otherResource);
                     cluster.totalValue += this.getResourceValue(otherResource);
@@ -1215,7 +1285,8 @@ class UnitManager {
      * @returns {boolean} true, если ресурс ещё доступен
      */
     isResourceStillAvailable(resource, analysis) {
-        return analysis.resources.visible.some(r => 
+        const known = [...analysis.resources.visible, ...(analysis.resources.remembered || [])];
+        return known.some(r => 
             r.q === resource.q && r.r === resource.r && r.type === resource.type
         );
     }
@@ -1233,23 +1304,23 @@ class UnitManager {
     }
 
     /**
-     * Проверяет, исследована ли область вокруг цели. Пока заглушка.
+     * Проверяет, исследована ли цель разведки (см. isPositionExplored).
      * @param {Object} target - Целевая позиция
      * @param {Object} analysis - Анализ состояния игры
-     * @returns {boolean} Всегда false (заглушка)
+     * @returns {boolean} true, если цель недавно видели
      */
     isAreaExplored(target, analysis) {
-        return false;
+        return this.isPositionExplored(target, analysis);
     }
 
     /**
-     * Проверяет, исследована ли конкретная позиция. Пока заглушка.
+     * Проверяет, исследована ли конкретная позиция: гекс недавно видели (см. WorldMemory).
      * @param {Object} position - Проверяемая позиция
      * @param {Object} analysis - Анализ состояния игры
-     * @returns {boolean} Всегда false (заглушка)
+     * @returns {boolean} true, если гекс есть в памяти и наблюдение не устарело
      */
     isPositionExplored(position, analysis) {
-        return false;
+        return !!analysis.memory && analysis.memory.isExplored(position);
     }
 
     /**
@@ -1279,11 +1350,11 @@ class UnitManager {
      */
     isWorkerVulnerable(worker, analysis) {
         const nearbyThreats = analysis.threats.threats.filter(threat => 
-            this.calculateDistance(worker, threat.unit) <= 5
+            HexGeometry.distance(worker, threat.unit) <= 5
         );
         
         const nearbyAllies = analysis.units.myUnits.filter(ally => 
-            ally.type === this.unitTypes.SOLDIER && this.calculateDistance(worker, ally) <= 3
+            ally.type === this.unitTypes.SOLDIER && HexGeometry.distance(worker, ally) <= 3
         );
         
         return nearbyThreats.length > 0 && nearbyAllies.length === 0;
@@ -1326,73 +1397,13 @@ class UnitManager {
     /**
      * Проверяет, есть ли доступные ресурсы для сбора
      * @param {Object} analysis - Анализ состояния игры
-     * @returns {boolean} true, если есть видимые ресурсы
+     * @returns {boolean} true, если есть видимые или запомненные ресурсы
      */
     hasAvailableResources(analysis) {
-        return analysis.resources && 
-               analysis.resources.visible && 
-               analysis.resources.visible.length > 0;
-    }
-
-    /**
-     * Вычисляет расстояние между двумя позициями в гексагональной системе координат.
-     * @param {Object} pos1 - Первая позиция с координатами q, r
-     * @param {Object} pos2 - Вторая позиция с координатами q, r
-     * @returns {number} Расстояние в гексагональных клетках или Infinity при ошибке
-     */
-    calculateDistance(pos1, pos2) {
-        if (!pos1 || !pos2) return Infinity;
-        
-        // Гексагональная система координат (q, r)
-        const q1 = pos1.q || 0;
-        const r1 = pos1.r || 0;
-        const s1 = -q1 - r1;
-        
-        const q2 = pos2.q || 0;
-        const r2 = pos2.r || 0;
-        const s2 = -q2 - r2;
-        
-        return Math.max(Math.abs(q1 - q2), Math.abs(r1 - r2), Math.abs(s1 - s2));
-    }
-    
-    /**
-     * Генерирует точки в виде спирали для эффективного исследования карты.
-     * @param {Object} center - Центральная точка (муравейник)
-     * @param {number} maxRadius - Максимальный радиус спирали
-     * @returns {Array} Массив точек в порядке спирали
-     */
-    generateSpiralPattern(center, maxRadius) {
-        const points = [];
-        const directions = [
-            { q: 1, r: 0 },   // right
-            { q: 0, r: 1 },   // down-right
-            { q: -1, r: 1 },  // down-left
-            { q: -1, r: 0 },  // left
-            { q: 0, r: -1 },  // up-left
-            { q: 1, r: -1 }   // up-right
-        ];
-        
-        let q = center.q;
-        let r = center.r;
-        points.push({ q, r });
-        
-        for (let radius = 1; radius <= maxRadius; radius++) {
-            // Move to the starting position of this ring
-            q = center.q + radius;
-            r = center.r;
-            
-            // Traverse each side of the hexagonal ring
-            for (let dir = 0; dir < 6; dir++) {
-                for (let step = 0; step < radius; step++) {
-                    points.push({ q, r });
-                    // Move in current direction
-                    q += directions[dir].q;
-                    r += directions[dir].r;
-                }
-            }
-        }
-        
-        return points;
+        return !!analysis.resources && (
+            (analysis.resources.visible || []).length > 0 ||
+            (analysis.resources.remembered || []).length > 0
+        );
     }
     
     /**
@@ -1401,10 +1412,7 @@ class UnitManager {
      * @returns {boolean} true, если обнаружены вражеские муравейники
      */
     hasDiscoveredEnemyAnthills(analysis) {
-        if (!analysis.gameState || !analysis.gameState.discoveredEnemyAnthills) {
-            return false;
-        }
-        return analysis.gameState.discoveredEnemyAnthills.length > 0;
+        return analysis.memory.getEnemyAnthills().length > 0;
     }
     
     /**
@@ -1419,7 +1427,7 @@ class UnitManager {
         
         // Explore in expanding circles, prioritizing unexplored distant areas
         const maxDistance = 50;
-        const currentDistance = this.calculateDistance(unit, anthill);
+        const currentDistance = HexGeometry.distance(unit, anthill);
         
         // If unit is close to home, send it far
         let targetDistance = currentDistance < 15 ? 30 : currentDistance + 10;
@@ -1475,7 +1483,7 @@ class UnitManager {
                     r: gridY + dy * gridSize
                 };
                 
-                const distance = this.calculateDistance(anthill, target);
+                const distance = HexGeometry.distance(anthill, target);
                 if (distance <= maxSearchRadius && !this.isPositionExplored(target, analysis)) {
                     unexploredGrids.push(target);
                 }
@@ -1485,8 +1493,8 @@ class UnitManager {
         if (unexploredGrids.length > 0) {
             // Sort by distance from home (explore far areas first)
             unexploredGrids.sort((a, b) => {
-                const distA = this.calculateDistance(anthill, a);
-                const distB = this.calculateDistance(anthill, b);
+                const distA = HexGeometry.distance(anthill, a);
+                const distB = HexGeometry.distance(anthill, b);
                 return distB - distA;
             });
             
@@ -1517,18 +1525,7 @@ class UnitManager {
      * @returns {Object|null} Команда движения
      */
     raidEnemyAnthill(unit, analysis) {
-        // Check if we have discovered enemy anthills
-        const enemyAnthills = analysis.gameState?.discoveredEnemyAnthills || [];
-        if (enemyAnthills.length === 0) {
-            // Check enemies array for anthills (type 0)
-            const enemyAnthillsFromEnemies = (analysis.gameState?.enemies || [])
-                .filter(enemy => enemy.type === 0);
-            
-            if (enemyAnthillsFromEnemies.length > 0) {
-                enemyAnthills.push(...enemyAnthillsFromEnemies);
-            }
-        }
-        
+        const enemyAnthills = analysis.memory.getEnemyAnthills();
         if (enemyAnthills.length === 0) return null;
         
         // Analyze feasibility of raiding each enemy anthill
@@ -1624,7 +1621,7 @@ class UnitManager {
         
         // Stay close but not too close
         const followDistance = 3;
-        const currentDistance = this.calculateDistance(unit, nearestRaider);
+        const currentDistance = HexGeometry.distance(unit, nearestRaider);
         
         if (currentDistance > followDistance) {
             const path = this.findPath(unit, nearestRaider, analysis);
@@ -1698,7 +1695,7 @@ class UnitManager {
         }
         
         // Check if unit is already at anthill
-        const distanceToAnthill = this.calculateDistance(unit, anthill);
+        const distanceToAnthill = HexGeometry.distance(unit, anthill);
         if (distanceToAnthill === 0 && unit.food && unit.food.amount > 0) {
             // Unit has reached anthill and can unload resources
             const cargoValue = this.calculateCargoValue(unit);
@@ -1782,8 +1779,8 @@ class UnitManager {
         }
         
         // Базовые факторы анализа
-        const distance = this.calculateDistance(unit, enemyAnthill);
-        const distanceFromHome = this.calculateDistance(myAnthill, enemyAnthill);
+        const distance = HexGeometry.distance(unit, enemyAnthill);
+        const distanceFromHome = HexGeometry.distance(myAnthill, enemyAnthill);
         const myUnits = analysis.units.myUnits;
         const enemyUnits = analysis.units.enemyUnits;
         
@@ -1795,7 +1792,7 @@ class UnitManager {
         // Анализируем силы
         const myFighters = myUnits.filter(u => u.type === this.unitTypes.SOLDIER);
         const nearbyEnemies = enemyUnits.filter(enemy => 
-            this.calculateDistance(enemy, enemyAnthill) <= 8
+            HexGeometry.distance(enemy, enemyAnthill) <= 8
         );
         
         // Оценка моих боевых сил
@@ -1893,7 +1890,7 @@ class UnitManager {
         }
         
         const turnsLeft = gameEndTurn - currentTurn;
-        const distanceToHome = this.calculateDistance(unit, anthill);
+        const distanceToHome = HexGeometry.distance(unit, anthill);
         const unitSpeed = this.getUnitSpeed(unit.type);
         
         // Максимальное расстояние, на которое юнит может уйти и успеть вернуться
@@ -1934,7 +1931,7 @@ class UnitManager {
         
         // Проверяем нектар (всегда приоритет)
         const nearbyNectar = (analysis.resources.byType.nectar || []).filter(resource => 
-            this.calculateDistance(unit, resource) <= maxSafeDistance
+            HexGeometry.distance(unit, resource) <= maxSafeDistance
         );
         if (nearbyNectar.length > 0) {
             tasks.push('nectar_collection');
@@ -1942,7 +1939,7 @@ class UnitManager {
         
         // Проверяем хлеб
         const nearbyBread = (analysis.resources.byType.bread || []).filter(resource => 
-            this.calculateDistance(unit, resource) <= maxSafeDistance
+            HexGeometry.distance(unit, resource) <= maxSafeDistance
         );
         if (nearbyBread.length > 0) {
             tasks.push('bread_collection');
@@ -1950,7 +1947,7 @@ class UnitManager {
         
         // Проверяем яблоки
         const nearbyApples = (analysis.resources.byType.apple || []).filter(resource => 
-            this.calculateDistance(unit, resource) <= maxSafeDistance
+            HexGeometry.distance(unit, resource) <= maxSafeDistance
         );
         if (nearbyApples.length > 0) {
             tasks.push('apple_collection');
@@ -2026,14 +2023,14 @@ class UnitManager {
         // Функция проверки безопасности позиции
         const isSafePosition = (position) => {
             return threats.every(threat => 
-                this.calculateDistance(position, threat.unit) > 5
+                HexGeometry.distance(position, threat.unit) > 5
             );
         };
         
         // Проверяем нектар (всегда приоритет, даже для загруженных юнитов)
         if (analysis.resources.byType.nectar) {
             const safeNectar = analysis.resources.byType.nectar.filter(resource => {
-                const distance = this.calculateDistance(unit, resource);
+                const distance = HexGeometry.distance(unit, resource);
                 return distance <= maxSafeDistance && isSafePosition(resource);
             });
             
@@ -2062,7 +2059,7 @@ class UnitManager {
             
             if (resourceArray.length > 0) {
                 const safeResources = resourceArray.filter(resource => {
-                    const distance = this.calculateDistance(unit, resource);
+                    const distance = HexGeometry.distance(unit, resource);
                     return distance <= maxSafeDistance && isSafePosition(resource);
                 });
                 
@@ -2203,7 +2200,7 @@ class UnitManager {
         
         // Score targets based on priority, distance, and traversability
         const scoredTargets = threatTargets.map(target => {
-            const distance = this.calculateDistance(unit, target);
+            const distance = HexGeometry.distance(unit, target);
             const distanceScore = Math.max(0.1, 1 / (1 + distance * 0.1));
             let traversabilityScore = 1.0;
             
@@ -2247,7 +2244,7 @@ class UnitManager {
         
         // Score targets based on priority, distance, and movement cost
         const scoredTargets = explorationTargets.map(target => {
-            const distance = this.calculateDistance(unit, target.position);
+            const distance = HexGeometry.distance(unit, target.position);
             const distanceScore = Math.max(0.1, 1 / (1 + distance * 0.05));
             const costScore = Math.max(0.1, 3 / (target.cost + 1)); // Lower cost = higher score
             const priorityScore = target.priority;
@@ -2331,7 +2328,7 @@ class UnitManager {
      */
     generateSpiralExplorationTarget(unit, anthill, currentRadius, analysis) {
         // Generate exploration points in spiral pattern
-        const explorationPoints = this.generateSpiralPattern(anthill, currentRadius);
+        const explorationPoints = HexGeometry.spiral(anthill, currentRadius);
         
         // Filter out explored points
         const unexploredPoints = explorationPoints.filter(point => 
@@ -2340,7 +2337,7 @@ class UnitManager {
         
         if (unexploredPoints.length === 0) {
             // If all points explored, expand radius
-            const extendedPoints = this.generateSpiralPattern(anthill, currentRadius + 10);
+            const extendedPoints = HexGeometry.spiral(anthill, currentRadius + 10);
             unexploredPoints.push(...extendedPoints.slice(explorationPoints.length));
         }
         
@@ -2349,7 +2346,7 @@ class UnitManager {
         let minDistance = Infinity;
         
         for (const point of unexploredPoints) {
-            const distance = this.calculateDistance(unit, point);
+            const distance = HexGeometry.distance(unit, point);
             if (distance < minDistance) {
                 minDistance = distance;
                 bestTarget = point;
@@ -2374,11 +2371,11 @@ class UnitManager {
         
         // Проверяем, есть ли враги поблизости
         const nearbyEnemies = enemyUnits.filter(enemy => 
-            this.calculateDistance(unit, enemy) <= 10
+            HexGeometry.distance(unit, enemy) <= 10
         );
         
         const nearbyThreats = threats.filter(threat => 
-            this.calculateDistance(unit, threat.unit) <= 8
+            HexGeometry.distance(unit, threat.unit) <= 8
         );
         
         // Если рядом есть враги, отступаем к базе
@@ -2435,7 +2432,7 @@ class UnitManager {
         if (!anthill) return null;
         
         const maxSafeDistance = 25; // Ограничиваем дистанцию для безопасности
-        const currentDistance = this.calculateDistance(unit, anthill);
+        const currentDistance = HexGeometry.distance(unit, anthill);
         
         // Если разведчик слишком далеко от базы, возвращаем его
         if (currentDistance > maxSafeDistance) {
@@ -2498,7 +2495,7 @@ class UnitManager {
         };
         
         // Нормализуем направление
-        const distance = this.calculateDistance(unit, safePosition);
+        const distance = HexGeometry.distance(unit, safePosition);
         if (distance === 0) return safePosition;
         
         const normalizedDir = {
@@ -2515,7 +2512,7 @@ class UnitManager {
         
         // Проверяем, безопасна ли эта позиция
         const isSafe = enemies.every(enemy => 
-            this.calculateDistance(retreatPosition, enemy) > 5
+            HexGeometry.distance(retreatPosition, enemy) > 5
         );
         
         return isSafe ? retreatPosition : safePosition;
@@ -2536,22 +2533,10 @@ class UnitManager {
         if (!anthill) return [];
         
         const targets = [];
-        const directions = [
-            { q: 1, r: 0 },   // East
-            { q: 0, r: 1 },   // Southeast  
-            { q: -1, r: 1 },  // Southwest
-            { q: -1, r: 0 },  // West
-            { q: 0, r: -1 },  // Northwest
-            { q: 1, r: -1 }   // Northeast
-        ];
-        
         // Генерируем цели в разных направлениях на разных дистанциях
         for (let distance = 8; distance <= maxDistance; distance += 4) {
-            for (const direction of directions) {
-                const target = {
-                    q: anthill.q + Math.round(direction.q * distance),
-                    r: anthill.r + Math.round(direction.r * distance)
-                };
+            for (const direction of HexGeometry.DIRECTIONS) {
+                const target = HexGeometry.add(anthill, HexGeometry.scale(direction, distance));
                 
                 // Проверяем безопасность цели
                 const isSafe = this.isTargetSafeForScout(target, enemyUnits, threats);
@@ -2560,7 +2545,7 @@ class UnitManager {
                 if (isSafe && isUnexplored) {
                     targets.push({
                         ...target,
-                        distance: this.calculateDistance(unit, target),
+                        distance: HexGeometry.distance(unit, target),
                         safetyScore: this.calculateSafetyScore(target, enemyUnits, threats)
                     });
                 }
@@ -2589,12 +2574,12 @@ class UnitManager {
         
         // Проверяем расстояние до врагов
         const tooCloseToEnemies = enemies.some(enemy => 
-            this.calculateDistance(target, enemy) < safeDistance
+            HexGeometry.distance(target, enemy) < safeDistance
         );
         
         // Проверяем расстояние до угроз
         const tooCloseToThreats = threats.some(threat => 
-            this.calculateDistance(target, threat.unit) < safeDistance
+            HexGeometry.distance(target, threat.unit) < safeDistance
         );
         
         return !tooCloseToEnemies && !tooCloseToThreats;
@@ -2612,7 +2597,7 @@ class UnitManager {
         
         // Штрафуем за близость к врагам
         enemies.forEach(enemy => {
-            const distance = this.calculateDistance(position, enemy);
+            const distance = HexGeometry.distance(position, enemy);
             if (distance < 15) {
                 const penalty = Math.max(0, 50 - distance * 3);
                 score -= penalty;
@@ -2621,7 +2606,7 @@ class UnitManager {
         
         // Штрафуем за близость к угрозам
         threats.forEach(threat => {
-            const distance = this.calculateDistance(position, threat.unit);
+            const distance = HexGeometry.distance(position, threat.unit);
             if (distance < 12) {
                 const penalty = Math.max(0, 40 - distance * 3);
                 score -= penalty;
@@ -2643,7 +2628,7 @@ class UnitManager {
         const anthill = analysis.units.anthill;
         if (!anthill) return null;
         
-        const distanceToBase = this.calculateDistance(unit, anthill);
+        const distanceToBase = HexGeometry.distance(unit, anthill);
         const maxSafeDistance = strategy.resourceStrategy?.maxCollectionDistance || 15;
         
         // PRIORITY 1: Return loaded units to base immediately
@@ -2682,7 +2667,7 @@ class UnitManager {
             // Only collect resources very close to base
             const centralAssignment = resourceAssignmentManager.getUnitAssignment(unit.id);
             if (centralAssignment) {
-                const resourceDistance = this.calculateDistance(anthill, centralAssignment.target);
+                const resourceDistance = HexGeometry.distance(anthill, centralAssignment.target);
                 if (resourceDistance <= maxSafeDistance) {
                     logger.info(`🚨 Recovery: Worker ${unit.id} collecting safe resource at distance ${resourceDistance}`);
                     const moveResult = this.executeResourceAssignment(unit, centralAssignment, analysis, resourceAssignmentManager);
@@ -0,0 +1,259 @@
+const { HEX_TYPES } = require('../constants/GameConstants');
+
+/**
+ * Память о мире под туманом войны. Ответ /arena содержит только то, что видно сейчас;
+ * память накапливает разведанные гексы (тип и стоимость), последнюю известную еду
+ * и найденные вражеские муравейники между ходами.
+ *
+ * У каждой записи есть lastSeenTurn. Наружу записи отдаются с возрастом (age, в ходах)
+ * и уверенностью (confidence от 0 до 1), которая убывает с возрастом по периоду полураспада
+ * категории. Местность и муравейники не меняются, поэтому их уверенность не убывает;
+ * еду могут унести, поэтому она забывается, когда уверенность падает ниже порога
+ * или когда гекс снова виден, а еды на нем нет.
+ */
+class WorldMemory {
+    /**
+     * @param {Object} options
+     * @param {number} options.foodHalfLife - Через сколько ходов уверенность в еде падает вдвое
+     * @param {number} options.minFoodConfidence - Ниже этой уверенности еда забывается
+     * @param {number} options.exploredFreshness - Сколько ходов гекс считается разведанным
+     */
+    constructor(options = {}) {
+        this.halfLife = {
+            hex: Infinity,
+            food: options.foodHalfLife ?? 20,
+            anthill: Infinity
+        };
+        this.minFoodConfidence = options.minFoodConfidence ?? 0.1;
+        this.exploredFreshness = options.exploredFreshness ?? 30;
+
+        this.reset();
+    }
+
+    /**
+     * Очищает память (новая игра).
+     */
+    reset() {
+        this.currentTurn = 0;
+
+        // Map: "q,r" -> { q, r, type, cost, firstSeenTurn, lastSeenTurn }
+        this.hexes = new Map();
+
+        // Map: "q,r" -> { q, r, type, amount, firstSeenTurn, lastSeenTurn }
+        this.food = new Map();
+
+        // Map: "q,r" -> { q, r, firstSeenTurn, lastSeenTurn }
+        this.enemyAnthills = new Map();
+
+        // Гексы, видимые на текущем ходу
+        this.visible = new Set();
+    }
+
+    getKey(position) {
+        return `${position.q},${position.r}`;
+    }
+
+    /**
+     * Переносит в память все, что видно на текущем ходу.
+     * Если номер хода уменьшился, началась новая игра и память сбрасывается.
+     * @param {Object} gameState - Каноническое состояние игры (GameStateNormalizer)
+     */
+    update(gameState) {
+        const turn = gameState.turnNo;
+        if (turn < this.currentTurn) {
+            this.reset();
+        }
+        this.currentTurn = turn;
+
+        this.updateHexes(gameState.map);
+        this.updateFood(gameState.food);
+        this.updateEnemyAnthills(gameState);
+        this.forgetStaleFood();
+    }
+
+    updateHexes(hexes) {
+        this.visible = new Set();
+
+        hexes.forEach(hex => {
+            const key = this.getKey(hex);
+            const known = this.hexes.get(key);
+
+            this.visible.add(key);
+            this.hexes.set(key, {
+                q: hex.q,
+                r: hex.r,
+                type: hex.type,
+                cost: hex.cost,
+                firstSeenTurn: known ? known.firstSeenTurn : this.currentTurn,
+                lastSeenTurn: this.currentTurn
+            });
+        });
+    }
+
+    updateFood(visibleFood) {
+        const seen = new Set();
+
+        visibleFood.forEach(food => {
+            const key = this.getKey(food);
+            const known = this.food.get(key);
+
+            seen.add(key);
+            this.food.set(key, {
+                q: food.q,
+                r: food.r,
+                type: food.type,
+                amount: food.amount,
+                firstSeenTurn: known && known.type === food.type ? known.firstSeenTurn : this.currentTurn,
+                lastSeenTurn: this.currentTurn
+            });
+        });
+
+        // Гекс виден, а еды на нем нет - ее съели или унесли
+        for (const key of this.food.keys()) {
+            if (this.visible.has(key) && !seen.has(key)) {
+                this.food.delete(key);
+            }
+        }
+    }
+
+    updateEnemyAnthills(gameState) {
+        const homeKeys = new Set(gameState.home.map(hex => this.getKey(hex)));
+        const sightings = gameState.map.filter(hex => hex.type === HEX_TYPES.ANTHILL && !homeKeys.has(this.getKey(hex)));
+
+        sightings.forEach(position => {
+            const key = this.getKey(position);
+            const known = this.enemyAnthills.get(key);
+
+            this.enemyAnthills.set(key, {
+                q: position.q,
+                r: position.r,
+                firstSeenTurn: known ? known.firstSeenTurn : this.currentTurn,
+                lastSeenTurn: this.currentTurn
+            });
+        });
+
+        // Гекс виден и больше не муравейник - запись была ошибочной
+        for (const key of this.enemyAnthills.keys()) {
+            const hex = this.hexes.get(key);
+            if (this.visible.has(key) && hex && hex.type !== HEX_TYPES.ANTHILL) {
+                this.enemyAnthills.delete(key);
+            }
+        }
+    }
+
+    forgetStaleFood() {
+        for (const [key, food] of this.food) {
+            if (this.getConfidence(food, this.halfLife.food) < this.minFoodConfidence) {
+                this.food.delete(key);
+            }
+        }
+    }
+
+    /**
+     * @param {Object} entry - Запись памяти
+     * @returns {number} Сколько ходов назад запись была подтверждена
+     */
+    getAge(entry) {
+        return Math.max(0, this.currentTurn - entry.lastSeenTurn);
+    }
+
+    /**
+     * @param {Object} entry - Запись памяти
+     * @param {number} halfLife - Период полураспада уверенности в ходах
+     * @returns {number} Уверенность от 0 до 1
+     */
+    getConfidence(entry, halfLife) {
+        if (!Number.isFinite(halfLife)) {
+            return 1;
+        }
+        return Math.pow(0.5, this.getAge(entry) / halfLife);
+    }
+
+    describe(entry, halfLife) {
+        return {
+            ...entry,
+            age: this.getAge(entry),
+            confidence: this.getConfidence(entry, halfLife)
+        };
+    }
+
+    /**
+     * @param {Object} position - Гекс {q, r}
+     * @returns {boolean} true, если гекс виден на текущем ходу
+     */
+    isVisible(position) {
+        return this.visible.has(this.getKey(position));
+    }
+
+    /**
+     * @param {Object} position - Гекс {q, r}
+     * @returns {Object|null} Запомненный гекс { q, r, type, cost, age, confidence } или null
+     */
+    getHex(position) {
+        const hex = this.hexes.get(this.getKey(position));
+        return hex ? this.describe(hex, this.halfLife.hex) : null;
+    }
+
+    /**
+     * Гекс разведан, если его видели не раньше чем maxAge ходов назад.
+     * @param {Object} position - Гекс {q, r}
+     * @param {number} maxAge - Допустимый возраст наблюдения
+     * @returns {boolean} true, если гекс разведан
+     */
+    isExplored(position, maxAge = this.exploredFreshness) {
+        const hex = this.hexes.get(this.getKey(position));
+        return !!hex && this.getAge(hex) <= maxAge;
+    }
+
+    /**
+     * Ценность разведки гекса: 1 для неизвестных, для известных растет с возрастом наблюдения.
+     * @param {Object} position - Гекс {q, r}
+     * @returns {number} Ценность от 0 до 1
+     */
+    getExplorationValue(position) {
+        const hex = this.hexes.get(this.getKey(position));
+        if (!hex) {
+            return 1;
+        }
+        return Math.min(1, this.getAge(hex) / this.exploredFreshness);
+    }
+
+    /**
+     * @returns {Array} Вся запомненная еда { q, r, type, amount, age, confidence },
+     *     от самой достоверной к наименее
+     */
+    getFood() {
+        return Array.from(this.food.values())
+            .map(food => this.describe(food, this.halfLife.food))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * @returns {Array} Запомненная еда за пределами текущей видимости
+     */
+    getRememberedFood() {
+        return this.getFood().filter(food => !this.isVisible(food));
+    }
+
+    /**
+     * @returns {Array} Найденные вражеские муравейники { q, r, age, confidence }
+     */
+    getEnemyAnthills() {
+        return Array.from(this.enemyAnthills.values())
+            .map(anthill => this.describe(anthill, this.halfLife.anthill));
+    }
+
+    /**
+     * @returns {Object} Размер памяти для логов
+     */
+    getStats() {
+        return {
+            exploredHexes: this.hexes.size,
+            visibleHexes: this.visible.size,
+            rememberedFood: this.food.size,
+            enemyAnthills: this.enemyAnthills.size
+        };
+    }
+}
+
+module.exports = WorldMemory;
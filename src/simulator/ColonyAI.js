@@ -0,0 +1,111 @@
+const { UNIT_TYPES, UNIT_STATS } = require('../constants/GameConstants');
+const HexGeometry = require('../utils/HexGeometry');
+
+/**
+ * Scripted opponent used by the simulator for colonies that no player controls.
+ * Workers and scouts forage, soldiers guard the anthill and hunt nearby enemies;
+ * with `rushTurn` set soldiers march on the closest foreign anthill from that turn on.
+ */
+class ColonyAI {
+    /**
+     * @param {Object} options - Behaviour options
+     * @param {number} options.aggroRange - Distance at which soldiers engage enemies
+     * @param {number} options.patrolRadius - Soldier patrol radius around the anthill
+     * @param {number|null} options.rushTurn - Turn from which soldiers attack enemy anthills
+     * @param {number} options.forageRange - Maximum distance to food targets
+     */
+    constructor(options = {}) {
+        this.aggroRange = options.aggroRange || 8;
+        this.patrolRadius = options.patrolRadius || 6;
+        this.rushTurn = options.rushTurn !== undefined ? options.rushTurn : null;
+        this.forageRange = options.forageRange || 25;
+    }
+
+    /**
+     * Plans one turn of moves for a colony.
+     * @param {GameEngine} engine - Simulator engine
+     * @param {Object} colony - Colony to plan for
+     * @returns {Array} Moves in API format [{ ant, path }]
+     */
+    planMoves(engine, colony) {
+        const moves = [];
+        const claimedFood = new Set();
+        const ants = engine.getColonyAnts(colony.id);
+        const enemies = Array.from(engine.ants.values()).filter(ant => ant.colonyId !== colony.id);
+        const anthill = colony.home[0];
+
+        ants.forEach(ant => {
+            const target = this.selectTarget(engine, colony, ant, enemies, claimedFood, anthill);
+            if (!target) return;
+
+            const path = engine.buildPath(ant, target);
+            if (path.length > 0) {
+                moves.push({ ant: ant.id, path });
+            }
+        });
+
+        return moves;
+    }
+
+    /**
+     * Chooses where a single ant should head this turn.
+     * @returns {Object|null} Target position
+     */
+    selectTarget(engine, colony, ant, enemies, claimedFood, anthill) {
+        if (ant.food.amount > 0) {
+            return anthill;
+        }
+
+        if (ant.type === UNIT_TYPES.SOLDIER) {
+            const nearestEnemy = this.findNearest(engine, ant, enemies, this.aggroRange);
+            if (nearestEnemy) return nearestEnemy;
+
+            if (this.rushTurn !== null && engine.turnNo >= this.rushTurn) {
+                const enemyHomes = engine.colonies
+                    .filter(other => other.id !== colony.id)
+                    .map(other => other.home[0]);
+                const targetHome = this.findNearest(engine, ant, enemyHomes, Infinity);
+                if (targetHome) return targetHome;
+            }
+
+            if (HexGeometry.distance(ant, anthill) > this.patrolRadius) {
+                return anthill;
+            }
+            return this.randomNearby(engine, anthill, this.patrolRadius);
+        }
+
+        const capacity = UNIT_STATS[ant.type].cargo;
+        const foodCandidates = Array.from(engine.food.values())
+            .filter(food => !claimedFood.has(engine.getKey(food.q, food.r)))
+            .filter(food => food.amount > 0 && capacity > 0);
+        const food = this.findNearest(engine, ant, foodCandidates, this.forageRange);
+        if (food) {
+            claimedFood.add(engine.getKey(food.q, food.r));
+            return food;
+        }
+
+        return this.randomNearby(engine, ant, UNIT_STATS[ant.type].speed * 2);
+    }
+
+    findNearest(engine, origin, candidates, maxDistance) {
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(candidate => {
+            const distance = HexGeometry.distance(origin, candidate);
+            if (distance <= maxDistance && distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    randomNearby(engine, center, radius) {
+        return {
+            q: center.q + engine.rng.int(-radius, radius),
+            r: center.r + engine.rng.int(-radius, radius)
+        };
+    }
+}
+
+module.exports = ColonyAI;
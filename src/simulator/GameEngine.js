@@ -0,0 +1,595 @@
+const {
+    UNIT_TYPES,
+    UNIT_STATS,
+    HEX_TYPES,
+    HEX_STATS,
+    FOOD_TYPES,
+    FOOD_TYPE_NAMES,
+    FOOD_CALORIES,
+    COMBAT_RULES
+} = require('../constants/GameConstants');
+const SeededRandom = require('./SeededRandom');
+const MapGenerator = require('./MapGenerator');
+const ColonyAI = require('./ColonyAI');
+const HexGeometry = require('../utils/HexGeometry');
+
+/**
+ * In-process DatsPulse game engine used by the local simulator.
+ *
+ * Turn resolution order:
+ * 1. Movement - ants walk their submitted paths in a seeded random order. Every step must be
+ *    adjacent, passable and affordable (dirt costs 2); enemies block a hex. A move may pass
+ *    through friendly ants but cannot end on a hex held by a friendly ant of the same type.
+ * 2. Acid - ants standing on acid take its damage.
+ * 3. Combat - every ant hits the weakest adjacent enemy. Damage is boosted by 50% when another
+ *    friendly ant is adjacent and by 25% within 2 hexes of its own anthill. Damage is simultaneous.
+ * 4. Deaths - dead ants drop their cargo on their hex.
+ * 5. Delivery and pickup - cargo on an own anthill hex becomes calories; an ant on a food hex
+ *    loads food of the same type up to its cargo capacity.
+ * 6. Spawning and food respawn on fixed intervals.
+ */
+class GameEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {number|string} options.seed - Random seed
+     * @param {number} options.maxTurns - Game length in turns
+     * @param {Object} options.map - MapGenerator options
+     * @param {Object} options.ai - ColonyAI options for unclaimed colonies; `startingUnits` and
+     *     `spawnWeights` inside it override the defaults for AI colonies only
+     */
+    constructor(options = {}) {
+        this.options = {
+            seed: 1,
+            maxTurns: 420,
+            spawnInterval: 12,
+            maxAntsPerColony: 40,
+            foodRespawnInterval: 10,
+            foodRespawnCount: 6,
+            startingUnits: {
+                [UNIT_TYPES.WORKER]: 3,
+                [UNIT_TYPES.SOLDIER]: 1,
+                [UNIT_TYPES.SCOUT]: 1
+            },
+            spawnWeights: {
+                [UNIT_TYPES.WORKER]: 6,
+                [UNIT_TYPES.SOLDIER]: 3,
+                [UNIT_TYPES.SCOUT]: 2
+            },
+            supportBonus: COMBAT_RULES.supportBonus,
+            homeBonus: COMBAT_RULES.anthillBonus,
+            ...options
+        };
+
+        this.rng = new SeededRandom(this.options.seed);
+        this.mapGenerator = new MapGenerator(this.options.map);
+        this.ai = new ColonyAI(this.options.ai);
+
+        const world = this.mapGenerator.generate(this.rng);
+        this.width = world.width;
+        this.height = world.height;
+        this.hexes = world.hexes;
+        this.food = world.food;
+        this.colonies = world.colonies.map((colony, index) => ({
+            id: index,
+            name: `colony-${index + 1}`,
+            controller: 'ai',
+            playerId: null,
+            home: colony.home,
+            score: 0,
+            stats: this.createColonyStats(),
+            log: []
+        }));
+
+        this.ants = new Map();
+        this.occupancy = new Map();
+        this.pendingOrders = new Map();
+        this.turnNo = 0;
+        this.history = [];
+        this.maxLogEntries = 200;
+
+        this.colonies.forEach(colony => this.spawnStartingUnits(colony));
+    }
+
+    /**
+     * Returns the starting units and spawn weights that apply to a colony's controller.
+     * @param {Object} colony - Colony
+     * @returns {Object} { startingUnits, spawnWeights }
+     */
+    getColonySettings(colony) {
+        const aiOptions = colony.controller === 'ai' ? (this.options.ai || {}) : {};
+        return {
+            startingUnits: aiOptions.startingUnits || this.options.startingUnits,
+            spawnWeights: aiOptions.spawnWeights || this.options.spawnWeights
+        };
+    }
+
+    spawnStartingUnits(colony) {
+        Object.entries(this.getColonySettings(colony).startingUnits).forEach(([type, count]) => {
+            for (let i = 0; i < count; i++) {
+                this.spawnAnt(colony, Number(type));
+            }
+        });
+    }
+
+    createColonyStats() {
+        return {
+            calories: 0,
+            delivered: { apple: 0, bread: 0, nectar: 0 },
+            unitsSpawned: 0,
+            unitsLost: 0,
+            kills: 0,
+            damageDealt: 0,
+            damageTaken: 0
+        };
+    }
+
+    /**
+     * Hands an AI-controlled colony over to a player.
+     * @param {string} playerId - Player token
+     * @param {string} name - Display name
+     * @returns {Object|null} Claimed colony or null when all colonies are taken
+     */
+    registerPlayer(playerId, name) {
+        const existing = this.getColonyByPlayer(playerId);
+        if (existing) return existing;
+
+        const colony = this.colonies.find(c => c.controller === 'ai');
+        if (!colony) return null;
+
+        colony.controller = 'remote';
+        colony.playerId = playerId;
+        colony.name = name || colony.name;
+
+        // Before the first turn the colony is re-seeded with the player's starting units
+        if (this.turnNo === 0) {
+            this.getColonyAnts(colony.id).forEach(ant => this.removeAnt(ant));
+            colony.stats.unitsSpawned = 0;
+            this.spawnStartingUnits(colony);
+        }
+        this.addLog(colony, `Registered as ${colony.name}`);
+        return colony;
+    }
+
+    getColonyByPlayer(playerId) {
+        return this.colonies.find(colony => colony.playerId === playerId) || null;
+    }
+
+    getColonyAnts(colonyId) {
+        return Array.from(this.ants.values()).filter(ant => ant.colonyId === colonyId);
+    }
+
+    /**
+     * Stores a player's orders for the next turn. Later orders for the same ant replace earlier ones.
+     * @param {string} playerId - Player token
+     * @param {Array} moves - Moves in API format [{ ant, path: [{q, r}] }]
+     * @returns {Object} { accepted, rejected, errors }
+     */
+    submitMoves(playerId, moves) {
+        const colony = this.getColonyByPlayer(playerId);
+        const result = { accepted: 0, rejected: 0, errors: [] };
+
+        moves.forEach(move => {
+            const ant = move && this.ants.get(move.ant);
+            if (!ant || ant.colonyId !== colony.id) {
+                result.rejected++;
+                result.errors.push(`unknown ant ${move && move.ant}`);
+                return;
+            }
+            if (!Array.isArray(move.path) || move.path.some(step => !Number.isInteger(step?.q) || !Number.isInteger(step?.r))) {
+                result.rejected++;
+                result.errors.push(`invalid path for ant ${move.ant}`);
+                return;
+            }
+            this.pendingOrders.set(ant.id, move.path);
+            result.accepted++;
+        });
+
+        return result;
+    }
+
+    isFinished() {
+        return this.turnNo >= this.options.maxTurns;
+    }
+
+    /**
+     * Resolves one full turn.
+     * @returns {Object} Turn summary { turnNo, scores }
+     */
+    step() {
+        if (this.isFinished()) {
+            return this.history[this.history.length - 1] || null;
+        }
+
+        this.colonies
+            .filter(colony => colony.controller === 'ai')
+            .forEach(colony => {
+                this.ai.planMoves(this, colony).forEach(move => this.pendingOrders.set(move.ant, move.path));
+            });
+
+        this.resolveMovement();
+        this.resolveTerrainDamage();
+        this.resolveCombat();
+        this.resolveDeliveries();
+        this.resolvePickups();
+
+        this.pendingOrders.clear();
+        this.turnNo++;
+
+        if (this.turnNo % this.options.spawnInterval === 0) {
+            this.colonies.forEach(colony => {
+                if (this.getColonyAnts(colony.id).length < this.options.maxAntsPerColony) {
+                    this.spawnAnt(colony, Number(this.rng.weighted(this.getColonySettings(colony).spawnWeights)));
+                }
+            });
+        }
+
+        if (this.turnNo % this.options.foodRespawnInterval === 0) {
+            this.mapGenerator.spawnFood(this, this.rng, this.options.foodRespawnCount);
+        }
+
+        const summary = {
+            turnNo: this.turnNo,
+            scores: this.colonies.map(colony => ({ team: colony.name, score: colony.score }))
+        };
+        this.history.push(summary);
+        return summary;
+    }
+
+    resolveMovement() {
+        const movingAnts = this.rng.shuffle(
+            Array.from(this.pendingOrders.keys())
+                .map(id => this.ants.get(id))
+                .filter(Boolean)
+        );
+
+        movingAnts.forEach(ant => {
+            const visited = [];
+            let current = { q: ant.q, r: ant.r };
+            let budget = UNIT_STATS[ant.type].speed;
+
+            for (const step of this.pendingOrders.get(ant.id)) {
+                if (!this.isInside(step) || HexGeometry.distance(current, step) !== 1) break;
+
+                const stats = HEX_STATS[this.getHexType(step)];
+                if (!stats.passable || stats.cost > budget) break;
+                if (this.getAntsAt(step).some(other => other.colonyId !== ant.colonyId)) break;
+
+                budget -= stats.cost;
+                current = { q: step.q, r: step.r };
+                visited.push(current);
+            }
+
+            // Back off along the path until the ant does not share a hex with a same-type friend
+            while (visited.length > 0) {
+                const last = visited[visited.length - 1];
+                const blocked = this.getAntsAt(last).some(other =>
+                    other.id !== ant.id && other.colonyId === ant.colonyId && other.type === ant.type
+                );
+                if (!blocked) break;
+                visited.pop();
+            }
+
+            if (visited.length > 0) {
+                this.moveAnt(ant, visited[visited.length - 1]);
+            }
+        });
+    }
+
+    resolveTerrainDamage() {
+        this.ants.forEach(ant => {
+            const damage = HEX_STATS[this.getHexType(ant)].damage;
+            if (damage > 0) {
+                ant.health -= damage;
+                this.colonies[ant.colonyId].stats.damageTaken += damage;
+            }
+        });
+        this.removeDeadAnts(new Map());
+    }
+
+    resolveCombat() {
+        const damageByTarget = new Map();
+
+        this.ants.forEach(attacker => {
+            const stats = UNIT_STATS[attacker.type];
+            const adjacent = this.getHexesInRange(attacker, 1).flatMap(hex => this.getAntsAt(hex));
+            const targets = adjacent.filter(other => other.colonyId !== attacker.colonyId);
+            if (targets.length === 0) return;
+
+            targets.sort((a, b) => (a.health - b.health) || a.id.localeCompare(b.id));
+            const target = targets[0];
+
+            let multiplier = 1;
+            if (adjacent.some(other => other.colonyId === attacker.colonyId && other.id !== attacker.id)) {
+                multiplier += this.options.supportBonus;
+            }
+            const colony = this.colonies[attacker.colonyId];
+            if (HexGeometry.distance(attacker, colony.home[0]) <= COMBAT_RULES.anthillBonusRadius) {
+                multiplier += this.options.homeBonus;
+            }
+
+            const damage = Math.round(stats.attack * multiplier);
+            if (!damageByTarget.has(target.id)) {
+                damageByTarget.set(target.id, new Map());
+            }
+            const byColony = damageByTarget.get(target.id);
+            byColony.set(attacker.colonyId, (byColony.get(attacker.colonyId) || 0) + damage);
+        });
+
+        damageByTarget.forEach((byColony, targetId) => {
+            const target = this.ants.get(targetId);
+            byColony.forEach((damage, colonyId) => {
+                target.health -= damage;
+                this.colonies[colonyId].stats.damageDealt += damage;
+                this.colonies[target.colonyId].stats.damageTaken += damage;
+            });
+        });
+
+        this.removeDeadAnts(damageByTarget);
+    }
+
+    /**
+     * Removes ants with no health left, drops their cargo and credits the kill.
+     * @param {Map} damageByTarget - antId -> Map(colonyId -> damage) for kill attribution
+     */
+    removeDeadAnts(damageByTarget) {
+        Array.from(this.ants.values())
+            .filter(ant => ant.health <= 0)
+            .forEach(ant => {
+                const colony = this.colonies[ant.colonyId];
+                colony.stats.unitsLost++;
+                this.addLog(colony, `Ant ${ant.id} died at (${ant.q}, ${ant.r})`);
+
+                const attackers = damageByTarget.get(ant.id);
+                if (attackers && attackers.size > 0) {
+                    const [killerColonyId] = Array.from(attackers.entries()).sort((a, b) => b[1] - a[1])[0];
+                    this.colonies[killerColonyId].stats.kills++;
+                }
+
+                if (ant.food.amount > 0) {
+                    this.dropFood(ant, ant.food.type, ant.food.amount);
+                }
+                this.removeAnt(ant);
+            });
+    }
+
+    resolveDeliveries() {
+        this.ants.forEach(ant => {
+            if (ant.food.amount === 0) return;
+
+            const colony = this.colonies[ant.colonyId];
+            if (!colony.home.some(hex => hex.q === ant.q && hex.r === ant.r)) return;
+
+            const calories = ant.food.amount * FOOD_CALORIES[ant.food.type];
+            colony.score += calories;
+            colony.stats.calories += calories;
+            colony.stats.delivered[FOOD_TYPE_NAMES[ant.food.type]] += ant.food.amount;
+            this.addLog(colony, `Delivered ${ant.food.amount} ${FOOD_TYPE_NAMES[ant.food.type]} (+${calories} calories)`);
+            ant.food = { type: FOOD_TYPES.NONE, amount: 0 };
+        });
+    }
+
+    resolvePickups() {
+        this.ants.forEach(ant => {
+            const key = this.getKey(ant.q, ant.r);
+            const food = this.food.get(key);
+            if (!food) return;
+
+            const capacity = UNIT_STATS[ant.type].cargo;
+            if (ant.food.amount > 0 && ant.food.type !== food.type) return;
+
+            const taken = Math.min(capacity - ant.food.amount, food.amount);
+            if (taken <= 0) return;
+
+            ant.food = { type: food.type, amount: ant.food.amount + taken };
+            food.amount -= taken;
+            if (food.amount <= 0) {
+                this.food.delete(key);
+            }
+        });
+    }
+
+    dropFood(position, type, amount) {
+        const key = this.getKey(position.q, position.r);
+        const existing = this.food.get(key);
+        if (existing && existing.type === type) {
+            existing.amount += amount;
+        } else if (!existing) {
+            this.food.set(key, { q: position.q, r: position.r, type, amount });
+        }
+    }
+
+    /**
+     * Spawns a new ant on a free anthill hex of the colony.
+     * @param {Object} colony - Colony
+     * @param {number} type - Unit type
+     * @returns {Object|null} Spawned ant or null when every anthill hex is taken
+     */
+    spawnAnt(colony, type) {
+        const hex = colony.home.find(candidate =>
+            !this.getAntsAt(candidate).some(other =>
+                other.colonyId !== colony.id || other.type === type
+            )
+        );
+        if (!hex) return null;
+
+        const ant = {
+            id: this.rng.uuid(),
+            colonyId: colony.id,
+            type,
+            q: hex.q,
+            r: hex.r,
+            health: UNIT_STATS[type].health,
+            food: { type: FOOD_TYPES.NONE, amount: 0 }
+        };
+        this.ants.set(ant.id, ant);
+        this.addToOccupancy(ant);
+        colony.stats.unitsSpawned++;
+        return ant;
+    }
+
+    moveAnt(ant, position) {
+        this.removeFromOccupancy(ant);
+        ant.q = position.q;
+        ant.r = position.r;
+        this.addToOccupancy(ant);
+    }
+
+    removeAnt(ant) {
+        this.removeFromOccupancy(ant);
+        this.ants.delete(ant.id);
+        this.pendingOrders.delete(ant.id);
+    }
+
+    addToOccupancy(ant) {
+        const key = this.getKey(ant.q, ant.r);
+        if (!this.occupancy.has(key)) {
+            this.occupancy.set(key, new Set());
+        }
+        this.occupancy.get(key).add(ant.id);
+    }
+
+    removeFromOccupancy(ant) {
+        const key = this.getKey(ant.q, ant.r);
+        const ids = this.occupancy.get(key);
+        if (!ids) return;
+        ids.delete(ant.id);
+        if (ids.size === 0) {
+            this.occupancy.delete(key);
+        }
+    }
+
+    getAntsAt(position) {
+        const ids = this.occupancy.get(this.getKey(position.q, position.r));
+        return ids ? Array.from(ids, id => this.ants.get(id)) : [];
+    }
+
+    /**
+     * Builds a greedy path towards a target within the ant's movement budget, avoiding acid.
+     * Used by the scripted opponents; players send their own paths.
+     * @param {Object} ant - Moving ant
+     * @param {Object} target - Target position
+     * @returns {Array} Path excluding the start hex
+     */
+    buildPath(ant, target) {
+        const path = [];
+        let current = { q: ant.q, r: ant.r };
+        let budget = UNIT_STATS[ant.type].speed;
+
+        while (budget > 0 && HexGeometry.distance(current, target) > 0) {
+            const currentDistance = HexGeometry.distance(current, target);
+            let best = null;
+            let bestDistance = currentDistance;
+
+            this.getNeighbors(current).forEach(neighbor => {
+                const stats = HEX_STATS[this.getHexType(neighbor)];
+                if (!stats.passable || stats.damage > 0 || stats.cost > budget) return;
+                if (this.getAntsAt(neighbor).some(other => other.colonyId !== ant.colonyId)) return;
+
+                const distance = HexGeometry.distance(neighbor, target);
+                if (distance < bestDistance) {
+                    best = neighbor;
+                    bestDistance = distance;
+                }
+            });
+
+            if (!best) break;
+            budget -= HEX_STATS[this.getHexType(best)].cost;
+            path.push(best);
+            current = best;
+        }
+
+        return path;
+    }
+
+    /**
+     * Builds the /arena response for a player, limited to what its ants and anthill can see.
+     * @param {string} playerId - Player token
+     * @returns {Object|null} Arena state or null for an unknown player
+     */
+    getPlayerState(playerId) {
+        const colony = this.getColonyByPlayer(playerId);
+        if (!colony) return null;
+
+        const myAnts = this.getColonyAnts(colony.id);
+        const visible = new Set();
+        const observers = [
+            ...colony.home.map(hex => ({ ...hex, type: UNIT_TYPES.ANTHILL })),
+            ...myAnts
+        ];
+        observers.forEach(observer => {
+            this.getHexesInRange(observer, UNIT_STATS[observer.type].vision).forEach(hex => {
+                visible.add(this.getKey(hex.q, hex.r));
+            });
+        });
+
+        const formatAnt = ant => ({
+            id: ant.id,
+            q: ant.q,
+            r: ant.r,
+            type: ant.type,
+            health: ant.health,
+            food: { ...ant.food }
+        });
+
+        return {
+            turnNo: this.turnNo,
+            score: colony.score,
+            ants: myAnts.map(formatAnt),
+            enemies: Array.from(this.ants.values())
+                .filter(ant => ant.colonyId !== colony.id && visible.has(this.getKey(ant.q, ant.r)))
+                .map(formatAnt),
+            food: Array.from(this.food.values())
+                .filter(food => visible.has(this.getKey(food.q, food.r)))
+                .map(food => ({ ...food })),
+            home: colony.home.map(hex => ({ ...hex })),
+            map: Array.from(visible, key => {
+                const [q, r] = key.split(',').map(Number);
+                const type = this.hexes.get(key);
+                return { q, r, type, cost: HEX_STATS[type].cost };
+            })
+        };
+    }
+
+    /**
+     * Returns per-colony results for reporting.
+     * @returns {Array} [{ team, controller, score, alive, ...stats }]
+     */
+    getResults() {
+        return this.colonies.map(colony => ({
+            team: colony.name,
+            controller: colony.controller,
+            score: colony.score,
+            alive: this.getColonyAnts(colony.id).length,
+            ...colony.stats
+        }));
+    }
+
+    addLog(colony, message) {
+        colony.log.push({ turnNo: this.turnNo, message });
+        if (colony.log.length > this.maxLogEntries) {
+            colony.log.shift();
+        }
+    }
+
+    getHexType(position) {
+        return this.hexes.get(this.getKey(position.q, position.r)) || HEX_TYPES.STONE;
+    }
+
+    getNeighbors(position) {
+        return HexGeometry.neighbors(position).filter(hex => this.isInside(hex));
+    }
+
+    getHexesInRange(center, range) {
+        return this.mapGenerator.getHexesInRange(center, range);
+    }
+
+    isInside(position) {
+        return this.mapGenerator.isInside(position);
+    }
+
+    getKey(q, r) {
+        return `${q},${r}`;
+    }
+}
+
+module.exports = GameEngine;
@@ -0,0 +1,70 @@
+const ApiClient = require('../api/ApiClient');
+const RateLimiter = require('../utils/RateLimiter');
+const { ApiError } = require('../api/ApiErrors');
+
+/**
+ * ApiClient that talks to an in-process GameEngine instead of the network.
+ * Request shaping (move normalisation, error messages) is inherited from ApiClient,
+ * only the transport is replaced, so the bot sees exactly what the HTTP API would return.
+ */
+class LocalApiClient extends ApiClient {
+    /**
+     * @param {GameEngine} engine - Engine to play against
+     * @param {string} token - Player token
+     */
+    constructor(engine, token) {
+        super('local://simulator', token);
+        this.engine = engine;
+        this.rateLimiter = new RateLimiter(Infinity, 'LocalSimulator');
+    }
+
+    async makeRequest(method, endpoint, data = null) {
+        const route = `${method} ${endpoint}`;
+
+        if (route === 'POST /register') {
+            const colony = this.engine.registerPlayer(this.token, this.teamName);
+            if (!colony) {
+                throw this.errorResponse(400, 'no free colonies left in this game', endpoint);
+            }
+            return { name: colony.name, lobbyEndsIn: 0, nextTurn: 0, realm: 'local' };
+        }
+
+        if (route === 'GET /rounds') {
+            const now = new Date().toISOString();
+            return {
+                now,
+                rounds: [{ name: 'local', status: this.engine.isFinished() ? 'completed' : 'active', startAt: now, endAt: null }]
+            };
+        }
+
+        const colony = this.engine.getColonyByPlayer(this.token);
+        if (!colony) {
+            throw this.errorResponse(400, 'player not registered in the game', endpoint);
+        }
+
+        switch (route) {
+            case 'GET /arena':
+                return { ...this.engine.getPlayerState(this.token), nextTurnIn: 0 };
+            case 'POST /move':
+                return this.engine.submitMoves(this.token, data.moves);
+            case 'GET /logs':
+                return colony.log;
+            default:
+                throw this.errorResponse(404, `unknown endpoint ${route}`, endpoint);
+        }
+    }
+
+    /**
+     * Builds the same typed error ApiClient would raise for the simulator's HTTP response.
+     */
+    errorResponse(status, message, endpoint) {
+        return ApiError.fromResponse(status, JSON.stringify({ code: status, message }), endpoint);
+    }
+
+    async register(teamName) {
+        this.teamName = teamName;
+        return super.register(teamName);
+    }
+}
+
+module.exports = LocalApiClient;
@@ -0,0 +1,193 @@
+const { HEX_TYPES, HEX_STATS, FOOD_TYPES } = require('../constants/GameConstants');
+const HexGeometry = require('../utils/HexGeometry');
+
+/**
+ * Generates simulator worlds: terrain, anthill positions and food piles.
+ * The map is an axial parallelogram q ∈ [0, width), r ∈ [0, height).
+ */
+class MapGenerator {
+    /**
+     * @param {Object} options - Generation options (see defaults below)
+     */
+    constructor(options = {}) {
+        this.width = options.width || 60;
+        this.height = options.height || 60;
+        this.colonies = options.colonies || 4;
+        this.terrain = {
+            dirt: 0.08,
+            acid: 0.02,
+            stone: 0.06,
+            ...(options.terrain || {})
+        };
+        this.food = {
+            piles: 90,
+            weights: { [FOOD_TYPES.APPLE]: 5, [FOOD_TYPES.BREAD]: 3, [FOOD_TYPES.NECTAR]: 1 },
+            amounts: {
+                [FOOD_TYPES.APPLE]: [5, 20],
+                [FOOD_TYPES.BREAD]: [4, 12],
+                [FOOD_TYPES.NECTAR]: [2, 8]
+            },
+            minHomeDistance: 3,
+            ...(options.food || {})
+        };
+        this.homeClearance = 3;
+    }
+
+    /**
+     * Builds a complete world.
+     * @param {SeededRandom} rng - Random source
+     * @returns {Object} World { width, height, hexes: Map<key, type>, colonies: [{ home }], food: Map<key, food> }
+     */
+    generate(rng) {
+        const world = {
+            width: this.width,
+            height: this.height,
+            hexes: new Map(),
+            colonies: [],
+            food: new Map()
+        };
+
+        for (let q = 0; q < this.width; q++) {
+            for (let r = 0; r < this.height; r++) {
+                world.hexes.set(this.getKey(q, r), HEX_TYPES.EMPTY);
+            }
+        }
+
+        const homeCenters = this.placeColonies(rng);
+        const protectedKeys = new Set();
+        homeCenters.forEach(center => {
+            this.getHexesInRange(center, this.homeClearance).forEach(hex => {
+                protectedKeys.add(this.getKey(hex.q, hex.r));
+            });
+        });
+
+        this.scatterTerrain(world, rng, HEX_TYPES.STONE, this.terrain.stone, protectedKeys);
+        this.scatterTerrain(world, rng, HEX_TYPES.DIRT, this.terrain.dirt, protectedKeys);
+        this.scatterTerrain(world, rng, HEX_TYPES.ACID, this.terrain.acid, protectedKeys);
+
+        homeCenters.forEach(center => {
+            const home = [
+                center,
+                { q: center.q + 1, r: center.r },
+                { q: center.q, r: center.r + 1 }
+            ];
+            home.forEach(hex => world.hexes.set(this.getKey(hex.q, hex.r), HEX_TYPES.ANTHILL));
+            world.colonies.push({ home });
+        });
+
+        this.spawnFood(world, rng, this.food.piles);
+        return world;
+    }
+
+    /**
+     * Picks anthill centres spread around the map edges.
+     * @param {SeededRandom} rng - Random source
+     * @returns {Array} Anthill centre positions
+     */
+    placeColonies(rng) {
+        const margin = this.homeClearance + 2;
+        const maxQ = this.width - margin - 2;
+        const maxR = this.height - margin - 2;
+        const midQ = Math.floor(this.width / 2);
+        const midR = Math.floor(this.height / 2);
+        const anchors = [
+            { q: margin, r: margin },
+            { q: maxQ, r: maxR },
+            { q: maxQ, r: margin },
+            { q: margin, r: maxR },
+            { q: midQ, r: margin },
+            { q: midQ, r: maxR },
+            { q: margin, r: midR },
+            { q: maxQ, r: midR }
+        ];
+
+        if (this.colonies > anchors.length) {
+            throw new Error(`MapGenerator supports at most ${anchors.length} colonies`);
+        }
+
+        return anchors.slice(0, this.colonies).map(anchor => ({
+            q: Math.min(maxQ, Math.max(margin, anchor.q + rng.int(-2, 2))),
+            r: Math.min(maxR, Math.max(margin, anchor.r + rng.int(-2, 2)))
+        }));
+    }
+
+    /**
+     * Scatters blobs of one terrain type until the target density is reached.
+     * @param {Object} world - World being generated
+     * @param {SeededRandom} rng - Random source
+     * @param {number} type - Hex type to place
+     * @param {number} density - Share of the map to cover
+     * @param {Set} protectedKeys - Hexes that must stay empty
+     */
+    scatterTerrain(world, rng, type, density, protectedKeys) {
+        const target = Math.floor(this.width * this.height * density);
+        let placed = 0;
+        let attempts = 0;
+
+        while (placed < target && attempts < target * 10) {
+            attempts++;
+            let current = { q: rng.int(0, this.width - 1), r: rng.int(0, this.height - 1) };
+            const blobSize = rng.int(3, 9);
+
+            for (let i = 0; i < blobSize && placed < target; i++) {
+                const key = this.getKey(current.q, current.r);
+                if (this.isInside(current) && !protectedKeys.has(key) && world.hexes.get(key) === HEX_TYPES.EMPTY) {
+                    world.hexes.set(key, type);
+                    placed++;
+                }
+                current = HexGeometry.add(current, rng.pick(HexGeometry.DIRECTIONS));
+            }
+        }
+    }
+
+    /**
+     * Places new food piles on free passable hexes away from anthills.
+     * @param {Object} world - World to place food in
+     * @param {SeededRandom} rng - Random source
+     * @param {number} count - Number of piles to place
+     * @returns {number} Number of piles actually placed
+     */
+    spawnFood(world, rng, count) {
+        const homes = world.colonies.flatMap(colony => colony.home);
+        let placed = 0;
+        let attempts = 0;
+
+        while (placed < count && attempts < count * 20) {
+            attempts++;
+            const position = { q: rng.int(0, this.width - 1), r: rng.int(0, this.height - 1) };
+            const key = this.getKey(position.q, position.r);
+            const hexType = world.hexes.get(key);
+
+            if (!HEX_STATS[hexType].passable || hexType === HEX_TYPES.ANTHILL) continue;
+            if (world.food.has(key)) continue;
+            if (homes.some(home => HexGeometry.distance(home, position) < this.food.minHomeDistance)) continue;
+
+            const type = Number(rng.weighted(this.food.weights));
+            const [minAmount, maxAmount] = this.food.amounts[type];
+            world.food.set(key, { q: position.q, r: position.r, type, amount: rng.int(minAmount, maxAmount) });
+            placed++;
+        }
+
+        return placed;
+    }
+
+    /**
+     * Returns all hexes within range of a centre that lie inside the map.
+     * @param {Object} center - Centre position
+     * @param {number} range - Radius
+     * @returns {Array} Positions
+     */
+    getHexesInRange(center, range) {
+        return HexGeometry.range(center, range).filter(hex => this.isInside(hex));
+    }
+
+    isInside(position) {
+        return position.q >= 0 && position.q < this.width && position.r >= 0 && position.r < this.height;
+    }
+
+    getKey(q, r) {
+        return `${q},${r}`;
+    }
+}
+
+module.exports = MapGenerator;
@@ -0,0 +1,220 @@
+const GameBot = require('../GameBot');
+const GameEngine = require('./GameEngine');
+const LocalApiClient = require('./LocalApiClient');
+const SeededRandom = require('./SeededRandom');
+const { SCENARIOS } = require('./Scenarios');
+const logger = require('../utils/Logger');
+
+/**
+ * Runs complete GameBot games headlessly against the in-process GameEngine.
+ *
+ * Games are deterministic for a given scenario and seed: the engine is seeded, and while a
+ * match runs Math.random is replaced by a seeded generator and Date.now by a virtual clock
+ * that advances by `turnDuration` per turn, so wall-clock based timeouts in the managers
+ * behave as they would in a real round. No real sleeps happen anywhere.
+ */
+class MatchRunner {
+    /**
+     * @param {Object} options - Runner options
+     * @param {string} options.teamName - Name of the bot's team
+     * @param {number} options.maxTurns - Override of the scenario game length
+     * @param {number} options.turnDuration - Virtual milliseconds per turn
+     * @param {boolean} options.saveLogs - Write GameLogger files for each game
+     */
+    constructor(options = {}) {
+        this.teamName = options.teamName || 'Drive Core';
+        this.maxTurns = options.maxTurns || null;
+        this.turnDuration = options.turnDuration || 2000;
+        this.saveLogs = !!options.saveLogs;
+        this.token = 'local-match-runner';
+    }
+
+    /**
+     * Runs several games of one scenario with consecutive seeds.
+     * @param {Object} params - { scenario, games, seed }
+     * @returns {Promise<Object>} { scenario, games: [report], aggregate }
+     */
+    async runSeries({ scenario = 'standard', games = 1, seed = 1 } = {}) {
+        const reports = [];
+        for (let i = 0; i < games; i++) {
+            reports.push(await this.runMatch(scenario, seed + i));
+        }
+
+        return {
+            scenario,
+            games: reports,
+            aggregate: this.aggregate(reports)
+        };
+    }
+
+    /**
+     * Plays one full game.
+     * @param {string} scenarioName - Key of SCENARIOS
+     * @param {number} seed - Game seed
+     * @returns {Promise<Object>} Game report
+     */
+    async runMatch(scenarioName, seed) {
+        const scenario = SCENARIOS[scenarioName];
+        if (!scenario) {
+            throw new Error(`Unknown scenario "${scenarioName}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+        }
+
+        const engineOptions = { ...scenario.engine, seed: `${scenarioName}:${seed}` };
+        if (this.maxTurns) {
+            engineOptions.maxTurns = this.maxTurns;
+        }
+
+        const restore = this.installDeterminism(seed);
+        const startedAt = process.hrtime.bigint();
+
+        try {
+            const engine = new GameEngine(engineOptions);
+            const apiClient = new LocalApiClient(engine, this.token);
+            const bot = new GameBot({
+                apiClient,
+                teamName: this.teamName,
+                headless: true,
+                gameLog: this.saveLogs,
+                maxTurns: engine.options.maxTurns
+            });
+
+            await apiClient.register(this.teamName);
+            bot.gameLogger.startNewGame(`sim-${scenarioName}`, `seed-${seed}`, this.teamName);
+
+            const colony = engine.getColonyByPlayer(this.token);
+            const scoreCurves = Object.fromEntries(engine.colonies.map(c => [c.name, []]));
+            let turnErrors = 0;
+
+            while (!engine.isFinished()) {
+                bot.gameState = bot.normalizeGameState(await apiClient.getGameState());
+                bot.turnNumber = bot.gameState.turnNo;
+
+                if (bot.gameState.ants.length > 0) {
+                    try {
+                        await bot.processTurn();
+                    } catch (error) {
+                        turnErrors++;
+                        logger.error(`Match ${scenarioName}#${seed} turn ${bot.turnNumber}: bot error`, error);
+                    }
+                }
+
+                engine.step();
+                this.clock.turn = engine.turnNo;
+                engine.colonies.forEach(c => scoreCurves[c.name].push(c.score));
+            }
+
+            const results = engine.getResults();
+            const ranking = [...results].sort((a, b) => b.score - a.score);
+            const me = results[colony.id];
+            bot.gameLogger.logCargoSources(bot.cargoTracker.getTopSources());
+            bot.gameLogger.endGame(me.score, ranking.indexOf(me) + 1);
+
+            return {
+                scenario: scenarioName,
+                seed,
+                turns: engine.turnNo,
+                score: me.score,
+                rank: ranking.indexOf(me) + 1,
+                calories: me.calories,
+                delivered: me.delivered,
+                unitsSpawned: me.unitsSpawned,
+                unitsLost: me.unitsLost,
+                kills: me.kills,
+                alive: me.alive,
+                turnErrors,
+                opponents: results.filter(r => r !== me).map(r => ({ team: r.team, score: r.score, kills: r.kills })),
+                scoreCurve: scoreCurves[colony.name],
+                opponentCurves: Object.fromEntries(
+                    Object.entries(scoreCurves).filter(([team]) => team !== colony.name)
+                ),
+                durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+            };
+        } finally {
+            restore();
+        }
+    }
+
+    /**
+     * Replaces Math.random and Date.now with deterministic versions for the duration of a match.
+     * @param {number} seed - Seed for the bot's random numbers
+     * @returns {Function} Function restoring the originals
+     */
+    installDeterminism(seed) {
+        const originalRandom = Math.random;
+        const originalNow = Date.now;
+        const rng = new SeededRandom(`bot:${seed}`);
+        const epoch = Date.UTC(2025, 0, 1);
+
+        this.clock = { turn: 0 };
+        Math.random = () => rng.next();
+        Date.now = () => epoch + this.clock.turn * this.turnDuration;
+
+        return () => {
+            Math.random = originalRandom;
+            Date.now = originalNow;
+        };
+    }
+
+    aggregate(reports) {
+        const average = key => reports.reduce((sum, r) => sum + r[key], 0) / (reports.length || 1);
+        return {
+            games: reports.length,
+            avgScore: average('score'),
+            minScore: Math.min(...reports.map(r => r.score)),
+            maxScore: Math.max(...reports.map(r => r.score)),
+            avgRank: average('rank'),
+            avgUnitsLost: average('unitsLost'),
+            avgKills: average('kills'),
+            wins: reports.filter(r => r.rank === 1).length,
+            turnErrors: reports.reduce((sum, r) => sum + r.turnErrors, 0)
+        };
+    }
+
+    /**
+     * Formats a series as a plain-text report with sampled score curves.
+     * @param {Object} series - Result of runSeries
+     * @param {number} samples - Number of curve points to print
+     * @returns {string} Report text
+     */
+    formatReport(series, samples = 10) {
+        const lines = [];
+        lines.push(`Scenario: ${series.scenario} - ${SCENARIOS[series.scenario].description}`);
+        lines.push('');
+        lines.push('seed  score   rank  apple bread nectar  lost  kills  alive  errors  time');
+
+        series.games.forEach(game => {
+            lines.push([
+                String(game.seed).padEnd(5),
+                String(game.score).padStart(6),
+                `${game.rank}/${game.opponents.length + 1}`.padStart(6),
+                String(game.delivered.apple).padStart(6),
+                String(game.delivered.bread).padStart(5),
+                String(game.delivered.nectar).padStart(6),
+                String(game.unitsLost).padStart(5),
+                String(game.kills).padStart(6),
+                String(game.alive).padStart(6),
+                String(game.turnErrors).padStart(7),
+                `${(game.durationMs / 1000).toFixed(1)}s`.padStart(6)
+            ].join(' '));
+        });
+
+        const agg = series.aggregate;
+        lines.push('');
+        lines.push(`avg score ${agg.avgScore.toFixed(0)} (min ${agg.minScore}, max ${agg.maxScore}), avg rank ${agg.avgRank.toFixed(2)}, wins ${agg.wins}/${agg.games}, avg lost ${agg.avgUnitsLost.toFixed(1)}, avg kills ${agg.avgKills.toFixed(1)}`);
+        lines.push('');
+        lines.push('Score curves:');
+
+        series.games.forEach(game => {
+            const step = Math.max(1, Math.floor(game.scoreCurve.length / samples));
+            const points = [];
+            for (let i = step - 1; i < game.scoreCurve.length; i += step) {
+                points.push(`t${i + 1}:${game.scoreCurve[i]}`);
+            }
+            lines.push(`  seed ${game.seed}: ${points.join(' ')}`);
+        });
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = MatchRunner;
@@ -0,0 +1,61 @@
+const { FOOD_TYPES, UNIT_TYPES } = require('../constants/GameConstants');
+
+// Named simulator scenarios: GameEngine options layered on top of the engine defaults
+const SCENARIOS = {
+    standard: {
+        description: 'Balanced map with default food, terrain and passive opponents',
+        engine: {}
+    },
+
+    rich_map: {
+        description: 'Plenty of food close to every anthill, nectar included, light terrain',
+        engine: {
+            map: {
+                terrain: { dirt: 0.05, acid: 0.01, stone: 0.03 },
+                food: {
+                    piles: 180,
+                    weights: { [FOOD_TYPES.APPLE]: 4, [FOOD_TYPES.BREAD]: 3, [FOOD_TYPES.NECTAR]: 2 },
+                    minHomeDistance: 2
+                }
+            },
+            foodRespawnCount: 12
+        }
+    },
+
+    early_rush: {
+        description: 'Soldier-heavy opponents that march on the nearest anthill from turn 15',
+        engine: {
+            ai: {
+                rushTurn: 15,
+                aggroRange: 12,
+                startingUnits: {
+                    [UNIT_TYPES.WORKER]: 2,
+                    [UNIT_TYPES.SOLDIER]: 3,
+                    [UNIT_TYPES.SCOUT]: 1
+                },
+                spawnWeights: {
+                    [UNIT_TYPES.WORKER]: 2,
+                    [UNIT_TYPES.SOLDIER]: 6,
+                    [UNIT_TYPES.SCOUT]: 1
+                }
+            },
+            spawnInterval: 8
+        }
+    },
+
+    nectar_desert: {
+        description: 'No nectar, sparse apples and bread, lots of acid and stone',
+        engine: {
+            map: {
+                terrain: { dirt: 0.12, acid: 0.06, stone: 0.12 },
+                food: {
+                    piles: 40,
+                    weights: { [FOOD_TYPES.APPLE]: 4, [FOOD_TYPES.BREAD]: 1, [FOOD_TYPES.NECTAR]: 0 }
+                }
+            },
+            foodRespawnCount: 3
+        }
+    }
+};
+
+module.exports = { SCENARIOS };
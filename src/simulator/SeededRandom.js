@@ -0,0 +1,110 @@
+/**
+ * Deterministic pseudo-random generator (mulberry32).
+ * The same seed always produces the same sequence, so simulated games can be replayed.
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Numeric seed or any string (hashed to a number)
+     */
+    constructor(seed = 1) {
+        this.state = typeof seed === 'number' ? seed >>> 0 : SeededRandom.hashString(String(seed));
+    }
+
+    /**
+     * Hashes a string into a 32-bit unsigned seed.
+     * @param {string} value - String to hash
+     * @returns {number} 32-bit seed
+     */
+    static hashString(value) {
+        let hash = 2166136261;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Returns the next float in [0, 1).
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns an integer in [min, max] inclusive.
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Returns true with the given probability.
+     * @param {number} probability - Probability in [0, 1]
+     * @returns {boolean} Outcome
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Picks a random element of an array.
+     * @param {Array} items - Items to pick from
+     * @returns {*} Picked item or undefined for an empty array
+     */
+    pick(items) {
+        return items.length > 0 ? items[Math.floor(this.next() * items.length)] : undefined;
+    }
+
+    /**
+     * Picks a key of a weights object proportionally to its weight.
+     * @param {Object} weights - Map of key -> non-negative weight
+     * @returns {string} Picked key
+     */
+    weighted(weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.next() * total;
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries.length > 0 ? entries[entries.length - 1][0] : undefined;
+    }
+
+    /**
+     * Shuffles an array in place (Fisher-Yates).
+     * @param {Array} items - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Generates a UUID-shaped identifier from the random sequence.
+     * @returns {string} Deterministic UUID-like string
+     */
+    uuid() {
+        const hex = [];
+        for (let i = 0; i < 32; i++) {
+            hex.push(Math.floor(this.next() * 16).toString(16));
+        }
+        const s = hex.join('');
+        return `${s.slice(0, 8)}-${s.slice(8, 12)}-4${s.slice(13, 16)}-${s.slice(16, 20)}-${s.slice(20, 32)}`;
+    }
+}
+
+module.exports = SeededRandom;
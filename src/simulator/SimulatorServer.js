@@ -0,0 +1,238 @@
+const http = require('http');
+const logger = require('../utils/Logger');
+const GameEngine = require('./GameEngine');
+
+/**
+ * HTTP front-end for the local simulator. Serves /register, /arena, /move, /rounds and /logs
+ * the same way the game server does (see openapi-spec.yml), so GameBot can run against it
+ * by pointing API_URL at http://localhost:<port>.
+ *
+ * Round lifecycle: a round is active right away; the first registration creates a game and
+ * opens the lobby, after which turns advance every `turnDuration` ms. When the game reaches
+ * `maxTurns` the round completes and the next one becomes active after `roundGap` seconds.
+ */
+class SimulatorServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {number} options.port - Listening port
+     * @param {number} options.turnDuration - Turn length in milliseconds
+     * @param {number} options.lobbyDuration - Lobby length in seconds
+     * @param {number} options.roundGap - Pause between rounds in seconds
+     * @param {Object} options.engine - GameEngine options
+     */
+    constructor(options = {}) {
+        this.port = options.port || 3002;
+        this.turnDuration = options.turnDuration || 1000;
+        this.lobbyDuration = options.lobbyDuration !== undefined ? options.lobbyDuration : 5;
+        this.roundGap = options.roundGap !== undefined ? options.roundGap : 10;
+        this.engineOptions = options.engine || {};
+
+        this.server = null;
+        this.engine = null;
+        this.engineRound = null;
+        this.rounds = [];
+        this.roundIndex = 0;
+        this.lobbyEndsAt = null;
+        this.nextTurnAt = null;
+        this.gameStarted = false;
+        this.turnTimer = null;
+        this.lobbyTimer = null;
+    }
+
+    start() {
+        this.openRound(Date.now());
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => {
+                logger.info(`🧪 Simulator listening on http://localhost:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.turnTimer);
+        clearTimeout(this.lobbyTimer);
+        if (this.server) {
+            this.server.close();
+        }
+        logger.info('Simulator stopped');
+    }
+
+    openRound(startAt) {
+        this.roundIndex++;
+        const round = {
+            name: `sim-round-${this.roundIndex}`,
+            status: startAt <= Date.now() ? 'active' : 'pending',
+            startAt: new Date(startAt).toISOString(),
+            endAt: null
+        };
+        this.rounds.push(round);
+        return round;
+    }
+
+    getCurrentRound() {
+        const now = Date.now();
+        this.rounds.forEach(round => {
+            if (round.status === 'pending' && new Date(round.startAt).getTime() <= now) {
+                round.status = 'active';
+            }
+        });
+        return this.rounds.find(round => round.status === 'active') || null;
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://localhost:${this.port}`);
+        const route = url.pathname.replace(/^\/api/, '');
+        const token = req.headers['x-auth-token'];
+
+        try {
+            if (!token) {
+                return this.sendJson(res, 401, { code: 401, message: 'missing X-Auth-Token header' });
+            }
+
+            if (req.method === 'POST' && route === '/register') {
+                return this.sendJson(res, ...this.handleRegister(token));
+            }
+            if (req.method === 'GET' && route === '/arena') {
+                return this.sendJson(res, ...this.handleArena(token));
+            }
+            if (req.method === 'POST' && route === '/move') {
+                const body = await this.readBody(req);
+                return this.sendJson(res, ...this.handleMove(token, body));
+            }
+            if (req.method === 'GET' && route === '/rounds') {
+                this.getCurrentRound();
+                return this.sendJson(res, 200, { now: new Date().toISOString(), rounds: this.rounds });
+            }
+            if (req.method === 'GET' && route === '/logs') {
+                const colony = this.engine && this.engine.getColonyByPlayer(token);
+                return this.sendJson(res, 200, colony ? colony.log : []);
+            }
+
+            return this.sendJson(res, 404, { code: 404, message: `unknown endpoint ${req.method} ${route}` });
+        } catch (error) {
+            logger.error('Simulator request failed:', error);
+            return this.sendJson(res, 500, { code: 500, message: error.message });
+        }
+    }
+
+    handleRegister(token) {
+        const round = this.getCurrentRound();
+        if (!round) {
+            return [400, { code: 400, message: 'no active round' }];
+        }
+
+        if (!this.engine || this.engineRound !== round.name) {
+            this.engine = new GameEngine(this.engineOptions);
+            this.engineRound = round.name;
+            this.gameStarted = false;
+            this.lobbyEndsAt = Date.now() + this.lobbyDuration * 1000;
+            this.lobbyTimer = setTimeout(() => this.startGame(), this.lobbyDuration * 1000);
+            logger.info(`🧪 Game created for ${round.name} (seed ${this.engine.options.seed})`);
+        }
+
+        const alreadyRegistered = this.engine.getColonyByPlayer(token);
+        if (this.gameStarted && !alreadyRegistered) {
+            return [400, { code: 400, message: 'lobby ended, too late to register' }];
+        }
+
+        const colony = this.engine.registerPlayer(token, `player-${token.substring(0, 6)}`);
+        if (!colony) {
+            return [400, { code: 400, message: 'no free colonies left in this game' }];
+        }
+
+        const lobbyEndsIn = Math.max(0, Math.ceil((this.lobbyEndsAt - Date.now()) / 1000));
+        return [200, {
+            name: colony.name,
+            lobbyEndsIn,
+            nextTurn: lobbyEndsIn + this.turnDuration / 1000,
+            realm: round.name
+        }];
+    }
+
+    handleArena(token) {
+        const state = this.engine && this.engine.getPlayerState(token);
+        if (!state) {
+            return [400, { code: 400, message: 'player not registered in the game' }];
+        }
+
+        const nextTurnAt = this.gameStarted ? this.nextTurnAt : this.lobbyEndsAt + this.turnDuration;
+        state.nextTurnIn = this.engine.isFinished() ? 0 : Math.max(0, (nextTurnAt - Date.now()) / 1000);
+        return [200, state];
+    }
+
+    handleMove(token, body) {
+        if (!this.engine || !this.engine.getColonyByPlayer(token)) {
+            return [400, { code: 400, message: 'player not registered in the game' }];
+        }
+        if (!body || !Array.isArray(body.moves)) {
+            return [400, { code: 400, message: 'request body must contain a moves array' }];
+        }
+        if (this.engine.isFinished()) {
+            return [400, { code: 400, message: 'game is over' }];
+        }
+
+        return [200, this.engine.submitMoves(token, body.moves)];
+    }
+
+    startGame() {
+        this.gameStarted = true;
+        this.nextTurnAt = Date.now() + this.turnDuration;
+        logger.info('🧪 Lobby closed, game started');
+
+        this.turnTimer = setInterval(() => {
+            const summary = this.engine.step();
+            this.nextTurnAt = Date.now() + this.turnDuration;
+
+            if (summary.turnNo % 50 === 0) {
+                logger.info(`🧪 Turn ${summary.turnNo}: ${summary.scores.map(s => `${s.team}=${s.score}`).join(', ')}`);
+            }
+
+            if (this.engine.isFinished()) {
+                this.finishRound();
+            }
+        }, this.turnDuration);
+    }
+
+    finishRound() {
+        clearInterval(this.turnTimer);
+        const round = this.getCurrentRound();
+        if (round) {
+            round.status = 'completed';
+            round.endAt = new Date().toISOString();
+        }
+        logger.info(`🏁 ${round ? round.name : 'Round'} finished: ${JSON.stringify(this.engine.getResults())}`);
+
+        // The finished game stays readable through /arena until somebody registers for the next round
+        this.openRound(Date.now() + this.roundGap * 1000);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => (body += chunk));
+            req.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, statusCode, payload) {
+        const body = JSON.stringify(payload);
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+}
+
+module.exports = SimulatorServer;
@@ -0,0 +1,299 @@
+/**
+ * Геометрия гексагональной сетки в осевых координатах {q, r} (flat-top, как у сервера).
+ * Кубические координаты - {q, r, s} с q + r + s = 0.
+ *
+ * Единственная реализация расстояний, соседей, колец, спиралей, линий и поворотов
+ * для бота, симулятора, тестов и визуализатора. Файл без зависимостей: в Node он
+ * подключается через require, в браузере - тегом <script> (WebSocketServer отдает его
+ * как /shared/HexGeometry.js) и создает глобальный HexGeometry.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HexGeometry = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Направления против часовой стрелки, начиная с востока
+    const DIRECTIONS = Object.freeze([
+        Object.freeze({ q: 1, r: 0 }),   // E
+        Object.freeze({ q: 1, r: -1 }),  // NE
+        Object.freeze({ q: 0, r: -1 }),  // NW
+        Object.freeze({ q: -1, r: 0 }),  // W
+        Object.freeze({ q: -1, r: 1 }),  // SW
+        Object.freeze({ q: 0, r: 1 })    // SE
+    ]);
+
+    class HexGeometry {
+        static get DIRECTIONS() {
+            return DIRECTIONS;
+        }
+
+        /**
+         * @param {Object} hex - Гекс {q, r}
+         * @returns {string} Ключ "q,r" для Map и Set
+         */
+        static key(hex) {
+            return `${hex.q},${hex.r}`;
+        }
+
+        static equals(a, b) {
+            return !!a && !!b && a.q === b.q && a.r === b.r;
+        }
+
+        static add(a, b) {
+            return { q: a.q + b.q, r: a.r + b.r };
+        }
+
+        static subtract(a, b) {
+            return { q: a.q - b.q, r: a.r - b.r };
+        }
+
+        static scale(hex, factor) {
+            return { q: hex.q * factor, r: hex.r * factor };
+        }
+
+        /**
+         * @param {Object} hex - Осевые координаты {q, r}
+         * @returns {Object} Кубические координаты {q, r, s}
+         */
+        static toCube(hex) {
+            return { q: hex.q, r: hex.r, s: -hex.q - hex.r };
+        }
+
+        /**
+         * @param {Object} cube - Кубические координаты {q, r, s}
+         * @returns {Object} Осевые координаты {q, r}
+         */
+        static fromCube(cube) {
+            return { q: cube.q, r: cube.r };
+        }
+
+        /**
+         * Округляет дробные осевые координаты до ближайшего гекса.
+         * @param {number} q - Дробная q
+         * @param {number} r - Дробная r
+         * @returns {Object} Гекс {q, r}
+         */
+        static round(q, r) {
+            const s = -q - r;
+            let rq = Math.round(q);
+            let rr = Math.round(r);
+            const rs = Math.round(s);
+
+            const qDiff = Math.abs(rq - q);
+            const rDiff = Math.abs(rr - r);
+            const sDiff = Math.abs(rs - s);
+
+            if (qDiff > rDiff && qDiff > sDiff) {
+                rq = -rr - rs;
+            } else if (rDiff > sDiff) {
+                rr = -rq - rs;
+            }
+
+            // + 0 убирает -0 после округления
+            return { q: rq + 0, r: rr + 0 };
+        }
+
+        /**
+         * Расстояние в шагах. Отсутствующие координаты считаются нулем,
+         * отсутствующая позиция - бесконечно далекой.
+         * @param {Object} a - Гекс {q, r}
+         * @param {Object} b - Гекс {q, r}
+         * @returns {number} Расстояние или Infinity
+         */
+        static distance(a, b) {
+            if (!a || !b) return Infinity;
+
+            const dq = (a.q || 0) - (b.q || 0);
+            const dr = (a.r || 0) - (b.r || 0);
+            return Math.max(Math.abs(dq), Math.abs(dr), Math.abs(dq + dr));
+        }
+
+        /**
+         * @param {Object} hex - Гекс
+         * @param {number} direction - Индекс в DIRECTIONS (берется по модулю 6)
+         * @returns {Object} Соседний гекс
+         */
+        static neighbor(hex, direction) {
+            return HexGeometry.add(hex, DIRECTIONS[((direction % 6) + 6) % 6]);
+        }
+
+        /**
+         * @param {Object} hex - Гекс
+         * @returns {Array} Шесть соседей в порядке DIRECTIONS
+         */
+        static neighbors(hex) {
+            return DIRECTIONS.map(direction => HexGeometry.add(hex, direction));
+        }
+
+        /**
+         * Гексы ровно на расстоянии radius, по кругу против часовой стрелки начиная с юго-запада.
+         * @param {Object} center - Центр
+         * @param {number} radius - Радиус (0 - только центр)
+         * @returns {Array} Гексы кольца
+         */
+        static ring(center, radius) {
+            if (radius <= 0) {
+                return [{ q: center.q, r: center.r }];
+            }
+
+            const hexes = [];
+            let hex = HexGeometry.add(center, HexGeometry.scale(DIRECTIONS[4], radius));
+            for (let side = 0; side < 6; side++) {
+                for (let step = 0; step < radius; step++) {
+                    hexes.push(hex);
+                    hex = HexGeometry.neighbor(hex, side);
+                }
+            }
+            return hexes;
+        }
+
+        /**
+         * Кольца от minRadius до maxRadius подряд, изнутри наружу.
+         * @param {Object} center - Центр
+         * @param {number} maxRadius - Внешний радиус
+         * @param {number} minRadius - Внутренний радиус (по умолчанию 0, с центром)
+         * @returns {Array} Гексы спирали
+         */
+        static spiral(center, maxRadius, minRadius = 0) {
+            const hexes = [];
+            for (let radius = minRadius; radius <= maxRadius; radius++) {
+                hexes.push(...HexGeometry.ring(center, radius));
+            }
+            return hexes;
+        }
+
+        /**
+         * Все гексы на расстоянии не больше radius (построчно по q, затем по r).
+         * @param {Object} center - Центр
+         * @param {number} radius - Радиус
+         * @returns {Array} Гексы области, включая центр
+         */
+        static range(center, radius) {
+            const hexes = [];
+            for (let dq = -radius; dq <= radius; dq++) {
+                for (let dr = Math.max(-radius, -dq - radius); dr <= Math.min(radius, -dq + radius); dr++) {
+                    hexes.push({ q: center.q + dq, r: center.r + dr });
+                }
+            }
+            return hexes;
+        }
+
+        /**
+         * Пересечение двух областей: гексы не дальше radiusA от a и не дальше radiusB от b.
+         * @returns {Array} Гексы пересечения (пусто, если области не пересекаются)
+         */
+        static intersectRanges(a, radiusA, b, radiusB) {
+            const ca = HexGeometry.toCube(a);
+            const cb = HexGeometry.toCube(b);
+            const qMin = Math.max(ca.q - radiusA, cb.q - radiusB);
+            const qMax = Math.min(ca.q + radiusA, cb.q + radiusB);
+            const rMin = Math.max(ca.r - radiusA, cb.r - radiusB);
+            const rMax = Math.min(ca.r + radiusA, cb.r + radiusB);
+            const sMin = Math.max(ca.s - radiusA, cb.s - radiusB);
+            const sMax = Math.min(ca.s + radiusA, cb.s + radiusB);
+
+            const hexes = [];
+            for (let q = qMin; q <= qMax; q++) {
+                for (let r = Math.max(rMin, -q - sMax); r <= Math.min(rMax, -q - sMin); r++) {
+                    hexes.push({ q, r });
+                }
+            }
+            return hexes;
+        }
+
+        /**
+         * Гексы на отрезке от a до b включительно (основа для линии видимости).
+         * @param {Object} a - Начало
+         * @param {Object} b - Конец
+         * @returns {Array} distance(a, b) + 1 гексов
+         */
+        static line(a, b) {
+            const steps = HexGeometry.distance(a, b);
+            if (steps === 0) {
+                return [{ q: a.q, r: a.r }];
+            }
+
+            // Небольшой сдвиг, чтобы точки на границе гексов округлялись одинаково
+            const epsilon = 1e-6;
+            const hexes = [];
+            for (let i = 0; i <= steps; i++) {
+                const t = i / steps;
+                hexes.push(HexGeometry.round(
+                    a.q + epsilon + (b.q - a.q) * t,
+                    a.r + epsilon + (b.r - a.r) * t
+                ));
+            }
+            return hexes;
+        }
+
+        /**
+         * Поворачивает гекс вокруг центра на steps * 60 градусов (положительные - против часовой).
+         * @param {Object} hex - Гекс
+         * @param {Object} center - Центр поворота
+         * @param {number} steps - Число шагов по 60 градусов
+         * @returns {Object} Повернутый гекс
+         */
+        static rotate(hex, center, steps) {
+            let { q, r, s } = HexGeometry.toCube(HexGeometry.subtract(hex, center));
+            const turns = ((steps % 6) + 6) % 6;
+            for (let i = 0; i < turns; i++) {
+                [q, r, s] = [-s, -q, -r];
+            }
+            return { q: center.q + q + 0, r: center.r + r + 0 };
+        }
+
+        /**
+         * Направление первого шага по прямой от from к to.
+         * @param {Object} from - Откуда
+         * @param {Object} to - Куда
+         * @returns {number} Индекс в DIRECTIONS или -1, если гексы совпадают
+         */
+        static directionTo(from, to) {
+            if (HexGeometry.distance(from, to) === 0) {
+                return -1;
+            }
+            const step = HexGeometry.subtract(HexGeometry.line(from, to)[1], from);
+            return DIRECTIONS.findIndex(direction => direction.q === step.q && direction.r === step.r);
+        }
+
+        /**
+         * @param {Object} from - Откуда
+         * @param {Object} to - Куда
+         * @returns {Object|null} Соседний гекс в сторону цели или null, если уже на месте
+         */
+        static stepTowards(from, to) {
+            const direction = HexGeometry.directionTo(from, to);
+            return direction >= 0 ? HexGeometry.neighbor(from, direction) : null;
+        }
+
+        /**
+         * Центр гекса в пикселях для flat-top раскладки.
+         * @param {Object} hex - Гекс
+         * @param {number} size - Радиус гекса в пикселях
+         * @returns {Object} {x, y} относительно центра гекса (0, 0)
+         */
+        static toPixel(hex, size) {
+            return {
+                x: size * (3 / 2 * hex.q),
+                y: size * (Math.sqrt(3) / 2 * hex.q + Math.sqrt(3) * hex.r)
+            };
+        }
+
+        /**
+         * @param {number} x - Координата относительно центра гекса (0, 0)
+         * @param {number} y - Координата относительно центра гекса (0, 0)
+         * @param {number} size - Радиус гекса в пикселях
+         * @returns {Object} Гекс под точкой
+         */
+        static fromPixel(x, y, size) {
+            return HexGeometry.round(
+                (2 / 3 * x) / size,
+                (-1 / 3 * x + Math.sqrt(3) / 3 * y) / size
+            );
+        }
+    }
+
+    return HexGeometry;
+}));
@@ -1,71 +1,198 @@
 const logger = require('./Logger');
 
+// Приоритеты очереди: меньше - раньше
+const PRIORITY = Object.freeze({ HIGH: 0, NORMAL: 1, LOW: 2 });
+
 /**
- * Rate limiter для ограничения частоты запросов к API.
- * Обеспечивает выполнение не более заданного количества запросов в секунду.
+ * Rate limiter для ограничения частоты запросов к API: token bucket с очередью по приоритетам.
+ *
+ * Общее ведро пополняется со скоростью maxRequestsPerSecond и вмещает до burst запросов.
+ * Ожидающие запросы выполняются по приоритету (при равном - в порядке поступления), поэтому
+ * /move не стоит за опросом /arena и /logs. Для отдельных эндпоинтов можно задать свои квоты:
+ * запрос ждет, пока токен есть и в общем ведре, и в ведре эндпоинта, не блокируя остальных.
+ *
+ * Ответ 429 (ошибка со status 429) останавливает выдачу токенов на retryAfterMs.
  */
 class RateLimiter {
+    static get PRIORITY() {
+        return PRIORITY;
+    }
+
     /**
      * Создает новый экземпляр RateLimiter.
-     * @param {number} maxRequestsPerSecond - Максимальное количество запросов в секунду
+     * @param {number} maxRequestsPerSecond - Максимальное количество запросов в секунду (Infinity - без ограничения)
      * @param {string} name - Название для логирования
+     * @param {Object} options
+     * @param {number} options.burst - Сколько запросов можно выполнить подряд без ожидания
+     * @param {Object} options.endpointLimits - Квоты по эндпоинтам, например { '/logs': { requestsPerSecond: 0.2 } }
+     * @param {number} options.throttleMs - Пауза после 429 без Retry-After, мс
      */
-    constructor(maxRequestsPerSecond = 3, name = 'API') {
-        this.maxRequestsPerSecond = maxRequestsPerSecond;
-        this.minInterval = Math.ceil(1000 / maxRequestsPerSecond); // Минимальный интервал между запросами в мс
-        this.lastRequestTime = 0;
-        this.requestQueue = [];
+    constructor(maxRequestsPerSecond = 3, name = 'API', options = {}) {
         this.name = name;
-        
-        logger.info(`RateLimiter initialized for ${name}: max ${maxRequestsPerSecond} requests/sec, min interval ${this.minInterval}ms`);
+        this.bucket = createBucket(maxRequestsPerSecond, options.burst ?? 1);
+        this.endpointBuckets = new Map(Object.entries(options.endpointLimits || {}).map(([endpoint, limit]) =>
+            [endpoint, createBucket(limit.requestsPerSecond, limit.burst ?? 1)]
+        ));
+        this.throttleMs = options.throttleMs ?? 1000;
+        this.queue = [];
+        this.sequence = 0;
+        this.timer = null;
+
+        this.reset();
+
+        logger.info(`RateLimiter initialized for ${name}: max ${maxRequestsPerSecond} requests/sec, burst ${this.bucket.capacity}`);
     }
 
     /**
-     * Выполняет функцию с учетом ограничения частоты.
+     * Ставит функцию в очередь и выполняет ее, когда появится токен.
      * @param {Function} fn - Функция для выполнения
+     * @param {Object} options
+     * @param {number} options.priority - RateLimiter.PRIORITY
+     * @param {string} options.endpoint - Эндпоинт для квоты и статистики
      * @returns {Promise} Результат выполнения функции
      */
-    async execute(fn) {
+    execute(fn, { priority = PRIORITY.NORMAL, endpoint = null } = {}) {
         return new Promise((resolve, reject) => {
-            const executeRequest = async () => {
-                const now = Date.now();
-                const timeSinceLastRequest = now - this.lastRequestTime;
-                
-                if (timeSinceLastRequest < this.minInterval) {
-                    const delay = this.minInterval - timeSinceLastRequest;
-                    logger.debug(`${this.name} RateLimiter: Delaying request by ${delay}ms`);
-                    
-                    setTimeout(async () => {
-                        try {
-                            this.lastRequestTime = Date.now();
-                            const result = await fn();
-                            resolve(result);
-                        } catch (error) {
-                            reject(error);
-                        }
-                    }, delay);
-                } else {
-                    try {
-                        this.lastRequestTime = now;
-                        const result = await fn();
-                        resolve(result);
-                    } catch (error) {
-                        reject(error);
-                    }
+            this.queue.push({ fn, priority, endpoint, enqueuedAt: Date.now(), sequence: this.sequence++, resolve, reject });
+            this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+            this.drain();
+        });
+    }
+
+    /**
+     * Выполняет все запросы, для которых есть токены, и заводит таймер до следующего токена.
+     */
+    drain() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const now = Date.now();
+        refill(this.bucket, now);
+        this.endpointBuckets.forEach(bucket => refill(bucket, now));
+
+        let waitMs = Infinity;
+        for (let i = 0; i < this.queue.length;) {
+            const globalWait = Math.max(this.throttledUntil - now, timeToToken(this.bucket));
+            if (globalWait > 0) {
+                waitMs = Math.min(waitMs, globalWait);
+                break;
+            }
+
+            const entry = this.queue[i];
+            const endpointBucket = this.endpointBuckets.get(entry.endpoint);
+            const endpointWait = endpointBucket ? timeToToken(endpointBucket) : 0;
+            if (endpointWait > 0) {
+                // Квота эндпоинта исчерпана - пропускаем вперед следующих в очереди
+                waitMs = Math.min(waitMs, endpointWait);
+                i++;
+                continue;
+            }
+
+            this.queue.splice(i, 1);
+            take(this.bucket);
+            if (endpointBucket) take(endpointBucket);
+            this.run(entry, now);
+        }
+
+        if (this.queue.length > 0 && waitMs !== Infinity) {
+            logger.debug(`${this.name} RateLimiter: ${this.queue.length} queued, next in ${Math.ceil(waitMs)}ms`);
+            this.timer = setTimeout(() => this.drain(), Math.ceil(waitMs));
+        }
+    }
+
+    run(entry, now) {
+        const waitMs = now - entry.enqueuedAt;
+        this.stats.requests++;
+        this.stats.totalWaitMs += waitMs;
+        this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+
+        Promise.resolve()
+            .then(() => entry.fn())
+            .then(entry.resolve, error => {
+                if (error && error.status === 429) {
+                    this.throttle(error.retryAfterMs ?? this.throttleMs);
                 }
-            };
+                entry.reject(error);
+            });
+    }
 
-            executeRequest();
-        });
+    /**
+     * Останавливает выдачу токенов: сервер ответил 429.
+     * @param {number} ms - На сколько остановиться
+     */
+    throttle(ms) {
+        this.stats.throttled++;
+        this.throttledUntil = Math.max(this.throttledUntil, Date.now() + ms);
+        logger.warn(`${this.name} RateLimiter: server rate limit hit, pausing for ${ms}ms`);
+        this.drain();
+    }
+
+    /**
+     * @returns {Object} { queueDepth, queuedByPriority, requests, throttled, avgWaitMs, maxWaitMs } с момента
+     *   прошлого вызова takeStats (или reset); queueDepth - текущая длина очереди
+     */
+    takeStats() {
+        const stats = this.getStats();
+        this.stats = { requests: 0, throttled: 0, totalWaitMs: 0, maxWaitMs: 0 };
+        return stats;
+    }
+
+    getStats() {
+        const queuedByPriority = { high: 0, normal: 0, low: 0 };
+        const names = ['high', 'normal', 'low'];
+        this.queue.forEach(entry => queuedByPriority[names[entry.priority]]++);
+
+        return {
+            queueDepth: this.queue.length,
+            queuedByPriority,
+            requests: this.stats.requests,
+            throttled: this.stats.throttled,
+            avgWaitMs: this.stats.requests > 0 ? Math.round(this.stats.totalWaitMs / this.stats.requests) : 0,
+            maxWaitMs: this.stats.maxWaitMs
+        };
     }
 
     /**
-     * Сбрасывает таймер последнего запроса.
+     * Наполняет ведра, снимает паузу после 429 и сбрасывает статистику. Очередь не трогает.
      */
     reset() {
-        this.lastRequestTime = 0;
+        const now = Date.now();
+        [this.bucket, ...this.endpointBuckets.values()].forEach(bucket => {
+            bucket.tokens = bucket.capacity;
+            bucket.updatedAt = now;
+        });
+        this.throttledUntil = 0;
+        this.stats = { requests: 0, throttled: 0, totalWaitMs: 0, maxWaitMs: 0 };
         logger.debug(`${this.name} RateLimiter: Reset`);
+        if (this.queue.length > 0) {
+            this.drain();
+        }
     }
 }
 
-module.exports = RateLimiter;
\ No newline at end of file
+function createBucket(requestsPerSecond, burst) {
+    return { ratePerMs: requestsPerSecond / 1000, capacity: burst, tokens: burst, updatedAt: Date.now() };
+}
+
+function refill(bucket, now) {
+    if (bucket.ratePerMs === Infinity) {
+        bucket.tokens = bucket.capacity;
+    } else {
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs);
+    }
+    bucket.updatedAt = now;
+}
+
+function take(bucket) {
+    if (bucket.ratePerMs !== Infinity) {
+        bucket.tokens -= 1;
+    }
+}
+
+function timeToToken(bucket) {
+    return bucket.tokens >= 1 || bucket.ratePerMs === Infinity ? 0 : (1 - bucket.tokens) / bucket.ratePerMs;
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const ApiClient = require('../src/api/ApiClient');
+const RateLimiter = require('../src/utils/RateLimiter');
+const {
+    AuthError, NotRegisteredError, LobbyClosedError, RateLimitError,
+    ValidationError, ServerError, TimeoutError
+} = require('../src/api/ApiErrors');
+const logger = require('../src/utils/Logger');
+
+describe('ApiClient', () => {
+    let server;
+    let baseUrl;
+    // Ответы по очереди для каждого маршрута: { status, body, headers, delay }
+    let responses;
+    let hits;
+
+    before(async () => {
+        logger.setLevel('ERROR');
+        server = http.createServer((req, res) => {
+            const route = `${req.method} ${req.url.replace(/^\/api/, '')}`;
+            hits[route] = (hits[route] || 0) + 1;
+            const queue = responses[route] || [];
+            const { status = 200, body = {}, headers = {}, delay = 0 } = queue.length > 1 ? queue.shift() : queue[0] || {};
+            setTimeout(() => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(body));
+            }, delay);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    beforeEach(() => {
+        responses = {};
+        hits = {};
+    });
+
+    const createClient = (options = {}) => {
+        const client = new ApiClient(baseUrl, 'token', { baseDelayMs: 1, maxDelayMs: 5, ...options });
+        client.rateLimiter = new RateLimiter(Infinity, 'Test');
+        return client;
+    };
+
+    it('maps error responses to typed errors', async () => {
+        const cases = [
+            [401, 'missing X-Auth-Token header', AuthError],
+            [400, 'player not registered in the game', NotRegisteredError],
+            [400, 'lobby ended, too late to register', LobbyClosedError],
+            [429, 'too many requests', RateLimitError],
+            [422, 'bad path', ValidationError],
+            [500, 'boom', ServerError]
+        ];
+        const client = createClient({ maxRetries: 0 });
+
+        for (const [status, message, ErrorClass] of cases) {
+            responses['POST /register'] = [{ status, body: { code: status, message } }];
+            const error = await client.register('team').catch(err => err);
+            assert.ok(error instanceof ErrorClass, `${status} ${message} -> ${error.name}`);
+            assert.strictEqual(error.status, status);
+            assert.strictEqual(error.endpoint, '/register');
+        }
+    });
+
+    it('retries idempotent requests after server errors', async () => {
+        responses['GET /arena'] = [{ status: 502 }, { status: 503 }, { body: { turnNo: 7 } }];
+
+        const state = await createClient().getGameState();
+        assert.strictEqual(state.turnNo, 7);
+        assert.strictEqual(hits['GET /arena'], 3);
+    });
+
+    it('gives up after maxRetries', async () => {
+        responses['GET /rounds'] = [{ status: 500 }];
+
+        await assert.rejects(createClient({ maxRetries: 2 }).getRounds(), ServerError);
+        assert.strictEqual(hits['GET /rounds'], 3);
+    });
+
+    it('does not retry registration after a server error', async () => {
+        responses['POST /register'] = [{ status: 500 }];
+
+        await assert.rejects(createClient().register('team'), ServerError);
+        assert.strictEqual(hits['POST /register'], 1);
+    });
+
+    it('times out slow requests', async () => {
+        responses['GET /logs'] = [{ delay: 200 }];
+
+        await assert.rejects(createClient({ timeoutMs: 30, maxRetries: 0 }).getLogs(), TimeoutError);
+    });
+
+    it('waits Retry-After before repeating a rate-limited move', async () => {
+        responses['POST /move'] = [{ status: 429, headers: { 'Retry-After': '0.05' } }, { body: { ok: true } }];
+
+        const startedAt = Date.now();
+        const response = await createClient().sendMoves([{ unit_id: 'a', path: [{ q: 1, r: 0 }] }], { deadline: null });
+        assert.deepStrictEqual(response, { ok: true });
+        assert.strictEqual(hits['POST /move'], 2);
+        assert.ok(Date.now() - startedAt >= 45);
+    });
+
+    it('bounds move submission by the deadline from nextTurnIn', async () => {
+        responses['GET /arena'] = [{ body: { turnNo: 1, nextTurnIn: 0.2 } }];
+        responses['POST /move'] = [{ delay: 500 }];
+        const client = createClient({ timeoutMs: 5000, moveSafetyMarginMs: 100 });
+
+        await client.getGameState();
+        const startedAt = Date.now();
+        await assert.rejects(client.sendMoves([{ unit_id: 'a', path: [{ q: 1, r: 0 }] }]), TimeoutError);
+        assert.ok(Date.now() - startedAt < 400);
+    });
+
+    it('does not send moves once the deadline has passed', async () => {
+        await assert.rejects(
+            createClient().sendMoves([{ unit_id: 'a', path: [{ q: 1, r: 0 }] }], { deadline: Date.now() - 1 }),
+            TimeoutError
+        );
+        assert.strictEqual(hits['POST /move'], undefined);
+    });
+});
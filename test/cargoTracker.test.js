@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CargoTracker = require('../src/game/CargoTracker');
+
+const ant = (id, q, r, foodType = 0, amount = 0, type = 1) => ({ id, type, q, r, health: 130, food: { type: foodType, amount } });
+
+const state = (turnNo, ants) => ({
+    turnNo,
+    score: 0,
+    ants,
+    enemies: [],
+    food: [],
+    home: [{ q: 0, r: 0 }, { q: 1, r: 0 }],
+    map: []
+});
+
+describe('CargoTracker', () => {
+    it('attributes a delivery to the hexes the cargo was picked up from', () => {
+        const tracker = new CargoTracker();
+        const turns = [
+            state(1, [ant('a', 2, 2)]),
+            state(2, [ant('a', 3, 2, 2, 4)]),
+            state(3, [ant('a', 4, 2, 2, 8)]),
+            state(4, [ant('a', 0, 0)])
+        ];
+
+        const events = turns.slice(1).flatMap((turn, i) => tracker.update(turns[i], turn));
+        assert.deepStrictEqual(events.map(event => [event.type, event.amount]), [['FoodPickedUp', 4], ['FoodPickedUp', 4], ['FoodDelivered', 8]]);
+
+        const delivery = events[2];
+        assert.deepStrictEqual([delivery.foodType, delivery.calories, delivery.antType], ['bread', 200, 'worker']);
+        assert.deepStrictEqual(delivery.sources, [{ q: 3, r: 2, amount: 4 }, { q: 4, r: 2, amount: 4 }]);
+
+        const totals = tracker.getTotals();
+        assert.deepStrictEqual(totals.delivered, { apple: 0, bread: 8, nectar: 0 });
+        assert.strictEqual(totals.deliveredCalories, 200);
+        assert.deepStrictEqual(tracker.getTopSources(1), [{ q: 3, r: 2, foodType: 'bread', pickedUp: 4, delivered: 4, deliveredCalories: 100 }]);
+        assert.strictEqual(tracker.byAnt.get('a').deliveredCalories, 200);
+    });
+
+    it('keeps mixed deliveries of one turn apart by food type', () => {
+        const tracker = new CargoTracker();
+        tracker.update(null, state(1, [ant('a', 2, 0, 3, 2), ant('b', 0, 2, 1, 5)]));
+        const events = tracker.update(
+            state(1, [ant('a', 2, 0, 3, 2), ant('b', 0, 2, 1, 5)]),
+            state(2, [ant('a', 1, 0), ant('b', 0, 0)])
+        );
+
+        assert.deepStrictEqual(events.map(event => [event.antId, event.foodType, event.calories]), [['a', 'nectar', 120], ['b', 'apple', 50]]);
+        assert.deepStrictEqual(events[0].sources, [{ q: null, r: null, amount: 2 }]);
+        assert.deepStrictEqual(tracker.getTotals().delivered, { apple: 5, bread: 0, nectar: 2 });
+    });
+
+    it('counts cargo of a dead ant and food dropped away from home as lost', () => {
+        const tracker = new CargoTracker();
+        const events = tracker.update(
+            state(5, [ant('a', 4, 4, 3, 2), ant('b', 5, 5, 1, 3)]),
+            state(6, [ant('b', 5, 6, 1, 1)])
+        );
+
+        assert.deepStrictEqual(events.map(event => [event.type, event.antId, event.amount, event.reason]), [
+            ['CargoLost', 'a', 2, 'death'],
+            ['CargoLost', 'b', 2, 'dropped']
+        ]);
+        assert.deepStrictEqual([events[0].q, events[0].r], [4, 4]);
+        const totals = tracker.getTotals();
+        assert.deepStrictEqual(totals.lost, { apple: 2, bread: 0, nectar: 2 });
+        assert.strictEqual(totals.lostCalories, 140);
+        assert.strictEqual(totals.deliveredCalories, 0);
+    });
+});
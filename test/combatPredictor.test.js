@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CombatPredictor = require('../src/game/CombatPredictor');
+const CombatManager = require('../src/game/CombatManager');
+const GameAnalyzer = require('../src/game/GameAnalyzer');
+const HexGeometry = require('../src/utils/HexGeometry');
+const { FOOD_TYPES, HEX_TYPES, HEX_STATS, UNIT_TYPES } = require('../src/constants/GameConstants');
+
+const unit = (id, type, q, r, health) => ({ id, type, q, r, health, food: { type: FOOD_TYPES.NONE, amount: 0 } });
+const soldier = (id, q, r, health = 180) => unit(id, UNIT_TYPES.SOLDIER, q, r, health);
+
+describe('CombatPredictor', () => {
+    const predictor = new CombatPredictor();
+
+    it('predicts a quick win over a worker with no losses', () => {
+        const result = predictor.evaluate([soldier('a', 0, 0)], [unit('w', UNIT_TYPES.WORKER, 1, 0, 120)]);
+
+        assert.strictEqual(result.outcome, 'win');
+        assert.strictEqual(result.turnsToKill, 2);
+        assert.strictEqual(result.turnsToDie, null);
+        assert.deepStrictEqual(result.expectedLosses, { allies: 0, enemies: 1 });
+        assert.strictEqual(result.decision, CombatPredictor.DECISIONS.ENGAGE);
+    });
+
+    it('counts the support bonus of grouped enemies and retreats from a lost fight', () => {
+        const result = predictor.evaluate([soldier('a', 0, 0)], [soldier('e1', 1, 0), soldier('e2', 1, 1)]);
+
+        // Два солдата рядом друг с другом бьют по 105: наш солдат погибает за один ход
+        assert.strictEqual(result.outcome, 'loss');
+        assert.strictEqual(result.turnsToDie, 1);
+        assert.deepStrictEqual(result.expectedLosses, { allies: 1, enemies: 0 });
+        assert.strictEqual(result.decision, CombatPredictor.DECISIONS.RETREAT);
+    });
+
+    it('turns an even duel into a win next to our anthill', () => {
+        const allies = [soldier('a', 5, 0)];
+        const enemies = [soldier('e', 6, 0, 170)];
+
+        const away = predictor.evaluate(allies, enemies, { myAnthill: { q: 0, r: 0 } });
+        assert.strictEqual(away.outcome, 'draw');
+        assert.strictEqual(away.decision, CombatPredictor.DECISIONS.HOLD);
+
+        const home = predictor.evaluate(allies, enemies, { myAnthill: { q: 4, r: 0 } });
+        assert.strictEqual(home.outcome, 'win');
+        assert.strictEqual(home.turnsToKill, 2);
+        assert.strictEqual(home.decision, CombatPredictor.DECISIONS.ENGAGE);
+    });
+
+    it('judges an unfinished fight by the health left on each side', () => {
+        const short = new CombatPredictor({ maxTurns: 1 });
+        const result = short.predict([soldier('a', 0, 0)], [soldier('e', 1, 0, 100)]);
+
+        assert.strictEqual(result.decisive, false);
+        assert.strictEqual(result.outcome, 'win');
+        assert.deepStrictEqual(result.expectedLosses, { allies: 0, enemies: 0 });
+    });
+});
+
+describe('engagement gating in CombatManager', () => {
+    const arena = (ants, enemies) => ({
+        turnNo: 1,
+        score: 0,
+        ants: [unit('home', UNIT_TYPES.ANTHILL, 0, 0, 1000), ...ants],
+        enemies,
+        food: [],
+        home: [{ q: 0, r: 0 }],
+        map: HexGeometry.range({ q: 0, r: 0 }, 16).map(hex => ({ ...hex, type: HEX_TYPES.EMPTY, cost: HEX_STATS[HEX_TYPES.EMPTY].cost }))
+    });
+    const plan = state => new CombatManager().planSimpleCombatMoves(new GameAnalyzer().analyze(state));
+
+    it('attacks a target the model says it can beat', () => {
+        const [move] = plan(arena([soldier('a', 10, 0)], [unit('w', UNIT_TYPES.WORKER, 13, 0, 120)]));
+        assert.strictEqual(move.assignment.type, 'focus_fire');
+    });
+
+    it('falls back to the anthill instead of charging a stronger group', () => {
+        const [move] = plan(arena([soldier('a', 10, 0)], [soldier('e1', 14, 0), soldier('e2', 14, 1), soldier('e3', 15, 0)]));
+
+        assert.strictEqual(move.assignment.type, 'retreat_outmatched');
+        const end = move.path[move.path.length - 1];
+        assert.ok(HexGeometry.distance(end, { q: 0, r: 0 }) < 10);
+    });
+
+    it('holds out of reach when the fight is even', () => {
+        const [move] = plan(arena([soldier('a', 8, 0)], [soldier('e', 13, 0)]));
+
+        assert.strictEqual(move.assignment.type, 'hold_position');
+        assert.deepStrictEqual(move.assignment.target, { q: 10, r: 0 });
+    });
+});
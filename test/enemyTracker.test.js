@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const EnemyTracker = require('../src/game/EnemyTracker');
+const GameAnalyzer = require('../src/game/GameAnalyzer');
+const CombatManager = require('../src/game/CombatManager');
+const HexGeometry = require('../src/utils/HexGeometry');
+const { FOOD_TYPES, HEX_TYPES, HEX_STATS, UNIT_TYPES } = require('../src/constants/GameConstants');
+
+const enemy = (id, q, r, type = UNIT_TYPES.SOLDIER) => ({ id, type, q, r, health: 180, food: { type: FOOD_TYPES.NONE, amount: 0 } });
+const visible = (center, radius) => HexGeometry.range(center, radius).map(hex => ({ ...hex, type: HEX_TYPES.EMPTY, cost: HEX_STATS[HEX_TYPES.EMPTY].cost }));
+const state = (turnNo, enemies, map = []) => ({ turnNo, score: 0, ants: [], enemies, food: [], home: [{ q: 0, r: 0 }], map });
+
+// Враг идет по оси q на 2 гекса за ход: (0,0) -> (2,0) -> (4,0)
+const approach = tracker => [0, 2, 4].forEach((q, i) => tracker.update(state(i + 1, [enemy('e', q, 0)])));
+
+describe('EnemyTracker', () => {
+    it('estimates velocity and predicts the position ahead', () => {
+        const tracker = new EnemyTracker();
+        approach(tracker);
+
+        const track = tracker.getTrack('e');
+        assert.deepStrictEqual(track.velocity, { q: 2, r: 0 });
+        assert.strictEqual(track.speed, 2);
+        assert.strictEqual(track.visible, true);
+        assert.strictEqual(track.typeName, 'soldier');
+        assert.deepStrictEqual(tracker.predict('e', 2), { q: 8, r: 0 });
+        assert.strictEqual(tracker.predict('missing', 1), null);
+    });
+
+    it('bounds the predicted region by how far the enemy can move', () => {
+        const tracker = new EnemyTracker();
+        approach(tracker);
+
+        assert.deepStrictEqual(tracker.predictRegion('e', 1), { center: { q: 6, r: 0 }, radius: 2 });
+        const scout = new EnemyTracker({ headingUncertainty: 5 });
+        scout.update(state(1, [enemy('s', 0, 0, UNIT_TYPES.SCOUT)]));
+        assert.strictEqual(scout.predictRegion('s', 2).radius, 14);
+    });
+
+    it('keeps a lost enemy as a predicted threat until its region is seen or it is too old', () => {
+        const tracker = new EnemyTracker({ forgetAfter: 3 });
+        approach(tracker);
+
+        tracker.update(state(4, []));
+        assert.deepStrictEqual(tracker.getLostEnemies(), [
+            { id: 'e', type: UNIT_TYPES.SOLDIER, q: 6, r: 0, health: 180, predicted: true, age: 1, radius: 2 }
+        ]);
+
+        // Область прогноза на ходу 5 - радиус 4 вокруг (8,0); целиком видна - врага там нет
+        tracker.update(state(5, [], visible({ q: 8, r: 0 }, 4)));
+        assert.strictEqual(tracker.getTrack('e'), null);
+
+        const stale = new EnemyTracker({ forgetAfter: 3 });
+        approach(stale);
+        [4, 5, 6, 7].forEach(turn => stale.update(state(turn, [])));
+        assert.strictEqual(stale.getTrack('e'), null);
+        assert.deepStrictEqual(stale.getLostEnemies(5), []);
+    });
+
+    it('intercepts where the enemy will be, not where it is', () => {
+        const tracker = new EnemyTracker();
+        approach(tracker);
+
+        const soldier = { id: 'a', type: UNIT_TYPES.SOLDIER, q: 8, r: 2 };
+        assert.deepStrictEqual(tracker.getInterceptPoint(soldier, 'e'), { q: 6, r: 0, turns: 1 });
+        const far = { id: 'b', type: UNIT_TYPES.WORKER, q: 30, r: 20 };
+        assert.strictEqual(tracker.getInterceptPoint(far, 'e').turns, 5);
+    });
+
+    it('starts over when the turn number goes back (new game)', () => {
+        const tracker = new EnemyTracker();
+        approach(tracker);
+        tracker.update(state(1, [enemy('x', 1, 1)]));
+
+        assert.deepStrictEqual(tracker.getTracks().map(track => track.id), ['x']);
+    });
+});
+
+describe('enemy tracks in combat planning', () => {
+    const soldier = { id: 's1', type: UNIT_TYPES.SOLDIER, q: -4, r: 1, health: 180, food: { type: FOOD_TYPES.NONE, amount: 0 } };
+    const arena = (turnNo, enemies) => ({
+        turnNo,
+        score: 0,
+        ants: [
+            { id: 'home', type: UNIT_TYPES.ANTHILL, q: 0, r: 0, health: 1000, food: { type: FOOD_TYPES.NONE, amount: 0 } },
+            soldier,
+            { ...soldier, id: 's2', q: -4, r: 2 }
+        ],
+        enemies,
+        food: [],
+        home: [{ q: 0, r: 0 }],
+        map: visible({ q: 0, r: 0 }, 12)
+    });
+
+    it('reports an enemy that just left vision as a predicted threat', () => {
+        const analyzer = new GameAnalyzer();
+        analyzer.analyze(arena(1, [enemy('e', 12, -8)]));
+        analyzer.analyze(arena(2, [enemy('e', 10, -6)]));
+        const analysis = analyzer.analyze({ ...arena(3, []), map: visible({ q: 0, r: 0 }, 3) });
+
+        const [threat] = analysis.threats.threats;
+        assert.strictEqual(threat.predicted, true);
+        assert.deepStrictEqual([threat.unit.q, threat.unit.r], [8, -4]);
+    });
+
+    it('sends defenders toward the intercept point of an approaching enemy', () => {
+        const analyzer = new GameAnalyzer();
+        analyzer.analyze(arena(1, [enemy('e', 8, -4)]));
+        const analysis = analyzer.analyze(arena(2, [enemy('e', 6, -3)]));
+
+        const [move] = new CombatManager().planSimpleCombatMoves(analysis);
+        assert.strictEqual(move.assignment.type, 'defend_anthill');
+        const end = move.path[move.path.length - 1];
+        const intercept = analysis.enemyTracker.getInterceptPoint(soldier, 'e');
+        assert.ok(HexGeometry.distance(end, intercept) < HexGeometry.distance(end, { q: 6, r: -3 }));
+    });
+});
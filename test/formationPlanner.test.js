@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const FormationPlanner = require('../src/game/FormationPlanner');
+const CombatManager = require('../src/game/CombatManager');
+const GameAnalyzer = require('../src/game/GameAnalyzer');
+const StrategyManager = require('../src/game/StrategyManager');
+const HexGeometry = require('../src/utils/HexGeometry');
+const { FOOD_TYPES, HEX_TYPES, HEX_STATS, UNIT_TYPES } = require('../src/constants/GameConstants');
+
+const { FORMATIONS } = FormationPlanner;
+const unit = (id, type, q, r) => ({ id, type, q, r, health: 180, food: { type: FOOD_TYPES.NONE, amount: 0 } });
+const soldier = (id, q, r) => unit(id, UNIT_TYPES.SOLDIER, q, r);
+const scout = (id, q, r) => unit(id, UNIT_TYPES.SCOUT, q, r);
+
+const open = (blocked = []) => ({
+    isPassable: hex => !blocked.some(stone => HexGeometry.equals(stone, hex)),
+    findPath: (from, to) => HexGeometry.line(from, to).slice(1)
+});
+// Ставит бойцов в их слоты, как будто они дошли
+const arrive = (members, plan) => members.map(member => {
+    const slot = plan.slots.find(candidate => candidate.unit.id === member.id);
+    return slot ? { ...member, q: slot.q, r: slot.r } : member;
+});
+
+describe('FormationPlanner', () => {
+    it('lays out a wedge pointing at the goal', () => {
+        const planner = new FormationPlanner();
+        const goal = { q: 10, r: 0 };
+        const plan = planner.plan(FORMATIONS.WEDGE, [soldier('a', -2, 0), soldier('b', 2, 0), soldier('c', 0, 0)], { goal, ...open() });
+
+        assert.strictEqual(plan.facing, HexGeometry.directionTo(plan.anchor, goal));
+        const spearhead = plan.slots.find(slot => slot.role === 'spearhead');
+        assert.deepStrictEqual({ q: spearhead.q, r: spearhead.r }, plan.anchor);
+        assert.strictEqual(plan.advanced, false);
+        const supports = plan.slots.filter(slot => slot.role === 'support');
+        assert.strictEqual(supports.length, 2);
+        supports.forEach(slot => {
+            assert.strictEqual(HexGeometry.distance(slot, spearhead), 1);
+            assert.ok(HexGeometry.distance(slot, goal) > HexGeometry.distance(spearhead, goal), 'support trails behind the spearhead');
+        });
+    });
+
+    it('puts soldiers in the trileaf leaves and scouts on the flanks', () => {
+        const planner = new FormationPlanner();
+        const members = [soldier('a', 0, 0), soldier('b', 1, 0), soldier('c', 0, 1), scout('s1', -1, 0), scout('s2', -1, 1)];
+        const plan = planner.plan(FORMATIONS.TRILEAF, members, { goal: { q: 10, r: 0 }, ...open() });
+
+        assert.deepStrictEqual(plan.slots.map(slot => slot.role).sort(), ['assault', 'assault', 'assault', 'flanking', 'flanking']);
+        plan.slots.forEach(slot => assert.strictEqual(HexGeometry.distance(slot, plan.anchor), 1));
+        assert.ok(plan.slots.filter(slot => slot.role === 'flanking').every(slot => slot.unit.type === UNIT_TYPES.SCOUT));
+    });
+
+    it('advances the anchor only when every member is in its slot', () => {
+        const planner = new FormationPlanner();
+        let members = [soldier('a', 0, 0), soldier('b', -3, 0)];
+        const goal = { q: 12, r: 0 };
+
+        const forming = planner.plan(FORMATIONS.WEDGE, members, { goal, ...open() });
+        assert.strictEqual(forming.formed, false);
+        assert.strictEqual(forming.advanced, false);
+
+        members = arrive(members, forming);
+        const marching = planner.plan(FORMATIONS.WEDGE, members, { goal, ...open() });
+        assert.strictEqual(marching.formed, true);
+        assert.strictEqual(marching.advanced, true);
+        // Темп - половина скорости солдата
+        assert.strictEqual(HexGeometry.distance(marching.anchor, forming.anchor), 2);
+        marching.slots.forEach(slot => assert.ok(HexGeometry.distance(slot.unit, slot) <= 3, 'new slot is within a soldier move'));
+    });
+
+    it('holds shape for a blocked member and drops it after maxWait turns', () => {
+        const planner = new FormationPlanner({ maxWait: 2 });
+        const goal = { q: 12, r: 0 };
+        let members = [soldier('a', 0, 0), soldier('b', -1, 0), soldier('c', -1, 1)];
+        members = arrive(members, planner.plan(FORMATIONS.WEDGE, members, { goal, ...open() }));
+        const stuck = { ...members[2], q: -8, r: 4 };
+        const group = [members[0], members[1], stuck];
+
+        const first = planner.plan(FORMATIONS.WEDGE, group, { goal, ...open() });
+        assert.strictEqual(first.advanced, false);
+        const held = planner.plan(FORMATIONS.WEDGE, group, { goal, ...open() });
+        assert.strictEqual(held.advanced, false);
+        assert.deepStrictEqual(held.anchor, first.anchor);
+
+        const moved = planner.plan(FORMATIONS.WEDGE, group, { goal, ...open() });
+        assert.ok(!moved.slots.some(slot => slot.unit.id === stuck.id));
+    });
+
+    it('rings the anthill facing the threat and steps around stone', () => {
+        const planner = new FormationPlanner();
+        const anthill = { q: 0, r: 0 };
+        const threat = { q: 6, r: 0 };
+        const front = { q: 2, r: 0 };
+        const plan = planner.plan(FORMATIONS.DEFENSIVE_RING, [soldier('a', 0, 3), soldier('b', -2, 0)], { goal: anthill, facing: threat, ...open([front]) });
+
+        assert.deepStrictEqual(plan.anchor, anthill);
+        plan.slots.forEach(slot => {
+            assert.strictEqual(slot.role, 'defender');
+            assert.ok(!HexGeometry.equals(slot, front));
+            assert.ok(HexGeometry.distance(slot, threat) <= 5, 'defenders stand on the threatened side');
+        });
+    });
+
+    it('gives up when there are too few members', () => {
+        const planner = new FormationPlanner();
+        assert.strictEqual(planner.plan(FORMATIONS.WEDGE, [soldier('a', 0, 0)], { goal: { q: 5, r: 0 }, ...open() }), null);
+    });
+});
+
+describe('formations in CombatManager', () => {
+    it('moves idle soldiers toward a known enemy anthill as a wedge', () => {
+        const map = HexGeometry.range({ q: 0, r: 0 }, 14).map(hex => {
+            const type = HexGeometry.equals(hex, { q: 12, r: 0 }) ? HEX_TYPES.ANTHILL : HEX_TYPES.EMPTY;
+            return { ...hex, type, cost: HEX_STATS[type].cost };
+        });
+        const state = {
+            turnNo: 200,
+            score: 0,
+            ants: [unit('home', UNIT_TYPES.ANTHILL, 0, 0), soldier('a', 1, 0), soldier('b', 0, 1)],
+            enemies: [],
+            food: [],
+            home: [{ q: 0, r: 0 }],
+            map
+        };
+        const analysis = new GameAnalyzer().analyze(state);
+        const strategy = { combatStrategy: { formations: new StrategyManager().recommendFormations(analysis) } };
+
+        const { moves } = new CombatManager().planCombatActions(analysis, strategy);
+        assert.deepStrictEqual(moves.map(move => [move.unit_id, move.assignment.type, move.assignment.formation]).sort(), [
+            ['a', 'formation', 'wedge'],
+            ['b', 'formation', 'wedge']
+        ]);
+    });
+});
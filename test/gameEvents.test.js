@@ -0,0 +1,141 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GameEventBus = require('../src/game/GameEventBus');
+const GameEventDetector = require('../src/game/GameEventDetector');
+const GameLogger = require('../src/game/GameLogger');
+const GameLogReader = require('../src/game/GameLogReader');
+const StrategyManager = require('../src/game/StrategyManager');
+const logger = require('../src/utils/Logger');
+
+const { EVENTS } = GameEventBus;
+
+const unit = (id, type, q, r, health = 100) => ({ id, type, q, r, health, food: { type: 0, amount: 0 } });
+
+const state = (turnNo, ants, enemies = []) => ({
+    turnNo,
+    score: 0,
+    ants,
+    enemies,
+    food: [],
+    home: [{ q: 0, r: 0 }],
+    map: []
+});
+
+describe('GameEventBus', () => {
+    before(() => logger.setLevel('ERROR'));
+
+    it('delivers events to typed and catch-all subscribers until they unsubscribe', () => {
+        const bus = new GameEventBus();
+        const died = [];
+        const all = [];
+        const unsubscribe = bus.on(EVENTS.ANT_DIED, event => died.push(event.turn));
+        bus.onAny(event => all.push(event.type));
+
+        bus.emitAll([{ type: EVENTS.ANT_DIED, turn: 1 }, { type: EVENTS.ENEMY_SPOTTED, turn: 1 }]);
+        unsubscribe();
+        bus.emit({ type: EVENTS.ANT_DIED, turn: 2 });
+
+        assert.deepStrictEqual(died, [1]);
+        assert.deepStrictEqual(all, ['AntDied', 'EnemySpotted', 'AntDied']);
+    });
+
+    it('rejects unknown event types and isolates failing subscribers', () => {
+        const bus = new GameEventBus();
+        assert.throws(() => bus.on('AntExploded', () => {}), /Unknown game event type/);
+        assert.throws(() => bus.emit({ type: 'AntExploded' }), /Unknown game event type/);
+
+        const seen = [];
+        bus.on(EVENTS.PHASE_CHANGED, () => { throw new Error('broken subscriber'); });
+        bus.on(EVENTS.PHASE_CHANGED, event => seen.push(event.to));
+        bus.emit({ type: EVENTS.PHASE_CHANGED, turn: 5, from: 'early', to: 'mid' });
+        assert.deepStrictEqual(seen, ['mid']);
+    });
+});
+
+describe('GameEventDetector', () => {
+    const detector = new GameEventDetector();
+
+    it('turns consecutive states into unit events', () => {
+        const previous = state(4, [unit('w1', 1, 3, 3), unit('s1', 2, 5, 5, 180)], [unit('e1', 2, 5, 6), unit('e2', 1, 9, 9)]);
+        const current = state(5, [unit('s1', 2, 5, 5, 150), unit('w2', 1, 0, 1)], [unit('e3', 3, 7, 7)]);
+
+        const events = detector.detect(previous, current);
+        assert.deepStrictEqual(events.map(event => event.type), [
+            'AntSpawned', 'AntDied', 'DamageTaken', 'EnemySpotted', 'EnemyKilled', 'EnemyLost'
+        ]);
+        assert.deepStrictEqual(events[1].ant, { id: 'w1', type: 'worker', q: 3, r: 3, health: 100 });
+        assert.deepStrictEqual([events[2].damage, events[2].health], [30, 150]);
+        assert.deepStrictEqual([events[4].enemy.id, events[5].enemy.id], ['e1', 'e2']);
+        assert.ok(events.every(event => event.turn === 5));
+        assert.deepStrictEqual(detector.detect(null, current), []);
+    });
+
+    it('reports an anthill attack for enemies next to home or ours hit on it', () => {
+        const previous = state(7, [unit('w1', 1, 0, 0, 130)], [unit('e1', 2, 3, 0)]);
+        const current = state(8, [unit('w1', 1, 0, 0, 110)], [unit('e1', 2, 1, 0)]);
+
+        const attack = detector.detect(previous, current).find(event => event.type === EVENTS.ANTHILL_ATTACKED);
+        assert.deepStrictEqual(attack.attackers.map(enemy => enemy.id), ['e1']);
+        assert.deepStrictEqual(attack.damagedAnts, ['w1']);
+
+        const quiet = state(8, [unit('w1', 1, 0, 0, 130)], [unit('e1', 2, 3, 0)]);
+        assert.ok(!detector.detect(previous, quiet).some(event => event.type === EVENTS.ANTHILL_ATTACKED));
+    });
+
+    it('reports phase changes and recovery mode', () => {
+        const events = detector.detectStrategyChange(
+            { phase: 'early', recoveryMode: false },
+            { name: 'emergency_recovery', phase: 'recovery', recoveryMode: true, recoveryStartTurn: 40 },
+            40
+        );
+        assert.deepStrictEqual(events, [
+            { type: 'PhaseChanged', turn: 40, from: 'early', to: 'recovery', strategy: 'emergency_recovery' },
+            { type: 'RecoveryModeEntered', turn: 40, since: 40 }
+        ]);
+    });
+});
+
+describe('game event subscribers', () => {
+    let logsDir;
+
+    beforeEach(() => {
+        logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-events-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(logsDir, { recursive: true, force: true });
+    });
+
+    it('GameLogger stores the events of a turn with that turn and counts losses and kills', () => {
+        const bus = new GameEventBus();
+        const gameLogger = new GameLogger({ logsDir });
+        gameLogger.subscribe(bus);
+        gameLogger.startNewGame('r1', 'g1', 'Team');
+
+        gameLogger.logTurn(1, state(1, []), {}, []);
+        bus.emitAll([{ type: EVENTS.ANT_DIED, turn: 2 }, { type: EVENTS.ENEMY_KILLED, turn: 2 }]);
+        gameLogger.logTurn(2, state(2, []), {}, []);
+        gameLogger.endGame(0, 1);
+
+        const log = GameLogReader.read(path.join(logsDir, fs.readdirSync(logsDir)[0]));
+        assert.deepStrictEqual(log.turns.map(turn => turn.events.map(event => event.type)), [[], ['AntDied', 'EnemyKilled']]);
+        assert.deepStrictEqual([log.summary.unitsLost, log.summary.enemiesDefeated], [1, 1]);
+    });
+
+    it('StrategyManager recalls soldiers for a few turns after the anthill is attacked', () => {
+        const bus = new GameEventBus();
+        const strategyManager = new StrategyManager();
+        strategyManager.subscribe(bus);
+
+        assert.strictEqual(strategyManager.getActiveAnthillAlert(10), null);
+        bus.emit({ type: EVENTS.ANTHILL_ATTACKED, turn: 10, attackers: [{ id: 'e1' }], damagedAnts: [] });
+
+        assert.deepStrictEqual(strategyManager.getActiveAnthillAlert(12).attackers, [{ id: 'e1' }]);
+        assert.strictEqual(strategyManager.getActiveAnthillAlert(14), null);
+        // Новая игра начинает счет ходов заново
+        assert.strictEqual(strategyManager.getActiveAnthillAlert(2), null);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GameLogger = require('../src/game/GameLogger');
+const GameLogReader = require('../src/game/GameLogReader');
+const logger = require('../src/utils/Logger');
+
+const state = (turnNo, score) => ({
+    turnNo,
+    score,
+    ants: [{ id: 'a', type: 1, q: 0, r: 1, health: 130, food: { type: 1, amount: 2 } }],
+    enemies: [],
+    food: [{ q: 3, r: 0, type: 2, amount: 5 }],
+    home: [{ q: 0, r: 0 }],
+    map: []
+});
+
+function playTurns(gameLogger, count) {
+    for (let turn = 1; turn <= count; turn++) {
+        gameLogger.logTurn(turn, state(turn, turn * 10), { strategy: 'test', phase: 'early' }, [{ type: 'move' }]);
+        gameLogger.logDecision('combat', 'engage', `turn ${turn}`);
+        gameLogger.logTurnTiming({ turn, planningMs: 5 }, { missedTurns: 0 });
+    }
+}
+
+describe('GameLogger', () => {
+    let logsDir;
+
+    before(() => logger.setLevel('ERROR'));
+
+    beforeEach(() => {
+        logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-log-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(logsDir, { recursive: true, force: true });
+    });
+
+    const logFile = () => path.join(logsDir, fs.readdirSync(logsDir)[0]);
+
+    it('appends one record per turn and reads back the whole game', () => {
+        const gameLogger = new GameLogger({ logsDir });
+        gameLogger.startNewGame('r1', 'g1', 'Team');
+        playTurns(gameLogger, 3);
+        gameLogger.endGame(30, 2);
+
+        const lines = fs.readFileSync(logFile(), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(lines.map(record => record.type), ['header', 'turn', 'turn', 'turn', 'footer']);
+
+        const log = GameLogReader.read(logFile());
+        assert.strictEqual(log.complete, true);
+        assert.deepStrictEqual([log.roundId, log.gameId, log.teamName, log.finalScore, log.finalPosition], ['r1', 'g1', 'Team', 30, 2]);
+        assert.deepStrictEqual(log.turns.map(turn => turn.turnNumber), [1, 2, 3]);
+        assert.strictEqual(log.turns[2].decisions.reasoning[0].reasoning, 'turn 3');
+        assert.strictEqual(log.turns[2].combatEvents.length, 1);
+        assert.deepStrictEqual(log.turns[2].timing, { turn: 3, planningMs: 5 });
+        assert.strictEqual(log.turns[0].summary, undefined);
+        assert.deepStrictEqual([log.summary.totalTurns, log.summary.peakCalories, log.summary.movementsMade], [3, 30, 3]);
+    });
+
+    it('writes gzip records that read back the same way', () => {
+        const gameLogger = new GameLogger({ logsDir, gzip: true });
+        gameLogger.startNewGame('r1', 'g1', 'Team');
+        playTurns(gameLogger, 2);
+        gameLogger.endGame(20, 1);
+
+        assert.ok(logFile().endsWith('.ndjson.gz'));
+        const log = GameLogReader.read(logFile());
+        assert.strictEqual(log.complete, true);
+        assert.deepStrictEqual(log.turns.map(turn => turn.gameState.score), [10, 20]);
+    });
+
+    it('keeps finished turns of a game that crashed mid-write', () => {
+        const gameLogger = new GameLogger({ logsDir });
+        gameLogger.startNewGame('r1', 'g1', 'Team');
+        playTurns(gameLogger, 3);
+        fs.appendFileSync(logFile(), '{"type":"turn","turnNumber":4,"gameSt');
+
+        const log = GameLogReader.read(logFile());
+        assert.strictEqual(log.complete, false);
+        assert.strictEqual(log.finalScore, null);
+        assert.deepStrictEqual(log.turns.map(turn => turn.turnNumber), [1, 2]);
+        assert.strictEqual(log.summary.totalTurns, 2);
+        gameLogger.closeLogFile();
+    });
+
+    it('still reads whole-game JSON logs', () => {
+        const legacy = path.join(logsDir, 'round_old.json');
+        fs.writeFileSync(legacy, JSON.stringify({ roundId: 'old', turns: [{ turnNumber: 1 }] }, null, 2));
+        assert.deepStrictEqual(GameLogReader.read(legacy), { roundId: 'old', turns: [{ turnNumber: 1 }] });
+    });
+});
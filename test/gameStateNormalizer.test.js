@@ -0,0 +1,87 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const GameStateNormalizer = require('../src/api/GameStateNormalizer');
+const OpenApiSchema = require('../src/api/OpenApiSchema');
+const { UNIT_TYPES, HEX_TYPES, FOOD_TYPES } = require('../src/constants/GameConstants');
+const logger = require('../src/utils/Logger');
+
+const ant = (id, type, q, r, food = { type: FOOD_TYPES.NONE, amount: 0 }) => ({ id, type, q, r, health: 100, food });
+const arena = (overrides = {}) => ({
+    turnNo: 7,
+    score: 42,
+    nextTurnIn: 1.5,
+    ants: [ant('a1', UNIT_TYPES.WORKER, 0, 1), ant('a2', UNIT_TYPES.SCOUT, 1, 0, { type: FOOD_TYPES.APPLE, amount: 3 })],
+    enemies: [ant('e1', UNIT_TYPES.SOLDIER, 5, 5)],
+    food: [{ q: 3, r: 0, type: FOOD_TYPES.BREAD, amount: 8 }],
+    home: [{ q: 0, r: 0 }],
+    map: [{ q: 0, r: 0, type: HEX_TYPES.ANTHILL, cost: 1 }, { q: 2, r: 0, type: HEX_TYPES.DIRT, cost: 2 }],
+    ...overrides
+});
+
+describe('OpenApiSchema', () => {
+    it('reads the /arena response schema from openapi-spec.yml', () => {
+        const schema = OpenApiSchema.load();
+        const arenaSchema = schema.getResponseSchema('/arena');
+
+        assert.deepStrictEqual(
+            Object.keys(arenaSchema.properties).sort(),
+            ['ants', 'enemies', 'food', 'home', 'map', 'nextTurnIn', 'score', 'turnNo']
+        );
+        assert.strictEqual(schema.resolve(arenaSchema.properties.ants.items).properties.food.properties.amount.type, 'integer');
+        assert.deepStrictEqual(schema.validate(arena(), arenaSchema), []);
+    });
+});
+
+describe('GameStateNormalizer', () => {
+    before(() => logger.setLevel('ERROR'));
+
+    it('passes a response that matches the spec through unchanged', () => {
+        const { state, issues } = new GameStateNormalizer().normalize(arena());
+        assert.deepStrictEqual(issues, []);
+        assert.deepStrictEqual(state, arena());
+    });
+
+    it('is idempotent', () => {
+        const normalizer = new GameStateNormalizer();
+        const { state } = normalizer.normalize(arena({ score: '42', map: [{ q: 2, r: 0, type: HEX_TYPES.DIRT }] }));
+        assert.deepStrictEqual(normalizer.normalize(state).state, state);
+        assert.strictEqual(state.map[0].cost, 2);
+    });
+
+    it('drops entries that are not ants and reports them', () => {
+        const response = arena();
+        response.ants.push({ id: 'hill', type: UNIT_TYPES.ANTHILL, q: 0, r: 0, health: 1000, food: { type: 0, amount: 0 } });
+        const { state, issues } = new GameStateNormalizer().normalize(response);
+
+        assert.deepStrictEqual(state.ants.map(unit => unit.id), ['a1', 'a2']);
+        assert.deepStrictEqual(issues.map(issue => `${issue.kind} ${issue.path}`), ['enum $.ants[2].type']);
+    });
+
+    it('reports missing fields, unknown fields and wrong types', () => {
+        const response = arena({ myUnits: [], scores: [{ team: 'x', score: 1 }], turnNo: 'seven' });
+        delete response.home;
+        const { state, issues } = new GameStateNormalizer().normalize(response);
+
+        assert.deepStrictEqual(
+            issues.map(issue => `${issue.kind} ${issue.path}`).sort(),
+            ['missing $.home', 'type $.turnNo', 'unexpected $.myUnits', 'unexpected $.scores']
+        );
+        assert.deepStrictEqual(Object.keys(state).sort(), ['ants', 'enemies', 'food', 'home', 'map', 'nextTurnIn', 'score', 'turnNo']);
+        assert.deepStrictEqual(state.home, []);
+        assert.strictEqual(state.turnNo, 0);
+    });
+
+    it('counts each kind of drift once per response', () => {
+        const normalizer = new GameStateNormalizer();
+        const response = turnNo => arena({ turnNo, ants: [{ ...ant('a1', 1, 0, 0), extra: 1 }, { ...ant('a2', 1, 1, 0), extra: 2 }] });
+        normalizer.normalize(response(3));
+        normalizer.normalize(response(4));
+        normalizer.normalize(arena({ turnNo: 5 }));
+
+        assert.deepStrictEqual(normalizer.getDriftReport(), [{
+            path: '$.ants[].extra', kind: 'unexpected', expected: null, actual: 'integer', count: 2, firstTurn: 3, lastTurn: 4
+        }]);
+        normalizer.reset();
+        assert.deepStrictEqual(normalizer.getDriftReport(), []);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const TurnHarness = require('./harness/TurnHarness');
+const {
+    getPlannedMoves,
+    findSharedDestinations,
+    findNonAdjacentSteps,
+    checkAnthillDefense
+} = require('./harness/assertions');
+
+const fixture = name => path.join(__dirname, 'fixtures', `${name}.json`);
+
+// Минимальный результат хода для проверки самих assert-функций
+function makeResult({ units, moves, enemies = [], map = [] }) {
+    return {
+        gameState: { ants: units, enemies, map, home: [{ q: 0, r: 0 }] },
+        decisions: { unitMoves: moves }
+    };
+}
+
+describe('TurnHarness', () => {
+    it('plans the same moves for the same snapshot', () => {
+        const snapshot = TurnHarness.loadSnapshot(fixture('economy_midgame'));
+        const first = new TurnHarness().runTurn(snapshot);
+        const second = new TurnHarness().runTurn(snapshot);
+
+        assert.ok(first.decisions.unitMoves.length > 0);
+        assert.deepStrictEqual(second.decisions.unitMoves, first.decisions.unitMoves);
+    });
+
+    it('does not modify the snapshot', () => {
+        const snapshot = TurnHarness.loadSnapshot(fixture('opening'));
+        const before = JSON.stringify(snapshot);
+        new TurnHarness().runTurn(snapshot);
+
+        assert.strictEqual(JSON.stringify(snapshot), before);
+    });
+
+    it('reports missing turns with the available ones', () => {
+        const log = TurnHarness.loadLog(fixture('opening'));
+        assert.throws(() => TurnHarness.getTurn(log, 999), /Turn 999 .*available: 0/);
+    });
+});
+
+describe('turn assertions', () => {
+    const worker = (id, q, r) => ({ id: `worker-${id}`, type: 1, q, r });
+    const soldier = (id, q, r) => ({ id: `soldier-${id}`, type: 2, q, r });
+
+    it('trims destinations to unit speed and terrain cost', () => {
+        const result = makeResult({
+            units: [worker(1, 0, 0)],
+            moves: [{ unit_id: 'worker-1', path: [{ q: 1, r: 0 }, { q: 2, r: 0 }, { q: 3, r: 0 }] }],
+            map: [{ q: 2, r: 0, type: 3 }]
+        });
+
+        // Скорость рабочего 3: 1 за пустой гекс и 2 за грязь
+        assert.deepStrictEqual(getPlannedMoves(result)[0].destination, { q: 2, r: 0 });
+    });
+
+    it('detects same-type ants ending on one hex', () => {
+        const result = makeResult({
+            units: [worker(1, 0, 0), worker(2, 2, 0), soldier(1, 1, 1)],
+            moves: [
+                { unit_id: 'worker-1', path: [{ q: 1, r: 0 }] },
+                { unit_id: 'worker-2', path: [{ q: 1, r: 0 }] },
+                { unit_id: 'soldier-1', path: [{ q: 1, r: 0 }] }
+            ]
+        });
+
+        const collisions = findSharedDestinations(result);
+        assert.strictEqual(collisions.length, 1);
+        assert.deepStrictEqual(collisions[0].units.map(unit => unit.id), ['worker-1', 'worker-2']);
+    });
+
+    it('detects gaps in paths', () => {
+        const result = makeResult({
+            units: [worker(1, 0, 0)],
+            moves: [{ unit_id: 'worker-1', path: [{ q: 1, r: 0 }, { q: 3, r: 0 }] }]
+        });
+
+        assert.deepStrictEqual(findNonAdjacentSteps(result).map(v => v.index), [1]);
+    });
+
+    it('flags soldiers moving away from anthill threats', () => {
+        const result = makeResult({
+            units: [soldier(1, 2, 0)],
+            enemies: [{ id: 'enemy', type: 2, q: 5, r: 0 }],
+            moves: [{ unit_id: 'soldier-1', path: [{ q: 1, r: 0 }] }]
+        });
+
+        const defense = checkAnthillDefense(result, 8);
+        assert.strictEqual(defense.retreating.length, 1);
+        assert.strictEqual(defense.engaged, false);
+    });
+});
@@ -0,0 +1,105 @@
+const ApiClient = require('../../src/api/ApiClient');
+const GameBot = require('../../src/GameBot');
+const GameLogReader = require('../../src/game/GameLogReader');
+const SeededRandom = require('../../src/simulator/SeededRandom');
+const logger = require('../../src/utils/Logger');
+
+/**
+ * Replays single turns recorded by GameLogger through the bot's decision pipeline
+ * (GameAnalyzer.analyze → StrategyManager.determineStrategy → GameBot.makeDecisions)
+ * without any network access, so the resulting moves can be checked by tests.
+ *
+ * Math.random is seeded while a turn is planned, so the same snapshot always yields the same moves.
+ */
+class TurnHarness {
+    /**
+     * @param {Object} options - Harness options
+     * @param {number|string} options.seed - Seed for Math.random during planning
+     * @param {string} options.logLevel - Logger level while tests run
+     */
+    constructor(options = {}) {
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        logger.setLevel(options.logLevel || 'ERROR');
+
+        this.bot = new GameBot({
+            apiClient: new ApiClient('http://offline.invalid', 'turn-harness'),
+            teamName: 'Drive Core',
+            headless: true,
+            gameLog: false
+        });
+    }
+
+    /**
+     * Reads a GameLogger log file (NDJSON, gzipped NDJSON or a whole-game JSON fixture).
+     * @param {string} logPath - Path to round_*.ndjson[.gz] or *.json
+     * @returns {Object} Parsed log
+     */
+    static loadLog(logPath) {
+        const log = GameLogReader.read(logPath);
+        if (!Array.isArray(log.turns)) {
+            throw new Error(`${logPath} is not a GameLogger log: "turns" is missing`);
+        }
+        return log;
+    }
+
+    /**
+     * Returns a recorded turn by its number.
+     * @param {Object} log - GameLogger log
+     * @param {number} turnNumber - Turn number (turnNumber field of the log entry)
+     * @returns {Object} Turn entry
+     */
+    static getTurn(log, turnNumber) {
+        const turn = log.turns.find(entry => entry.turnNumber === turnNumber);
+        if (!turn || !turn.gameState) {
+            const available = log.turns.map(entry => entry.turnNumber).join(', ');
+            throw new Error(`Turn ${turnNumber} with a game state is not in the log (available: ${available})`);
+        }
+        return turn;
+    }
+
+    /**
+     * Loads one turn snapshot from a log file.
+     * @param {string} logPath - Path to the log
+     * @param {number} turnNumber - Turn number; the first recorded turn if omitted
+     * @returns {Object} Turn entry
+     */
+    static loadSnapshot(logPath, turnNumber) {
+        const log = TurnHarness.loadLog(logPath);
+        return turnNumber === undefined ? log.turns[0] : TurnHarness.getTurn(log, turnNumber);
+    }
+
+    /**
+     * Plans a turn for the recorded game state. State kept by the managers (resource
+     * reservations, unit roles) carries over between calls on the same harness.
+     * @param {Object} turn - Turn entry from a log (or a bare game state)
+     * @param {Object} options
+     * @param {PlanningBudget} options.budget - Planning budget for the turn (unlimited if omitted)
+     * @returns {Object} { gameState, analysis, strategy, decisions }; gameState is the normalised state
+     */
+    runTurn(turn, options = {}) {
+        // Снимок не должен меняться между тестами
+        const recorded = JSON.parse(JSON.stringify(turn.gameState || turn));
+        const bot = this.bot;
+
+        const gameState = bot.normalizeGameState(recorded);
+        bot.gameState = gameState;
+        bot.turnNumber = gameState.turnNo || turn.turnNumber || 0;
+
+        const originalRandom = Math.random;
+        const rng = new SeededRandom(`turn:${this.seed}:${bot.turnNumber}`);
+        Math.random = () => rng.next();
+
+        try {
+            const analysis = bot.gameAnalyzer.analyze(gameState);
+            const strategy = bot.strategyManager.determineStrategy(analysis, bot.turnNumber);
+            const decisions = bot.makeDecisions(analysis, strategy, options.budget);
+            bot.previousGameState = gameState;
+
+            return { gameState, analysis, strategy, decisions };
+        } finally {
+            Math.random = originalRandom;
+        }
+    }
+}
+
+module.exports = TurnHarness;
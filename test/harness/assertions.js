@@ -0,0 +1,167 @@
+const assert = require('node:assert');
+const { UNIT_TYPES, UNIT_STATS, HEX_STATS } = require('../../src/constants/GameConstants');
+const HexGeometry = require('../../src/utils/HexGeometry');
+
+// Свойства решений одного хода, которые должны выполняться в любой ситуации.
+// find* функции возвращают список нарушений, assert* падают с понятным сообщением.
+
+function describeUnit(unit) {
+    return `${unit.id.slice(0, 8)} (type ${unit.type}) at (${unit.q}, ${unit.r})`;
+}
+
+/**
+ * Приводит ходы из decisions.unitMoves к виду { unit, path, destination }, как их увидит сервер.
+ * destination - гекс, до которого юнит реально дойдет за ход с учетом скорости и стоимости местности.
+ * @param {Object} result - Результат TurnHarness.runTurn
+ * @returns {Array} Нормализованные ходы
+ */
+function getPlannedMoves(result) {
+    const units = new Map(result.gameState.ants.map(unit => [unit.id, unit]));
+    const hexTypes = new Map(result.gameState.map.map(hex => [HexGeometry.key(hex), hex.type]));
+
+    return result.decisions.unitMoves.map(move => {
+        const unitId = move.unit_id || move.ant_id || move.antId;
+        const unit = units.get(unitId);
+        assert.ok(unit, `Move for unknown unit ${unitId}`);
+
+        const path = move.path || (move.move ? [move.move] : []);
+        return { unit, path, destination: getDestination(unit, path, hexTypes) };
+    });
+}
+
+function getDestination(unit, path, hexTypes) {
+    let budget = UNIT_STATS[unit.type].speed;
+    let current = { q: unit.q, r: unit.r };
+
+    for (const step of path) {
+        const stats = HEX_STATS[hexTypes.get(HexGeometry.key(step))] || { cost: 1, passable: true };
+        if (HexGeometry.distance(current, step) !== 1 || !stats.passable || stats.cost > budget) break;
+        budget -= stats.cost;
+        current = { q: step.q, r: step.r };
+    }
+
+    return current;
+}
+
+/**
+ * Муравьи одного типа, которые после хода окажутся на одном гексе (хотя бы один из них двигался).
+ * @param {Object} result - Результат TurnHarness.runTurn
+ * @returns {Array} [{ hex, units }]
+ */
+function findSharedDestinations(result) {
+    const moves = getPlannedMoves(result);
+    const movedIds = new Set(moves.map(move => move.unit.id));
+    const positions = result.gameState.ants
+        .filter(unit => !movedIds.has(unit.id))
+        .map(unit => ({ unit, hex: unit, moved: false }))
+        .concat(moves.map(move => ({ unit: move.unit, hex: move.destination, moved: true })));
+
+    const byHex = new Map();
+    positions.forEach(position => {
+        const key = `${position.unit.type}:${HexGeometry.key(position.hex)}`;
+        if (!byHex.has(key)) byHex.set(key, []);
+        byHex.get(key).push(position);
+    });
+
+    return Array.from(byHex.values())
+        .filter(group => group.length > 1 && group.some(position => position.moved))
+        .map(group => ({ hex: group[0].hex, units: group.map(position => position.unit) }));
+}
+
+/**
+ * Шаги пути, не являющиеся соседними гексами (включая первый шаг от позиции юнита).
+ * @param {Object} result - Результат TurnHarness.runTurn
+ * @returns {Array} [{ unit, index, from, to }]
+ */
+function findNonAdjacentSteps(result) {
+    const violations = [];
+    getPlannedMoves(result).forEach(({ unit, path }) => {
+        let previous = unit;
+        path.forEach((step, index) => {
+            if (HexGeometry.distance(previous, step) !== 1) {
+                violations.push({ unit, index, from: previous, to: step });
+            }
+            previous = step;
+        });
+    });
+    return violations;
+}
+
+/**
+ * Проверяет реакцию солдат на врагов в радиусе `radius` от муравейника: ни один солдат
+ * не должен удаляться от ближайшей угрозы, и хотя бы один должен сблизиться с ней
+ * (если никто еще не стоит вплотную).
+ * @param {Object} result - Результат TurnHarness.runTurn
+ * @param {number} radius - Радиус защиты муравейника
+ * @returns {Object} { threats, soldiers, retreating, engaged }
+ */
+function checkAnthillDefense(result, radius = 8) {
+    const anthill = result.gameState.home[0];
+    const threats = anthill
+        ? result.gameState.enemies.filter(enemy => HexGeometry.distance(anthill, enemy) <= radius)
+        : [];
+    const soldiers = result.gameState.ants.filter(unit => unit.type === UNIT_TYPES.SOLDIER);
+    const moves = new Map(getPlannedMoves(result).map(move => [move.unit.id, move]));
+    const distanceToThreat = hex => Math.min(...threats.map(enemy => HexGeometry.distance(hex, enemy)));
+
+    const retreating = [];
+    let engaged = false;
+
+    if (threats.length > 0) {
+        soldiers.forEach(soldier => {
+            const before = distanceToThreat(soldier);
+            const move = moves.get(soldier.id);
+            const after = move ? distanceToThreat(move.destination) : before;
+
+            if (after > before) {
+                retreating.push({ unit: soldier, before, after });
+            }
+            if (before <= 1 || after < before) {
+                engaged = true;
+            }
+        });
+    }
+
+    return { threats, soldiers, retreating, engaged };
+}
+
+function assertNoSharedDestinations(result) {
+    const collisions = findSharedDestinations(result);
+    assert.deepStrictEqual(
+        collisions.map(({ hex, units }) => `(${hex.q}, ${hex.r}): ${units.map(describeUnit).join(', ')}`),
+        [],
+        'Ants of the same type end the turn on the same hex'
+    );
+}
+
+function assertAdjacentPaths(result) {
+    const violations = findNonAdjacentSteps(result);
+    assert.deepStrictEqual(
+        violations.map(({ unit, index, from, to }) =>
+            `${describeUnit(unit)} step ${index}: (${from.q}, ${from.r}) -> (${to.q}, ${to.r})`),
+        [],
+        'Path steps must be adjacent hexes'
+    );
+}
+
+function assertSoldiersDefend(result, radius = 8) {
+    const defense = checkAnthillDefense(result, radius);
+    assert.ok(defense.threats.length > 0, `Expected an enemy within ${radius} hexes of the anthill`);
+    assert.ok(defense.soldiers.length > 0, 'Expected at least one soldier');
+    assert.deepStrictEqual(
+        defense.retreating.map(({ unit, before, after }) => `${describeUnit(unit)}: ${before} -> ${after}`),
+        [],
+        'Soldiers must not move away from enemies threatening the anthill'
+    );
+    assert.ok(defense.engaged, 'No soldier closes in on the enemies threatening the anthill');
+}
+
+module.exports = {
+    getPlannedMoves,
+    findSharedDestinations,
+    findNonAdjacentSteps,
+    checkAnthillDefense,
+    assertNoSharedDestinations,
+    assertAdjacentPaths,
+    assertSoldiersDefend
+};
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Вырезает один ход из лога GameLogger в компактную фикстуру для регрессионных тестов.
+ *
+ *   node test/harness/captureFixture.js <log.json> <turn> <name> "<description>"
+ *
+ * Фикстура сохраняется в test/fixtures/<name>.json в формате лога (с одним ходом),
+ * поэтому ее можно открыть и в режиме повтора визуализатора.
+ */
+const fs = require('fs');
+const path = require('path');
+const TurnHarness = require('./TurnHarness');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function main() {
+    const [logPath, turnArg, name, description = ''] = process.argv.slice(2);
+    if (!logPath || turnArg === undefined || !name) {
+        console.error('Usage: node test/harness/captureFixture.js <log.json> <turn> <name> "<description>"');
+        process.exit(1);
+    }
+
+    const log = TurnHarness.loadLog(logPath);
+    const turn = TurnHarness.getTurn(log, Number(turnArg));
+
+    const fixture = {
+        description,
+        source: `${path.basename(logPath)}#${turn.turnNumber}`,
+        roundId: log.roundId,
+        gameId: log.gameId,
+        teamName: log.teamName,
+        turns: [{
+            turnNumber: turn.turnNumber,
+            gameState: turn.gameState,
+            decisions: turn.decisions
+        }]
+    };
+
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    const target = path.join(FIXTURES_DIR, `${name}.json`);
+    fs.writeFileSync(target, JSON.stringify(fixture) + '\n');
+    console.log(`Saved turn ${turn.turnNumber} to ${path.relative(process.cwd(), target)}`);
+}
+
+main();
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const HexGeometry = require('../src/utils/HexGeometry');
+
+const keys = hexes => hexes.map(HexGeometry.key).sort();
+
+describe('HexGeometry', () => {
+    it('measures distance in steps and treats a missing position as unreachable', () => {
+        assert.strictEqual(HexGeometry.distance({ q: 0, r: 0 }, { q: 3, r: -1 }), 3);
+        assert.strictEqual(HexGeometry.distance({ q: 2, r: 2 }, { q: -1, r: 4 }), 3);
+        assert.strictEqual(HexGeometry.distance({ q: 1, r: 1 }, null), Infinity);
+        HexGeometry.neighbors({ q: 4, r: -2 }).forEach(hex => {
+            assert.strictEqual(HexGeometry.distance({ q: 4, r: -2 }, hex), 1);
+        });
+    });
+
+    it('converts between axial and cube coordinates', () => {
+        const cube = HexGeometry.toCube({ q: 2, r: -5 });
+        assert.deepStrictEqual(cube, { q: 2, r: -5, s: 3 });
+        assert.deepStrictEqual(HexGeometry.fromCube(cube), { q: 2, r: -5 });
+        assert.deepStrictEqual(HexGeometry.round(0.9, -1.2), { q: 1, r: -1 });
+    });
+
+    it('builds rings, spirals and ranges of the right size', () => {
+        const center = { q: 5, r: 5 };
+        const ring = HexGeometry.ring(center, 3);
+        assert.strictEqual(ring.length, 18);
+        assert.ok(ring.every(hex => HexGeometry.distance(center, hex) === 3));
+        assert.strictEqual(new Set(ring.map(HexGeometry.key)).size, 18);
+
+        const spiral = HexGeometry.spiral(center, 3);
+        assert.deepStrictEqual(spiral[0], center);
+        assert.deepStrictEqual(spiral.map(hex => HexGeometry.distance(center, hex)),
+            [...spiral.map(hex => HexGeometry.distance(center, hex))].sort((a, b) => a - b));
+        assert.deepStrictEqual(keys(spiral), keys(HexGeometry.range(center, 3)));
+        assert.strictEqual(HexGeometry.range(center, 3).length, 37);
+    });
+
+    it('intersects ranges', () => {
+        const a = { q: 0, r: 0 };
+        const b = { q: 4, r: 0 };
+        const expected = HexGeometry.range(a, 3).filter(hex => HexGeometry.distance(b, hex) <= 2);
+
+        assert.deepStrictEqual(keys(HexGeometry.intersectRanges(a, 3, b, 2)), keys(expected));
+        assert.deepStrictEqual(HexGeometry.intersectRanges(a, 1, b, 1), []);
+    });
+
+    it('draws lines of adjacent hexes', () => {
+        const line = HexGeometry.line({ q: 0, r: 0 }, { q: 4, r: -2 });
+        assert.strictEqual(line.length, 5);
+        assert.deepStrictEqual(line[4], { q: 4, r: -2 });
+        for (let i = 1; i < line.length; i++) {
+            assert.strictEqual(HexGeometry.distance(line[i - 1], line[i]), 1);
+        }
+    });
+
+    it('rotates around a centre in 60 degree steps', () => {
+        const center = { q: 1, r: 1 };
+        const hex = { q: 3, r: 1 };
+        assert.deepStrictEqual(HexGeometry.rotate(hex, center, 1), { q: 3, r: -1 });
+        assert.deepStrictEqual(HexGeometry.rotate(hex, center, 6), hex);
+        assert.deepStrictEqual(HexGeometry.rotate(hex, center, -1), HexGeometry.rotate(hex, center, 5));
+        assert.strictEqual(HexGeometry.distance(center, HexGeometry.rotate(hex, center, 2)), 2);
+    });
+
+    it('finds the direction and the next step towards a target', () => {
+        const from = { q: 0, r: 0 };
+        assert.strictEqual(HexGeometry.directionTo(from, { q: 0, r: -5 }), 2);
+        assert.strictEqual(HexGeometry.directionTo(from, from), -1);
+
+        const target = { q: -3, r: 5 };
+        const step = HexGeometry.stepTowards(from, target);
+        assert.strictEqual(HexGeometry.distance(step, target), HexGeometry.distance(from, target) - 1);
+        assert.strictEqual(HexGeometry.stepTowards(target, target), null);
+    });
+
+    it('maps hexes to pixels and back', () => {
+        const hex = { q: -4, r: 7 };
+        const pixel = HexGeometry.toPixel(hex, 20);
+        assert.deepStrictEqual(HexGeometry.fromPixel(pixel.x + 3, pixel.y - 4, 20), hex);
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GameLogger = require('../src/game/GameLogger');
+const LogAnalytics = require('../src/analytics/LogAnalytics');
+const logger = require('../src/utils/Logger');
+
+const ant = (id, type) => ({ id, type, q: 0, r: 1, health: 100, food: { type: 0, amount: 0 } });
+
+const state = (turnNo, score, ants) => ({
+    turnNo,
+    score,
+    ants,
+    enemies: [],
+    food: [],
+    home: [{ q: 0, r: 0 }],
+    map: []
+});
+
+/**
+ * Игра из 4 ходов: на 2-м ходу (фаза early) погибает солдат, на 3-м (recovery) - рабочий.
+ */
+function writeGame(logsDir, roundId, gameId, { finish = true, kills = 0 } = {}) {
+    const gameLogger = new GameLogger({ logsDir });
+    gameLogger.startNewGame(roundId, gameId, 'Team');
+    const turns = [
+        { score: 10, ants: [ant('w1', 1), ant('w2', 1), ant('s1', 2)], strategy: 'economic_expansion_early', phase: 'early' },
+        { score: 30, ants: [ant('w1', 1), ant('w2', 1), ant('s1', 2)], strategy: 'economic_expansion_early', phase: 'early' },
+        { score: 20, ants: [ant('w1', 1), ant('w2', 1)], strategy: 'emergency_recovery', phase: 'recovery' },
+        { score: 50, ants: [ant('w1', 1)], strategy: 'emergency_recovery', phase: 'recovery' }
+    ];
+    turns.forEach((turn, i) => {
+        gameLogger.logTurn(i + 1, state(i + 1, turn.score, turn.ants), { strategy: turn.strategy, phase: turn.phase }, []);
+    });
+    gameLogger.logCombatResult(kills, 0);
+    if (finish) {
+        gameLogger.endGame(50, 3);
+    } else {
+        gameLogger.closeLogFile();
+    }
+}
+
+describe('LogAnalytics', () => {
+    let logsDir;
+
+    before(() => logger.setLevel('ERROR'));
+
+    beforeEach(() => {
+        logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-analytics-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(logsDir, { recursive: true, force: true });
+    });
+
+    it('computes per-game metrics from a game log', () => {
+        writeGame(logsDir, 'r1', 'g1', { kills: 2 });
+        const { games } = new LogAnalytics({ logsDir, curveStep: 2 }).run();
+
+        assert.strictEqual(games.length, 1);
+        const game = games[0];
+        assert.deepStrictEqual([game.roundId, game.complete, game.turns, game.finalScore, game.finalPosition], ['r1', true, 4, 50, 3]);
+        assert.deepStrictEqual([game.peakCalories, game.peakUnits, game.kills], [50, 3, 2]);
+        assert.deepStrictEqual(game.calorieCurve, { 2: 30, 4: 50 });
+        assert.deepStrictEqual(game.unitsLost, {
+            total: 2,
+            byType: { worker: 1, soldier: 1, scout: 0 },
+            byPhase: { early: 1, mid: 0, late: 0, recovery: 1 }
+        });
+        assert.deepStrictEqual([game.recoveryTurns, game.recoveryShare], [2, 0.5]);
+        assert.deepStrictEqual(game.strategies, { economic_expansion_early: 2, emergency_recovery: 2 });
+    });
+
+    it('aggregates across games and by round, with a round filter', () => {
+        writeGame(logsDir, 'r1', 'g1', { kills: 1 });
+        writeGame(logsDir, 'r1', 'g2', { kills: 3 });
+        writeGame(logsDir, 'r2', 'g3');
+        const analytics = new LogAnalytics({ logsDir });
+
+        const report = analytics.run();
+        assert.strictEqual(report.aggregate.games, 3);
+        assert.strictEqual(report.aggregate.unitsLostByType.soldier, 3);
+        assert.deepStrictEqual(Object.keys(report.rounds).sort(), ['r1', 'r2']);
+        assert.strictEqual(report.rounds.r1.avgKills, 2);
+        assert.strictEqual(report.aggregate.strategies.emergency_recovery, 6);
+
+        const round = analytics.run({ round: 'r2' });
+        assert.deepStrictEqual(round.games.map(game => game.gameId), ['g3']);
+        assert.match(LogAnalytics.formatTable(report), /By round:/);
+    });
+
+    it('caches finished games and marks unfinished ones', () => {
+        writeGame(logsDir, 'r1', 'g1');
+        writeGame(logsDir, 'r1', 'g2', { finish: false });
+        new LogAnalytics({ logsDir }).run();
+
+        const index = JSON.parse(fs.readFileSync(path.join(logsDir, '.analytics-index.json'), 'utf8'));
+        assert.strictEqual(Object.keys(index.entries).length, 1);
+
+        const report = new LogAnalytics({ logsDir }).run();
+        assert.deepStrictEqual(report.games.map(game => game.complete).sort(), [false, true]);
+        assert.match(LogAnalytics.formatTable(report), /without a footer/);
+    });
+
+    it('writes one CSV row per game', () => {
+        writeGame(logsDir, 'r1', 'g1');
+        const csv = LogAnalytics.toCsv(new LogAnalytics({ logsDir }).run().games).split('\n');
+
+        assert.strictEqual(csv.length, 2);
+        const row = Object.fromEntries(csv[0].split(',').map((column, i) => [column, csv[1].split(',')[i]]));
+        assert.deepStrictEqual([row.final_score, row.lost_soldier, row.lost_in_recovery, row.strategies], ['50', '1', '1', 'economic_expansion_early;emergency_recovery']);
+    });
+});
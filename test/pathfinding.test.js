@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AStarPathfinder = require('../src/game/AStarPathfinder');
+const PathfindingValidator = require('../src/game/PathfindingValidator');
+const { HEX_TYPES, UNIT_TYPES } = require('../src/constants/GameConstants');
+
+// Карта-полоса q = 0..6, r = 0..2 с заданными типами гексов, остальные пустые
+function makeGameState(terrain = {}) {
+    const map = [];
+    for (let q = 0; q <= 6; q++) {
+        for (let r = 0; r <= 2; r++) {
+            map.push({ q, r, type: terrain[`${q},${r}`] || HEX_TYPES.EMPTY });
+        }
+    }
+    return { map, ants: [], enemies: [] };
+}
+
+function findPath(gameState, start, goal) {
+    const pathfinder = new AStarPathfinder();
+    const validator = new PathfindingValidator();
+    return pathfinder.findPath(
+        start,
+        goal,
+        pos => pos.q >= 0 && pos.q <= 6 && pos.r >= 0 && pos.r <= 2 && validator.validatePosition(pos, gameState),
+        100,
+        pos => validator.getTraversalWeight(pos, gameState)
+    );
+}
+
+const keys = path => path.map(pos => `${pos.q},${pos.r}`);
+
+describe('AStarPathfinder with terrain costs', () => {
+    it('keeps unit step costs when no cost function is given', () => {
+        const path = new AStarPathfinder().findPath({ q: 0, r: 1 }, { q: 3, r: 1 }, () => true);
+        assert.deepStrictEqual(keys(path), ['1,1', '2,1', '3,1']);
+    });
+
+    it('routes around stone', () => {
+        const gameState = makeGameState({ '2,1': HEX_TYPES.STONE });
+        const path = findPath(gameState, { q: 0, r: 1 }, { q: 4, r: 1 });
+
+        assert.ok(!keys(path).includes('2,1'));
+        assert.deepStrictEqual(keys(path).slice(-1), ['4,1']);
+    });
+
+    it('prefers a longer path over expensive dirt', () => {
+        const gameState = makeGameState({ '1,1': HEX_TYPES.DIRT, '2,1': HEX_TYPES.DIRT, '3,1': HEX_TYPES.DIRT });
+        const path = findPath(gameState, { q: 0, r: 1 }, { q: 4, r: 1 });
+
+        assert.ok(keys(path).every(key => !['1,1', '2,1', '3,1'].includes(key)));
+    });
+
+    it('avoids acid when a detour is cheap', () => {
+        const gameState = makeGameState({ '1,1': HEX_TYPES.ACID });
+        const path = findPath(gameState, { q: 0, r: 1 }, { q: 2, r: 1 });
+
+        assert.ok(!keys(path).includes('1,1'));
+    });
+
+    it('returns null when the goal is stone', () => {
+        const gameState = makeGameState({ '3,1': HEX_TYPES.STONE });
+        assert.strictEqual(findPath(gameState, { q: 0, r: 1 }, { q: 3, r: 1 }), null);
+    });
+});
+
+describe('PathfindingValidator movement costs', () => {
+    const worker = { id: 'w', type: UNIT_TYPES.WORKER, q: 0, r: 1 };
+    const scout = { id: 's', type: UNIT_TYPES.SCOUT, q: 0, r: 1 };
+    const straightPath = [1, 2, 3, 4, 5, 6].map(q => ({ q, r: 1 }));
+
+    it('prefers the cost reported by /arena over the table value', () => {
+        const gameState = { map: [{ q: 1, r: 1, type: HEX_TYPES.EMPTY, cost: 3 }] };
+        assert.strictEqual(new PathfindingValidator().getMovementCost({ q: 1, r: 1 }, gameState), 3);
+    });
+
+    it('trims paths to the unit speed', () => {
+        const trimmed = new PathfindingValidator().trimPathToSpeed(worker, straightPath, makeGameState());
+        assert.deepStrictEqual(keys(trimmed), ['1,1', '2,1', '3,1']);
+    });
+
+    it('spends extra movement points on dirt', () => {
+        const gameState = makeGameState({ '2,1': HEX_TYPES.DIRT });
+        const trimmed = new PathfindingValidator().trimPathToSpeed(worker, straightPath, gameState);
+        assert.deepStrictEqual(keys(trimmed), ['1,1', '2,1']);
+    });
+
+    it('stops before stone and at gaps in the path', () => {
+        const validator = new PathfindingValidator();
+        const gameState = makeGameState({ '4,1': HEX_TYPES.STONE });
+
+        assert.deepStrictEqual(keys(validator.trimPathToSpeed(scout, straightPath, gameState)), ['1,1', '2,1', '3,1']);
+        assert.deepStrictEqual(keys(validator.trimPathToSpeed(scout, [{ q: 2, r: 1 }], gameState)), []);
+    });
+
+    it('validates paths with real hex costs', () => {
+        const gameState = makeGameState({ '1,1': HEX_TYPES.DIRT, '2,1': HEX_TYPES.DIRT });
+        const result = new PathfindingValidator().validateAndCorrectPath(worker, straightPath, gameState);
+        assert.deepStrictEqual(keys(result.validPath), ['1,1']);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const PlanningBudget = require('../src/game/PlanningBudget');
+const HexGeometry = require('../src/utils/HexGeometry');
+const TurnHarness = require('./harness/TurnHarness');
+const { assertNoSharedDestinations, assertAdjacentPaths, assertSoldiersDefend } = require('./harness/assertions');
+
+const fixture = name => TurnHarness.loadSnapshot(path.join(__dirname, 'fixtures', `${name}.json`));
+const movesById = decisions => new Map(decisions.unitMoves.map(move => [move.unit_id, move]));
+
+describe('PlanningBudget', () => {
+    it('reports time per planner against the budget', () => {
+        let now = 0;
+        const budget = new PlanningBudget(100, { clock: () => now });
+
+        budget.track('analysis', () => { now += 30; });
+        budget.track('units', () => { now += 50; });
+        budget.recordFallback('units', 2);
+        assert.strictEqual(budget.isExhausted(), false);
+
+        budget.track('resources', () => { now += 40; });
+        const report = budget.getReport();
+        assert.strictEqual(report.exhausted, true);
+        assert.strictEqual(report.usedMs, 120);
+        assert.deepStrictEqual(report.planners.units, { usedMs: 50, fallbacks: 2, skipped: false, share: 0.5 });
+    });
+
+    it('is never exhausted without a limit', () => {
+        const report = new PlanningBudget().getReport();
+        assert.strictEqual(report.budgetMs, null);
+        assert.strictEqual(report.exhausted, false);
+    });
+});
+
+describe('planning with an exhausted budget', () => {
+    it('plans carriers in full and keeps the previous paths of everyone else', () => {
+        const snapshot = fixture('economy_midgame');
+        const fullHarness = new TurnHarness();
+        fullHarness.runTurn(snapshot);
+        const full = fullHarness.runTurn(snapshot);
+
+        const harness = new TurnHarness();
+        const previous = movesById(harness.runTurn(snapshot).decisions);
+        const result = harness.runTurn(snapshot, { budget: new PlanningBudget(0) });
+        const moves = movesById(result.decisions);
+        const fullMoves = movesById(full.decisions);
+
+        const carriers = result.analysis.units.myUnits.filter(unit => unit.food.amount > 0);
+        assert.ok(carriers.length > 0);
+        carriers.forEach(unit => {
+            assert.deepStrictEqual(moves.get(unit.id)?.path, fullMoves.get(unit.id)?.path, `carrier ${unit.id}`);
+        });
+
+        const fallbacks = result.decisions.unitMoves.filter(move => move.fallback);
+        assert.ok(fallbacks.length > 0);
+        fallbacks.forEach(move => {
+            if (move.fallback === 'previous_path') {
+                assert.deepStrictEqual(move.path, previous.get(move.unit_id).path);
+            } else {
+                assert.strictEqual(move.fallback, 'greedy_step');
+                assert.strictEqual(move.path.length, 1);
+            }
+        });
+        assert.ok(fallbacks.some(move => move.fallback === 'previous_path'));
+
+        assert.strictEqual(result.decisions.budget.planners.resources.skipped, true);
+        assert.ok(result.decisions.budget.planners.units.fallbacks > 0);
+        assertNoSharedDestinations(result);
+        assertAdjacentPaths(result);
+    });
+
+    it('still defends the anthill', () => {
+        const result = new TurnHarness().runTurn(fixture('anthill_defense_squad'), { budget: new PlanningBudget(0) });
+        assertSoldiersDefend(result, 8);
+    });
+
+    it('takes a greedy step towards the assignment target when there is no previous path', () => {
+        const harness = new TurnHarness();
+        const { analysis } = harness.runTurn(fixture('opening'));
+        const unit = analysis.units.myUnits.find(ant => ant.food.amount === 0);
+        const target = { q: unit.q + 5, r: unit.r };
+
+        harness.bot.unitManager.unitAssignments.set(unit.id, { unit_id: unit.id, path: [], assignment: { type: 'exploration', target } });
+        const move = harness.bot.unitManager.planFallbackAction(unit, analysis, null);
+
+        assert.strictEqual(move.fallback, 'greedy_step');
+        assert.strictEqual(move.path.length, 1);
+        assert.strictEqual(HexGeometry.distance(move.path[0], target), 4);
+    });
+});
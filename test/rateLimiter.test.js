@@ -0,0 +1,75 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/utils/RateLimiter');
+const { RateLimitError } = require('../src/api/ApiErrors');
+const logger = require('../src/utils/Logger');
+
+const { HIGH, NORMAL, LOW } = RateLimiter.PRIORITY;
+
+describe('RateLimiter', () => {
+    before(() => logger.setLevel('ERROR'));
+
+    it('spaces out concurrent requests instead of firing them together', async () => {
+        const limiter = new RateLimiter(20, 'Test');
+        const startedAt = Date.now();
+        const times = await Promise.all([0, 1, 2, 3].map(() => limiter.execute(() => Date.now() - startedAt)));
+
+        for (let i = 1; i < times.length; i++) {
+            assert.ok(times[i] - times[i - 1] >= 45, `request ${i} ran ${times[i] - times[i - 1]}ms after the previous one`);
+        }
+        assert.strictEqual(limiter.getStats().requests, 4);
+    });
+
+    it('allows a burst up to the bucket size', async () => {
+        const limiter = new RateLimiter(2, 'Test', { burst: 3 });
+        const startedAt = Date.now();
+        await Promise.all([0, 1, 2].map(() => limiter.execute(() => null)));
+        assert.ok(Date.now() - startedAt < 50);
+        assert.strictEqual(limiter.getStats().queueDepth, 0);
+    });
+
+    it('runs queued requests by priority, then in arrival order', async () => {
+        const limiter = new RateLimiter(50, 'Test');
+        const order = [];
+        const track = name => () => order.push(name);
+
+        await Promise.all([
+            limiter.execute(track('first'), { priority: LOW }),
+            limiter.execute(track('logs'), { priority: LOW }),
+            limiter.execute(track('arena'), { priority: NORMAL }),
+            limiter.execute(track('move 1'), { priority: HIGH }),
+            limiter.execute(track('move 2'), { priority: HIGH })
+        ]);
+        assert.deepStrictEqual(order, ['first', 'move 1', 'move 2', 'arena', 'logs']);
+    });
+
+    it('keeps an endpoint within its quota without holding up others', async () => {
+        const limiter = new RateLimiter(Infinity, 'Test', { endpointLimits: { '/logs': { requestsPerSecond: 10 } } });
+        const order = [];
+
+        await Promise.all([
+            limiter.execute(() => order.push('logs 1'), { endpoint: '/logs' }),
+            limiter.execute(() => order.push('logs 2'), { endpoint: '/logs' }),
+            limiter.execute(() => order.push('arena'), { endpoint: '/arena' })
+        ]);
+        assert.deepStrictEqual(order, ['logs 1', 'arena', 'logs 2']);
+    });
+
+    it('pauses after a 429 for Retry-After', async () => {
+        const limiter = new RateLimiter(Infinity, 'Test');
+        const limited = new RateLimitError('slow down', { status: 429, retryAfterMs: 80 });
+
+        await assert.rejects(limiter.execute(() => { throw limited; }), RateLimitError);
+        const startedAt = Date.now();
+        await limiter.execute(() => null);
+        assert.ok(Date.now() - startedAt >= 75);
+
+        const stats = limiter.takeStats();
+        assert.strictEqual(stats.throttled, 1);
+        assert.strictEqual(stats.requests, 2);
+        assert.ok(stats.maxWaitMs >= 75);
+        assert.deepStrictEqual(limiter.getStats(), {
+            queueDepth: 0, queuedByPriority: { high: 0, normal: 0, low: 0 }, requests: 0, throttled: 0, avgWaitMs: 0, maxWaitMs: 0
+        });
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const WebSocketServer = require('../visualizer/src/WebSocketServer');
+const logger = require('../src/utils/Logger');
+
+function get(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: urlPath }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('visualizer replay endpoints', () => {
+    let server;
+    let port;
+    let logsDir;
+
+    before(async () => {
+        logger.setLevel('ERROR');
+        logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+        fs.writeFileSync(path.join(logsDir, 'round_1.json'), JSON.stringify({ turns: [] }));
+        fs.writeFileSync(path.join(logsDir, 'round_2.ndjson'), [
+            { type: 'header', version: 2, roundId: '2', gameId: 'g', teamName: 'Team', startTime: 't0' },
+            { type: 'turn', turnNumber: 1, gameState: { turnNo: 1 }, summary: { totalTurns: 1 } }
+        ].map(record => JSON.stringify(record)).join('\n') + '\n');
+        fs.writeFileSync(path.join(logsDir, 'notes.txt'), 'not a replay');
+
+        server = new WebSocketServer(0, logsDir);
+        server.start();
+        await new Promise(resolve => server.server.once('listening', resolve));
+        port = server.server.address().port;
+    });
+
+    after(() => {
+        server.stop();
+        fs.rmSync(logsDir, { recursive: true, force: true });
+    });
+
+    it('lists replays even with a query string', async () => {
+        const response = await get(port, '/replays?refresh=1');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(JSON.parse(response.body).map(file => file.name).sort(), ['round_1.json', 'round_2.ndjson']);
+    });
+
+    it('serves an NDJSON log as one game object', async () => {
+        const response = await get(port, '/replays/round_2.ndjson');
+        assert.strictEqual(response.status, 200);
+
+        const log = JSON.parse(response.body);
+        assert.strictEqual(log.roundId, '2');
+        assert.strictEqual(log.complete, false);
+        assert.deepStrictEqual(log.turns, [{ turnNumber: 1, gameState: { turnNo: 1 } }]);
+        assert.deepStrictEqual(log.summary, { totalTurns: 1 });
+    });
+
+    it('answers 400 to a malformed escape instead of crashing', async () => {
+        const response = await get(port, '/replays/%E0%A4%A');
+        assert.strictEqual(response.status, 400);
+
+        const stillUp = await get(port, '/replays/round_1.json');
+        assert.strictEqual(stillUp.status, 200);
+    });
+
+    it('does not leave the logs directory', async () => {
+        const response = await get(port, '/replays/..%2Fpackage.json');
+        assert.strictEqual(response.status, 404);
+    });
+});
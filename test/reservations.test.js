@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ReservationTable = require('../src/game/ReservationTable');
+const GameAnalyzer = require('../src/game/GameAnalyzer');
+const HexGeometry = require('../src/utils/HexGeometry');
+const TurnHarness = require('./harness/TurnHarness');
+const { UNIT_TYPES } = require('../src/constants/GameConstants');
+
+const worker = (id, q, r) => ({ id, type: UNIT_TYPES.WORKER, q, r });
+const scout = (id, q, r) => ({ id, type: UNIT_TYPES.SCOUT, q, r });
+const line = (...qs) => qs.map(q => ({ q, r: 0 }));
+const keys = path => path.map(pos => `${pos.q},${pos.r}`);
+
+describe('ReservationTable', () => {
+    it('keeps a path whose end is free', () => {
+        const table = new ReservationTable();
+        const unit = worker('a', 0, 0);
+        table.reserveCurrentPositions([unit]);
+
+        assert.deepStrictEqual(keys(table.claimPath(unit, line(1, 2, 3))), ['1,0', '2,0', '3,0']);
+    });
+
+    it('stops short of a hex where a same-type ant stands', () => {
+        const table = new ReservationTable();
+        const mover = worker('a', 0, 0);
+        table.reserveCurrentPositions([mover, worker('idle', 3, 0)]);
+
+        assert.deepStrictEqual(keys(table.claimPath(mover, line(1, 2, 3))), ['1,0', '2,0']);
+    });
+
+    it('lets different unit types share a hex', () => {
+        const table = new ReservationTable();
+        const mover = worker('a', 0, 0);
+        table.reserveCurrentPositions([mover, scout('idle', 3, 0)]);
+
+        assert.strictEqual(table.claimPath(mover, line(1, 2, 3)).length, 3);
+    });
+
+    it('gives the end hex to the first claimant', () => {
+        const table = new ReservationTable();
+        const first = worker('a', 0, 0);
+        const second = worker('b', 6, 0);
+        table.reserveCurrentPositions([first, second]);
+
+        assert.deepStrictEqual(keys(table.claimPath(first, line(1, 2, 3))), ['1,0', '2,0', '3,0']);
+        assert.deepStrictEqual(keys(table.claimPath(second, line(5, 4, 3))), ['5,0', '4,0']);
+    });
+
+    it('allows ending on a hex vacated by an ant that already moved', () => {
+        const table = new ReservationTable();
+        const leaver = worker('a', 1, 0);
+        const follower = worker('b', 0, 0);
+        table.reserveCurrentPositions([leaver, follower]);
+
+        table.claimPath(leaver, line(2, 3));
+        assert.deepStrictEqual(keys(table.claimPath(follower, line(1))), ['1,0']);
+    });
+
+    it('keeps the unit in place when the first step is taken', () => {
+        const table = new ReservationTable();
+        const mover = worker('a', 0, 0);
+        table.reserveCurrentPositions([mover, worker('idle', 1, 0)]);
+
+        assert.deepStrictEqual(table.claimPath(mover, line(1)), []);
+        assert.strictEqual(table.isFreeAtEnd({ q: 0, r: 0 }, worker('other', 5, 5)), false);
+    });
+
+    it('passes through a hex where a same-type ant stands', () => {
+        const table = new ReservationTable();
+        const mover = worker('a', 0, 0);
+        table.reserveCurrentPositions([mover, worker('idle', 1, 0)]);
+
+        assert.deepStrictEqual(keys(table.claimPath(mover, line(1, 2, 3))), ['1,0', '2,0', '3,0']);
+    });
+
+    it('does not pass a moving same-type ant on the same step', () => {
+        const table = new ReservationTable();
+        const first = worker('a', 0, 0);
+        const second = worker('b', 0, 1);
+        table.reserveCurrentPositions([first, second]);
+
+        table.claimPath(first, line(1, 2, 3));
+        // На шаге 1 гекс (1,0) занят идущим юнитом a, дальше путь не продолжается
+        assert.deepStrictEqual(table.claimPath(second, [{ q: 1, r: 0 }, { q: 2, r: 0 }, { q: 2, r: 1 }]), []);
+    });
+
+    it('releases the previous claim when a unit is re-planned', () => {
+        const table = new ReservationTable();
+        const unit = worker('a', 0, 0);
+        table.reserveCurrentPositions([unit]);
+
+        table.claimPath(unit, line(1, 2));
+        table.claimPath(unit, [{ q: 0, r: 1 }]);
+        assert.strictEqual(table.isFreeAtEnd({ q: 2, r: 0 }, worker('other', 5, 5)), true);
+    });
+});
+
+describe('GameBot.resolveMoveConflicts', () => {
+    const analyze = units => new GameAnalyzer().analyze({
+        turnNo: 1, score: 0, ants: units, enemies: [], food: [], map: [], home: [{ q: -6, r: 0 }]
+    });
+
+    it('replans a shortened move to a free hex next to its target', () => {
+        const bot = new TurnHarness().bot;
+        const mover = worker('mover', 0, 0);
+        const analysis = analyze([mover, worker('idle-1', 2, 0), worker('idle-2', 3, 0)]);
+        const move = { unit_id: 'mover', path: line(1, 2, 3), assignment: { type: 'resource_collection', target: { q: 3, r: 0 } } };
+
+        const [resolved] = bot.resolveMoveConflicts([], [move], analysis);
+        const end = resolved.path[resolved.path.length - 1];
+        // Без перепланирования юнит остановился бы на (1,0), в 2 гексах от цели
+        assert.strictEqual(HexGeometry.distance(end, { q: 3, r: 0 }), 1);
+        assert.ok(!['2,0', '3,0'].includes(`${end.q},${end.r}`));
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const TurnScheduler = require('../src/game/TurnScheduler');
+const TurnHarness = require('./harness/TurnHarness');
+const logger = require('../src/utils/Logger');
+
+describe('TurnScheduler', () => {
+    before(() => logger.setLevel('ERROR'));
+
+    it('sleeps until just after the turn flips once moves are in', () => {
+        const scheduler = new TurnScheduler({ flipDelayMs: 20, safetyMarginMs: 100 });
+        scheduler.observe({ turnNo: 5, nextTurnIn: 1.5 }, 10000);
+
+        assert.strictEqual(scheduler.getSubmitDeadline(), 11400);
+        scheduler.recordSubmission(5, true, 10200, 10300);
+        assert.strictEqual(scheduler.getPollDelay(10300), 1220);
+    });
+
+    it('polls with growing intervals while the server still reports the old turn', () => {
+        const scheduler = new TurnScheduler({ pollIntervalMs: 100, maxPollIntervalMs: 250 });
+        scheduler.observe({ turnNo: 5, nextTurnIn: 0.1 }, 0);
+        scheduler.recordSubmission(5, true, 10, 20);
+
+        const delays = [1, 2, 3].map(() => {
+            scheduler.observe({ turnNo: 5, nextTurnIn: 0 }, 200);
+            return scheduler.getPollDelay(200);
+        });
+        assert.deepStrictEqual(delays, [200, 250, 250]);
+        assert.strictEqual(scheduler.getMetrics().stalePolls, 3);
+    });
+
+    it('counts skipped turn numbers and turns without accepted moves as missed', () => {
+        const scheduler = new TurnScheduler();
+        scheduler.observe({ turnNo: 1, nextTurnIn: 1 }, 0);
+        scheduler.recordSubmission(1, true, 100, 200);
+        scheduler.observe({ turnNo: 4, nextTurnIn: 1 }, 3000);
+        scheduler.recordSubmission(4, false, 3100, 3200);
+        const { missed } = scheduler.observe({ turnNo: 5, nextTurnIn: 1 }, 4000);
+
+        assert.strictEqual(missed, 1);
+        assert.deepStrictEqual(
+            [scheduler.getMetrics().missedTurns, scheduler.getMetrics().lateTurns],
+            [3, 1]
+        );
+    });
+
+    it('flags moves that arrive after the turn ended as late', () => {
+        const scheduler = new TurnScheduler();
+        scheduler.observe({ turnNo: 2, nextTurnIn: 0.5 }, 0);
+        const timing = scheduler.recordSubmission(2, true, 400, 650);
+
+        assert.strictEqual(timing.late, true);
+        assert.strictEqual(timing.remainingMs, -150);
+    });
+
+    it('leaves time for the expected submit latency in the planning budget', () => {
+        const scheduler = new TurnScheduler({ safetyMarginMs: 100, minPlanningMs: 30 });
+        scheduler.observe({ turnNo: 1, nextTurnIn: 1 }, 0);
+        scheduler.recordSubmission(1, true, 0, 200);
+        scheduler.observe({ turnNo: 2, nextTurnIn: 1 }, 1000);
+
+        assert.strictEqual(scheduler.getPlanningBudget(1000), 700);
+        assert.strictEqual(scheduler.getPlanningBudget(1890), 30);
+    });
+
+    it('starts over when the turn number goes back', () => {
+        const scheduler = new TurnScheduler();
+        scheduler.observe({ turnNo: 300, nextTurnIn: 1 }, 0);
+        const turn = scheduler.observe({ turnNo: 1, nextTurnIn: 1 }, 1000);
+
+        assert.deepStrictEqual(turn, { turn: 1, isNewTurn: true, missed: 0 });
+        assert.strictEqual(scheduler.getMetrics().turnsSeen, 1);
+    });
+});
+
+describe('GameBot.gameLoop scheduling', () => {
+    it('processes every turn exactly once, right after it starts', async () => {
+        const turnMs = 80;
+        const startedAt = Date.now();
+        const bot = new TurnHarness().bot;
+        const processed = [];
+        let polls = 0;
+
+        bot.apiClient = {
+            getGameState: async () => {
+                polls++;
+                const elapsed = Date.now() - startedAt;
+                const turnNo = 1 + Math.floor(elapsed / turnMs);
+                return {
+                    turnNo,
+                    nextTurnIn: (turnMs - elapsed % turnMs) / 1000,
+                    ants: [{ id: 'a', type: 1, q: 0, r: 0 }]
+                };
+            },
+            sendMoves: async () => ({})
+        };
+        bot.processTurn = async () => {
+            processed.push({ turn: bot.turnNumber, lagMs: (Date.now() - startedAt) % turnMs });
+            bot.turnScheduler.recordSubmission(bot.turnNumber, true, Date.now());
+            if (processed.length === 4) {
+                bot.isRunning = false;
+            }
+        };
+
+        bot.isRunning = true;
+        await bot.gameLoop();
+
+        const turns = processed.map(entry => entry.turn);
+        assert.deepStrictEqual(turns, [turns[0], turns[0] + 1, turns[0] + 2, turns[0] + 3]);
+        assert.ok(processed.slice(1).every(entry => entry.lagMs < turnMs / 2), JSON.stringify(processed));
+        assert.ok(polls <= 8, `${polls} polls for 4 turns`);
+        assert.strictEqual(bot.turnScheduler.getMetrics().missedTurns, 0);
+    });
+});
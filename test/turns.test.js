@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const path = require('path');
+const TurnHarness = require('./harness/TurnHarness');
+const {
+    assertNoSharedDestinations,
+    assertAdjacentPaths,
+    assertSoldiersDefend
+} = require('./harness/assertions');
+
+// Записанные ситуации (test/fixtures, см. test/harness/captureFixture.js) и проверяемые в них свойства.
+// known - известные нарушения текущего бота: проверка выполняется, но отмечается как todo, а не падение.
+const SITUATIONS = [
+    { fixture: 'opening', checks: ['collisions', 'paths'] },
+    { fixture: 'economy_midgame', checks: ['collisions', 'paths'] },
+    { fixture: 'anthill_congestion', checks: ['collisions', 'paths'] },
+    { fixture: 'acid_and_stone', checks: ['collisions', 'paths'] },
+    { fixture: 'anthill_defense_squad', checks: ['collisions', 'paths', 'defense'] },
+    { fixture: 'lone_defender', checks: ['collisions', 'paths', 'defense'] },
+    { fixture: 'defender_behind_stone', checks: ['collisions', 'paths', 'defense'] },
+    { fixture: 'return_path_gap', checks: ['collisions', 'paths', 'defense'] }
+];
+
+const CHECKS = {
+    collisions: { title: 'no two ants of the same type end on the same hex', run: assertNoSharedDestinations },
+    paths: { title: 'every path step is adjacent to the previous one', run: assertAdjacentPaths },
+    defense: { title: 'soldiers defend when an enemy is within 8 of the anthill', run: result => assertSoldiersDefend(result, 8) }
+};
+
+describe('turn regression suite', () => {
+    SITUATIONS.forEach(({ fixture, checks, known = {} }) => {
+        describe(fixture, () => {
+            const snapshot = TurnHarness.loadSnapshot(path.join(__dirname, 'fixtures', `${fixture}.json`));
+            const result = new TurnHarness().runTurn(snapshot);
+
+            checks.forEach(check => {
+                it(CHECKS[check].title, { todo: known[check] }, () => {
+                    CHECKS[check].run(result);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const WorldMemory = require('../src/game/WorldMemory');
+const GameAnalyzer = require('../src/game/GameAnalyzer');
+const ResourceManager = require('../src/game/ResourceManager');
+const { FOOD_TYPES, HEX_TYPES, HEX_STATS, UNIT_TYPES } = require('../src/constants/GameConstants');
+
+const hexes = (...positions) => positions.map(([q, r, type = HEX_TYPES.EMPTY]) => ({ q, r, type, cost: HEX_STATS[type].cost }));
+const state = (turnNo, { map = [], food = [], enemies = [], ...rest } = {}) => ({
+    turnNo, score: 0, ants: [], map, food, enemies, home: [{ q: 0, r: 0 }], ...rest
+});
+
+describe('WorldMemory', () => {
+    it('keeps explored terrain with its cost after it leaves vision', () => {
+        const memory = new WorldMemory();
+        memory.update(state(1, { map: [{ q: 4, r: 0, type: HEX_TYPES.DIRT, cost: 2 }, { q: 5, r: 0, type: HEX_TYPES.EMPTY, cost: 3 }] }));
+        memory.update(state(6, { map: hexes([0, 0]) }));
+
+        assert.deepStrictEqual(
+            [memory.getHex({ q: 4, r: 0 }).cost, memory.getHex({ q: 5, r: 0 }).cost],
+            [2, 3]
+        );
+        assert.strictEqual(memory.getHex({ q: 4, r: 0 }).age, 5);
+        assert.strictEqual(memory.getHex({ q: 4, r: 0 }).confidence, 1);
+        assert.strictEqual(memory.isVisible({ q: 4, r: 0 }), false);
+        assert.strictEqual(memory.getHex({ q: 9, r: 9 }), null);
+    });
+
+    it('remembers food out of view with decaying confidence', () => {
+        const memory = new WorldMemory({ foodHalfLife: 10 });
+        memory.update(state(1, {
+            map: hexes([3, 0]),
+            food: [{ q: 3, r: 0, type: FOOD_TYPES.NECTAR, amount: 12 }]
+        }));
+        memory.update(state(11, { map: hexes([0, 0]) }));
+
+        const [food] = memory.getRememberedFood();
+        assert.strictEqual(food.amount, 12);
+        assert.strictEqual(food.lastSeenTurn, 1);
+        assert.strictEqual(food.age, 10);
+        assert.strictEqual(food.confidence, 0.5);
+    });
+
+    it('forgets food when its hex is visible and empty', () => {
+        const memory = new WorldMemory();
+        memory.update(state(1, { map: hexes([3, 0]), food: [{ q: 3, r: 0, type: FOOD_TYPES.APPLE, amount: 4 }] }));
+        memory.update(state(2, { map: hexes([3, 0]) }));
+
+        assert.deepStrictEqual(memory.getFood(), []);
+    });
+
+    it('forgets food whose confidence falls below the threshold', () => {
+        const memory = new WorldMemory({ foodHalfLife: 10, minFoodConfidence: 0.3 });
+        memory.update(state(1, { map: hexes([3, 0]), food: [{ q: 3, r: 0, type: FOOD_TYPES.BREAD, amount: 4 }] }));
+        memory.update(state(15, { map: hexes([0, 0]) }));
+        assert.strictEqual(memory.getFood().length, 1);
+
+        memory.update(state(20, { map: hexes([0, 0]) }));
+        assert.strictEqual(memory.getFood().length, 0);
+    });
+
+    it('collects enemy anthills from anthill hexes that are not ours', () => {
+        const memory = new WorldMemory();
+        memory.update(state(1, {
+            map: hexes([0, 0, HEX_TYPES.ANTHILL], [8, 8, HEX_TYPES.ANTHILL], [9, 8, HEX_TYPES.ANTHILL])
+        }));
+        memory.update(state(4, { map: hexes([0, 0, HEX_TYPES.ANTHILL]) }));
+
+        const anthills = memory.getEnemyAnthills().map(({ q, r, age }) => `${q},${r}@${age}`).sort();
+        assert.deepStrictEqual(anthills, ['8,8@3', '9,8@3']);
+    });
+
+    it('rates unseen hexes above recently seen ones for exploration', () => {
+        const memory = new WorldMemory({ exploredFreshness: 20 });
+        memory.update(state(1, { map: hexes([1, 0], [2, 0]) }));
+        memory.update(state(11, { map: hexes([2, 0]) }));
+
+        assert.strictEqual(memory.getExplorationValue({ q: 5, r: 5 }), 1);
+        assert.strictEqual(memory.getExplorationValue({ q: 1, r: 0 }), 0.5);
+        assert.strictEqual(memory.getExplorationValue({ q: 2, r: 0 }), 0);
+        assert.strictEqual(memory.isExplored({ q: 1, r: 0 }), true);
+    });
+
+    it('starts over when the turn number goes back', () => {
+        const memory = new WorldMemory();
+        memory.update(state(50, { map: hexes([3, 0]), food: [{ q: 3, r: 0, type: FOOD_TYPES.APPLE, amount: 4 }] }));
+        memory.update(state(1, { map: hexes([0, 0]) }));
+
+        assert.deepStrictEqual(memory.getStats(), { exploredHexes: 1, visibleHexes: 1, rememberedFood: 0, enemyAnthills: 0 });
+    });
+});
+
+describe('planning against world memory', () => {
+    const worker = { id: 'w1', type: UNIT_TYPES.WORKER, q: 0, r: 1, food: { type: FOOD_TYPES.NONE, amount: 0 }, health: 130 };
+    const arena = (turnNo, visible, food) => ({
+        turnNo,
+        score: 0,
+        ants: [worker],
+        enemies: [],
+        home: [{ q: 0, r: 0 }],
+        map: hexes(...visible),
+        food
+    });
+
+    it('includes remembered food in resource priorities, weighted by confidence', () => {
+        const analyzer = new GameAnalyzer();
+        const nectar = { q: 6, r: 0, type: FOOD_TYPES.NECTAR, amount: 10 };
+        analyzer.analyze(arena(1, [[0, 0], [6, 0]], [nectar]));
+        const analysis = analyzer.analyze(arena(21, [[0, 0]], []));
+
+        assert.deepStrictEqual(analysis.resources.visible, []);
+        const [entry] = new ResourceManager().prioritizeResources(analysis, { phase: 'early' });
+        assert.strictEqual(entry.resource.q, 6);
+        assert.strictEqual(entry.resource.age, 20);
+        assert.ok(entry.resource.confidence < 1);
+    });
+
+    it('does not assign ants to food they cannot load', () => {
+        const resourceManager = new ResourceManager();
+        const bread = { q: 2, r: 0, type: FOOD_TYPES.BREAD, amount: 5 };
+        const carrier = { ...worker, id: 'carrier', food: { type: FOOD_TYPES.APPLE, amount: 2 } };
+
+        const fullCarrier = { ...worker, id: 'full', food: { type: FOOD_TYPES.BREAD, amount: 8 } };
+
+        assert.strictEqual(resourceManager.canLoadResource(carrier, bread), false);
+        assert.strictEqual(resourceManager.canLoadResource(fullCarrier, bread), false);
+        assert.strictEqual(resourceManager.canLoadResource(worker, bread), true);
+        assert.strictEqual(resourceManager.findBestUnitForResource(bread, [carrier], {}), null);
+    });
+});
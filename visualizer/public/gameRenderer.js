@@ -152,6 +152,7 @@ class GameRenderer {
             this.drawVisionAreas();
             this.drawResources();
             this.drawAnthill();
+            this.drawEnemyAnthills();
             this.drawUnits();
             this.drawMovementPaths();
             this.drawThreatIndicators();
@@ -210,17 +211,13 @@ class GameRenderer {
             const vision = this.getUnitVision(ant.type);
             
             // Рисуем область видимости
-            for (let dq = -vision; dq <= vision; dq++) {
-                for (let dr = -vision; dr <= vision; dr++) {
-                    if (this.hexGrid.distance(0, 0, dq, dr) <= vision) {
-                        this.hexGrid.drawHex(ant.q + dq, ant.r + dr, {
-                            fill: this.colors.vision,
-                            stroke: this.colors.visionBorder,
-                            strokeWidth: 1
-                        });
-                    }
-                }
-            }
+            HexGeometry.range(ant, vision).forEach(hex => {
+                this.hexGrid.drawHex(hex.q, hex.r, {
+                    fill: this.colors.vision,
+                    stroke: this.colors.visionBorder,
+                    strokeWidth: 1
+                });
+            });
         });
     }
     
@@ -282,15 +279,18 @@ class GameRenderer {
         // Рисуем вражеских юнитов
         if (this.gameState.enemies) {
             this.gameState.enemies.forEach(enemy => {
-                if (enemy.type === 0) {
-                    // Вражеский муравейник
-                    this.drawEnemyAnthill(enemy);
-                } else {
-                    this.drawUnit(enemy, true);
-                }
+                this.drawUnit(enemy, true);
             });
         }
     }
+
+    drawEnemyAnthills() {
+        // Вражеские муравейники - гексы муравейника на карте, кроме нашего
+        const homeKeys = new Set((this.gameState.home || []).map(hex => `${hex.q},${hex.r}`));
+        (this.gameState.map || [])
+            .filter(hex => hex.type === 1 && !homeKeys.has(`${hex.q},${hex.r}`))
+            .forEach(hex => this.drawEnemyAnthill(hex));
+    }
     
     drawUnit(unit, isEnemy) {
         const unitType = isEnemy ? 'enemy' : this.unitTypes[unit.type];
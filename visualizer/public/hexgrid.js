@@ -56,45 +56,20 @@ class HexGrid {
     
     // Конвертация hex координат в пиксели
     hexToPixel(q, r) {
-        const size = this.cellSize * this.zoom;
-        const x = size * (3/2 * q);
-        const y = size * (Math.sqrt(3)/2 * q + Math.sqrt(3) * r);
+        const pixel = HexGeometry.toPixel({ q, r }, this.cellSize * this.zoom);
         
         return {
-            x: x + this.canvas.width/2 + this.offsetX,
-            y: y + this.canvas.height/2 + this.offsetY
+            x: pixel.x + this.canvas.width/2 + this.offsetX,
+            y: pixel.y + this.canvas.height/2 + this.offsetY
         };
     }
     
     // Конвертация пикселей в hex координаты
     pixelToHex(x, y) {
-        const size = this.cellSize * this.zoom;
         const relativeX = x - this.canvas.width/2 - this.offsetX;
         const relativeY = y - this.canvas.height/2 - this.offsetY;
         
-        const q = (2/3 * relativeX) / size;
-        const r = (-1/3 * relativeX + Math.sqrt(3)/3 * relativeY) / size;
-        
-        return this.roundHex(q, r);
-    }
-    
-    roundHex(q, r) {
-        const s = -q - r;
-        let rq = Math.round(q);
-        let rr = Math.round(r);
-        let rs = Math.round(s);
-        
-        const qDiff = Math.abs(rq - q);
-        const rDiff = Math.abs(rr - r);
-        const sDiff = Math.abs(rs - s);
-        
-        if (qDiff > rDiff && qDiff > sDiff) {
-            rq = -rr - rs;
-        } else if (rDiff > sDiff) {
-            rr = -rq - rs;
-        }
-        
-        return { q: rq, r: rr };
+        return HexGeometry.fromPixel(relativeX, relativeY, this.cellSize * this.zoom);
     }
     
     // Рисование шестиугольника
@@ -215,11 +190,6 @@ class HexGrid {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
     
-    // Расчет расстояния между hex ячейками
-    distance(q1, r1, q2, r2) {
-        return Math.max(Math.abs(q1 - q2), Math.abs(r1 - r2), Math.abs((q1 + r1) - (q2 + r2)));
-    }
-    
     // Получение видимых hex ячеек
     getVisibleHexes() {
         const viewBounds = this.getViewBounds();
@@ -0,0 +1,377 @@
+/**
+ * Проигрывание сохраненных логов GameLogger (logs/round_*_game_*.json).
+ * Каждый ход рендерится через GameVisualizer/GameRenderer так же, как в живом режиме,
+ * плюс выводятся записанные решения и обоснования.
+ */
+class ReplayPlayer {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.log = null;
+        this.turns = [];
+        this.index = 0;
+        this.playing = false;
+        this.speed = 1;
+        this.baseInterval = 1000; // мс на ход при скорости 1x
+        this.timer = null;
+
+        this.elements = {
+            logSelect: document.getElementById('replay-log-select'),
+            refreshButton: document.getElementById('replay-refresh'),
+            loadButton: document.getElementById('replay-load'),
+            fileInput: document.getElementById('replay-file'),
+            firstButton: document.getElementById('replay-first'),
+            prevButton: document.getElementById('replay-prev'),
+            playButton: document.getElementById('replay-play'),
+            nextButton: document.getElementById('replay-next'),
+            lastButton: document.getElementById('replay-last'),
+            slider: document.getElementById('replay-slider'),
+            speedSelect: document.getElementById('replay-speed'),
+            turnLabel: document.getElementById('replay-turn'),
+            exitButton: document.getElementById('replay-exit'),
+            decisionsSection: document.getElementById('replay-decisions'),
+            strategy: document.getElementById('replay-strategy'),
+            actions: document.getElementById('replay-actions'),
+            reasoning: document.getElementById('replay-reasoning')
+        };
+
+        this.setupControls();
+        this.setPlaybackEnabled(false);
+        this.refreshLogList();
+    }
+
+    setupControls() {
+        const el = this.elements;
+
+        el.refreshButton.addEventListener('click', () => this.refreshLogList());
+        el.loadButton.addEventListener('click', () => {
+            if (el.logSelect.value) {
+                this.loadFromServer(el.logSelect.value);
+            }
+        });
+        el.fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.loadFromFile(file);
+            }
+        });
+
+        el.firstButton.addEventListener('click', () => this.seek(0));
+        el.prevButton.addEventListener('click', () => this.step(-1));
+        el.playButton.addEventListener('click', () => this.togglePlay());
+        el.nextButton.addEventListener('click', () => this.step(1));
+        el.lastButton.addEventListener('click', () => this.seek(this.turns.length - 1));
+        el.slider.addEventListener('input', () => {
+            this.pause();
+            this.seek(Number(el.slider.value));
+        });
+        el.speedSelect.addEventListener('change', () => this.setSpeed(Number(el.speedSelect.value)));
+        el.exitButton.addEventListener('click', () => this.exit());
+
+        // Клавиатура в режиме повтора: пробел - play/pause, стрелки - шаг
+        document.addEventListener('keydown', (event) => {
+            if (!this.log || event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') return;
+
+            switch (event.key) {
+                case ' ':
+                    event.preventDefault();
+                    this.togglePlay();
+                    break;
+                case 'ArrowRight':
+                    this.step(1);
+                    break;
+                case 'ArrowLeft':
+                    this.step(-1);
+                    break;
+                case 'Home':
+                    this.seek(0);
+                    break;
+                case 'End':
+                    this.seek(this.turns.length - 1);
+                    break;
+            }
+        });
+    }
+
+    async refreshLogList() {
+        const select = this.elements.logSelect;
+        try {
+            const response = await fetch('/replays');
+            const files = await response.json();
+
+            select.innerHTML = '';
+            if (files.length === 0) {
+                select.appendChild(new Option('No saved games', ''));
+                return;
+            }
+            files.forEach(file => {
+                const label = `${file.name} (${Math.round(file.size / 1024)} KB)`;
+                select.appendChild(new Option(label, file.name));
+            });
+        } catch (error) {
+            console.error('Failed to load replay list:', error);
+            select.innerHTML = '';
+            select.appendChild(new Option('Replay list unavailable', ''));
+        }
+    }
+
+    async loadFromServer(name) {
+        try {
+            const response = await fetch(`/replays/${encodeURIComponent(name)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.load(await response.json(), name);
+        } catch (error) {
+            this.visualizer.logManager.addMessage(`Failed to load replay ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Читает лог с диска: NDJSON (в том числе .gz) или JSON старого формата.
+     * @param {File} file - Выбранный файл
+     */
+    async loadFromFile(file) {
+        try {
+            const stream = file.name.endsWith('.gz')
+                ? file.stream().pipeThrough(new DecompressionStream('gzip'))
+                : file.stream();
+            const text = await new Response(stream).text();
+            this.load(GameLogReader.parse(text), file.name);
+        } catch (error) {
+            this.visualizer.logManager.addMessage(`Failed to parse ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Загружает лог игры и переключает визуализатор в режим повтора.
+     * @param {Object} log - Объект лога GameLogger
+     * @param {string} name - Имя файла для отображения
+     */
+    load(log, name) {
+        const turns = (log.turns || []).filter(turn => turn.gameState);
+        if (turns.length === 0) {
+            this.visualizer.logManager.addMessage(`Replay ${name} has no recorded turns`, 'error');
+            return;
+        }
+
+        this.pause();
+        this.log = log;
+        this.turns = turns;
+        const hasGameEvents = turns.some(turn => turn.events);
+        this.cargoTotals = hasGameEvents ? this.accumulateCargo(turns) : null;
+        this.index = 0;
+
+        this.visualizer.enterReplayMode(name, hasGameEvents);
+        this.visualizer.logManager.clear();
+        this.visualizer.logManager.addMessage(
+            `Replay loaded: round ${log.roundId}, ${turns.length} turns, final score ${log.finalScore ?? 'unknown'}` +
+                (log.complete === false ? ' (game log was not finished)' : ''),
+            'system'
+        );
+
+        this.elements.slider.max = turns.length - 1;
+        this.elements.decisionsSection.classList.remove('hidden');
+        this.setPlaybackEnabled(true);
+
+        this.showTurn(0);
+        this.visualizer.centerOnHome(turns[0].gameState);
+    }
+
+    /**
+     * Итоги груза на каждый ход из записанных событий FoodDelivered и CargoLost (в старых логах событий нет).
+     * @param {Array} turns - Ходы лога
+     * @returns {Array} Для каждого хода { delivered, deliveredCalories, lostCalories }
+     */
+    accumulateCargo(turns) {
+        const totals = { delivered: { apple: 0, bread: 0, nectar: 0 }, deliveredCalories: 0, lostCalories: 0 };
+        return turns.map(turn => {
+            (turn.events || []).forEach(event => {
+                if (event.type === 'FoodDelivered') {
+                    totals.delivered[event.foodType] += event.amount;
+                    totals.deliveredCalories += event.calories;
+                } else if (event.type === 'CargoLost') {
+                    totals.lostCalories += event.calories;
+                }
+            });
+            return { ...totals, delivered: { ...totals.delivered } };
+        });
+    }
+
+    exit() {
+        this.pause();
+        this.log = null;
+        this.turns = [];
+        this.elements.decisionsSection.classList.add('hidden');
+        this.elements.turnLabel.textContent = '-';
+        this.setPlaybackEnabled(false);
+        this.visualizer.exitReplayMode();
+    }
+
+    play() {
+        if (!this.log || this.playing) return;
+        if (this.index >= this.turns.length - 1) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.elements.playButton.textContent = '⏸';
+        this.scheduleNext();
+    }
+
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.elements.playButton.textContent = '▶';
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    scheduleNext() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            if (!this.playing) return;
+            if (this.index >= this.turns.length - 1) {
+                this.pause();
+                return;
+            }
+            this.step(1);
+            this.scheduleNext();
+        }, this.baseInterval / this.speed);
+    }
+
+    step(delta) {
+        this.seek(this.index + delta);
+    }
+
+    seek(index) {
+        if (!this.log) return;
+        const target = Math.max(0, Math.min(this.turns.length - 1, index));
+
+        // События (урон, смерти) считаем только при последовательном проигрывании
+        if (target !== this.index + 1) {
+            this.visualizer.previousGameState = null;
+            this.visualizer.previousAnalysis = null;
+        }
+        this.showTurn(target);
+    }
+
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+        if (this.playing) {
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Отрисовывает записанный ход и выводит его решения.
+     * @param {number} index - Индекс хода в логе
+     */
+    showTurn(index) {
+        this.index = index;
+        const turn = this.turns[index];
+        const decisions = turn.decisions || {};
+
+        const analysis = this.buildAnalysis(turn);
+        analysis.cargo = this.cargoTotals ? this.cargoTotals[index] : null;
+        const strategy = {
+            name: decisions.strategy,
+            phase: decisions.phase,
+            priorities: []
+        };
+
+        // События хода выводим только при последовательном проигрывании, как и сравнение состояний
+        if (this.visualizer.previousGameState) {
+            (turn.events || []).forEach(event => this.visualizer.showGameEvent(event));
+        }
+        this.visualizer.updateGameState(turn.gameState, analysis, strategy, this.buildAssignments(decisions.actions));
+
+        this.elements.slider.value = index;
+        this.elements.turnLabel.textContent = `Turn ${turn.turnNumber} (${index + 1}/${this.turns.length})`;
+        this.renderDecisions(turn);
+    }
+
+    /**
+     * В логе нет полного анализа, поэтому восстанавливаем то, что нужно панели статистики.
+     * @param {Object} turn - Запись хода
+     * @returns {Object} Упрощенный анализ
+     */
+    buildAnalysis(turn) {
+        const gameState = turn.gameState;
+        const units = gameState.ants;
+        const food = gameState.food;
+        const counts = {
+            total: units.length,
+            worker: units.filter(unit => unit.type === 1).length,
+            soldier: units.filter(unit => unit.type === 2).length,
+            scout: units.filter(unit => unit.type === 3).length
+        };
+
+        return {
+            gamePhase: turn.decisions?.phase || 'unknown',
+            units: { counts, anthill: gameState.home?.[0] || null },
+            resources: {
+                byType: {
+                    apple: food.filter(item => item.type === 1),
+                    bread: food.filter(item => item.type === 2),
+                    nectar: food.filter(item => item.type === 3)
+                },
+                highValue: []
+            }
+        };
+    }
+
+    buildAssignments(actions) {
+        const assignments = {};
+        (actions || []).forEach(action => {
+            if (action.unitId && action.assignment) {
+                assignments[action.unitId] = action.assignment;
+            }
+        });
+        return assignments;
+    }
+
+    renderDecisions(turn) {
+        const decisions = turn.decisions || {};
+        const actions = decisions.actions || [];
+        const el = this.elements;
+
+        el.strategy.textContent = `${decisions.strategy || 'unknown'} (${decisions.phase || 'unknown'})`;
+
+        const actionCounts = actions.reduce((counts, action) => {
+            const key = action.assignment?.type || action.type;
+            counts[key] = (counts[key] || 0) + 1;
+            return counts;
+        }, {});
+        el.actions.textContent = Object.entries(actionCounts)
+            .map(([type, count]) => `${type}: ${count}`)
+            .join(', ') || 'none';
+
+        el.reasoning.innerHTML = '';
+        (decisions.reasoning || []).forEach(entry => {
+            const item = document.createElement('li');
+            const text = entry.details || entry.reasoning || '';
+            item.textContent = `[${entry.category}] ${entry.decision}${text ? ` - ${text}` : ''}`;
+            el.reasoning.appendChild(item);
+        });
+        (turn.combatEvents || []).forEach(event => {
+            const item = document.createElement('li');
+            item.className = 'combat';
+            item.textContent = `[combat] ${event.type} - ${event.details}`;
+            el.reasoning.appendChild(item);
+        });
+    }
+
+    setPlaybackEnabled(enabled) {
+        const el = this.elements;
+        [el.firstButton, el.prevButton, el.playButton, el.nextButton, el.lastButton, el.slider, el.speedSelect, el.exitButton]
+            .forEach(control => {
+                control.disabled = !enabled;
+            });
+    }
+}
@@ -25,6 +25,9 @@ class StatsUpdater {
             breadSources: document.getElementById('bread-sources'),
             appleSources: document.getElementById('apple-sources'),
             highValueResources: document.getElementById('high-value-resources'),
+            deliveredCalories: document.getElementById('delivered-calories'),
+            deliveredByType: document.getElementById('delivered-by-type'),
+            cargoLost: document.getElementById('cargo-lost'),
             
             // Threats
             threatLevel: document.getElementById('threat-level'),
@@ -103,6 +106,17 @@ class StatsUpdater {
         this.setText('breadSources', resources.byType.bread?.length || 0);
         this.setText('appleSources', resources.byType.apple?.length || 0);
         this.setText('highValueResources', resources.highValue?.length || 0);
+
+        // Доставки и потери по грузу муравьев (CargoTracker)
+        const cargo = this.analysis.cargo;
+        if (cargo) {
+            const delivered = cargo.delivered;
+            this.setText('deliveredCalories', `${this.formatNumber(cargo.deliveredCalories)} cal`);
+            this.setText('deliveredByType', `${delivered.apple}/${delivered.bread}/${delivered.nectar}`);
+            this.setText('cargoLost', `${cargo.lostCalories} cal`);
+        } else {
+            ['deliveredCalories', 'deliveredByType', 'cargoLost'].forEach(id => this.setText(id, '-'));
+        }
     }
     
     updateThreatStats() {
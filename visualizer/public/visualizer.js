@@ -7,6 +7,9 @@ class GameVisualizer {
         this.websocket = null;
         this.isConnected = false;
         this.isInitialLoad = true;
+        this.replayMode = false;
+        // Смерти, урон и враги приходят от бота событиями gameEvent; сравнением состояний - только в повторе старых логов без событий
+        this.diffUnitEvents = false;
         
         this.connectionIndicator = document.getElementById('connection-indicator');
         
@@ -96,6 +99,11 @@ class GameVisualizer {
     }
     
     handleWebSocketMessage(data) {
+        // В режиме повтора живые обновления игры не отображаем
+        if (this.replayMode && ['gameState', 'gameUpdate', 'roundStatus', 'lobbyStatus'].includes(data.type)) {
+            return;
+        }
+        
         switch (data.type) {
             case 'gameState':
             case 'gameUpdate':
@@ -120,6 +128,9 @@ class GameVisualizer {
             case 'log':
                 this.logManager.addMessage(data.message, data.logType);
                 break;
+            case 'gameEvent':
+                this.showGameEvent(data.event);
+                break;
             default:
                 console.warn('Unknown message type:', data.type);
         }
@@ -141,6 +152,49 @@ class GameVisualizer {
         this.previousAnalysis = analysis;
     }
 
+    /**
+     * Выводит событие GameEventBus в лог визуализатора. Подборы еды не выводятся: их слишком много.
+     * @param {Object} event - { type, turn, ... }
+     */
+    showGameEvent(event) {
+        const at = unit => `(${unit.q}, ${unit.r})`;
+        switch (event.type) {
+            case 'AntSpawned':
+                this.logManager.addMessage(`New ${event.ant.type} at ${at(event.ant)}`, 'success');
+                break;
+            case 'AntDied':
+                this.logManager.addMessage(`Our ${event.ant.type} was destroyed at ${at(event.ant)}`, 'death');
+                break;
+            case 'DamageTaken':
+                this.logManager.addMessage(`Our ${event.ant.type} took ${event.damage} damage (${event.health} left)`, 'damage');
+                break;
+            case 'EnemySpotted':
+                this.logManager.addMessage(`Enemy ${event.enemy.type} spotted at ${at(event.enemy)}`, 'enemy');
+                break;
+            case 'EnemyKilled':
+                this.logManager.addMessage(`Enemy ${event.enemy.type} destroyed at ${at(event.enemy)}`, 'victory');
+                break;
+            case 'FoodDelivered':
+                this.logManager.addMessage(`Our ${event.antType} delivered ${event.amount} ${event.foodType} (+${event.calories} calories)`, 'resource');
+                break;
+            case 'CargoLost':
+                this.logManager.addMessage(`Our ${event.antType} lost ${event.amount} ${event.foodType} at ${at(event)} (${event.reason})`, 'warning');
+                break;
+            case 'AnthillAttacked':
+                this.logManager.addMessage(`Anthill under attack: ${event.attackers.length} enemies near, ${event.damagedAnts.length} of ours hit`, 'warning');
+                break;
+            case 'PhaseChanged':
+                this.logManager.addMessage(`Phase ${event.from} → ${event.to} (${event.strategy})`, 'strategy');
+                break;
+            case 'RecoveryModeEntered':
+                this.logManager.addMessage('Recovery mode activated', 'warning');
+                break;
+            case 'RecoveryModeExited':
+                this.logManager.addMessage('Recovery mode deactivated', 'strategy');
+                break;
+        }
+    }
+
     updateLobbyStatus(data) {
         if (data.waiting) {
             this.showWaitingOverlay({
@@ -217,6 +271,10 @@ class GameVisualizer {
     }
     
     updateConnectionStatus(connected) {
+        if (this.replayMode) {
+            return;
+        }
+        
         if (connected) {
             this.connectionIndicator.textContent = 'Connected';
             this.connectionIndicator.className = 'status-online';
@@ -226,6 +284,30 @@ class GameVisualizer {
         }
     }
     
+    /**
+     * Переключение в режим повтора сохраненной игры (см. ReplayPlayer)
+     * @param {string} name - Имя проигрываемого лога
+     * @param {boolean} hasGameEvents - В логе записаны события ходов
+     */
+    enterReplayMode(name, hasGameEvents = false) {
+        this.replayMode = true;
+        this.diffUnitEvents = !hasGameEvents;
+        this.previousGameState = null;
+        this.previousAnalysis = null;
+        this.connectionIndicator.textContent = `Replay: ${name}`;
+        this.connectionIndicator.className = 'status-replay';
+    }
+    
+    exitReplayMode() {
+        this.replayMode = false;
+        this.diffUnitEvents = false;
+        this.previousGameState = null;
+        this.previousAnalysis = null;
+        this.isInitialLoad = true;
+        this.logManager.addMessage('Replay closed, waiting for live game updates', 'system');
+        this.updateConnectionStatus(this.isConnected);
+    }
+    
     setupEventListeners() {
         // Обработчики клавиатуры
         document.addEventListener('keydown', (event) => {
@@ -335,6 +417,11 @@ class GameVisualizer {
   M - Показать/скрыть пути движения
   Esc - Сбросить настройки
 
+Режим повтора:
+  Пробел - Пуск/пауза
+  ← / → - Предыдущий/следующий ход
+  Home / End - Первый/последний ход
+
 Мышь:
   Левая кнопка - Перетаскивание карты
   Колесо - Изменение масштаба
@@ -352,17 +439,19 @@ class GameVisualizer {
     detectCombatEvents(gameState, analysis) {
         if (!this.previousGameState || !gameState) return;
         
-        // Детекция новых врагов
-        this.detectNewEnemies(gameState);
-        
-        // Детекция потерянных юнитов (смерть)
-        this.detectLostUnits(gameState);
-        
-        // Детекция уничтоженных врагов
-        this.detectDefeatedEnemies(gameState);
-        
-        // Детекция изменений здоровья (урон)
-        this.detectHealthChanges(gameState);
+        if (this.diffUnitEvents) {
+            // Детекция новых врагов
+            this.detectNewEnemies(gameState);
+            
+            // Детекция потерянных юнитов (смерть)
+            this.detectLostUnits(gameState);
+            
+            // Детекция уничтоженных врагов
+            this.detectDefeatedEnemies(gameState);
+            
+            // Детекция изменений здоровья (урон)
+            this.detectHealthChanges(gameState);
+        }
         
         // Детекция новых угроз
         this.detectNewThreats(analysis);
@@ -380,13 +469,9 @@ class GameVisualizer {
         );
         
         newEnemies.forEach(enemy => {
-            if (enemy.type === 0) {
-                this.logManager.addEnemyEvent(`Enemy anthill discovered at (${enemy.q}, ${enemy.r})!`);
-            } else {
-                const unitTypes = { 1: 'Worker', 2: 'Soldier', 3: 'Scout' };
-                const unitType = unitTypes[enemy.type] || 'Unit';
-                this.logManager.addEnemyEvent(`Enemy ${unitType} spotted at (${enemy.q}, ${enemy.r})`);
-            }
+            const unitTypes = { 1: 'Worker', 2: 'Soldier', 3: 'Scout' };
+            const unitType = unitTypes[enemy.type] || 'Unit';
+            this.logManager.addEnemyEvent(`Enemy ${unitType} spotted at (${enemy.q}, ${enemy.r})`);
         });
     }
     
@@ -410,7 +495,7 @@ class GameVisualizer {
         
         const currentEnemyIds = new Set(gameState.enemies.map(e => `${e.q},${e.r},${e.type}`));
         const defeatedEnemies = this.previousGameState.enemies.filter(enemy => 
-            !currentEnemyIds.has(`${enemy.q},${enemy.r},${enemy.type}`) && enemy.type !== 0
+            !currentEnemyIds.has(`${enemy.q},${enemy.r},${enemy.type}`)
         );
         
         defeatedEnemies.forEach(enemy => {
@@ -460,12 +545,21 @@ class GameVisualizer {
     }
     
     detectEnemyAnthillDiscovery(gameState) {
-        const prevAnthills = this.previousGameState.discoveredEnemyAnthills?.length || 0;
-        const currentAnthills = gameState.discoveredEnemyAnthills?.length || 0;
+        const prevAnthills = this.findEnemyAnthills(this.previousGameState);
+        const newAnthills = this.findEnemyAnthills(gameState).filter(key => !prevAnthills.includes(key));
         
-        if (currentAnthills > prevAnthills) {
-            this.logManager.addMessage(`🏴 Enemy anthill discovered! Total found: ${currentAnthills}`, 'enemy');
-        }
+        newAnthills.forEach(key => {
+            this.logManager.addMessage(`🏴 Enemy anthill discovered at (${key})!`, 'enemy');
+        });
+    }
+    
+    findEnemyAnthills(gameState) {
+        // Вражеский муравейник виден как гекс муравейника на карте, не входящий в home
+        const homeKeys = new Set((gameState.home || []).map(hex => `${hex.q},${hex.r}`));
+        return (gameState.map || [])
+            .filter(hex => hex.type === 1)
+            .map(hex => `${hex.q},${hex.r}`)
+            .filter(key => !homeKeys.has(key));
     }
 }
 
@@ -485,5 +579,8 @@ document.addEventListener('DOMContentLoaded', () => {
     exportButton.onclick = () => window.gameVisualizer.exportData();
     document.querySelector('.game-controls').appendChild(exportButton);
     
+    // Плеер сохраненных игр
+    window.replayPlayer = new ReplayPlayer(window.gameVisualizer);
+    
     console.log('Game Visualizer initialized');
 });
\ No newline at end of file
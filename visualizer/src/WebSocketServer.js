@@ -3,10 +3,18 @@ const http = require('http');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../../src/utils/Logger');
+const GameLogReader = require('../../src/game/GameLogReader');
+
+// Модули бота, которые нужны и визуализатору: путь в браузере -> файл в src
+const SHARED_MODULES = {
+    '/shared/HexGeometry.js': path.join(__dirname, '../../src/utils/HexGeometry.js'),
+    '/shared/GameLogReader.js': path.join(__dirname, '../../src/game/GameLogReader.js')
+};
 
 class WebSocketServer {
-    constructor(port = 3001) {
+    constructor(port = 3001, logsDir = path.join(process.cwd(), 'logs')) {
         this.port = port;
+        this.logsDir = logsDir; // Логи GameLogger для режима повтора
         this.server = null;
         this.wss = null;
         this.clients = new Set();
@@ -40,10 +48,18 @@ class WebSocketServer {
     }
     
     handleHttpRequest(req, res) {
-        let filePath = path.join(__dirname, '../public', req.url === '/' ? 'index.html' : req.url);
+        // Логи игр для режима повтора (по пути без query string)
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        if (pathname === '/replays' || pathname.startsWith('/replays/')) {
+            this.handleReplayRequest(pathname, res);
+            return;
+        }
+        
+        const sharedModule = SHARED_MODULES[pathname];
+        let filePath = sharedModule || path.join(__dirname, '../public', req.url === '/' ? 'index.html' : req.url);
         
         // Безопасность: не позволяем выйти за пределы public папки
-        if (!filePath.startsWith(path.join(__dirname, '../public'))) {
+        if (!sharedModule && !filePath.startsWith(path.join(__dirname, '../public'))) {
             res.writeHead(403);
             res.end('Forbidden');
             return;
@@ -86,6 +102,60 @@ class WebSocketServer {
         }
     }
     
+    /**
+     * Отдает список логов игр (/replays) или конкретный лог (/replays/<file>).
+     * Лог отдается одним объектом игры (GameLogReader), в каком бы формате он ни был записан.
+     * @param {string} pathname - Путь запроса без query string
+     * @param {Object} res - HTTP ответ
+     */
+    handleReplayRequest(pathname, res) {
+        const sendJson = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+            res.end(JSON.stringify(payload));
+        };
+        
+        if (!fs.existsSync(this.logsDir)) {
+            sendJson(200, []);
+            return;
+        }
+        
+        if (pathname === '/replays') {
+            const files = fs.readdirSync(this.logsDir)
+                .filter(name => GameLogReader.isLogFile(name))
+                .map(name => {
+                    const stats = fs.statSync(path.join(this.logsDir, name));
+                    return { name, size: stats.size, modified: stats.mtime.toISOString() };
+                })
+                .sort((a, b) => b.modified.localeCompare(a.modified));
+            sendJson(200, files);
+            return;
+        }
+        
+        // Битый percent-encoding не должен ронять процесс бота
+        let requested;
+        try {
+            requested = decodeURIComponent(pathname.slice('/replays/'.length));
+        } catch (error) {
+            sendJson(400, { error: 'Invalid replay name' });
+            return;
+        }
+        
+        // Безопасность: только имя файла, без путей
+        const name = path.basename(requested);
+        const filePath = path.join(this.logsDir, name);
+        if (!GameLogReader.isLogFile(name) || !fs.existsSync(filePath)) {
+            sendJson(404, { error: 'Replay not found' });
+            return;
+        }
+        
+        try {
+            sendJson(200, GameLogReader.read(filePath));
+        } catch (error) {
+            logger.error(`Failed to read replay ${name}:`, error);
+            sendJson(500, { error: `Cannot read replay: ${error.message}` });
+        }
+    }
+    
     handleConnection(ws, req) {
         const clientIp = req.socket.remoteAddress;
         logger.info(`New WebSocket connection from ${clientIp}`);
@@ -169,6 +239,14 @@ class WebSocketServer {
         }
     }
     
+    /**
+     * Пересылает клиентам игровые события (GameEventBus) как сообщения gameEvent.
+     * @param {GameEventBus} events - Шина событий бота
+     */
+    subscribe(events) {
+        events.onAny(event => this.broadcast({ type: 'gameEvent', event }));
+    }
+
     updateGameState(gameState, analysis = null, strategy = null, unitAssignments = null) {
         this.gameState = gameState;
         this.analysis = analysis;